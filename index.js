@@ -1,9 +1,9 @@
 // index.js
 // ------------------------------------------------------------
 // Bot R6 Tracker — Relatórios & Rankings (TRN) com Slash + Prefixo
-// Agendamentos: diário (relatório), semanal/mensal (rankings) por guild
-// Persistência: SQLite (jogadores e horários)
-// Scraping: Playwright para todas requisições (mais robusto contra Cloudflare)
+// Agendamentos: vários por guild (relatório/ranking, canal, horário, dia)
+// Persistência: SQLite (jogadores, horários e histórico diário)
+// Scraping: fonte plugável (Playwright por padrão; fixtures/HTTP local p/ dev offline)
 // ------------------------------------------------------------
 
 import dotenv from 'dotenv';
@@ -14,16 +14,84 @@ import {
   GatewayIntentBits,
   REST,
   Routes,
-  SlashCommandBuilder,
   PermissionFlagsBits,
   EmbedBuilder,
-  ChannelType,
+  AttachmentBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
   Partials,
 } from 'discord.js';
+import fs from 'fs';
 import cron from 'node-cron';
 import Database from 'better-sqlite3';
-import { DateTime } from 'luxon';
-import * as cheerio from 'cheerio';
+import { DateTime, IANAZone } from 'luxon';
+import { normalizeBlock } from './src/parsers.js';
+import { createScraperFromEnv, sourceOptionsFromEnv, BAD_PAGE_STATES, MISSING_PAGE_STATES } from './src/scraper.js';
+import { createProfileSource } from './src/sources/index.js';
+import { createScrapeQueue, PRIORITY } from './src/queue.js';
+import { createScrapeCache, dataAgeLabel } from './src/cache.js';
+import { PLATFORMS, parsePlatform, parseProfileKey, platformBadge, profileKey, resolvePlatform } from './src/platforms.js';
+import {
+  WEEKDAYS,
+  parseHHmm,
+  parseKind,
+  parsePeriod,
+  parseWeekday,
+  buildScheduleJob,
+  cronExpression,
+  describeFrequency,
+  describeJob,
+  defaultScheduleJobs,
+} from './src/schedules.js';
+import { MAX_ROSTER_BYTES, ROSTER_FORMATS, detectRosterFormat, parseRoster, serializeRoster } from './src/roster.js';
+import { CHART_RANGES, COMPARE_RANGES, MEMBER_REPORT_RANGES, slashCommands } from './src/commands.js';
+import { compareAggregates, compareScore, sharedDays } from './src/compare.js';
+import {
+  ACHIEVEMENT_TYPES,
+  DEFAULT_ACHIEVEMENTS,
+  MIN_KD_DAY_MATCHES,
+  RECORD_TYPES,
+  achievementValue,
+  buildAchievement,
+  computeRecords,
+  newRecords,
+  parseAchievementType,
+  reachedAchievements,
+} from './src/records.js';
+import { compareRanks, rankChange } from './src/ranks.js';
+import {
+  DEFAULT_MVP_WEIGHTS, MAX_MVP_WEIGHT, MVP_METRICS, MVP_OPTION_NAMES,
+  applyMvpWeights, computeMvp, normalizeMvpWeights, parseMvpArgs,
+} from './src/mvp.js';
+import { createPlayerRenamer } from './src/renames.js';
+import { VIEW_ALL, VIEW_MENU, VIEW_RANGES, parseViewId, viewCategories, viewId } from './src/views.js';
+import {
+  MAX_RANKING_SIZE,
+  RANKING_WINDOWS,
+  applyRankingChange,
+  buildRankings,
+  categoryAlias,
+  normalizeRankingSettings,
+  parseRankingArgs,
+  rankingRules,
+} from './src/rankings.js';
+import { buildPeriod, takePeriodArgs } from './src/periods.js';
+import { buildSeason, findSeason, parseSeasonRange, seasonsToAnnounce, SEASON_RANGES } from './src/seasons.js';
+import { MAX_LIVE_MATCHES, MAX_POLL_MIN, MIN_POLL_MIN, createPollSchedule, maxPollDelayMin, parsePollInterval } from './src/polling.js';
+import {
+  CHART_HEIGHT,
+  CHART_METRICS,
+  CHART_WIDTH,
+  MAX_CHART_SERIES,
+  buildMetricChart,
+  chartDays,
+  chartHtml,
+  parseChartMetric,
+  parseChartStyle,
+} from './src/charts.js';
+import { DEFAULT_LOCALE, LOCALES, createTranslator, localizedError, resolveLocale, translate } from './src/i18n.js';
 
 // -------------------------------
 // .env
@@ -35,27 +103,37 @@ const {
   GUILD_IDS,
   PREFIX = '!',
   TZ: TZ_ENV,
-  // Anti-403 / Playwright
-  TRN_BASE = 'auto',
-  TRN_PLATFORM = 'pc',
-  TRN_SAMPLE_PROFILE,
-  TRN_HEADLESS = 'true',
+  // Anti-403: demais TRN_* (fonte, navegador, timeouts) são lidos em src/scraper.js
   TRN_COOKIE_TTL_MIN = '60',
-  TRN_CF_WAIT_MS = '12000',
-  TRN_NAV_TIMEOUT_MS = '45000',
-  CHROME_EXE,
+  // Plataforma de quem não escolheu uma no /cadastrar
+  TRN_PLATFORM = 'pc',
+  // Cache de scrapes (entre guilds): tempo (min) em que um scrape recente ainda vale
+  // para dias em aberto. STATS_FRESH_MIN é o nome antigo e continua aceito.
+  STATS_FRESH_MIN,
+  SCRAPE_CACHE_TTL_MIN = STATS_FRESH_MIN || '10',
+  // Saúde do scraper: canal que recebe alertas de layout/bloqueio
+  SCRAPER_ALERT_CHANNEL_ID,
+  SCRAPER_ALERT_COOLDOWN_MIN = '60',
+  // Fila: perfis raspados ao mesmo tempo (páginas no contexto compartilhado)
+  SCRAPE_CONCURRENCY = '2',
+  // Renomeações: cron (fuso TZ) que confere o nick atual pelo id Ubisoft; vazio desliga
+  RENAME_CHECK_CRON = '30 4 * * *',
+  // Ranqueado: intervalo mínimo (min) entre visitas à aba overview de um perfil; 0 desliga
+  TRN_RANKED_MIN = '60',
+  // Temporadas: cron (fuso TZ) que posta o ranking de fim de temporada; vazio desliga
+  SEASON_CHECK_CRON = '10 * * * *',
 } = process.env;
 
+// Fuso padrão das guilds sem /config fuso e fuso de coleta: os dias do TRN são gravados nele
 const TZ = TZ_ENV || 'America/Sao_Paulo';
 
+const DEFAULT_PLATFORM = resolvePlatform(TRN_PLATFORM);
+
 if (!DISCORD_TOKEN) {
   console.error('❌ Falta DISCORD_TOKEN no .env');
   process.exit(1);
 }
 
-// Função delay que estava faltando
-const delay = (ms) => new Promise(r => setTimeout(r, ms));
-
 // -------------------------------
 /* DB (SQLite) */
 // -------------------------------
@@ -69,6 +147,7 @@ CREATE TABLE IF NOT EXISTS players (
   PRIMARY KEY (guild_id, username)
 );
 
+-- Legado (um horário por guild); migrado para schedule_jobs ao iniciar
 CREATE TABLE IF NOT EXISTS schedules (
   guild_id TEXT NOT NULL,
   channel_id TEXT NOT NULL,
@@ -76,6 +155,128 @@ CREATE TABLE IF NOT EXISTS schedules (
   PRIMARY KEY (guild_id)
 );
 
+CREATE TABLE IF NOT EXISTS guild_settings (
+  guild_id TEXT NOT NULL PRIMARY KEY,
+  timezone TEXT,
+  language TEXT,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS schedule_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  kind TEXT NOT NULL,          -- report | ranking
+  period TEXT NOT NULL,        -- day | yesterday | week | month
+  channel_id TEXT NOT NULL,
+  time_str TEXT NOT NULL,      -- HH:mm
+  weekday INTEGER,             -- 0-6 (0 = domingo) ou NULL
+  month_day INTEGER,           -- 1-28 ou NULL
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_schedule_jobs_guild ON schedule_jobs (guild_id);
+
+CREATE TABLE IF NOT EXISTS daily_stats (
+  username TEXT NOT NULL COLLATE NOCASE,
+  iso TEXT NOT NULL,
+  date_label TEXT,
+  wins INTEGER NOT NULL DEFAULT 0,
+  losses INTEGER NOT NULL DEFAULT 0,
+  k INTEGER NOT NULL DEFAULT 0,
+  d INTEGER NOT NULL DEFAULT 0,
+  hs_pct REAL NOT NULL DEFAULT 0,
+  matches INTEGER NOT NULL DEFAULT 0,
+  scraped_at INTEGER NOT NULL,
+  PRIMARY KEY (username, iso)
+);
+
+CREATE TABLE IF NOT EXISTS scrape_state (
+  username TEXT NOT NULL COLLATE NOCASE PRIMARY KEY,
+  url TEXT,
+  scraped_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS matches (
+  username TEXT NOT NULL COLLATE NOCASE,
+  match_key TEXT NOT NULL,
+  match_id TEXT,
+  iso TEXT NOT NULL,
+  seq INTEGER NOT NULL DEFAULT 0,
+  played_at TEXT,
+  result TEXT,
+  k INTEGER,
+  d INTEGER,
+  hs_pct REAL,
+  map TEXT,
+  mode TEXT,
+  scraped_at INTEGER NOT NULL,
+  PRIMARY KEY (username, match_key)
+);
+CREATE INDEX IF NOT EXISTS idx_matches_user_iso ON matches (username, iso);
+
+CREATE TABLE IF NOT EXISTS scraper_health (
+  username TEXT NOT NULL COLLATE NOCASE PRIMARY KEY,
+  last_ok_at INTEGER,
+  last_fail_at INTEGER,
+  last_state TEXT,
+  last_error TEXT,
+  snapshot TEXT,
+  last_alert_at INTEGER
+);
+
+-- Rank/RP do ranqueado por dia (último scrape do dia fica)
+CREATE TABLE IF NOT EXISTS player_ranks (
+  username TEXT NOT NULL COLLATE NOCASE,
+  iso TEXT NOT NULL,
+  rank TEXT,                   -- ex.: "Platinum II" (NULL = sem rank)
+  rp INTEGER,
+  peak_rank TEXT,              -- pico da temporada
+  peak_rp INTEGER,
+  scraped_at INTEGER NOT NULL,
+  PRIMARY KEY (username, iso)
+);
+
+-- Recordes por chave de perfil (só sobem); conquistas por guild
+CREATE TABLE IF NOT EXISTS player_records (
+  username TEXT NOT NULL COLLATE NOCASE,
+  record TEXT NOT NULL,
+  value REAL NOT NULL,
+  iso TEXT,                    -- dia do recorde (ou fim da sequência)
+  since TEXT,                  -- início da sequência
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (username, record)
+);
+
+CREATE TABLE IF NOT EXISTS achievements (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  threshold REAL NOT NULL,
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_achievements_guild ON achievements (guild_id);
+
+CREATE TABLE IF NOT EXISTS player_achievements (
+  guild_id TEXT NOT NULL,
+  achievement_id INTEGER NOT NULL,
+  username TEXT NOT NULL COLLATE NOCASE,
+  value REAL,
+  unlocked_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, achievement_id, username)
+);
+
+-- Calendário de temporadas por guild (datas inclusivas, no fuso da guild)
+CREATE TABLE IF NOT EXISTS seasons (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  start_iso TEXT NOT NULL,
+  end_iso TEXT NOT NULL,
+  announced_at INTEGER,        -- post de fim de temporada (NULL = pendente)
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_seasons_guild ON seasons (guild_id);
+
 CREATE TABLE IF NOT EXISTS cookie_cache (
   id INTEGER PRIMARY KEY DEFAULT 1,
   value TEXT,
@@ -83,17 +284,286 @@ CREATE TABLE IF NOT EXISTS cookie_cache (
 );
 `);
 
-const qInsertPlayer = db.prepare('INSERT OR IGNORE INTO players (guild_id, username) VALUES (?, ?)');
-const qDeletePlayer = db.prepare('DELETE FROM players WHERE guild_id = ? AND username = ?');
-const qListPlayers = db.prepare('SELECT username FROM players WHERE guild_id = ? ORDER BY username COLLATE NOCASE');
-const qUpsertSchedule = db.prepare(`
-  INSERT INTO schedules (guild_id, channel_id, time_str)
-  VALUES (?, ?, ?)
-  ON CONFLICT(guild_id) DO UPDATE SET channel_id=excluded.channel_id, time_str=excluded.time_str
+// Colunas novas em tabelas que já existiam (CREATE TABLE IF NOT EXISTS não altera)
+// Devolve true quando a coluna acabou de ser criada (para migrar dados antigos)
+function ensureColumn(table, column, type) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (cols.some(c => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  return true;
+}
+
+ensureColumn('guild_settings', 'language', 'TEXT');
+ensureColumn('players', 'discord_user_id', 'TEXT');
+ensureColumn('players', 'added_at', 'INTEGER');
+ensureColumn('players', 'profile_id', 'TEXT');
+ensureColumn('players', 'platform', 'TEXT'); // NULL = DEFAULT_PLATFORM
+ensureColumn('schedule_jobs', 'chart', 'TEXT'); // métrica do gráfico comparativo ou NULL
+ensureColumn('guild_settings', 'achievements_seeded', 'INTEGER'); // conquistas padrão já criadas
+ensureColumn('players', 'achievements_at', 'INTEGER'); // última checagem (NULL: a primeira não anuncia)
+ensureColumn('guild_settings', 'live_channel_id', 'TEXT'); // partidas ao vivo: canal (NULL = desligado)
+ensureColumn('guild_settings', 'live_interval_min', 'INTEGER');
+ensureColumn('players', 'live_seen_at', 'INTEGER'); // partidas vistas até aqui já foram anunciadas
+ensureColumn('matches', 'first_seen_at', 'INTEGER'); // primeiro scrape que trouxe a partida
+ensureColumn('guild_settings', 'ranking_settings', 'TEXT'); // /config ranking (JSON; NULL = padrão)
+ensureColumn('guild_settings', 'mvp_weights', 'TEXT'); // /config mvp (JSON; NULL = padrão)
+// Dia mais antigo que as páginas raspadas alcançaram (aviso de histórico curto).
+// Bancos antigos começam pelo dia mais antigo salvo, a melhor estimativa que há.
+if (ensureColumn('scrape_state', 'history_from', 'TEXT')) {
+  db.exec(`UPDATE scrape_state SET history_from = (SELECT MIN(iso) FROM daily_stats d WHERE d.username = scrape_state.username)`);
+}
+
+const qInsertPlayer = db.prepare(`
+  INSERT OR IGNORE INTO players (guild_id, username, platform, profile_id, added_at) VALUES (?, ?, ?, ?, ?)
+`);
+const qDeletePlayer = db.prepare('DELETE FROM players WHERE guild_id = ? AND username = ? COLLATE NOCASE');
+const qListPlayers = db.prepare('SELECT username, discord_user_id, platform FROM players WHERE guild_id = ? ORDER BY username COLLATE NOCASE');
+
+// Vínculo nick <-> membro do Discord (um membro pode ter várias contas)
+const qGetPlayer = db.prepare('SELECT username, discord_user_id, platform FROM players WHERE guild_id = ? AND username = ? COLLATE NOCASE');
+const qLinkPlayer = db.prepare('UPDATE players SET discord_user_id = ? WHERE guild_id = ? AND username = ?');
+const qPlayersOfUser = db.prepare(`
+  SELECT username, discord_user_id, platform FROM players
+  WHERE guild_id = ? AND discord_user_id = ? ORDER BY username COLLATE NOCASE
+`);
+
+// Lista completa (/jogadores, /exportar) e importação (/importar)
+const qRoster = db.prepare(`
+  SELECT username, discord_user_id, added_at, platform FROM players
+  WHERE guild_id = ? ORDER BY username COLLATE NOCASE
+`);
+const qImportPlayer = db.prepare(`
+  INSERT OR IGNORE INTO players (guild_id, username, discord_user_id, added_at, platform) VALUES (?, ?, ?, ?, ?)
+`);
+
+// Id Ubisoft (estável) e renomeações
+const qPlayerByProfile = db.prepare('SELECT username FROM players WHERE guild_id = ? AND profile_id = ?');
+// Parâmetros: id, nick, plataforma padrão, plataforma
+const qFillProfileId = db.prepare(`
+  UPDATE players SET profile_id = ?
+  WHERE username = ? COLLATE NOCASE AND COALESCE(platform, ?) = ? AND profile_id IS NULL
+`);
+const qProfilesToCheck = db.prepare(`
+  SELECT profile_id, MIN(username) AS username, MIN(platform) AS platform FROM players
+  WHERE profile_id IS NOT NULL GROUP BY profile_id
+`);
+const renamePlayerRows = createPlayerRenamer(db);
+
+// Queries para configurações por guild
+const qGetGuildSettings = db.prepare(`
+  SELECT timezone, language, achievements_seeded, live_channel_id, live_interval_min, ranking_settings, mvp_weights
+  FROM guild_settings WHERE guild_id = ?
+`);
+const qSetGuildTimezone = db.prepare(`
+  INSERT INTO guild_settings (guild_id, timezone, updated_at) VALUES (?, ?, ?)
+  ON CONFLICT(guild_id) DO UPDATE SET timezone=excluded.timezone, updated_at=excluded.updated_at
+`);
+const qSetGuildLanguage = db.prepare(`
+  INSERT INTO guild_settings (guild_id, language, updated_at) VALUES (?, ?, ?)
+  ON CONFLICT(guild_id) DO UPDATE SET language=excluded.language, updated_at=excluded.updated_at
+`);
+
+const qSetGuildRanking = db.prepare(`
+  INSERT INTO guild_settings (guild_id, ranking_settings, updated_at) VALUES (?, ?, ?)
+  ON CONFLICT(guild_id) DO UPDATE SET ranking_settings=excluded.ranking_settings, updated_at=excluded.updated_at
+`);
+const qSetGuildMvp = db.prepare(`
+  INSERT INTO guild_settings (guild_id, mvp_weights, updated_at) VALUES (?, ?, ?)
+  ON CONFLICT(guild_id) DO UPDATE SET mvp_weights=excluded.mvp_weights, updated_at=excluded.updated_at
+`);
+const qSetGuildLive = db.prepare(`
+  INSERT INTO guild_settings (guild_id, live_channel_id, live_interval_min, updated_at) VALUES (?, ?, ?, ?)
+  ON CONFLICT(guild_id) DO UPDATE SET
+    live_channel_id=excluded.live_channel_id,
+    live_interval_min=COALESCE(excluded.live_interval_min, guild_settings.live_interval_min),
+    updated_at=excluded.updated_at
+`);
+
+// Queries para partidas ao vivo
+// Jogadores de todas as guilds com ao vivo ligado, com o intervalo da guild
+const qLivePlayers = db.prepare(`
+  SELECT p.username, p.platform, s.live_interval_min FROM players p
+  JOIN guild_settings s ON s.guild_id = p.guild_id WHERE s.live_channel_id IS NOT NULL
+`);
+// Guilds com ao vivo que acompanham uma chave de perfil. Parâmetros: nick, plataforma padrão, plataforma
+const qLiveGuildsOf = db.prepare(`
+  SELECT p.guild_id, p.username, p.discord_user_id, p.live_seen_at, s.live_channel_id FROM players p
+  JOIN guild_settings s ON s.guild_id = p.guild_id
+  WHERE s.live_channel_id IS NOT NULL AND p.username = ? COLLATE NOCASE AND COALESCE(p.platform, ?) = ?
+`);
+const qSetLiveSeenAt = db.prepare('UPDATE players SET live_seen_at = ? WHERE guild_id = ? AND username = ?');
+const qResetLiveSeen = db.prepare('UPDATE players SET live_seen_at = ? WHERE guild_id = ?');
+// Partidas que apareceram depois de `since` (mais recentes primeiro)
+const qNewMatches = db.prepare(`
+  SELECT match_id, iso, played_at, result, k, d, hs_pct, map, mode FROM matches
+  WHERE username = ? AND first_seen_at > ?
+  ORDER BY iso DESC, played_at DESC, seq DESC LIMIT ?
+`);
+const qCountNewMatches = db.prepare('SELECT COUNT(*) AS n FROM matches WHERE username = ? AND first_seen_at > ?');
+
+// Queries para agendamentos
+const qInsertJob = db.prepare(`
+  INSERT INTO schedule_jobs (guild_id, kind, period, channel_id, time_str, weekday, month_day, chart, enabled, created_at)
+  VALUES (@guild_id, @kind, @period, @channel_id, @time_str, @weekday, @month_day, @chart, 1, @created_at)
+`);
+const qFindJob = db.prepare(`
+  SELECT id FROM schedule_jobs
+  WHERE guild_id = @guild_id AND kind = @kind AND period = @period AND channel_id = @channel_id
+    AND time_str = @time_str AND weekday IS @weekday AND month_day IS @month_day AND chart IS @chart
+`);
+const qListJobs = db.prepare('SELECT * FROM schedule_jobs WHERE guild_id = ? ORDER BY id');
+const qGetJob = db.prepare('SELECT * FROM schedule_jobs WHERE guild_id = ? AND id = ?');
+const qDeleteJob = db.prepare('DELETE FROM schedule_jobs WHERE guild_id = ? AND id = ?');
+const qDeleteGuildJobs = db.prepare('DELETE FROM schedule_jobs WHERE guild_id = ?');
+const qSetJobEnabled = db.prepare('UPDATE schedule_jobs SET enabled = ? WHERE guild_id = ? AND id = ?');
+const qJobGuilds = db.prepare('SELECT DISTINCT guild_id FROM schedule_jobs WHERE enabled = 1');
+const qLegacySchedules = db.prepare('SELECT guild_id, channel_id, time_str FROM schedules');
+const qDelLegacySchedule = db.prepare('DELETE FROM schedules WHERE guild_id = ?');
+
+// Queries para histórico diário
+// Um dia só cresce: se a página mostrar o bloco cortado (dia mais antigo da lista),
+// não sobrescrevemos um registro que já tinha mais partidas.
+const qUpsertDailyStats = db.prepare(`
+  INSERT INTO daily_stats (username, iso, date_label, wins, losses, k, d, hs_pct, matches, scraped_at)
+  VALUES (@username, @iso, @dateLabel, @wins, @losses, @k, @d, @hs_pct, @matches, @scraped_at)
+  ON CONFLICT(username, iso) DO UPDATE SET
+    date_label=excluded.date_label, wins=excluded.wins, losses=excluded.losses,
+    k=excluded.k, d=excluded.d, hs_pct=excluded.hs_pct, matches=excluded.matches,
+    scraped_at=excluded.scraped_at
+  WHERE excluded.matches >= daily_stats.matches
+`);
+const qDailyStatsRange = db.prepare(`
+  SELECT iso, date_label AS dateLabel, wins, losses, k, d, hs_pct, matches
+  FROM daily_stats WHERE username = ? AND iso BETWEEN ? AND ? ORDER BY iso
+`);
+// Até onde as páginas raspadas chegaram (dia mais antigo mostrado em algum scrape).
+// Não é o primeiro dia jogado no período: quem só não jogou no começo não tem histórico curto.
+const qHistoryStart = db.prepare('SELECT history_from AS iso FROM scrape_state WHERE username = ?');
+const qGetScrapeState = db.prepare('SELECT url, scraped_at FROM scrape_state WHERE username = ?');
+// `history_from` só recua: fica o menor entre o gravado e o dia mais antigo desta página
+const qSetScrapeState = db.prepare(`
+  INSERT INTO scrape_state (username, url, scraped_at, history_from) VALUES (?, ?, ?, ?)
+  ON CONFLICT(username) DO UPDATE SET url=excluded.url, scraped_at=excluded.scraped_at,
+    history_from=COALESCE(MIN(scrape_state.history_from, excluded.history_from), scrape_state.history_from, excluded.history_from)
+`);
+
+// Queries para partidas individuais
+const qUpsertMatch = db.prepare(`
+  INSERT INTO matches (username, match_key, match_id, iso, seq, played_at, result, k, d, hs_pct, map, mode, scraped_at, first_seen_at)
+  VALUES (@username, @key, @id, @iso, @seq, @playedAt, @result, @k, @d, @hs_pct, @map, @mode, @scraped_at, @first_seen_at)
+  ON CONFLICT(username, match_key) DO UPDATE SET
+    match_id=COALESCE(excluded.match_id, matches.match_id),
+    played_at=COALESCE(excluded.played_at, matches.played_at),
+    k=COALESCE(excluded.k, matches.k), d=COALESCE(excluded.d, matches.d),
+    hs_pct=COALESCE(excluded.hs_pct, matches.hs_pct),
+    map=COALESCE(excluded.map, matches.map), mode=COALESCE(excluded.mode, matches.mode),
+    scraped_at=excluded.scraped_at
+`);
+// Dias reconstruídos a partir das partidas (missing_kd > 0 => alguma linha sem K/D real)
+const qMatchDaysRange = db.prepare(`
+  SELECT iso,
+    COUNT(*) AS matches,
+    SUM(result = 'win') AS wins,
+    SUM(result = 'loss') AS losses,
+    SUM(k) AS k,
+    SUM(d) AS d,
+    AVG(hs_pct) AS hs_pct,
+    SUM(k IS NULL OR d IS NULL) AS missing_kd
+  FROM matches WHERE username = ? AND iso BETWEEN ? AND ? GROUP BY iso
+`);
+// /comparar: partidas com id salvas de cada lado e quantas têm o mesmo id nos dois
+const qSharedMatches = db.prepare(`
+  SELECT
+    (SELECT COUNT(*) FROM matches WHERE username = @a AND match_id IS NOT NULL AND iso BETWEEN @from AND @to) AS idsA,
+    (SELECT COUNT(*) FROM matches WHERE username = @b AND match_id IS NOT NULL AND iso BETWEEN @from AND @to) AS idsB,
+    (SELECT COUNT(DISTINCT x.match_id) FROM matches x JOIN matches y ON y.match_id = x.match_id AND y.username = @b
+      WHERE x.username = @a AND x.match_id IS NOT NULL AND x.iso BETWEEN @from AND @to) AS together
+`);
+const qRecentMatches = db.prepare(`
+  SELECT match_id, iso, played_at, result, k, d, hs_pct, map, mode
+  FROM matches WHERE username = ?
+  ORDER BY iso DESC, played_at DESC, seq DESC LIMIT ?
+`);
+
+// Tabelas por nick que acompanham uma renomeação; o que já existir no nick
+// novo (mesmo dia/partida raspados por ele) fica, e a cópia antiga sai.
+const qMoveHistory = ['daily_stats', 'matches', 'scrape_state', 'scraper_health', 'player_records', 'player_achievements', 'player_ranks'].map(table => ({
+  move: db.prepare(`UPDATE OR IGNORE ${table} SET username = ? WHERE username = ?`),
+  drop: db.prepare(`DELETE FROM ${table} WHERE username = ?`),
+}));
+
+// Queries para o ranqueado
+const qUpsertRank = db.prepare(`
+  INSERT INTO player_ranks (username, iso, rank, rp, peak_rank, peak_rp, scraped_at)
+  VALUES (@username, @iso, @rank, @rp, @peakRank, @peakRp, @scrapedAt)
+  ON CONFLICT(username, iso) DO UPDATE SET
+    rank=excluded.rank, rp=excluded.rp, peak_rank=excluded.peak_rank, peak_rp=excluded.peak_rp, scraped_at=excluded.scraped_at
+`);
+const qLastRank = db.prepare('SELECT rank, rp, scraped_at FROM player_ranks WHERE username = ? ORDER BY iso DESC LIMIT 1');
+// Último rank gravado até o dia `iso` (inclusive)
+const qRankAt = db.prepare(`
+  SELECT iso, rank, rp, peak_rank, peak_rp, scraped_at FROM player_ranks
+  WHERE username = ? AND iso <= ? ORDER BY iso DESC LIMIT 1
+`);
+
+// Queries para recordes e conquistas
+const qRecords = db.prepare('SELECT record, value, iso, since FROM player_records WHERE username = ?');
+const qUpsertRecord = db.prepare(`
+  INSERT INTO player_records (username, record, value, iso, since, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+  ON CONFLICT(username, record) DO UPDATE SET
+    value=excluded.value, iso=excluded.iso, since=excluded.since, updated_at=excluded.updated_at
+`);
+// Partidas em ordem cronológica (seq maior = mais recente no dia)
+const qMatchesInOrder = db.prepare('SELECT iso, result FROM matches WHERE username = ? ORDER BY iso, played_at, seq');
+const qGuildAchievements = db.prepare('SELECT id, type, threshold FROM achievements WHERE guild_id = ? ORDER BY id');
+const qInsertAchievement = db.prepare('INSERT INTO achievements (guild_id, type, threshold, created_at) VALUES (?, ?, ?, ?)');
+const qFindAchievement = db.prepare('SELECT id FROM achievements WHERE guild_id = ? AND type = ? AND threshold = ?');
+const qGetAchievement = db.prepare('SELECT id, type, threshold FROM achievements WHERE guild_id = ? AND id = ?');
+const qDeleteAchievement = db.prepare('DELETE FROM achievements WHERE guild_id = ? AND id = ?');
+const qDeleteAchievementUnlocks = db.prepare('DELETE FROM player_achievements WHERE guild_id = ? AND achievement_id = ?');
+const qMarkAchievementsSeeded = db.prepare(`
+  INSERT INTO guild_settings (guild_id, achievements_seeded, updated_at) VALUES (?, 1, ?)
+  ON CONFLICT(guild_id) DO UPDATE SET achievements_seeded=1, updated_at=excluded.updated_at
+`);
+const qUnlocked = db.prepare('SELECT achievement_id, unlocked_at FROM player_achievements WHERE guild_id = ? AND username = ?');
+const qUnlock = db.prepare(`
+  INSERT OR IGNORE INTO player_achievements (guild_id, achievement_id, username, value, unlocked_at) VALUES (?, ?, ?, ?, ?)
+`);
+// Guilds que acompanham uma chave de perfil. Parâmetros: nick, plataforma padrão, plataforma
+const qPlayerGuilds = db.prepare(`
+  SELECT guild_id, username, discord_user_id, achievements_at FROM players
+  WHERE username = ? COLLATE NOCASE AND COALESCE(platform, ?) = ?
+`);
+const qSetAchievementsAt = db.prepare('UPDATE players SET achievements_at = ? WHERE guild_id = ? AND username = ?');
+// Canal dos anúncios: o do primeiro relatório agendado (senão, o de qualquer agendamento ativo)
+const qAnnounceChannel = db.prepare(`
+  SELECT channel_id FROM schedule_jobs WHERE guild_id = ? AND enabled = 1
+  ORDER BY kind = 'report' DESC, id LIMIT 1
+`);
+
+// Queries para temporadas
+const qSeasons = db.prepare('SELECT id, name, start_iso, end_iso, announced_at FROM seasons WHERE guild_id = ? ORDER BY start_iso');
+const qInsertSeason = db.prepare(`
+  INSERT INTO seasons (guild_id, name, start_iso, end_iso, announced_at, created_at) VALUES (?, ?, ?, ?, ?, ?)
+`);
+const qGetSeason = db.prepare('SELECT id, name, start_iso, end_iso FROM seasons WHERE guild_id = ? AND id = ?');
+const qDeleteSeason = db.prepare('DELETE FROM seasons WHERE guild_id = ? AND id = ?');
+const qSeasonGuilds = db.prepare('SELECT DISTINCT guild_id FROM seasons WHERE announced_at IS NULL');
+const qMarkSeasonAnnounced = db.prepare('UPDATE seasons SET announced_at = ? WHERE id = ?');
+
+// Queries para saúde do scraper
+const qGetHealth = db.prepare('SELECT * FROM scraper_health WHERE username = ?');
+const qHealthOk = db.prepare(`
+  INSERT INTO scraper_health (username, last_ok_at, last_state) VALUES (?, ?, ?)
+  ON CONFLICT(username) DO UPDATE SET last_ok_at=excluded.last_ok_at, last_state=excluded.last_state
 `);
-const qGetSchedule = db.prepare('SELECT channel_id, time_str FROM schedules WHERE guild_id = ?');
-const qDelSchedule = db.prepare('DELETE FROM schedules WHERE guild_id = ?');
-const qAllSchedules = db.prepare('SELECT guild_id FROM schedules');
+const qHealthFail = db.prepare(`
+  INSERT INTO scraper_health (username, last_fail_at, last_state, last_error, snapshot) VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT(username) DO UPDATE SET
+    last_fail_at=excluded.last_fail_at, last_state=excluded.last_state,
+    last_error=excluded.last_error, snapshot=excluded.snapshot
+`);
+const qHealthAlerted = db.prepare('UPDATE scraper_health SET last_alert_at = ? WHERE username = ?');
 
 // Queries para cookie cache
 const qGetCookie = db.prepare('SELECT value, expires_at FROM cookie_cache WHERE id = 1');
@@ -103,14 +573,6 @@ const qSetCookie = db.prepare(`
   ON CONFLICT(id) DO UPDATE SET value=excluded.value, expires_at=excluded.expires_at
 `);
 
-// -------------------------------
-// Cache de browser context global
-// -------------------------------
-let browserInstance = null;
-let browserContext = null;
-let lastBrowserUse = Date.now();
-const BROWSER_IDLE_TIMEOUT = 5 * 60 * 1000; // 5 minutos
-
 // Cookie cache em memória
 let COOKIE_CACHE = {
   value: null,
@@ -139,318 +601,68 @@ function setCookieCache(cookieStr) {
   }
 }
 
-// Lazy import do Playwright
-async function ensurePlaywright() {
-  try {
-    const pw = await import('playwright');
-    return pw;
-  } catch {
-    try {
-      const pwc = await import('playwright-core');
-      return pwc;
-    } catch (e) {
-      console.error('❌ Playwright não instalado! Execute:');
-      console.error('   npm install playwright');
-      console.error('   npx playwright install chromium');
-      process.exit(1);
-    }
-  }
-}
+// -------------------------------
+// Scraper TRN (fonte escolhida por TRN_SOURCE)
+// -------------------------------
+const scraper = createScraperFromEnv(process.env, {
+  zone: TZ,
+  cookies: {
+    get: () => (COOKIE_CACHE.value && Date.now() < COOKIE_CACHE.expiresAt ? COOKIE_CACHE.value : null),
+    set: setCookieCache,
+  },
+});
+console.log(`📡 Fonte de perfis: ${scraper.source.name}`);
 
-// Fecha o browser se estiver idle
-async function checkBrowserIdle() {
-  if (browserInstance && Date.now() - lastBrowserUse > BROWSER_IDLE_TIMEOUT) {
-    console.log('🔄 Fechando browser idle...');
-    try {
-      await browserContext?.close();
-      await browserInstance?.close();
-    } catch {}
-    browserContext = null;
-    browserInstance = null;
-  }
+// `key`: chave de perfil (profileKey) = nick + plataforma
+// `opts.ranked`: também busca o card do ranqueado (ver wantsRanked)
+async function scrapeDailyBlocks(key, opts = {}) {
+  const { username, platform } = parseProfileKey(key, DEFAULT_PLATFORM);
+  return scraper.scrapeProfile(username, { platform, ...opts });
 }
 
-// Configura timer para checar browser idle
-setInterval(checkBrowserIdle, 60000); // Check every minute
-
-// Obtém ou cria contexto do browser
-async function getBrowserContext() {
-  lastBrowserUse = Date.now();
-  
-  if (browserContext) return browserContext;
-  
-  const pw = await ensurePlaywright();
-  if (!pw) throw new Error('Playwright necessário');
-  
-  const headless = String(TRN_HEADLESS).toLowerCase() !== 'false';
-  
-  const launchOpts = {
-    headless,
-    args: [
-      '--no-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-blink-features=AutomationControlled',
-      '--disable-features=IsolateOrigins,site-per-process',
-    ],
+// Jogador pronto para coletar: chave de histórico/cache + o que os embeds mostram
+function playerRef(row) {
+  return {
+    key: profileKey(row.username, row.platform, DEFAULT_PLATFORM),
+    username: row.username,
+    platform: resolvePlatform(row.platform || DEFAULT_PLATFORM),
+    discordUserId: row.discord_user_id ?? null,
   };
-  
-  if (CHROME_EXE) launchOpts.executablePath = CHROME_EXE;
-  
-  console.log('🚀 Iniciando browser...');
-  browserInstance = await pw.chromium.launch(launchOpts);
-  
-  browserContext = await browserInstance.newContext({
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
-    viewport: { width: 1366, height: 768 },
-    extraHTTPHeaders: {
-      'Accept-Language': 'en-US,en;q=0.9',
-    }
-  });
-  
-  // Se temos cookies salvos, aplica no contexto
-  if (COOKIE_CACHE.value && Date.now() < COOKIE_CACHE.expiresAt) {
-    const cookies = COOKIE_CACHE.value.split('; ').map(c => {
-      const [name, value] = c.split('=');
-      return {
-        name,
-        value,
-        domain: '.tracker.gg',
-        path: '/',
-      };
-    });
-    await browserContext.addCookies(cookies);
-    console.log('🍪 Cookies aplicados ao browser.');
-  }
-  
-  return browserContext;
 }
 
-// Resolve plataforma
-const PLATFORM_ALIASES = {
-  ubisoft: 'pc', ubi: 'pc', uplay: 'pc',
-  pc: 'pc',
-  xbox: 'xbox', xbl: 'xbox',
-  ps: 'psn', psn: 'psn', playstation: 'psn'
-};
-const PLATFORM = PLATFORM_ALIASES[String(TRN_PLATFORM || 'pc').toLowerCase()] || 'pc';
-
-// URLs candidatas
-function buildCandidates(username) {
-  const nameEnc = encodeURIComponent(username);
-  
-  const uTrkUbiOverview = `https://tracker.gg/r6siege/profile/ubi/${nameEnc}/matches`;
-  const uTrkPlatOverview = `https://tracker.gg/r6siege/profile/${PLATFORM}/${nameEnc}/overview`;
-  const uR6UbiMatches = `https://tracker.gg/r6siege/profile/ubi/${nameEnc}/overview`;
-  const uR6PlatProfile = `https://r6.tracker.network/profile/${PLATFORM}/${nameEnc}`;
-  
-  let candidates;
-  const basePref = (TRN_BASE || 'auto').toLowerCase();
-  if (basePref === 'tracker') {
-    candidates = [uTrkUbiOverview, uTrkPlatOverview, uR6UbiMatches, uR6PlatProfile];
-  } else if (basePref === 'r6') {
-    candidates = [uR6PlatProfile, uR6UbiMatches, uTrkPlatOverview, uTrkUbiOverview];
-  } else {
-    candidates = [uTrkUbiOverview, uTrkPlatOverview, uR6UbiMatches, uR6PlatProfile];
-  }
-  return [...new Set(candidates)];
+// Comandos de 1 nick: linha cadastrada na guild ou, se não houver, nick avulso
+function findPlayerRef(guildId, nick) {
+  return playerRef(qGetPlayer.get(guildId, nick) || { username: nick });
 }
 
-// Fetch usando Playwright (muito mais robusto)
-async function fetchWithPlaywright(url) {
-  const ctx = await getBrowserContext();
-  const page = await ctx.newPage();
-  
-  try {
-    console.log(`🌐 Carregando: ${url}`);
-    
-    await page.goto(url, { 
-      waitUntil: 'domcontentloaded', 
-      timeout: parseInt(TRN_NAV_TIMEOUT_MS, 10) || 30000 
-    });
-
-    // Dentro de fetchWithPlaywright, logo após o goto():
-    await page.waitForSelector('header .stat-list .value, header .name-value .stat-name .truncate', { timeout: 10000 }).catch(() => {});
-    
-    // Aguarda inicial
-    await page.waitForTimeout(2000);
-    
-    // Verifica e aguarda Cloudflare
-    let attempts = 0;
-    while (attempts < 10) {
-      const html = await page.content();
-      if (!/cf-browser-verification|Just a moment|Checking your browser/i.test(html)) break;
-      console.log('⏳ Aguardando Cloudflare...');
-      await page.waitForTimeout(3000);
-      attempts++;
-    }
-    
-    // Aguarda conteúdo carregar
-    try {
-      await page.waitForSelector('.v3-match-row, .stat-list, .trn-profile', { timeout: 10000 });
-    } catch {
-      // Pode não ter partidas, continua
-    }
-    
-    // Aguarda final para garantir
-    await page.waitForTimeout(parseInt(TRN_CF_WAIT_MS, 10) || 5000);
-    
-    const finalHtml = await page.content();
-    
-    // Salva cookies atualizados
-    const cookies = await ctx.cookies();
-    const trnCookies = cookies.filter(c => 
-      c.domain.includes('tracker.gg') || c.domain.includes('r6.tracker.network')
-    );
-    if (trnCookies.length > 0) {
-      const cookieStr = trnCookies.map(c => `${c.name}=${c.value}`).join('; ');
-      setCookieCache(cookieStr);
-    }
-    
-    return finalHtml;
-    
-  } finally {
-    await page.close();
-  }
+// Lista da guild com o último scrape de cada jogador (/jogadores, /exportar)
+function rosterRows(guildId) {
+  return qRoster.all(guildId).map(r => ({ ...r, scraped_at: qGetScrapeState.get(playerRef(r).key)?.scraped_at ?? null }));
 }
 
-// Fetch de perfil com retry
-async function fetchProfileHtml(username) {
-  const candidates = buildCandidates(username);
-  
-  let lastErr;
-  for (const url of candidates) {
-    try {
-      const html = await fetchWithPlaywright(url);
-      return { url, html };
-    } catch (e) {
-      lastErr = e;
-      console.warn(`⚠️ Falha em ${url}: ${e?.message || e}`);
-      continue;
-    }
-  }
-  
-  throw new Error(`Falha ao carregar perfil ${username}: ${lastErr?.message || 'bloqueado'}`);
+// Fuso da guild (/config fuso) ou o padrão do .env
+function guildZone(guildId) {
+  return (guildId && qGetGuildSettings.get(guildId)?.timezone) || TZ;
 }
 
-// -------------------------------
-// Scraper TRN (perfil público)
-// -------------------------------
-const MONTHS_EN = { Jan:1, Feb:2, Mar:3, Apr:4, May:5, Jun:6, Jul:7, Aug:8, Sep:9, Oct:10, Nov:11, Dec:12 };
+const nowIn = (zone = TZ) => DateTime.now().setZone(zone);
 
-function toISOFromLabel(label, now = DateTime.now().setZone(TZ)) {
-  const m = /^\s*(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{1,2})\s*$/.exec(label || '');
-  if (!m) return null;
-  let year = now.year;
-  const month = MONTHS_EN[m[1]];
-  const day = Number(m[2]);
-  let dt = DateTime.fromObject({ year, month, day }, { zone: TZ });
-  if (now.month === 1 && month === 12) dt = dt.minus({ years: 1 });
-  return dt.toISODate();
+// Idioma da guild (/config idioma) ou o padrão
+function guildLanguage(guildId) {
+  return (guildId && qGetGuildSettings.get(guildId)?.language) || DEFAULT_LOCALE;
 }
 
-async function scrapeDailyBlocks(username) {
-  const { url, html } = await fetchProfileHtml(username);
-  const $ = cheerio.load(html, { decodeEntities: false });
-
-  const blocks = [];
-
-  // Cada "dia" fica em uma seção com grid e gap-5
-  $('div.col-span-full.grid.grid-cols-subgrid.gap-5').each((_, section) => {
-    const $sec = $(section);
-
-    // Título do dia, ex.: "Aug 28"
-    const headerLabel =
-      $sec.find('header .text-18.font-bold.text-secondary').first().text().trim() ||
-      $sec.find('header .text-18.font-bold').first().text().trim(); // fallback
-
-    const iso = toISOFromLabel(headerLabel);
-    if (!iso) return;
-
-    // Partidas (chip do cabeçalho). Ex.: <span class="v3-chip font-bold">5</span>
-    let matchesFromHeader = parseInt(
-      $sec.find('header .v3-chip.font-bold, header .v3-chip').first().text().trim() || '0',
-      10
-    );
-    if (!Number.isFinite(matchesFromHeader)) matchesFromHeader = 0;
-
-    let wins = 0, losses = 0, kSum = 0, dSum = 0;
-    let hsAcc = 0, hsN = 0;
-
-    // Linhas de partidas do dia
-    const $rows = $sec.find('.v3-match-row');
-
-    $rows.each((__, row) => {
-      const $row = $(row);
-
-      // Resultado
-      if ($row.hasClass('v3-match-row--win')) wins++;
-      else if ($row.hasClass('v3-match-row--loss')) losses++;
-
-      // K e D (preferência pelo bloco com "slash")
-      const kdList = $row.find('.v3-separate-slash .value');
-      let k = 0, d = 0;
-
-      if (kdList.length >= 2) {
-        k = parseInt($(kdList[0]).text().trim(), 10) || 0;
-        d = parseInt($(kdList[1]).text().trim(), 10) || 0;
-      } else {
-        // Fallback: tenta ler K/D e reconstruir K e D (menor precisão)
-        const kdTxt = $row.find('.stat-name:contains("K/D")').parent().find('.stat-value').first().text().trim();
-        const kd = parseFloat(kdTxt.replace(',', '.')) || 0;
-        d = kd > 0 ? 1 : 0;
-        k = Math.round(kd * d);
-      }
-      kSum += k;
-      dSum += d;
-
-      // HS% (média simples das partidas do dia)
-      const hsTxt = $row
-        .find('.stat-name:contains("HS")')
-        .parent()
-        .find('.stat-value')
-        .first()
-        .text()
-        .trim()
-        .replace('%', '')
-        .replace(',', '.');
-
-      const hs = parseFloat(hsTxt);
-      if (!Number.isNaN(hs)) {
-        hsAcc += hs;
-        hsN += 1;
-      }
-    });
-
-    // Caso o chip não exista, usa a contagem de linhas como partidas
-    const matches = matchesFromHeader || $rows.length || (wins + losses);
-
-    // Se não houver linhas (algumas páginas mostram só o cabeçalho),
-    // tenta extrair W/L do "stat-list" do header como fallback.
-    if ($rows.length === 0) {
-      $sec.find('header .stat-list .value').each((__, el) => {
-        const txt = $(el).text().trim();
-        const n = parseInt(txt.replace(/\D+/g, ''), 10) || 0;
-        if (/W/i.test(txt)) wins = n;
-        if (/L/i.test(txt)) losses = n;
-      });
-    }
-
-    const hs_pct = hsN > 0 ? (hsAcc / hsN) : 0;
-
-    blocks.push({
-      dateLabel: headerLabel,
-      iso,
-      wins,
-      losses,
-      k: kSum,
-      d: dSum,
-      hs_pct,
-      matches
-    });
-  });
+// Mensagens públicas: idioma da guild. Respostas efêmeras: passe `userLocale`
+// (ix.locale) para responder no idioma do cliente Discord de quem pediu.
+function translatorFor(guildId, userLocale) {
+  return createTranslator(resolveLocale(userLocale) || guildLanguage(guildId));
+}
 
-  $.root().empty(); // Limpa memória
-  return { url, blocks };
+// Nome IANA canônico ("america/lisbon" -> "America/Lisbon") ou null se inválido
+function normalizeZone(input) {
+  const v = String(input || '').trim();
+  if (!v || !IANAZone.isValidZone(v)) return null;
+  return new Intl.DateTimeFormat('en-US', { timeZone: v }).resolvedOptions().timeZone;
 }
 
 // Utilitários para ontem
@@ -458,93 +670,27 @@ function yesterdayLabel(now = DateTime.now().setZone(TZ)) {
   return now.minus({ days: 1 }).setLocale('en-US').toFormat('MMM d');
 }
 
-function findHeaderForLabel($, label) {
-  label = String(label).trim().toLowerCase(); // ex.: "Aug 28"
-  let target = null;
-
-  $('header').each((_, el) => {
-    const title = $(el).find('div.text-18.font-bold.text-secondary').first().text().trim();
-    if (title && title.trim().toLowerCase() === label) {
-      target = $(el);
-      return false;
-    }
-    // Fallback: se mudarem as classes, pegue o primeiro <div> do header e compare texto
-    const fallback = $(el).find('div').first().text().trim();
-    if (!target && fallback && fallback.toLowerCase() === label) {
-      target = $(el);
-    }
-  });
-
-  return target;
-}
-
-
-function readHeaderNumber($, header, key) {
-  // acha o bloco cujo rótulo (stat-name) é exatamente a "key"
-  const row = header.find('.name-value').filter((_, el) =>
-    $(el).find('.stat-name .truncate').first().text().trim() === key
-  ).first();
-
-  if (!row.length) return NaN;
-
-  // pega todo o texto do valor, sem depender de `.truncate`
-  const raw = row.find('.stat-value').first().text().trim();
-
-  // normaliza e extrai o primeiro número (suporta "45.0%", "1,25", espaços, etc.)
-  const cleaned = raw.replace('%', '').replace(',', '.');
-  const match = cleaned.match(/-?\d+(\.\d+)?/);
-  return match ? Number(match[0]) : NaN;
-}
-
-
-function extractDayStatsFromHtml(html, label) {
-  const $ = cheerio.load(html);
-  const header = findHeaderForLabel($, label);
-  if (!header || !header.length) return null;
-
-  // W/L no header
-  let wins = 0, losses = 0;
-  header.find('.stat-list .value').each((_, el) => {
-    const txt = $(el).text().trim();
-    const n = parseInt(txt.replace(/\D+/g, ''), 10) || 0;
-    if (/W/i.test(txt)) wins = n;
-    if (/L/i.test(txt)) losses = n;
-  });
-
-  // Chip de partidas (ex.: <span class="v3-chip font-bold">5</span>)
-  let matches = parseInt(
-    header.find('.v3-chip.font-bold, .v3-chip').first().text().trim(), 10
-  );
-  if (!Number.isFinite(matches)) matches = (wins + losses);
-
-  // Demais números do header
-  const kd = readHeaderNumber($, header, 'K/D');
-  const k  = readHeaderNumber($, header, 'K');
-  const d  = readHeaderNumber($, header, 'D');
-  const hs = readHeaderNumber($, header, 'HS%');
-
-  return { wins, losses, k, d, kd, hs, matches };
-}
-
-
 // Filtros de janela temporal
+// Compara só as datas: a janela vem no fuso da guild, os blocos são dias do calendário.
 function filterBlocksByWindow(blocks, start, end) {
-  return blocks
-    .filter(b => !!b.iso)
-    .filter(b => {
-      const dt = DateTime.fromISO(b.iso, { zone: TZ }).endOf('day');
-      return dt >= start.startOf('day') && dt <= end.endOf('day');
-    });
+  const from = start.toISODate();
+  const to = end.toISODate();
+  return blocks.filter(b => !!b.iso && b.iso >= from && b.iso <= to);
 }
 
-function filterBlocksByRange(blocks, range, now = DateTime.now().setZone(TZ)) {
+// Janelas móveis: hoje, últimos 7 e últimos 30 dias (incluindo hoje)
+function getRangeWindow(range, now = DateTime.now().setZone(TZ)) {
   const today = now.startOf('day');
   let start;
   if (range === 'day') start = today;
   else if (range === 'week') start = today.minus({ days: 6 });
   else if (range === 'month') start = today.minus({ days: 29 });
   else start = today;
-  const end = today.endOf('day');
+  return { start, end: today.endOf('day') };
+}
+
+function filterBlocksByRange(blocks, range, now = DateTime.now().setZone(TZ)) {
+  const { start, end } = getRangeWindow(range, now);
   return filterBlocksByWindow(blocks, start, end);
 }
 
@@ -574,6 +720,76 @@ function getYesterdayWindow(now = DateTime.now().setZone(TZ)) {
   return { start: y, end: y.endOf('day') };
 }
 
+// Temporada (/temporadas) no fuso de `now`; a que está em andamento vai só até hoje
+function seasonWindow(season, now) {
+  const start = DateTime.fromISO(season.start_iso, { zone: now.zone }).startOf('day');
+  const end = DateTime.fromISO(season.end_iso, { zone: now.zone }).endOf('day');
+  return { start, end: DateTime.min(end, now.endOf('day')) };
+}
+
+// Janela dos comandos de relatório/ranking: móvel (getRangeWindow) ou temporada
+// do calendário da guild. Sem temporada cadastrada => erro traduzível.
+// Devolve { range, start, end, season } (season = linha da tabela ou null).
+function rangeWindow(guildId, range, now = nowIn(guildZone(guildId))) {
+  if (!SEASON_RANGES.includes(range)) return { range, ...getRangeWindow(range, now), season: null };
+  const season = findSeason(qSeasons.all(guildId), range, now.toISODate());
+  if (!season) throw localizedError(`season.error.${range}`);
+  return { range, ...seasonWindow(season, now), season };
+}
+
+// Janela dos botões de período (src/views.js): as de rangeWindow mais "ontem"
+function viewWindow(guildId, range, now = nowIn(guildZone(guildId))) {
+  if (range === 'yesterday') return { range, ...getYesterdayWindow(now), season: null };
+  return rangeWindow(guildId, range, now);
+}
+
+// Período `de`/`ate` (src/periods.js) no fuso da guild; mesmo formato de rangeWindow, com range 'custom'
+function periodWindow(guildId, spec, now = nowIn(guildZone(guildId))) {
+  const { fromIso, toIso } = buildPeriod(spec, now.toISODate());
+  const start = DateTime.fromISO(fromIso, { zone: now.zone }).startOf('day');
+  const end = DateTime.fromISO(toIso, { zone: now.zone }).endOf('day');
+  return { range: 'custom', start, end, season: null };
+}
+
+// Janela pedida num relatório/ranking: `de`/`ate` ou `periodo` (temporada), senão o padrão do comando
+function commandWindow(guildId, { period, range, fallback }) {
+  if (period && range) throw localizedError('period.error.withSeason');
+  return period ? periodWindow(guildId, period) : rangeWindow(guildId, range ?? fallback);
+}
+
+// Título ("Últimos 7 dias", "Temporada X (02/12/2025–03/03/2026)") e rótulo ("dos últimos 7 dias")
+function seasonTitle(tr, season) {
+  const day = (iso) => tr.date(DateTime.fromISO(iso), 'date');
+  return tr.t('title.season', { name: season.name, from: day(season.start_iso), to: day(season.end_iso) });
+}
+
+function customText(tr, kind, w) {
+  const from = tr.date(w.start, 'date');
+  const to = tr.date(w.end, 'date');
+  return from === to ? tr.t(`${kind}.customDay`, { day: from }) : tr.t(`${kind}.custom`, { from, to });
+}
+
+function rangeTitle(tr, w) {
+  if (w.season) return seasonTitle(tr, w.season);
+  return w.range === 'custom' ? customText(tr, 'title', w) : tr.t(`title.${w.range}`);
+}
+
+function rangeLabel(tr, w) {
+  if (w.season) return tr.t('range.season', { name: w.season.name });
+  return w.range === 'custom' ? customText(tr, 'range', w) : tr.t(`range.${w.range}`);
+}
+
+// Janelas com datas fixas (de/até, temporada): avisa de quem as páginas raspadas
+// não alcançaram o início (historyFrom). O TRN mostra só os dias recentes; antes disso não há dados.
+function shortHistoryWarning(tr, w, results) {
+  if (w.range !== 'custom' && !w.season) return null;
+  const from = w.start.toISODate();
+  const short = results.filter(r => !r.error && r.historyFrom && r.historyFrom > from);
+  if (!short.length) return null;
+  const list = short.map(r => tr.t('period.shortOne', { nick: r.username, day: tr.date(DateTime.fromISO(r.historyFrom), 'date') }));
+  return tr.t('period.shortHistory', { from: tr.date(w.start, 'date'), list: list.join(', ') });
+}
+
 // Agregação
 function aggregate(blocks) {
   let totalK = 0, totalD = 0, totalWins = 0, totalLosses = 0, totalMatches = 0;
@@ -635,301 +851,1572 @@ function aggregate(blocks) {
 }
 
 // Embeds
-function embedReport(rangeTitle, username, url, agg) {
-  return new EmbedBuilder()
-    .setTitle(`R6 — ${rangeTitle} • ${username}`)
-    .setURL(url)
+// Todos recebem `tr` (createTranslator) com o idioma de quem vai ler.
+
+// Rodapé com a idade dos dados ("dados de 4 min atrás")
+function withDataAge(embed, scrapedAt, tr) {
+  if (Number.isFinite(scrapedAt)) embed.setFooter({ text: dataAgeLabel(scrapedAt, Date.now(), tr.locale) });
+  return embed;
+}
+
+// `r`: resultado de collect* ({ username, url, agg, scrapedAt, platform?, discordUserId? })
+function embedReport(tr, rangeTitle, r) {
+  const { agg } = r;
+  const eb = new EmbedBuilder()
+    .setTitle(tr.t('report.title', { range: rangeTitle, nick: r.username }))
+    .setURL(r.url)
     .addFields(
-      { name: 'W/L', value: `${agg.wins} W • ${agg.losses} L`, inline: true },
-      { name: 'K/D', value: (agg.kd ?? 0).toFixed(2), inline: true },
-      { name: 'K · D', value: `${agg.k} · ${agg.d}`, inline: true },
-      { name: 'HS%', value: `${(agg.hs_pct ?? 0).toFixed(1)}%`, inline: true },
-      { name: 'Dias', value: `${agg.days}`, inline: true },
+      { name: 'W/L', value: `${tr.num(agg.wins)} W • ${tr.num(agg.losses)} L`, inline: true },
+      { name: 'K/D', value: tr.num(agg.kd, 2), inline: true },
+      { name: 'K · D', value: `${tr.num(agg.k)} · ${tr.num(agg.d)}`, inline: true },
+      { name: 'HS%', value: tr.pct(agg.hs_pct), inline: true },
+      { name: tr.t('report.days'), value: tr.num(agg.days), inline: true },
     )
     .setTimestamp(new Date());
+  if (r.rank) eb.addFields({ name: tr.t('rank.field'), value: rankText(tr, r.rank), inline: true });
+  const about = [r.platform && platformBadge(r.platform), r.discordUserId && `👤 <@${r.discordUserId}>`].filter(Boolean);
+  if (about.length) eb.setDescription(about.join(' • '));
+  return withDataAge(eb, r.scrapedAt, tr);
 }
 
-function embedRanking(rangeTitle, rankings) {
-  const nf = (v, d = 0) => Number.isFinite(v) ? Number(v).toFixed(d) : (d ? '0'.padEnd(2 + d, '0') : '0');
-  const pct = (v) => Number.isFinite(v) ? `${Number(v).toFixed(1)}%` : '0%';
-  const signed = (v) => {
-    const n = Number.isFinite(v) ? Math.round(v) : 0;
-    return (n > 0 ? `+${n}` : `${n}`);
-  };
+// Uma partida numa linha: resultado • K/D • HS • mapa (modo) • quando
+function matchLine(tr, m, zone = TZ) {
+  const icon = m.result === 'win' ? '🟩 W' : m.result === 'loss' ? '🟥 L' : '⬜ —';
+  const kd = m.k !== null && m.d !== null ? `${m.k}/${m.d}` : '?/?';
+  const hs = Number.isFinite(m.hs_pct) ? ` • HS ${tr.pct(m.hs_pct)}` : '';
+  const where = [m.map, m.mode && `(${m.mode})`].filter(Boolean).join(' ');
+  const when = tr.date(DateTime.fromISO(m.played_at || m.iso, { zone }), m.played_at ? 'dayMonthTime' : 'dayMonth');
+  return `${icon} • ${kd}${hs}${where ? ` • ${where}` : ''} • ${when}`;
+}
 
-  const fmt = (title, arr, render) =>
-    `**${title}**\n` + (
-      Array.isArray(arr) && arr.length
-        ? arr.map((r, i) => `${i === 0 ? '🏆 ' : ''}${render(r)}`).join('\n')
-        : '—'
-    );
+function embedMatches(tr, username, url, matches, scrapedAt, zone = TZ) {
+  const lines = matches.map(m => matchLine(tr, m, zone));
 
-  const descParts = [
-    fmt('Quem mais matou', rankings.mostKills, (r) => `**${r.username}** — ${nf(r.k, 0)}`),
-    fmt('Quem menos morreu', rankings.leastDeaths, (r) => `**${r.username}** — ${nf(r.d, 0)}`),
-    fmt('Melhor K/D', rankings.bestKD, (r) => `**${r.username}** — ${nf(r.kd, 2)}`),
-    fmt('Melhor HS%', rankings.bestHS, (r) => `**${r.username}** — ${pct(r.hs_pct)}`),
-    fmt('Quem mais venceu', rankings.mostWins, (r) => `**${r.username}** — ${nf(r.wins, 0)}`),
-
-    // Extras (se você estiver calculando no aggregate):
-    fmt('Melhor Win Rate%', rankings.highestWR, (r) => `**${r.username}** — ${pct(r.wr)} • ${nf(r.matches, 0)} partidas`),
-    fmt('Melhor Kill Por Partida', rankings.bestKPM, (r) => `**${r.username}** — ${nf(r.kpm, 2)} • ${nf(r.matches, 0)} partidas`),
-    fmt('Saldo de Kills', rankings.bestNet, (r) => `**${r.username}** — ${signed(r.net)}`),
-    fmt('Quem mais jogou', rankings.mostMatches, (r) => `**${r.username}** — ${nf(r.matches, 0)} partidas`),
-  ];
+  const eb = new EmbedBuilder()
+    .setTitle(tr.t('matches.title', { count: matches.length, nick: username }))
+    .setURL(url)
+    .setDescription(lines.join('\n') || '—')
+    .setTimestamp(new Date());
+  return withDataAge(eb, scrapedAt, tr);
+}
 
-  const desc = descParts.join('\n\n');
+// Ranqueado: "Platinum II • 3.250 RP" (linha `r` de player_ranks)
+const rpText = (tr, rp) => (Number.isFinite(rp) ? ` • ${tr.num(rp)} RP` : '');
 
-  return new EmbedBuilder()
-    .setTitle(`R6 — Ranking ${rangeTitle}`)
-    .setDescription(desc)
-    .setTimestamp(new Date());
+function rankText(tr, r, { peak = true } = {}) {
+  const text = `${r.rank || tr.t('rank.unranked')}${rpText(tr, r.rp)}`;
+  return peak && r.peak_rank ? `${text}\n${tr.t('rank.peak', { rank: r.peak_rank, rp: rpText(tr, r.peak_rp) })}` : text;
 }
 
-// Coleta de dados
-async function collectForUserInWindow(username, start, end) {
-  const { url, blocks } = await scrapeDailyBlocks(username);
-  const filtered = filterBlocksByWindow(blocks, start, end);
-  const agg = aggregate(filtered);
-  return { username, url, agg, count: filtered.length };
+// /ranking_rank: `results` de collect* (com `rank`); sem rank vão para o rodapé
+function embedRankLeaderboard(tr, results) {
+  const ok = results.filter(r => !r.error);
+  const ranked = ok.filter(r => r.rank?.rank).sort((a, b) => compareRanks(a.rank, b.rank));
+  const who = (r) => r.discordUserId ? `**${r.username}** (<@${r.discordUserId}>)` : `**${r.username}**`;
+  const peak = (r) => (r.rank.peak_rank ? ` (${tr.t('rank.peakShort', { rank: r.rank.peak_rank })})` : '');
+  const lines = ranked.map((r, i) => `${i === 0 ? '🏆' : `${i + 1}.`} ${who(r)} — ${rankText(tr, r.rank, { peak: false })}${peak(r)}`);
+  const unranked = ok.filter(r => !r.rank?.rank).map(r => r.username);
+
+  const eb = new EmbedBuilder()
+    .setTitle(tr.t('rank.title'))
+    .setDescription(lines.join('\n') || tr.t('rank.none'))
+    .setTimestamp(new Date());
+  if (unranked.length) eb.addFields({ name: tr.t('rank.unrankedList'), value: unranked.join(', '), inline: false });
+  return withDataAge(eb, oldestScrape(results), tr);
 }
 
-async function collectForUser(username, range) {
-  const { url, blocks } = await scrapeDailyBlocks(username);
-  const filtered = filterBlocksByRange(blocks, range);
-  const agg = aggregate(filtered);
-  return { username, url, agg, count: filtered.length };
+// Partida nova (ao vivo): compacta, cor pelo resultado
+const RESULT_COLORS = { win: 0x57F287, loss: 0xED4245 };
+
+function embedNewMatch(tr, n, m, zone = TZ) {
+  const eb = new EmbedBuilder()
+    .setTitle(tr.t('live.title', { nick: n.username }))
+    .setDescription([matchLine(tr, m, zone), n.discordUserId && `👤 <@${n.discordUserId}>`].filter(Boolean).join('\n'))
+    .setColor(RESULT_COLORS[m.result] ?? 0x80848E);
+  if (n.url) eb.setURL(n.url);
+  return eb;
 }
 
-async function collectForGuild(guildId, range) {
-  const rows = qListPlayers.all(guildId);
-  const results = [];
-  for (const [idx, r] of rows.entries()) {
-    if (idx > 0) await delay(2000); // 2s entre jogadores
-    try {
-      const one = await collectForUser(r.username, range);
-      results.push(one);
-    } catch (e) {
-      results.push({ username: r.username, error: true, err: e?.message || String(e) });
-    }
-  }
-  return results;
+// /comparar: métricas | jogador A | jogador B, vencedor em negrito com a diferença
+const COMPARE_FORMAT = {
+  kd: (tr, v) => tr.num(v, 2),
+  kpm: (tr, v) => tr.num(v, 2),
+  wr: (tr, v) => tr.pct(v),
+  hs_pct: (tr, v) => tr.pct(v),
+  net: (tr, v) => tr.signed(v),
+  matches: (tr, v) => tr.num(v),
+};
+function compareDelta(tr, metric, v) {
+  if (metric === 'wr' || metric === 'hs_pct') return tr.t('compare.pp', { value: tr.num(v, 1) });
+  return `+${tr.num(v, metric === 'kd' || metric === 'kpm' ? 2 : 0)}`;
 }
 
-async function collectForGuildWindow(guildId, start, end) {
-  const rows = qListPlayers.all(guildId);
-  const results = [];
-  for (const [idx, r] of rows.entries()) {
-    if (idx > 0) await delay(2000); // 2s entre jogadores
-    try {
-      const one = await collectForUserInWindow(r.username, start, end);
-      results.push(one);
-    } catch (e) {
-      results.push({ username: r.username, error: true, err: e?.message || String(e) });
-    }
-  }
-  return results;
-}
-
-async function collectYesterdayForUser(username) {
-  const { url, html } = await fetchProfileHtml(username);
-  const label = yesterdayLabel();
-  const stats = extractDayStatsFromHtml(html, label);
-  if (!stats) throw new Error(`Sem bloco de "${label}"`);
-
-  const matches = Number.isFinite(stats.matches) ? stats.matches : ((stats.wins + stats.losses) || 0);
-  const denomWR = (stats.wins + stats.losses) || matches;
-  const wr  = denomWR > 0 ? (stats.wins / denomWR) * 100 : 0;
-  const kpm = matches > 0 ? stats.k / matches : 0;
-  const dpm = matches > 0 ? stats.d / matches : 0;
-  const net = (Number(stats.k) || 0) - (Number(stats.d) || 0);
-
-  const agg = {
-    wins: stats.wins,
-    losses: stats.losses,
-    k: stats.k,
-    d: stats.d,
-    kd: Number.isFinite(stats.kd) ? stats.kd : (stats.d > 0 ? stats.k / stats.d : 0),
-    hs_pct: Number.isFinite(stats.hs) ? stats.hs : 0,
-    days: 1,
-    matches, wr, kpm, dpm, net,
+// `a`/`b`: resultados de collect* • `together`: { days, matches|null }
+function embedCompare(tr, rangeTitle, a, b, together) {
+  const rows = compareAggregates(a.agg, b.agg);
+  const score = compareScore(rows);
+  const cell = (row, side) => {
+    const value = COMPARE_FORMAT[row.metric](tr, row[side]);
+    return row.winner === side ? `**${value}** 🏆 ${compareDelta(tr, row.metric, row.delta)}` : value;
   };
+  const owner = (r) => (r.discordUserId ? ` • <@${r.discordUserId}>` : '');
+
+  const lines = [tr.t('compare.sharedDays', { days: tr.num(together.days) })];
+  if (together.matches !== null) lines.push(tr.t('compare.sharedMatches', { matches: tr.num(together.matches) }));
 
-  return { username, url, agg, count: 1 };
+  const eb = new EmbedBuilder()
+    .setTitle(tr.t('compare.title', { a: a.username, b: b.username, range: rangeTitle }))
+    .setDescription([
+      tr.t('compare.score', { a: a.username, b: b.username, winsA: score.a, winsB: score.b }),
+      `${platformBadge(a.platform)}${owner(a)} ⚔️ ${platformBadge(b.platform)}${owner(b)}`,
+    ].join('\n'))
+    .addFields(
+      { name: tr.t('compare.metric'), value: rows.map(r => tr.t(`compare.metric.${r.metric}`)).join('\n'), inline: true },
+      { name: a.username, value: rows.map(r => cell(r, 'a')).join('\n'), inline: true },
+      { name: b.username, value: rows.map(r => cell(r, 'b')).join('\n'), inline: true },
+      { name: tr.t('compare.together'), value: lines.join('\n'), inline: false },
+    )
+    .setTimestamp(new Date());
+  return withDataAge(eb, oldestScrape([a, b]), tr);
 }
 
-async function collectYesterdayForGuild(guildId) {
-  const rows = qListPlayers.all(guildId);
-  const results = [];
-  const label = yesterdayLabel();
-  for (const [idx, r] of rows.entries()) {
-    if (idx > 0) await delay(2000);
-    try {
-      const one = await collectYesterdayForUser(r.username);
-      results.push(one);
-    } catch (e) {
-      results.push({ username: r.username, error: true, err: `Sem dados para ${label}` });
-    }
-  }
-  return results;
+// Recordes e conquistas
+function achievementName(tr, a) {
+  return tr.t(`achievement.${a.type}`, { n: tr.num(a.threshold, Number.isInteger(a.threshold) ? 0 : 2) });
 }
 
-// Rankings
-function buildRankings(collected) {
-  // Achata e mantém só quem não falhou
-  const flat = collected
-    .filter(c => !c.error)
-    .map(c => ({ username: c.username, ...c.agg }));
+// Valor de um recorde com a unidade (dias/partidas nas sequências)
+function recordValue(tr, type, value) {
+  if (type === 'kd_day') return tr.num(value, 2);
+  if (type === 'play_streak') return tr.t('records.unit.days', { n: tr.num(value) });
+  if (type === 'win_streak' || type === 'loss_streak') return tr.t('records.unit.matches', { n: tr.num(value) });
+  return tr.num(value);
+}
 
-  // Considera quem jogou algo (k, d, w ou l)
-  const played = flat.filter(p => (Number(p.k) + Number(p.d) + Number(p.wins) + Number(p.losses)) > 0);
+const recordName = (tr, type) => tr.t(`records.type.${type}`, { min: MIN_KD_DAY_MATCHES });
+const isoDate = (tr, iso) => tr.date(DateTime.fromISO(iso), 'date');
+
+// Anúncio automático: `n` = { username, discordUserId, records, achievements }
+function embedRecordNews(tr, n) {
+  const lines = [
+    ...n.records.map(r => tr.t('records.newRecord', {
+      record: recordName(tr, r.type),
+      value: recordValue(tr, r.type, r.value),
+      previous: recordValue(tr, r.type, r.previous),
+    })),
+    ...n.achievements.map(a => tr.t('records.unlocked', { name: achievementName(tr, a) })),
+  ];
+  if (n.discordUserId) lines.push(`👤 <@${n.discordUserId}>`);
+  return new EmbedBuilder()
+    .setTitle(tr.t('records.newTitle', { nick: n.username }))
+    .setDescription(lines.join('\n'))
+    .setTimestamp(new Date());
+}
 
-  const safe = (x) => Number.isFinite(x) ? x : 0;
-  const byDesc = (k, tiebreak = []) => (a, b) => {
-    const diff = safe(b[k]) - safe(a[k]);
-    if (diff !== 0) return diff;
-    for (const tk of tiebreak) {
-      const d2 = safe(b[tk]) - safe(a[tk]);
-      if (d2 !== 0) return d2;
+// /recordes: `computed` de computeRecords • `achievements`: da guild • `unlocked`: Map id -> unlocked_at
+function embedRecords(tr, username, url, computed, achievements, unlocked) {
+  const { current } = computed;
+  const streak = current.count
+    ? tr.t(`records.current.${current.result}`, { n: tr.num(current.count) })
+    : tr.t('records.current.none');
+
+  const fields = RECORD_TYPES.map(type => {
+    const r = computed.records[type];
+    const when = !r ? '' : r.from && r.from !== r.to ? `${isoDate(tr, r.from)} – ${isoDate(tr, r.to)}` : isoDate(tr, r.to ?? r.iso);
+    return { name: recordName(tr, type), value: r ? `**${recordValue(tr, type, r.value)}**\n${when}` : '—', inline: true };
+  });
+
+  const lines = achievements.map(a => unlocked.has(a.id)
+    ? `✅ ${achievementName(tr, a)}`
+    : `🔒 ${achievementName(tr, a)} (${tr.num(achievementValue(a.type, computed), a.type === 'kd_day' ? 2 : 0)}/${tr.num(a.threshold, Number.isInteger(a.threshold) ? 0 : 2)})`);
+  fields.push({ name: tr.t('records.achievements'), value: lines.join('\n') || '—', inline: false });
+
+  return new EmbedBuilder()
+    .setTitle(tr.t('records.title', { nick: username }))
+    .setURL(url)
+    .setDescription(`${streak}\n${tr.t('records.totals', { matches: tr.num(computed.totals.matches), wins: tr.num(computed.totals.wins), k: tr.num(computed.totals.k) })}`)
+    .addFields(fields)
+    .setTimestamp(new Date());
+}
+
+function embedAchievements(tr, achievements) {
+  const lines = achievements.map(a => `**#${a.id}** • ${achievementName(tr, a)}`);
+  return new EmbedBuilder()
+    .setTitle(tr.t('achievements.title'))
+    .setDescription(lines.join('\n') || tr.t('achievements.empty'))
+    .setFooter({ text: tr.t('achievements.footer') });
+}
+
+function embedSeasons(tr, seasons, today) {
+  const current = findSeason(seasons, 'season', today);
+  const lines = seasons.map(s => `**#${s.id}** • ${seasonTitle(tr, s)}${s === current ? ` • ${tr.t('seasons.current')}` : ''}`);
+  return new EmbedBuilder()
+    .setTitle(tr.t('seasons.title'))
+    .setDescription(lines.join('\n').slice(0, 4000) || tr.t('seasons.empty'))
+    .setFooter({ text: tr.t('seasons.footer') });
+}
+
+// Totais da guild na temporada (todas as contas somadas), junto do ranking final
+function embedSeasonTotals(tr, season, results) {
+  const played = results.filter(r => !r.error && r.agg.matches > 0);
+  const t = aggregate(played.flatMap(r => r.blocks));
+  return new EmbedBuilder()
+    .setTitle(tr.t('season.totals.title', { name: season.name }))
+    .setDescription(tr.t('season.totals.players', { n: tr.num(played.length), total: tr.num(results.length) }))
+    .addFields(
+      { name: tr.t('season.totals.matches'), value: tr.num(t.matches), inline: true },
+      { name: 'W/L', value: `${tr.num(t.wins)} W • ${tr.num(t.losses)} L`, inline: true },
+      { name: 'WR', value: tr.pct(t.wr), inline: true },
+      { name: 'K · D', value: `${tr.num(t.k)} · ${tr.num(t.d)}`, inline: true },
+      { name: 'K/D', value: tr.num(t.kd, 2), inline: true },
+      { name: 'HS%', value: tr.pct(t.hs_pct), inline: true },
+    );
+}
+
+function embedScraperStatus(tr, rows, zone = TZ) {
+  const when = (ms) => ms ? tr.date(DateTime.fromMillis(ms).setZone(zone), 'dayMonthTime') : '—';
+  const lines = rows.map(({ username, health: h }) => {
+    if (!h) return tr.t('status.never', { nick: username });
+    const failing = h.last_fail_at && (!h.last_ok_at || h.last_fail_at > h.last_ok_at);
+    if (!failing) {
+      return tr.t(h.last_state === 'empty' ? 'status.okEmpty' : 'status.ok', { nick: username, when: when(h.last_ok_at) });
     }
-    return a.username.localeCompare(b.username);
+    return tr.t('status.failing', {
+      nick: username,
+      state: tr.t(`state.${h.last_state}`),
+      when: when(h.last_fail_at),
+      lastOk: when(h.last_ok_at),
+    });
+  });
+
+  return new EmbedBuilder()
+    .setTitle(tr.t('status.title'))
+    .setDescription(lines.join('\n').slice(0, 4000) || '—')
+    .setTimestamp(new Date());
+}
+
+// `scrapedAt`: scrape mais antigo entre os jogadores considerados (oldestScrape)
+function embedRanking(tr, rangeTitle, rankings, scrapedAt) {
+  const matches = (r) => tr.t('ranking.matches', { n: tr.num(r.matches) });
+  const who = (r) => r.discordUserId ? `**${r.username}** (<@${r.discordUserId}>)` : `**${r.username}**`;
+
+  const fmt = (key, arr, render) =>
+    `**${tr.t(`ranking.${key}`)}**\n` + (
+      Array.isArray(arr) && arr.length
+        ? arr.map((r, i) => `${i === 0 ? '🏆 ' : ''}${who(r)} — ${render(r)}`).join('\n')
+        : '—'
+    );
+
+  const render = {
+    mostKills: (r) => tr.num(r.k),
+    leastDeaths: (r) => tr.num(r.d),
+    bestKD: (r) => tr.num(r.kd, 2),
+    bestHS: (r) => tr.pct(r.hs_pct),
+    mostWins: (r) => tr.num(r.wins),
+    highestWR: (r) => `${tr.pct(r.wr)} • ${matches(r)}`,
+    bestKPM: (r) => `${tr.num(r.kpm, 2)} • ${matches(r)}`,
+    bestNet: (r) => tr.signed(r.net),
+    mostMatches: (r) => matches(r),
   };
-  const byAsc = (k, tiebreak = []) => (a, b) => {
-    const diff = safe(a[k]) - safe(b[k]);
-    if (diff !== 0) return diff;
-    for (const tk of tiebreak) {
-      const d2 = safe(a[tk]) - safe(b[tk]);
-      if (d2 !== 0) return d2;
-    }
-    return a.username.localeCompare(b.username);
+
+  // Categorias na ordem da guild (/config ranking)
+  const desc = rankings.order.map(c => fmt(c, rankings[c], render[c])).join('\n\n');
+
+  const eb = new EmbedBuilder()
+    .setTitle(tr.t('ranking.title', { range: rangeTitle }))
+    .setDescription(desc.slice(0, 4096))
+    .setTimestamp(new Date());
+  withDataAge(eb, scrapedAt, tr);
+
+  // Rodapé: quem ficou de fora pelos mínimos, antes da idade dos dados
+  const { excluded, rules } = rankings;
+  const list = (arr, value) => arr.map(p => `${p.username} (${value(p)})`).join(', ');
+  const notes = [
+    excluded.matches.length && tr.t('ranking.excludedMatches', { min: rules.minMatches, list: list(excluded.matches, p => tr.num(p.matches)) }),
+    excluded.kills.length && tr.t('ranking.excludedKills', { min: rules.minKills, list: list(excluded.kills, p => tr.num(p.k)) }),
+  ].filter(Boolean);
+  if (notes.length) eb.setFooter({ text: [...notes, eb.data.footer?.text].filter(Boolean).join('\n').slice(0, 2048) });
+  return eb;
+}
+
+// MVP do período (computeMvp) com a conta de cada métrica: valor -> posição entre
+// o pior (0%) e o melhor (100%) dos elegíveis × peso
+function embedMvp(tr, rangeTitle, result, minMatches) {
+  const who = (r) => r.discordUserId ? `**${r.username}** (<@${r.discordUserId}>)` : `**${r.username}**`;
+  const score = (r) => tr.num(r.score, 1);
+  const value = {
+    kd: (v) => tr.num(v, 2),
+    wr: (v) => tr.pct(v),
+    kpm: (v) => tr.num(v, 2),
+    hs_pct: (v) => tr.pct(v),
+    matches: (v) => tr.num(v),
+    net: (v) => tr.signed(v),
   };
-  const top = (arr, n = 6) => arr.slice(0, n);
 
-  // Regras de corte para evitar outliers
-  const MIN_MATCHES = 1;      // para WR/KPM/Net etc.
-  const MIN_KILLS_FOR_HS = 1; // para HS%
+  const { mvp, ranking, eligible } = result;
+  const breakdown = mvp.parts.map(p => tr.t('mvp.part', {
+    metric: tr.t(`mvp.metric.${p.metric}`),
+    value: value[p.metric](p.value),
+    norm: tr.pct(p.norm * 100, 0),
+    weight: p.weight,
+    points: tr.num(p.points, 1),
+  }));
+
+  const eb = new EmbedBuilder()
+    .setTitle(tr.t('mvp.title', { range: rangeTitle }))
+    .setDescription(tr.t('mvp.score', { who: who(mvp), score: score(mvp) }))
+    .addFields({ name: tr.t('mvp.breakdown'), value: breakdown.join('\n').slice(0, 1024) || '—' })
+    .setFooter({ text: tr.t('mvp.footer', { n: tr.num(eligible), min: minMatches }) })
+    .setTimestamp(new Date());
+
+  const runnersUp = ranking.slice(1, 3).map((r, i) => `${i + 2}. ${who(r)} — ${score(r)}`);
+  if (runnersUp.length) eb.addFields({ name: tr.t('mvp.runnersUp'), value: runnersUp.join('\n') });
+  return eb;
+}
 
-  // Conjuntos filtrados
-  const withMatches = played.filter(p => safe(p.matches) >= MIN_MATCHES);
-  const withDeaths  = played.filter(p => safe(p.d) > 0);
-  const forHS       = played.filter(p => safe(p.k) >= MIN_KILLS_FOR_HS);
+// Componentes das mensagens interativas (src/views.js): botões de período e,
+// no ranking, o menu de categoria. O botão do período atual fica desativado;
+// em temporada/de-até nenhum fica (o menu some: a janela não cabe no customId).
+// `target`: categoria atual (ranking) ou nick (relatório); `categories`: as da guild.
+function viewComponents(tr, { kind, range, target, categories = [] }) {
+  const current = VIEW_RANGES.includes(range) ? range : null;
+  const ids = VIEW_RANGES.map(r => viewId({ kind, range: r, target }));
+  if (ids.some(id => !id)) return [];
+
+  const buttons = VIEW_RANGES.map((r, i) => new ButtonBuilder()
+    .setCustomId(ids[i])
+    .setLabel(tr.t(`view.range.${r}`))
+    .setStyle(r === current ? ButtonStyle.Primary : ButtonStyle.Secondary)
+    .setDisabled(r === current));
+  const rows = [new ActionRowBuilder().addComponents(buttons)];
+
+  if (kind === 'ranking' && current && categories.length > 1) {
+    const option = (value, label) => ({ value, label: label.slice(0, 100), default: value === target });
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(viewId({ kind, range: current, target: VIEW_MENU }))
+      .setPlaceholder(tr.t('view.category'))
+      .addOptions(option(VIEW_ALL, tr.t('view.all')), ...categories.map(c => option(c, tr.t(`ranking.${c}`))));
+    rows.push(new ActionRowBuilder().addComponents(menu));
+  }
+  return rows;
+}
 
+// Ranking da janela `w` só com a categoria `target` (VIEW_ALL = as da guild), com os componentes
+function rankingMessage(tr, guildId, w, results, target = VIEW_ALL) {
+  const rules = rankingRulesFor(guildId, windowDays(w.start, w.end));
+  const rk = buildRankings(results, { ...rules, categories: viewCategories(rules.categories, target) });
   return {
-    // Top básicos
-    mostKills:   top([...played].sort(byDesc('k', ['matches', 'wins']))),
-    leastDeaths: top([...played].filter(p => safe(p.matches) > 0).sort(byAsc('d', ['matches']))),
-    mostWins:    top([...played].sort(byDesc('wins', ['matches', 'k']))),
-
-    // Qualidade
-    bestKD:      top([...withDeaths].sort(byDesc('kd', ['k', 'matches']))),
-    bestHS:      top([...forHS].sort(byDesc('hs_pct', ['k', 'matches']))),
-
-    // Novos (se quiser usar nos embeds)
-    highestWR:   top([...withMatches].sort(byDesc('wr', ['matches', 'wins']))),
-    bestKPM:     top([...withMatches].sort(byDesc('kpm', ['matches', 'k']))),
-    bestNet:     top([...withMatches].sort(byDesc('net', ['matches', 'k']))),
-    mostMatches: top([...played].sort(byDesc('matches', ['wins', 'k'])))
+    embeds: [embedRanking(tr, rangeTitle(tr, w), rk, oldestScrape(results))],
+    components: viewComponents(tr, { kind: 'ranking', range: w.range, target, categories: rules.categories }),
   };
 }
 
-// Cron management
-const guildCrons = new Map();
+// Relatório de um jogador na janela `w`, com os botões de período
+function reportMessage(tr, w, r) {
+  return {
+    embeds: [embedReport(tr, rangeTitle(tr, w), r)],
+    components: viewComponents(tr, { kind: 'report', range: w.range, target: r.username }),
+  };
+}
 
-function parseHHmm(s) {
-  const m = /^([01]\d|2[0-3]):([0-5]\d)$/.exec((s || '').trim());
-  if (!m) return null;
-  return { hh: Number(m[1]), mm: Number(m[2]) };
+function embedSchedules(tr, jobs, zone = TZ) {
+  const lines = jobs.map(j =>
+    `${j.enabled ? '▶️' : '⏸️'} **#${j.id}** — ${describeJob(j, tr.locale)} • <#${j.channel_id}> • ${describeFrequency(j, tr.locale)}`
+  );
+  return new EmbedBuilder()
+    .setTitle(tr.t('schedules.title'))
+    .setDescription(lines.join('\n').slice(0, 4000) || tr.t('schedules.empty'))
+    .setFooter({ text: tr.t('schedules.footer', { zone }) })
+    .setTimestamp(new Date());
 }
 
-function stopCronsForGuild(guildId) {
-  const entry = guildCrons.get(guildId);
-  if (!entry) return;
-  entry.daily?.stop?.();
-  entry.weekly?.stop?.();
-  entry.monthly?.stop?.();
-  guildCrons.delete(guildId);
+const PLAYERS_PAGE_SIZE = 15;
+
+// Página `page` (1..n, ajustada ao intervalo) da lista de jogadores (rosterRows)
+function embedPlayers(tr, rows, page, zone = TZ) {
+  const pages = Math.max(1, Math.ceil(rows.length / PLAYERS_PAGE_SIZE));
+  const p = Math.min(Math.max(1, page), pages);
+  const when = (ms, fmt) => ms ? tr.date(DateTime.fromMillis(ms).setZone(zone), fmt) : '—';
+  const lines = rows.slice((p - 1) * PLAYERS_PAGE_SIZE, p * PLAYERS_PAGE_SIZE).map(r => tr.t('players.line', {
+    nick: [`**${r.username}**`, r.discord_user_id && `(<@${r.discord_user_id}>)`, `• ${platformBadge(playerRef(r).platform)}`]
+      .filter(Boolean).join(' '),
+    added: when(r.added_at, 'date'),
+    scraped: when(r.scraped_at, 'dayMonthTime'),
+  }));
+
+  return new EmbedBuilder()
+    .setTitle(tr.t('players.title', { total: tr.num(rows.length) }))
+    .setDescription(lines.join('\n') || tr.t('common.noPlayers'))
+    .setFooter({ text: tr.t('players.page', { page: p, pages }) })
+    .setTimestamp(new Date());
 }
 
-async function installCronsForGuild(client, guildId) {
-  const row = qGetSchedule.get(guildId);
-  if (!row) return;
-  const { channel_id, time_str } = row;
-  const parsed = parseHHmm(time_str);
-  if (!parsed) return;
-  
-  stopCronsForGuild(guildId);
-  
-  const dailyExpr = `${parsed.mm} ${parsed.hh} * * *`;
-  const weeklyExpr = `${parsed.mm} ${parsed.hh} * * 1`;
-  const monthlyExpr = `${parsed.mm} ${parsed.hh} 1 * *`;
-  
-  const daily = cron.schedule(dailyExpr, async () => {
-    try {
-      const ch = await client.channels.fetch(channel_id);
-      if (!ch?.isTextBased()) return;
-      
-      const { start, end } = getCanonicalWindow('day');
-      const results = await collectForGuildWindow(guildId, start, end);
-      if (!results.length) {
-        await ch.send('Nenhum jogador cadastrado. Use `/cadastrar nick`.');
-        return;
+function embedHelp(tr) {
+  const code = (s) => `\`${PREFIX}${s}\``;
+  return new EmbedBuilder()
+    .setTitle(tr.t('help.title'))
+    .setDescription(tr.t('help.prefix', { prefix: PREFIX }))
+    .addFields(
+      {
+        name: tr.t('help.register'),
+        value: [
+          code(`cadastrar <nick> [${PLATFORMS.join('|')}]`),
+          code('remover <nick>'),
+          code('jogadores [página]'),
+          `${code('importar')} ${tr.t('help.importHint')}`,
+          code(`exportar [${ROSTER_FORMATS.join('|')}]`),
+        ].join('\n'),
+        inline: false
+      },
+      {
+        name: tr.t('help.config'),
+        value: [
+          code('config fuso [zona]'),
+          code(`config idioma [${LOCALES.join('|')}]`),
+          `${code('config aovivo [#canal [minutos] | desligar]')} ${tr.t('help.liveHint', { min: MIN_POLL_MIN, max: MAX_POLL_MIN })}`,
+          `${code('config ranking [categorias kd,hs,...] [tamanho N] [minimo dia|semana|mes <partidas> [kills]] | padrao')} ${tr.t('help.rankingConfigHint')}`,
+          `${code('config mvp [kd N] [wr N] [kpm N] [hs N] [partidas N] [saldo N] | padrao')} ${tr.t('help.mvpHint')}`,
+        ].join('\n'),
+        inline: false
+      },
+      {
+        name: tr.t('help.schedule'),
+        value: [
+          `${code('programar #canal HH:mm')} ${tr.t('help.programHint')}`,
+          code(`agendamentos criar <relatorio|ranking> <hoje|ontem|semana|mes> #canal HH:mm [seg | dia 15] [grafico ${CHART_METRICS.join('|')}]`),
+          code('agendamentos [listar] | remover|pausar|retomar <id>'),
+        ].join('\n'),
+        inline: false
+      },
+      {
+        name: tr.t('help.reports'),
+        value: [
+          code('daily_report [temporada|temporada_anterior] [nick]'),
+          code('weekly_report [temporada|temporada_anterior] [nick]'),
+          code('monthly_report [temporada|temporada_anterior] [nick]'),
+          code('comparar <nick1> <nick2> [hoje|semana|mes|temporada|temporada_anterior]'),
+        ].join('\n'),
+        inline: false
+      },
+      {
+        name: tr.t('help.matches'),
+        value: code('partidas <nick>'),
+        inline: false
+      },
+      {
+        name: tr.t('help.records'),
+        value: [
+          code('recordes <nick>'),
+          `${code(`conquistas [listar] | criar <${ACHIEVEMENT_TYPES.join('|')}> <valor> | remover <id>`)} ${tr.t('help.achievementsHint')}`,
+        ].join('\n'),
+        inline: false
+      },
+      {
+        name: tr.t('help.charts'),
+        value: code(`grafico <nick> <${CHART_METRICS.join('|')}> [semana|mes] [linha|barras]`),
+        inline: false
+      },
+      {
+        name: tr.t('help.link'),
+        value: [
+          `${code('vincular <nick> [@membro]')} ${tr.t('help.linkHint')}`,
+          code('desvincular <nick>'),
+          code('meu_relatorio [hoje|semana|mes|temporada|temporada_anterior] [somar]'),
+        ].join('\n'),
+        inline: false
+      },
+      {
+        name: tr.t('help.rankings'),
+        value: [
+          code('daily_ranking'),
+          code('yesterday_ranking'),
+          code('weekly_ranking'),
+          code('monthly_ranking'),
+          `${code('ranking_rank')} ${tr.t('help.rankHint')}`,
+          tr.t('help.periodHint'),
+        ].join('\n'),
+        inline: false
+      },
+      {
+        name: tr.t('help.seasons'),
+        value: `${code('temporadas [listar] | criar <nome> <início> <fim> | remover <id>')} ${tr.t('help.seasonsHint')}`,
+        inline: false
+      },
+      {
+        name: tr.t('help.force'),
+        value: tr.t('help.forceText', { ttl: SCRAPE_CACHE_TTL_MIN }),
+        inline: false
       }
-      for (const r of results) {
-        if (r.error) await ch.send(`❌ Falha em **${r.username}** — ${r.err || 'erro'}`);
-        else await ch.send({ embeds: [embedReport('Hoje', r.username, r.url, r.agg)] });
+    )
+    .setTimestamp(new Date());
+}
+
+// Saúde do scraper
+// Rótulos dos estados de página: catálogo, chaves state.<estado>
+function recordScrapeFailure(username, state, err, snapshot) {
+  const prev = qGetHealth.get(username);
+  qHealthFail.run(username, Date.now(), state, err?.message || String(err), snapshot);
+  if (!BAD_PAGE_STATES.includes(state)) return;
+
+  // Alerta na mudança de estado ou depois do cooldown (evita spam a cada scrape)
+  const cooldownMs = Math.max(1, parseInt(SCRAPER_ALERT_COOLDOWN_MIN, 10) || 60) * 60 * 1000;
+  const sameState = prev?.last_state === state;
+  if (sameState && prev?.last_alert_at && Date.now() - prev.last_alert_at < cooldownMs) return;
+
+  qHealthAlerted.run(Date.now(), username);
+  postScraperAlert(username, state, snapshot).catch(e => console.error('Falha ao enviar alerta do scraper:', e));
+}
+
+// O canal de alertas é global (.env), então o alerta sai no idioma padrão
+async function postScraperAlert(username, state, snapshot) {
+  const label = translate(DEFAULT_LOCALE, `state.${state}`);
+  console.warn(`🚨 Scraper: ${label} — ${username}${snapshot ? ` (snapshot: ${snapshot})` : ''}`);
+  if (!SCRAPER_ALERT_CHANNEL_ID) return;
+
+  const ch = await client.channels.fetch(SCRAPER_ALERT_CHANNEL_ID);
+  if (!ch?.isTextBased()) return;
+
+  const files = snapshot ? [`${snapshot}.png`, `${snapshot}.html`].filter(f => fs.existsSync(f)) : [];
+  await ch.send({
+    content: translate(DEFAULT_LOCALE, 'alert.scraper', { state: label, nick: username }),
+    files,
+  });
+}
+
+// Histórico diário (SQLite)
+// Todos os scrapes passam por aqui; o ritmo por host fica com o limitador (TRN_HOST_RPM)
+const scrapeQueue = createScrapeQueue({ concurrency: parseInt(SCRAPE_CONCURRENCY, 10) || 1 });
+
+const num = (v) => Number.isFinite(v) ? v : 0;
+
+const saveScrapeResult = db.transaction((username, url, { blocks, matches = [] }, scrapedAt) => {
+  // No primeiro scrape do perfil tudo é histórico: nenhuma partida conta como nova
+  const firstSeenAt = qGetScrapeState.get(username) ? scrapedAt : 0;
+  for (const b of blocks) {
+    qUpsertDailyStats.run({
+      username,
+      iso: b.iso,
+      dateLabel: b.dateLabel || null,
+      wins: num(b.wins),
+      losses: num(b.losses),
+      k: num(b.k),
+      d: num(b.d),
+      hs_pct: num(b.hs_pct),
+      matches: num(b.matches),
+      scraped_at: scrapedAt,
+    });
+  }
+  for (const m of matches) {
+    if (!m.key) continue; // linha sem chave estável (dia cortado, sem id/horário)
+    qUpsertMatch.run({
+      username,
+      key: m.key,
+      id: m.id,
+      iso: m.iso,
+      seq: m.seq,
+      playedAt: m.playedAt,
+      result: m.result,
+      k: m.k,
+      d: m.d,
+      hs_pct: m.hs_pct,
+      map: m.map,
+      mode: m.mode,
+      scraped_at: scrapedAt,
+      first_seen_at: firstSeenAt,
+    });
+  }
+  const oldest = blocks.reduce((min, b) => (!min || b.iso < min ? b.iso : min), null);
+  qSetScrapeState.run(username, url, scrapedAt, oldest);
+});
+
+// Raspa o perfil e grava todos os dias visíveis na página.
+// Página não reconhecida/bloqueada vira erro (nada de relatório zerado).
+// `username` é a chave de perfil (profileKey): nas tabelas de histórico o
+// nick vem com a plataforma quando não é a padrão.
+// Não chame direto: passe por scrapeCache.refresh (single-flight por chave).
+async function refreshHistory(username, { priority = PRIORITY.interactive } = {}) {
+  let result;
+  const ranked = wantsRanked(username);
+  if (ranked) rankedTriedAt.set(username, Date.now());
+  try {
+    result = await scrapeQueue.push(() => scrapeDailyBlocks(username, { ranked }), { priority });
+  } catch (e) {
+    recordScrapeFailure(username, 'error', e, null);
+    throw e;
+  }
+
+  const { url, state, snapshot, profile, ranked: rankedCard, ...scraped } = result;
+  if (BAD_PAGE_STATES.includes(state) || MISSING_PAGE_STATES.includes(state)) {
+    const err = localizedError(`error.page.${state}`, { url });
+    recordScrapeFailure(username, state, err, snapshot);
+    throw err;
+  }
+  const scrapedAt = Date.now();
+  saveScrapeResult(username, url, scraped, scrapedAt);
+  qHealthOk.run(username, scrapedAt, state);
+  updateRecords(username, scrapedAt).catch(e => console.error(`Falha nos recordes de ${username}:`, e));
+  if (rankedCard) updateRank(username, rankedCard, scrapedAt).catch(e => console.error(`Falha no rank de ${username}:`, e));
+  // Jogadores cadastrados antes do id (ou importados) ganham o id no primeiro scrape
+  if (profile?.id) {
+    const { username: nick, platform } = parseProfileKey(username, DEFAULT_PLATFORM);
+    qFillProfileId.run(profile.id, nick, DEFAULT_PLATFORM, platform);
+  }
+  return { url, blocks: scraped.blocks, scrapedAt, profile };
+}
+
+const SCRAPE_CACHE_TTL_MS = Math.max(0, parseInt(SCRAPE_CACHE_TTL_MIN, 10) || 0) * 60 * 1000;
+
+// Cache {url, blocks} por nick, compartilhado entre guilds. No SQLite o "cache"
+// é o próprio histórico: scrape_state (url/horário) + daily_stats (blocos).
+const scrapeCache = createScrapeCache({
+  ttlMs: SCRAPE_CACHE_TTL_MS,
+  load: (username) => {
+    const row = qGetScrapeState.get(username);
+    return row ? { url: row.url, scrapedAt: row.scraped_at } : null;
+  },
+  fetch: refreshHistory,
+});
+
+// A janela precisa de scrape se o último scrape foi antes de ela terminar
+// (dias em aberto ainda podem ganhar partidas) e já passou do TTL do cache.
+// Os dias da página estão no fuso de coleta (TZ), então o fim vale nesse fuso.
+function isHistoryStale(entry, end, now = Date.now()) {
+  if (!entry) return true;
+  const closesAt = DateTime.fromISO(end.toISODate(), { zone: TZ }).endOf('day');
+  if (entry.scrapedAt > closesAt.toMillis()) return false;
+  return now - entry.scrapedAt > SCRAPE_CACHE_TTL_MS;
+}
+
+// Dias do histórico; quando as partidas salvas batem com o total do dia e têm K/D real,
+// o bloco é reconstruído a partir delas em vez do total (possivelmente estimado) do scrape.
+function readHistory(username, start, end) {
+  const from = start.toISODate();
+  const to = end.toISODate();
+  const byIso = new Map(qDailyStatsRange.all(username, from, to).map(b => [b.iso, b]));
+
+  for (const m of qMatchDaysRange.all(username, from, to)) {
+    const day = byIso.get(m.iso);
+    if (m.missing_kd > 0 || (day && m.matches !== day.matches)) continue;
+    byIso.set(m.iso, {
+      iso: m.iso,
+      dateLabel: day?.dateLabel || null,
+      wins: m.wins,
+      losses: m.losses,
+      k: m.k,
+      d: m.d,
+      hs_pct: m.hs_pct ?? 0,
+      matches: m.matches,
+    });
+  }
+
+  return [...byIso.values()]
+    .sort((a, b) => a.iso.localeCompare(b.iso))
+    .map(normalizeBlock);
+}
+
+// Últimas N partidas salvas (mais recente primeiro)
+function readRecentMatches(username, limit = 5) {
+  return qRecentMatches.all(username, limit);
+}
+
+// Garante histórico válido até `end` e devolve a entrada do cache ({ url, scrapedAt })
+// `force` (admin) ignora o cache, mas ainda entra num scrape que já esteja em andamento.
+async function ensureHistory(username, end, { force = false, ...opts } = {}) {
+  const cached = force ? null : scrapeCache.peek(username);
+  if (!isHistoryStale(cached, end)) return cached;
+  return scrapeCache.refresh(username, opts);
+}
+
+// Coleta de dados
+// As funções *ForUser* recebem a chave de perfil (playerRef(row).key); as de
+// guild/membro devolvem o nick, a plataforma e o dono da linha em cada resultado.
+// `opts.priority`: PRIORITY.interactive (comandos, padrão) ou PRIORITY.batch (crons)
+// `opts.force`: força novo scrape (opção "atualizar" dos admins)
+// `opts.zone`: fuso da guild para "hoje"/"ontem" (as versões *ForGuild preenchem)
+async function collectForUserInWindow(username, start, end, opts) {
+  const entry = await ensureHistory(username, end, opts);
+  const blocks = filterBlocksByWindow(readHistory(username, start, end), start, end);
+  const agg = aggregate(blocks);
+  const rank = qRankAt.get(username, end.toISODate()) ?? null;
+  const historyFrom = qHistoryStart.get(username)?.iso ?? null;
+  return { username, url: entry.url, agg, blocks, count: blocks.length, rank, historyFrom, scrapedAt: entry.scrapedAt };
+}
+
+async function collectRecentMatches(username, limit, opts = {}) {
+  const entry = await ensureHistory(username, nowIn(opts.zone), opts);
+  return { username, url: entry.url, matches: readRecentMatches(username, limit), scrapedAt: entry.scrapedAt };
+}
+
+async function collectForUser(username, range, opts = {}) {
+  const { start, end } = getRangeWindow(range, nowIn(opts.zone));
+  return collectForUserInWindow(username, start, end, opts);
+}
+
+// Roda `collect` para cada linha de `players` em paralelo (a fila limita
+// a concorrência real); falhas viram { error: true, err } sem derrubar o resto.
+// `err` é o Error (mostrar com tr.error para traduzir). Cada resultado leva
+// nick, plataforma e o `discordUserId` do dono da conta (ou null) para os embeds.
+async function collectForRows(rows, collect, onError = (e) => e) {
+  return Promise.all(rows.map(row => {
+    const { key, ...who } = playerRef(row);
+    return collect(key)
+      .catch(e => ({ error: true, err: onError(e) }))
+      .then(res => ({ ...res, ...who }));
+  }));
+}
+
+async function collectForPlayers(guildId, collect, onError) {
+  return collectForRows(qListPlayers.all(guildId), collect, onError);
+}
+
+// Contas vinculadas a um membro (/meu_relatorio) na janela `w` (rangeWindow)
+async function collectForMember(guildId, userId, w, opts) {
+  return collectForRows(qPlayersOfUser.all(guildId, userId), (username) => collectForUserInWindow(username, w.start, w.end, opts));
+}
+
+// /comparar: os dois nicks (cadastrados ou avulsos) na janela `w` (rangeWindow).
+// Devolve a mensagem pronta: embed, ou o erro do lado que falhou.
+async function compareMessage(tr, guildId, nickA, nickB, w, opts = {}) {
+  if (nickA.toLowerCase() === nickB.toLowerCase()) return tr.t('compare.same');
+  const { start, end } = w;
+  const [a, b] = await Promise.all([nickA, nickB].map(nick => {
+    const { key, ...who } = findPlayerRef(guildId, nick);
+    return collectForUserInWindow(key, start, end, opts)
+      .then(r => ({ ...r, key, ...who }))
+      .catch(err => ({ error: true, err, ...who }));
+  }));
+  const failed = [a, b].find(r => r.error);
+  if (failed) return tr.t('compare.failed', { nick: failed.username, error: tr.error(failed.err) });
+
+  // "Partidas juntos" só quando os dois lados têm partidas com id salvas
+  const ids = qSharedMatches.get({ a: a.key, b: b.key, from: start.toISODate(), to: end.toISODate() });
+  const together = {
+    days: sharedDays(a.blocks, b.blocks),
+    matches: ids.idsA && ids.idsB ? ids.together : null,
+  };
+  return { embeds: [embedCompare(tr, rangeTitle(tr, w), a, b, together)] };
+}
+
+async function collectForGuild(guildId, range, opts) {
+  const zone = guildZone(guildId);
+  return collectForPlayers(guildId, (username) => collectForUser(username, range, { ...opts, zone }));
+}
+
+async function collectForGuildWindow(guildId, start, end, opts) {
+  return collectForPlayers(guildId, (username) => collectForUserInWindow(username, start, end, opts));
+}
+
+async function collectYesterdayForUser(username, opts = {}) {
+  const now = nowIn(opts.zone);
+  const { start, end } = getYesterdayWindow(now);
+  const r = await collectForUserInWindow(username, start, end, opts);
+  if (!r.count) throw localizedError('yesterday.noBlock', { label: yesterdayLabel(now) });
+  return r;
+}
+
+async function collectYesterdayForGuild(guildId, opts) {
+  const zone = guildZone(guildId);
+  const label = yesterdayLabel(nowIn(zone));
+  return collectForPlayers(
+    guildId,
+    (username) => collectYesterdayForUser(username, { ...opts, zone }),
+    () => localizedError('yesterday.noData', { label })
+  );
+}
+
+// Scrape mais antigo entre os resultados válidos (idade do ranking)
+function oldestScrape(collected) {
+  const times = collected.filter(c => !c.error && Number.isFinite(c.scrapedAt)).map(c => c.scrapedAt);
+  return times.length ? Math.min(...times) : undefined;
+}
+
+// Soma as contas de um membro num resultado só (/meu_relatorio somar).
+// `days` conta datas distintas: duas contas no mesmo dia contam como 1 dia.
+function sumResults(results) {
+  const ok = results.filter(r => !r.error);
+  const blocks = ok.flatMap(r => r.blocks);
+  return {
+    username: ok.map(r => r.username).join(' + '),
+    url: ok[0]?.url,
+    agg: { ...aggregate(blocks), days: new Set(blocks.map(b => b.iso)).size },
+    blocks,
+    count: blocks.length,
+    scrapedAt: oldestScrape(ok),
+    platform: new Set(ok.map(r => r.platform)).size === 1 ? ok[0].platform : null,
+    discordUserId: ok[0]?.discordUserId ?? null,
+  };
+}
+
+// Gráficos (src/charts.js)
+// O PNG sai do navegador da fonte (playwright/puppeteer); com fixtures/http,
+// um Playwright só para os gráficos, aberto no primeiro pedido.
+let chartSource = null;
+function chartRenderer() {
+  if (scraper.source.renderPng) return scraper.source;
+  chartSource ??= createProfileSource('playwright', sourceOptionsFromEnv(process.env));
+  return chartSource;
+}
+
+async function renderChart(svg, name = 'grafico.png') {
+  const png = await chartRenderer().renderPng(chartHtml(svg), { width: CHART_WIDTH, height: CHART_HEIGHT });
+  return new AttachmentBuilder(png, { name });
+}
+
+// SVG de `metric` por dia entre start e end; `players`: [{ name, blocks }]. null = ninguém jogou.
+function metricChart(tr, metric, { start, end, players, style, title, subtitle }) {
+  return buildMetricChart({
+    metric,
+    days: chartDays(start, end),
+    players,
+    style,
+    title,
+    subtitle,
+    formatDay: (iso) => tr.date(DateTime.fromISO(iso), 'dayMonth'),
+    formatNumber: tr.num,
+  });
+}
+
+// /grafico: embed com o PNG, ou o aviso de que não há partidas no período
+async function playerChartMessage(tr, guildId, nick, metric, range, { style, force } = {}) {
+  const { key, username } = findPlayerRef(guildId, nick);
+  const { start, end } = getRangeWindow(range, nowIn(guildZone(guildId)));
+  const r = await collectForUserInWindow(key, start, end, { force });
+  const title = tr.t('chart.title', { metric: tr.t(`chart.metric.${metric}`), nick: username });
+  const svg = metricChart(tr, metric, { start, end, style, title, subtitle: tr.t(`title.${range}`), players: [{ name: username, blocks: r.blocks }] });
+  if (!svg) return tr.t('chart.none', { nick: username, range: tr.t(`range.${range}`) });
+
+  const file = await renderChart(svg);
+  const eb = new EmbedBuilder()
+    .setTitle(title)
+    .setURL(r.url)
+    .setImage(`attachment://${file.name}`)
+    .setTimestamp(new Date());
+  return { embeds: [withDataAge(eb, r.scrapedAt, tr)], files: [file] };
+}
+
+// Comparativo dos rankings agendados: quem mais jogou no período (até MAX_CHART_SERIES)
+async function comparisonChart(tr, metric, { start, end, results, subtitle }) {
+  const players = results
+    .filter(r => !r.error && r.agg.matches > 0)
+    .sort((a, b) => b.agg.matches - a.agg.matches || a.username.localeCompare(b.username))
+    .slice(0, MAX_CHART_SERIES)
+    .map(r => ({ name: r.username, blocks: r.blocks }));
+  const title = tr.t('chart.compareTitle', { metric: tr.t(`chart.metric.${metric}`) });
+  const svg = metricChart(tr, metric, { start, end, players, title, subtitle });
+  return svg ? renderChart(svg, `ranking-${metric}.png`) : null;
+}
+
+// Recordes e conquistas (src/records.js)
+// Recalculados do histórico inteiro a cada scrape; o que for novo sai no
+// canal de relatórios de cada guild que acompanha o jogador.
+const HISTORY_START = DateTime.fromISO('2015-12-01', { zone: TZ }); // lançamento do jogo
+
+function playerRecords(key) {
+  return computeRecords(readHistory(key, HISTORY_START, nowIn()), qMatchesInOrder.all(key));
+}
+
+// Conquistas da guild; na primeira consulta ela ganha as padrão
+const guildAchievements = db.transaction((guildId) => {
+  if (!qGetGuildSettings.get(guildId)?.achievements_seeded) {
+    for (const a of DEFAULT_ACHIEVEMENTS) qInsertAchievement.run(guildId, a.type, a.threshold, Date.now());
+    qMarkAchievementsSeeded.run(guildId, Date.now());
+  }
+  return qGuildAchievements.all(guildId);
+});
+
+// Grava recordes e conquistas da chave; devolve o que anunciar por guild.
+// Primeiro registro de recorde (ou primeira checagem do jogador na guild)
+// não é anunciado: o histórico antigo não vira enxurrada de mensagens.
+const saveRecords = db.transaction((key, now) => {
+  const computed = playerRecords(key);
+  const stored = new Map(qRecords.all(key).map(r => [r.record, r.value]));
+  const records = newRecords(stored, computed);
+  for (const type of RECORD_TYPES) {
+    const r = computed.records[type];
+    if (r && (!stored.has(type) || r.value > stored.get(type))) qUpsertRecord.run(key, type, r.value, r.to ?? r.iso, r.from ?? null, now);
+  }
+
+  const news = [];
+  const { username, platform } = parseProfileKey(key, DEFAULT_PLATFORM);
+  for (const row of qPlayerGuilds.all(username, DEFAULT_PLATFORM, platform)) {
+    const unlocked = new Set(qUnlocked.all(row.guild_id, key).map(u => u.achievement_id));
+    const achievements = reachedAchievements(guildAchievements(row.guild_id), computed).filter(a => !unlocked.has(a.id));
+    for (const a of achievements) qUnlock.run(row.guild_id, a.id, key, achievementValue(a.type, computed), now);
+    qSetAchievementsAt.run(now, row.guild_id, row.username);
+
+    const announce = row.achievements_at === null ? [] : achievements;
+    if (records.length || announce.length) {
+      news.push({ guildId: row.guild_id, username: row.username, discordUserId: row.discord_user_id, records, achievements: announce });
+    }
+  }
+  return news;
+});
+
+async function updateRecords(key, now = Date.now()) {
+  for (const n of saveRecords(key, now)) {
+    const channelId = qAnnounceChannel.get(n.guildId)?.channel_id;
+    if (!channelId) continue;
+    const ch = await client.channels.fetch(channelId).catch(() => null);
+    if (!ch?.isTextBased()) continue;
+    await ch.send({ embeds: [embedRecordNews(translatorFor(n.guildId), n)] });
+  }
+}
+
+// /recordes: histórico em dia (cache) e recordes calculados na hora
+async function recordsMessage(tr, guildId, nick, opts = {}) {
+  const { key, username } = findPlayerRef(guildId, nick);
+  const entry = await ensureHistory(key, nowIn(guildZone(guildId)), opts);
+  const computed = playerRecords(key);
+  if (!computed.totals.matches) return tr.t('records.none', { nick: username });
+  const unlocked = new Map(qUnlocked.all(guildId, key).map(u => [u.achievement_id, u.unlocked_at]));
+  const eb = embedRecords(tr, username, entry.url, computed, guildAchievements(guildId), unlocked);
+  return { embeds: [withDataAge(eb, entry.scrapedAt, tr)] };
+}
+
+// Ações de /conquistas e !conquistas (mensagem de resposta no idioma de `tr`)
+function createAchievement(tr, guildId, spec) {
+  const a = buildAchievement(spec);
+  guildAchievements(guildId);
+  const found = qFindAchievement.get(guildId, a.type, a.threshold);
+  if (found) return tr.t('achievements.duplicate', { id: found.id });
+  const info = qInsertAchievement.run(guildId, a.type, a.threshold, Date.now());
+  return tr.t('achievements.created', { id: Number(info.lastInsertRowid), name: achievementName(tr, a) });
+}
+
+const removeAchievement = db.transaction((tr, guildId, id) => {
+  const a = qGetAchievement.get(guildId, id);
+  if (!a) return tr.t('achievements.notFound', { id });
+  qDeleteAchievementUnlocks.run(guildId, id);
+  qDeleteAchievement.run(guildId, id);
+  return tr.t('achievements.removed', { id, name: achievementName(tr, a) });
+});
+
+// Temporadas (src/seasons.js)
+// Ações de /temporadas e !temporadas (mensagem de resposta no idioma de `tr`).
+// Temporada cadastrada já encerrada entra como anunciada: sem post retroativo.
+function createSeason(tr, guildId, spec) {
+  const s = buildSeason(spec, qSeasons.all(guildId));
+  const now = Date.now();
+  const ended = s.endIso < nowIn(guildZone(guildId)).toISODate();
+  const info = qInsertSeason.run(guildId, s.name, s.startIso, s.endIso, ended ? now : null, now);
+  const row = { name: s.name, start_iso: s.startIso, end_iso: s.endIso };
+  return tr.t('seasons.created', { id: Number(info.lastInsertRowid), season: seasonTitle(tr, row) });
+}
+
+function removeSeason(tr, guildId, id) {
+  const s = qGetSeason.get(guildId, id);
+  if (!s) return tr.t('seasons.notFound', { id });
+  qDeleteSeason.run(guildId, id);
+  return tr.t('seasons.removed', { id, name: s.name });
+}
+
+// Fim de temporada: ranking da temporada inteira e totais da guild no canal de
+// relatórios. Devolve 'posted', 'noChannel' (guild sem canal) ou 'noPlayers'
+// (ninguém cadastrado: nada a postar). Canal configurado que não abre (erro
+// do Discord, permissão) lança: a temporada fica pendente.
+async function announceSeasonEnd(guildId, season) {
+  const channelId = qAnnounceChannel.get(guildId)?.channel_id;
+  if (!channelId) return 'noChannel';
+  const ch = await client.channels.fetch(channelId);
+  if (!ch?.isTextBased()) throw new Error(`canal ${channelId} não é de texto`);
+
+  const tr = translatorFor(guildId);
+  const { start, end } = seasonWindow(season, nowIn(guildZone(guildId)));
+  const results = await collectForGuildWindow(guildId, start, end, { priority: PRIORITY.batch });
+  if (!results.length) return 'noPlayers';
+  const embeds = [
+    embedRanking(tr, seasonTitle(tr, season), buildRankings(results, rankingRulesFor(guildId, windowDays(start, end))), oldestScrape(results)),
+    embedSeasonTotals(tr, season, results),
+  ];
+  await ch.send({ content: tr.t('season.ended', { name: season.name }), embeds });
+  return 'posted';
+}
+
+// Temporadas encerradas (no fuso de cada guild) ainda sem post. Falha no
+// post deixa a temporada pendente para a próxima checagem. Sem canal ou sem
+// jogadores a temporada também fica marcada: quem for cadastrado depois não
+// ganha um post atrasado de uma temporada que já acabou.
+async function checkSeasonEnds() {
+  let posted = 0;
+  for (const { guild_id: guildId } of qSeasonGuilds.all()) {
+    const today = nowIn(guildZone(guildId)).toISODate();
+    for (const season of seasonsToAnnounce(qSeasons.all(guildId), today)) {
+      try {
+        const outcome = await announceSeasonEnd(guildId, season);
+        if (outcome === 'posted') posted++;
+        else if (outcome === 'noChannel') console.warn(`⚠️ Temporada ${season.name} (guild ${guildId}) acabou, mas a guild não tem canal de relatórios.`);
+        else console.warn(`⚠️ Temporada ${season.name} (guild ${guildId}) acabou sem jogadores cadastrados; nada a postar.`);
+        qMarkSeasonAnnounced.run(Date.now(), season.id);
+      } catch (e) {
+        console.error(`Falha no post de fim da temporada ${season.name} (guild ${guildId}):`, e);
       }
+    }
+  }
+  return posted;
+}
+
+function installSeasonCheck() {
+  if (!SEASON_CHECK_CRON) return;
+  if (!cron.validate(SEASON_CHECK_CRON)) {
+    console.warn(`⚠️ SEASON_CHECK_CRON inválido ("${SEASON_CHECK_CRON}"); post de fim de temporada desligado.`);
+    return;
+  }
+  cron.schedule(SEASON_CHECK_CRON, async () => {
+    try {
+      const posted = await checkSeasonEnds();
+      if (posted) console.log(`🏁 ${posted} ranking(s) de fim de temporada postado(s).`);
     } catch (e) {
-      console.error('Falha no cron diário:', e);
+      console.error('Falha na checagem de fim de temporada:', e);
     }
   }, { timezone: TZ });
-  
-  const weekly = cron.schedule(weeklyExpr, async () => {
+  console.log(`🏁 Checagem de fim de temporada: ${SEASON_CHECK_CRON} (${TZ})`);
+}
+
+// Ranqueado (src/ranks.js)
+// O card vem da aba overview, no máximo uma vez a cada TRN_RANKED_MIN por
+// perfil (é uma navegação a mais); perfil sem card também espera o intervalo.
+const RANKED_REFRESH_MS = Math.max(0, parseInt(TRN_RANKED_MIN, 10) || 0) * 60 * 1000;
+const rankedTriedAt = new Map();
+
+function wantsRanked(key, now = Date.now()) {
+  if (!RANKED_REFRESH_MS) return false;
+  const last = Math.max(rankedTriedAt.get(key) ?? 0, qLastRank.get(key)?.scraped_at ?? 0);
+  return now - last >= RANKED_REFRESH_MS;
+}
+
+// Grava o rank do dia; mudança de rank desde o último scrape vira aviso no
+// canal de relatórios de cada guild que acompanha o jogador
+async function updateRank(key, ranked, scrapedAt) {
+  const previous = qLastRank.get(key);
+  const iso = DateTime.fromMillis(scrapedAt, { zone: TZ }).toISODate();
+  qUpsertRank.run({ username: key, iso, ...ranked, scrapedAt });
+
+  const change = rankChange(previous?.rank, ranked.rank);
+  if (!change) return;
+  const { username, platform } = parseProfileKey(key, DEFAULT_PLATFORM);
+  for (const row of qPlayerGuilds.all(username, DEFAULT_PLATFORM, platform)) {
+    const channelId = qAnnounceChannel.get(row.guild_id)?.channel_id;
+    if (!channelId) continue;
+    const ch = await client.channels.fetch(channelId).catch(() => null);
+    if (!ch?.isTextBased()) continue;
+    const tr = translatorFor(row.guild_id);
+    const who = row.discord_user_id ? `**${row.username}** (<@${row.discord_user_id}>)` : `**${row.username}**`;
+    await ch.send(tr.t(`rank.${change}`, { who, rank: ranked.rank, from: previous.rank, rp: rpText(tr, ranked.rp) }));
+  }
+}
+
+// /ranking_rank: rank atual (último gravado) de cada jogador da guild
+async function rankLeaderboardMessage(tr, guildId, opts = {}) {
+  const results = await collectForGuild(guildId, 'day', opts);
+  if (!results.length) return tr.t('common.noPlayers');
+  return { embeds: [embedRankLeaderboard(tr, results)] };
+}
+
+// Partidas ao vivo (src/polling.js)
+// Um relógio de 1 min vê quais perfis das guilds com ao vivo estão na vez; o
+// scrape entra na fila com a menor prioridade e respeita o cache (um /relatorio
+// recente já serve). Anúncio por guild: partidas vistas pela primeira vez
+// depois da última checagem dela, venham do polling ou de qualquer comando.
+const POLL_TICK_MS = 60 * 1000;
+const pollSchedule = createPollSchedule();
+const pollsInFlight = new Set();
+let pollTimer = null;
+
+// Chave de perfil -> menor intervalo entre as guilds que a acompanham
+function pollTargets() {
+  const targets = new Map();
+  for (const row of qLivePlayers.all()) {
+    const { key } = playerRef(row);
+    const interval = targets.get(key);
+    if (!interval || row.live_interval_min < interval) targets.set(key, row.live_interval_min);
+  }
+  return targets;
+}
+
+// Posta as partidas novas da chave; devolve quantas eram novas (máximo entre as guilds)
+async function announceNewMatches(key, now = Date.now()) {
+  const { username, platform } = parseProfileKey(key, DEFAULT_PLATFORM);
+  const url = qGetScrapeState.get(key)?.url;
+  let found = 0;
+  for (const row of qLiveGuildsOf.all(username, DEFAULT_PLATFORM, platform)) {
+    // Primeira checagem do jogador na guild: só marca (histórico não vira anúncio)
+    const since = row.live_seen_at;
+    const total = since === null ? 0 : qCountNewMatches.get(key, since).n;
+    if (!total) {
+      qSetLiveSeenAt.run(now, row.guild_id, row.username);
+      continue;
+    }
+    found = Math.max(found, total);
+
+    // Só marca como vistas depois do envio; canal com problema tenta de novo
+    // na próxima checagem sem derrubar as outras guilds
     try {
-      const ch = await client.channels.fetch(channel_id);
-      if (!ch?.isTextBased()) return;
-      
-      const now = DateTime.now().setZone(TZ);
-      const { start, end } = getCanonicalWindow('week', now);
-      const results = await collectForGuildWindow(guildId, start, end);
-      if (!results.length) {
-        await ch.send('Nenhum jogador cadastrado. Use `/cadastrar nick`.');
-        return;
-      }
-      const rk = buildRankings(results);
-      await ch.send({ embeds: [embedRanking(`— Semana Anterior (${start.toFormat('dd/LL')}–${end.toFormat('dd/LL')})`, rk)] });
+      const ch = await client.channels.fetch(row.live_channel_id);
+      if (!ch?.isTextBased()) throw new Error(`canal ${row.live_channel_id} não é de texto`);
+      const tr = translatorFor(row.guild_id);
+      const zone = guildZone(row.guild_id);
+      const n = { username: row.username, discordUserId: row.discord_user_id, url };
+      const matches = qNewMatches.all(key, since, MAX_LIVE_MATCHES).reverse();
+      const extra = total - matches.length;
+      await ch.send({
+        content: extra > 0 ? tr.t('live.more', { n: extra, nick: row.username }) : undefined,
+        embeds: matches.map(m => embedNewMatch(tr, n, m, zone)),
+      });
+      qSetLiveSeenAt.run(now, row.guild_id, row.username);
     } catch (e) {
-      console.error('Falha no cron semanal:', e);
+      console.warn(`⚠️ Ao vivo: falha ao anunciar ${row.username} na guild ${row.guild_id}:`, e?.message || e);
     }
-  }, { timezone: TZ });
-  
-  const monthly = cron.schedule(monthlyExpr, async () => {
+  }
+  return found;
+}
+
+async function pollPlayer(key, intervalMin) {
+  pollsInFlight.add(key);
+  let found = 0;
+  try {
+    await ensureHistory(key, nowIn(), { priority: PRIORITY.poll });
+    found = await announceNewMatches(key);
+  } catch (e) {
+    console.warn(`⚠️ Ao vivo: falha ao checar ${key}:`, e?.message || e);
+  } finally {
+    pollSchedule.checked(key, { intervalMin, found: found > 0 });
+    pollsInFlight.delete(key);
+  }
+}
+
+function pollTick() {
+  const targets = pollTargets();
+  pollSchedule.retain(targets.keys());
+  for (const [key, intervalMin] of targets) {
+    if (pollsInFlight.has(key) || !pollSchedule.isDue(key)) continue;
+    pollPlayer(key, intervalMin);
+  }
+}
+
+function installLivePolling() {
+  if (pollTimer) return;
+  pollTimer = setInterval(pollTick, POLL_TICK_MS);
+  pollTick();
+  console.log('📡 Partidas ao vivo: checagem a cada minuto das guilds com /config ao_vivo.');
+}
+
+// /config ao_vivo: `channelId` null desliga. Ligar (ou trocar o canal) marca
+// tudo como visto agora: só partidas daqui para frente são anunciadas.
+function setGuildLive(tr, guildId, channelId, interval) {
+  if (!channelId) {
+    qSetGuildLive.run(guildId, null, null, Date.now());
+    return tr.t('live.off');
+  }
+  const minutes = parsePollInterval(interval);
+  const now = Date.now();
+  qSetGuildLive.run(guildId, channelId, minutes, now);
+  qResetLiveSeen.run(now, guildId);
+  return tr.t('live.on', { channel: `<#${channelId}>`, minutes, max: maxPollDelayMin(minutes) });
+}
+
+function liveStatus(tr, guildId, hint) {
+  const s = qGetGuildSettings.get(guildId);
+  if (!s?.live_channel_id) return tr.t('live.statusOff', { hint });
+  return tr.t('live.status', {
+    channel: `<#${s.live_channel_id}>`,
+    minutes: s.live_interval_min,
+    max: maxPollDelayMin(s.live_interval_min),
+    players: qListPlayers.all(guildId).length,
+    hint,
+  });
+}
+
+// Rankings (src/rankings.js)
+// Configuração da guild (/config ranking), completada com o padrão
+const guildRankingSettings = (guildId) => normalizeRankingSettings(qGetGuildSettings.get(guildId)?.ranking_settings);
+
+// Dias da janela (inclusivos), para escolher os mínimos de dia/semana/mês
+const windowDays = (start, end) => Math.round(end.startOf('day').diff(start.startOf('day'), 'days').days) + 1;
+
+const rankingRulesFor = (guildId, days) => rankingRules(guildRankingSettings(guildId), days);
+
+// Resumo da configuração: categorias na ordem, posições e mínimos por janela
+function rankingSummary(tr, s, hint) {
+  const mins = RANKING_WINDOWS.map(w => tr.t('rankingConfig.window', {
+    window: tr.t(`rankingConfig.${w}`),
+    matches: s.minMatches[w],
+    kills: s.minKills[w],
+  }));
+  return tr.t('rankingConfig.summary', {
+    categories: s.categories.map(c => `${tr.t(`ranking.${c}`)} (\`${categoryAlias(c)}\`)`).join(' → '),
+    size: s.size,
+    mins: mins.join(' • '),
+    hint,
+  });
+}
+
+// /config ranking: `change` vazio só mostra; { reset } volta ao padrão.
+// Lança erro traduzível (src/rankings.js).
+function setGuildRanking(tr, guildId, change, hint) {
+  const keys = Object.keys(change).filter(k => change[k] != null);
+  if (!keys.length) return rankingSummary(tr, guildRankingSettings(guildId), hint);
+  if (change.reset) {
+    qSetGuildRanking.run(guildId, null, Date.now());
+    return `${tr.t('rankingConfig.reset')}\n${rankingSummary(tr, guildRankingSettings(guildId), hint)}`;
+  }
+  const next = applyRankingChange(guildRankingSettings(guildId), change);
+  qSetGuildRanking.run(guildId, JSON.stringify(next), Date.now());
+  return `${tr.t('rankingConfig.saved')}\n${rankingSummary(tr, next, hint)}`;
+}
+
+// MVP (src/mvp.js): pesos da guild (/config mvp), completados com o padrão
+const guildMvpWeights = (guildId) => normalizeMvpWeights(qGetGuildSettings.get(guildId)?.mvp_weights);
+
+function mvpSummary(tr, weights, hint) {
+  const list = MVP_METRICS.map(m => `${tr.t(`mvp.metric.${m}`)} **${weights[m]}**`).join(' • ');
+  return tr.t('mvp.summary', { weights: list, hint });
+}
+
+// /config mvp: `change` vazio só mostra; { reset } volta ao padrão. Lança erro traduzível.
+function setGuildMvp(tr, guildId, change, hint) {
+  const { reset, ...weights } = change;
+  if (reset) {
+    qSetGuildMvp.run(guildId, null, Date.now());
+    return `${tr.t('mvp.reset')}\n${mvpSummary(tr, DEFAULT_MVP_WEIGHTS, hint)}`;
+  }
+  if (!Object.values(weights).some(v => v != null)) return mvpSummary(tr, guildMvpWeights(guildId), hint);
+  const next = applyMvpWeights(guildMvpWeights(guildId), weights);
+  qSetGuildMvp.run(guildId, JSON.stringify(next), Date.now());
+  return `${tr.t('mvp.saved')}\n${mvpSummary(tr, next, hint)}`;
+}
+
+// Agendamentos (schedule_jobs)
+// guildId -> Map(jobId -> tarefa do node-cron)
+const guildCrons = new Map();
+
+// Grava o job sem duplicar um idêntico; devolve { id, created }
+function addScheduleJob(guildId, job) {
+  const row = { guild_id: guildId, ...job };
+  const found = qFindJob.get(row);
+  if (found) return { id: found.id, created: false };
+  const info = qInsertJob.run({ ...row, created_at: Date.now() });
+  return { id: Number(info.lastInsertRowid), created: true };
+}
+
+// Horário único antigo (tabela schedules) -> os três jobs que ele disparava
+const migrateLegacySchedules = db.transaction(() => {
+  for (const r of qLegacySchedules.all()) {
     try {
-      const ch = await client.channels.fetch(channel_id);
-      if (!ch?.isTextBased()) return;
-      
-      const now = DateTime.now().setZone(TZ);
-      const { start, end } = getCanonicalWindow('month', now);
-      const results = await collectForGuildWindow(guildId, start, end);
-      if (!results.length) {
-        await ch.send('Nenhum jogador cadastrado. Use `/cadastrar nick`.');
-        return;
-      }
-      const rk = buildRankings(results);
-      await ch.send({ embeds: [embedRanking(`— Mês Anterior (${start.toFormat('LL/yyyy')})`, rk)] });
+      for (const job of defaultScheduleJobs(r.channel_id, r.time_str)) addScheduleJob(r.guild_id, job);
     } catch (e) {
-      console.error('Falha no cron mensal:', e);
+      console.warn(`⚠️ Agendamento antigo inválido na guild ${r.guild_id} (${r.time_str}) — descartado: ${e.message}`);
     }
-  }, { timezone: TZ });
-  
-  guildCrons.set(guildId, { daily, weekly, monthly });
-  console.log(`🕒 Cronos instalados para guild ${guildId} @ ${time_str} (${TZ})`);
+    qDelLegacySchedule.run(r.guild_id);
+  }
+});
+
+// Janela e título de cada período agendável
+function scheduleWindow(tr, period, now = nowIn()) {
+  if (period === 'yesterday') return { ...getYesterdayWindow(now), title: tr.t('title.yesterday') };
+  if (period === 'week') {
+    const w = getCanonicalWindow('week', now);
+    return { ...w, title: tr.t('title.prevWeek', { from: tr.date(w.start, 'dayMonth'), to: tr.date(w.end, 'dayMonth') }) };
+  }
+  if (period === 'month') {
+    const w = getCanonicalWindow('month', now);
+    return { ...w, title: tr.t('title.prevMonth', { month: tr.date(w.start, 'monthYear') }) };
+  }
+  return { ...getCanonicalWindow('day', now), title: tr.t('title.day') };
+}
+
+async function runScheduleJob(client, guildId, job) {
+  const ch = await client.channels.fetch(job.channel_id);
+  if (!ch?.isTextBased()) return;
+
+  const tr = translatorFor(guildId);
+  const { start, end, title } = scheduleWindow(tr, job.period, nowIn(guildZone(guildId)));
+  const results = await collectForGuildWindow(guildId, start, end, { priority: PRIORITY.batch });
+  if (!results.length) {
+    await ch.send(tr.t('common.noPlayers'));
+    return;
+  }
+
+  if (job.kind === 'report') {
+    for (const r of results) {
+      if (r.error) await ch.send(tr.t('common.failedFor', { nick: r.username, error: tr.error(r.err) }));
+      else await ch.send({ embeds: [embedReport(tr, title, r)] });
+    }
+    return;
+  }
+
+  const rules = rankingRulesFor(guildId, windowDays(start, end));
+  const rk = buildRankings(results, rules);
+  const embeds = [embedRanking(tr, title, rk, oldestScrape(results))];
+
+  // Semanal/mensal: o MVP abre o post (mesmo mínimo de partidas das categorias de taxa)
+  if (job.period === 'week' || job.period === 'month') {
+    const mvp = computeMvp(results, guildMvpWeights(guildId), { minMatches: rules.minMatches });
+    if (mvp) embeds.unshift(embedMvp(tr, title, mvp, rules.minMatches));
+  }
+
+  const files = [];
+  if (job.chart) {
+    // Sem o gráfico (navegador indisponível etc.) o ranking sai do mesmo jeito
+    const chart = await comparisonChart(tr, job.chart, { start, end, results, subtitle: title }).catch(e => {
+      console.error(`Falha no gráfico do agendamento #${job.id}:`, e);
+      return null;
+    });
+    if (chart) files.push(chart);
+  }
+  await ch.send({ embeds, files });
+}
+
+function stopCronsForGuild(guildId) {
+  const tasks = guildCrons.get(guildId);
+  if (!tasks) return;
+  for (const task of tasks.values()) task.stop();
+  guildCrons.delete(guildId);
+}
+
+// (Re)instala todos os jobs ativos da guild, no fuso dela
+async function installCronsForGuild(client, guildId) {
+  stopCronsForGuild(guildId);
+  const zone = guildZone(guildId);
+
+  const tasks = new Map();
+  for (const job of qListJobs.all(guildId)) {
+    const expr = job.enabled ? cronExpression(job) : null;
+    if (!expr) continue;
+    tasks.set(job.id, cron.schedule(expr, async () => {
+      try {
+        await runScheduleJob(client, guildId, job);
+      } catch (e) {
+        console.error(`Falha no agendamento #${job.id} (${describeJob(job)}):`, e);
+      }
+    }, { timezone: zone }));
+  }
+
+  if (!tasks.size) return;
+  guildCrons.set(guildId, tasks);
+  console.log(`🕒 ${tasks.size} agendamento(s) instalado(s) para guild ${guildId} (${zone})`);
 }
 
 async function installAllCrons(client) {
-  const rows = qAllSchedules.all();
+  migrateLegacySchedules();
+  const rows = qJobGuilds.all();
   for (const r of rows) await installCronsForGuild(client, r.guild_id);
 }
 
+// Ações de /agendamentos e !agendamentos (devolvem a mensagem de resposta no idioma de `tr`)
+async function createScheduleJob(tr, client, guildId, spec) {
+  const job = buildScheduleJob(spec);
+  const { id, created } = addScheduleJob(guildId, job);
+  if (!created) return tr.t('schedule.duplicate', { id });
+  await installCronsForGuild(client, guildId);
+  return tr.t('schedule.created', {
+    id,
+    job: describeJob(job, tr.locale),
+    channel: job.channel_id,
+    freq: describeFrequency(job, tr.locale),
+    zone: guildZone(guildId),
+  });
+}
+
+async function setScheduleJobEnabled(tr, client, guildId, id, enabled) {
+  const job = qGetJob.get(guildId, id);
+  if (!job) return tr.t('schedule.notFound', { id });
+  qSetJobEnabled.run(enabled ? 1 : 0, guildId, id);
+  await installCronsForGuild(client, guildId);
+  return tr.t(enabled ? 'schedule.resumed' : 'schedule.paused', { id, job: describeJob(job, tr.locale) });
+}
+
+// /config fuso: valida no Luxon, grava e reinstala os agendamentos no novo fuso
+async function setGuildTimezone(tr, client, guildId, input) {
+  const zone = normalizeZone(input);
+  if (!zone) return tr.t('config.timezone.invalid', { input });
+  qSetGuildTimezone.run(guildId, zone, Date.now());
+  await installCronsForGuild(client, guildId);
+  return tr.t('config.timezone.set', { zone, now: tr.date(nowIn(zone), 'dayMonthTime') });
+}
+
+// /config idioma: responde já no idioma novo
+function setGuildLanguage(tr, guildId, input) {
+  const language = resolveLocale(input);
+  if (!language) return tr.t('config.language.invalid', { input, options: LOCALES.join(', ') });
+  qSetGuildLanguage.run(guildId, language, Date.now());
+  return translate(language, 'config.language.set', { language: translate(language, 'language.name') });
+}
+
+// Atalho do /programar: relatório diário + rankings semanal e mensal no mesmo canal/horário
+async function createDefaultScheduleJobs(client, guildId, channelId, time) {
+  const ids = defaultScheduleJobs(channelId, time).map(job => addScheduleJob(guildId, job).id);
+  await installCronsForGuild(client, guildId);
+  return ids;
+}
+
+async function removeScheduleJob(tr, client, guildId, id) {
+  const job = qGetJob.get(guildId, id);
+  if (!job) return tr.t('schedule.notFound', { id });
+  qDeleteJob.run(guildId, id);
+  await installCronsForGuild(client, guildId);
+  return tr.t('schedule.removed', { id, job: describeJob(job, tr.locale) });
+}
+
+// Vínculos nick <-> membro
+// Vincular a si mesmo é livre; vincular outro membro ou tomar um nick que já
+// é de outra pessoa exige admin (Manage Server).
+function linkPlayer(tr, guildId, nick, userId, { actorId, isAdmin }) {
+  const row = qGetPlayer.get(guildId, nick);
+  if (!row) return tr.t('link.notRegistered', { nick });
+  const takesOther = row.discord_user_id && row.discord_user_id !== actorId;
+  if (!isAdmin && (userId !== actorId || takesOther)) return tr.t('perm.link');
+  qLinkPlayer.run(userId, guildId, row.username);
+  return tr.t('link.done', { nick: row.username, user: `<@${userId}>` });
+}
+
+function unlinkPlayer(tr, guildId, nick, { actorId, isAdmin }) {
+  const row = qGetPlayer.get(guildId, nick);
+  if (!row?.discord_user_id) return tr.t('unlink.missing', { nick: row?.username || nick });
+  if (!isAdmin && row.discord_user_id !== actorId) return tr.t('perm.link');
+  qLinkPlayer.run(null, guildId, row.username);
+  return tr.t('unlink.done', { nick: row.username });
+}
+
+// Cadastro com validação: o perfil precisa abrir no TRN (scrape real, que já
+// alimenta o histórico). Guarda a plataforma escolhida (null = padrão), o id
+// Ubisoft e a grafia do nick da página.
+async function registerPlayer(tr, guildId, nick, platform = null) {
+  const existing = qGetPlayer.get(guildId, nick);
+  if (existing) return tr.t('register.exists', { nick: existing.username });
+
+  let entry;
+  try {
+    entry = await scrapeCache.refresh(profileKey(nick, platform, DEFAULT_PLATFORM));
+  } catch (e) {
+    return tr.t('register.invalid', { nick, error: tr.error(e) });
+  }
+
+  const profileId = entry.profile?.id ?? null;
+  const same = profileId && qPlayerByProfile.get(guildId, profileId);
+  if (same) return tr.t('register.sameProfile', { nick, other: same.username });
+
+  const shown = entry.profile?.name;
+  const username = shown && shown.toLowerCase() === nick.toLowerCase() ? shown : nick;
+  qInsertPlayer.run(guildId, username, platform, profileId, Date.now());
+  const total = qListPlayers.all(guildId).length;
+  return tr.t('register.done', {
+    nick: username,
+    platform: platformBadge(platform || DEFAULT_PLATFORM),
+    total: tr.num(total),
+  });
+}
+
+// Renomeação: mesmo id Ubisoft com nick novo. Jogadores (todas as guilds,
+// com vínculos) e histórico (chave de perfil antiga -> nova) passam para o nick novo.
+const renamePlayer = db.transaction((profileId, platform, from, to) => {
+  renamePlayerRows(profileId, to);
+  qFillProfileId.run(profileId, to, DEFAULT_PLATFORM, resolvePlatform(platform || DEFAULT_PLATFORM));
+  const fromKey = profileKey(from, platform, DEFAULT_PLATFORM);
+  const toKey = profileKey(to, platform, DEFAULT_PLATFORM);
+  for (const { move, drop } of qMoveHistory) {
+    move.run(toKey, fromKey);
+    drop.run(fromKey);
+  }
+});
+
+// O TRN aceita o id Ubisoft no lugar do nick na URL do perfil e mostra o nick
+// atual no cabeçalho. Só renomeia se a página confirmar o mesmo id.
+async function checkRenames() {
+  let renamed = 0;
+  for (const { profile_id: id, username, platform } of qProfilesToCheck.all()) {
+    try {
+      const byId = profileKey(id, platform, DEFAULT_PLATFORM);
+      const { profile } = await scrapeQueue.push(() => scrapeDailyBlocks(byId), { priority: PRIORITY.batch });
+      if (profile?.id !== id || !profile.name || profile.name.toLowerCase() === username.toLowerCase()) continue;
+      renamePlayer(id, platform, username, profile.name);
+      renamed++;
+      console.log(`✏️ ${username} agora é ${profile.name} (id ${id}); histórico migrado.`);
+    } catch (e) {
+      console.warn(`⚠️ Não consegui checar renomeação de ${username}:`, e?.message || e);
+    }
+  }
+  return renamed;
+}
+
+function installRenameCheck() {
+  if (!RENAME_CHECK_CRON) return;
+  if (!cron.validate(RENAME_CHECK_CRON)) {
+    console.warn(`⚠️ RENAME_CHECK_CRON inválido ("${RENAME_CHECK_CRON}"); checagem de renomeações desligada.`);
+    return;
+  }
+  cron.schedule(RENAME_CHECK_CRON, async () => {
+    try {
+      const renamed = await checkRenames();
+      console.log(`🔁 Checagem de renomeações concluída (${renamed} renomeado(s)).`);
+    } catch (e) {
+      console.error('Falha na checagem de renomeações:', e);
+    }
+  }, { timezone: TZ });
+  console.log(`🔁 Checagem de renomeações: ${RENAME_CHECK_CRON} (${TZ})`);
+}
+
+// Importação/exportação da lista de jogadores
+// Nicks novos entram com vínculo e data do arquivo; os já cadastrados só
+// ganham o vínculo se ainda não tiverem um (nunca sobrescreve).
+const importRoster = db.transaction((guildId, players) => {
+  const counts = { added: 0, linked: 0, skipped: 0 };
+  for (const p of players) {
+    const row = qGetPlayer.get(guildId, p.username);
+    if (!row) {
+      qImportPlayer.run(guildId, p.username, p.discordUserId, p.addedAt ?? Date.now(), p.platform);
+      counts.added++;
+    } else if (p.discordUserId && !row.discord_user_id) {
+      qLinkPlayer.run(p.discordUserId, guildId, row.username);
+      counts.linked++;
+    } else {
+      counts.skipped++;
+    }
+  }
+  return counts;
+});
+
+// Baixa o anexo (Discord CDN), lê e importa; devolve a mensagem de resposta
+async function importRosterFile(tr, guildId, attachment) {
+  if (attachment.size > MAX_ROSTER_BYTES) {
+    return tr.t('import.tooBig', { max: Math.round(MAX_ROSTER_BYTES / 1024) });
+  }
+  try {
+    const res = await fetch(attachment.url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const text = await res.text();
+    const { players, invalid } = parseRoster(text, detectRosterFormat(attachment.name, text));
+    const counts = importRoster(guildId, players);
+    return tr.t('import.done', {
+      added: tr.num(counts.added),
+      linked: tr.num(counts.linked),
+      skipped: tr.num(counts.skipped),
+      total: tr.num(qListPlayers.all(guildId).length),
+      invalid: invalid.length ? tr.t('import.invalid', { lines: invalid.slice(0, 20).join(', ') }) : '',
+    });
+  } catch (e) {
+    if (!e.i18n) console.error('Falha ao importar jogadores:', e);
+    return tr.t('import.failed', { error: tr.error(e) });
+  }
+}
+
+function exportRosterFile(tr, guildId, format = 'csv') {
+  const rows = rosterRows(guildId);
+  return {
+    content: tr.t('export.done', { total: tr.num(rows.length), format: format.toUpperCase() }),
+    files: [new AttachmentBuilder(Buffer.from(serializeRoster(rows, format), 'utf8'), { name: `jogadores-${guildId}.${format}` })],
+  };
+}
+
+// /meu_relatorio: uma mensagem por conta, ou a soma de todas
+function memberReportMessages(tr, title, results, sum) {
+  const failed = results.filter(r => r.error)
+    .map(r => tr.t('common.failedFor', { nick: r.username, error: tr.error(r.err) }));
+  const ok = results.filter(r => !r.error);
+  if (!ok.length) return failed;
+  const reports = sum && ok.length > 1 ? [sumResults(ok)] : ok;
+  return [...reports.map(r => ({ embeds: [embedReport(tr, title, r)] })), ...failed];
+}
+
 // Discord client
 const client = new Client({
   intents: [
@@ -940,50 +2427,6 @@ const client = new Client({
   partials: [Partials.Channel],
 });
 
-// Slash commands
-const slashCommands = [
-  new SlashCommandBuilder()
-    .setName('cadastrar')
-    .setDescription('Cadastrar um jogador (nick Ubisoft) para rastrear')
-    .addStringOption(o => o.setName('nick').setDescription('Nick na Ubisoft').setRequired(true))
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
-  
-  new SlashCommandBuilder()
-    .setName('programar')
-    .setDescription('Programar envios: diário (relatório), semanal e mensal (rankings) no mesmo horário')
-    .addChannelOption(o =>
-      o.setName('canal').setDescription('Canal de destino').addChannelTypes(ChannelType.GuildText).setRequired(true)
-    )
-    .addStringOption(o =>
-      o.setName('horario').setDescription('Horário HH:mm (24h) no fuso configurado').setRequired(true)
-    )
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
-  
-  new SlashCommandBuilder()
-    .setName('cancelar_programacao')
-    .setDescription('Cancelar todos os envios programados desta guild')
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
-  
-  new SlashCommandBuilder()
-    .setName('daily_report')
-    .setDescription('Relatório de HOJE (todos ou 1 nick específico)')
-    .addStringOption(o => o.setName('nick').setDescription('Nick Ubisoft (opcional, 1 jogador)').setRequired(false)),
-  
-  new SlashCommandBuilder()
-    .setName('weekly_report')
-    .setDescription('Relatório dos ÚLTIMOS 7 DIAS (todos ou 1 nick específico)')
-    .addStringOption(o => o.setName('nick').setDescription('Nick Ubisoft (opcional, 1 jogador)').setRequired(false)),
-  
-  new SlashCommandBuilder()
-    .setName('monthly_report')
-    .setDescription('Relatório dos ÚLTIMOS 30 DIAS (todos ou 1 nick específico)')
-    .addStringOption(o => o.setName('nick').setDescription('Nick Ubisoft (opcional, 1 jogador)').setRequired(false)),
-  
-  new SlashCommandBuilder().setName('daily_ranking').setDescription('Ranking de HOJE'),
-  new SlashCommandBuilder().setName('yesterday_ranking').setDescription('Ranking de ONTEM'),
-  new SlashCommandBuilder().setName('weekly_ranking').setDescription('Ranking dos ÚLTIMOS 7 DIAS'),
-  new SlashCommandBuilder().setName('monthly_ranking').setDescription('Ranking dos ÚLTIMOS 30 DIAS'),
-].map(c => c.toJSON());
 
 async function registerSlashCommands() {
   const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
@@ -1014,16 +2457,60 @@ client.once('ready', async () => {
   }
   await registerSlashCommands();
   await installAllCrons(client);
+  installRenameCheck();
+  installSeasonCheck();
+  installLivePolling();
+});
+
+// Helper de confirmação
+async function confirm(ix, message, { ephemeral = false, edit = false } = {}) {
+  const payload = typeof message === 'string' ? { content: message } : message;
+  if (edit) return ix.editReply(payload);
+  if (ix.deferred || ix.replied) return ix.followUp({ ...payload, ephemeral });
+  return ix.reply({ ...payload, ephemeral });
+}
+
+// Handler: COMPONENTES (botões de período e menu de categoria, src/views.js)
+// Edita a própria mensagem; sem "atualizar", então a coleta reaproveita o
+// cache de scrapes e o histórico salvo (só raspa de novo o que já venceu).
+client.on('interactionCreate', async (ix) => {
+  if (!ix.isButton() && !ix.isStringSelectMenu()) return;
+  const view = parseViewId(ix.customId);
+  if (!view) return;
+
+  const guildId = ix.guildId;
+  const tr = translatorFor(guildId);
+  const own = translatorFor(guildId, ix.locale);
+  const target = view.target === VIEW_MENU ? ix.values[0] : view.target;
+
+  try {
+    await ix.deferUpdate();
+    const w = viewWindow(guildId, view.range);
+    let message;
+    if (view.kind === 'ranking') {
+      // "Ontem" pelo mesmo coletor do /yesterday_ranking (mesmos números e avisos)
+      const results = view.range === 'yesterday'
+        ? await collectYesterdayForGuild(guildId)
+        : await collectForGuildWindow(guildId, w.start, w.end);
+      let notice = null;
+      if (!results.length) notice = tr.t('common.noPlayers');
+      else if (view.range === 'yesterday' && results.every(r => r.error)) {
+        notice = tr.t('yesterday.nobody', { label: yesterdayLabel(nowIn(guildZone(guildId))) });
+      }
+      message = notice ? { embeds: [], components: [], content: notice } : rankingMessage(tr, guildId, w, results, target);
+    } else {
+      const { key, ...who } = findPlayerRef(guildId, target);
+      message = reportMessage(tr, w, { ...await collectForUserInWindow(key, w.start, w.end), ...who });
+    }
+    // O texto de "gerando…" da mensagem original não vale mais para o novo período
+    await ix.editReply({ content: '', ...message });
+  } catch (e) {
+    console.error(e);
+    // Interação vencida ou desconhecida: não há mais a quem responder
+    await ix.followUp({ content: `⚠️ ${own.error(e)}`, ephemeral: true }).catch(() => {});
+  }
 });
 
-// Helper de confirmação
-async function confirm(ix, message, { ephemeral = false, edit = false } = {}) {
-  const payload = typeof message === 'string' ? { content: message } : message;
-  if (edit) return ix.editReply(payload);
-  if (ix.deferred || ix.replied) return ix.followUp({ ...payload, ephemeral });
-  return ix.reply({ ...payload, ephemeral });
-}
-
 // Handler: SLASH
 client.on('interactionCreate', async (ix) => {
   if (!ix.isChatInputCommand()) return;
@@ -1031,71 +2518,357 @@ client.on('interactionCreate', async (ix) => {
   const name = ix.commandName;
   const guildId = ix.guildId;
   
+  // `tr`: mensagens públicas (idioma da guild) • `own`: efêmeras (idioma do cliente de quem pediu)
+  const tr = translatorFor(guildId);
+  const own = translatorFor(guildId, ix.locale);
+  
+  // "atualizar" (ignorar o cache) é só para admins
+  const force = ix.options.getBoolean('atualizar') ?? false;
+  if (force && !ix.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    await confirm(ix, own.t('perm.force'), { ephemeral: true });
+    return;
+  }
+  
   if (name === 'cadastrar') {
     if (!ix.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
-      await confirm(ix, '❌ Apenas admins (Manage Server) podem cadastrar jogadores.', { ephemeral: true });
+      await confirm(ix, own.t('perm.register'), { ephemeral: true });
       return;
     }
     const nick = ix.options.getString('nick', true).trim();
     if (!nick) {
-      await confirm(ix, 'Uso: `/cadastrar nick`', { ephemeral: true });
+      await confirm(ix, own.t('register.usage', { cmd: '/cadastrar' }), { ephemeral: true });
+      return;
+    }
+    await ix.deferReply({ ephemeral: true });
+    await confirm(ix, await registerPlayer(own, guildId, nick, ix.options.getString('plataforma')), { edit: true });
+    return;
+  }
+  
+  if (name === 'remover' || name === 'importar' || name === 'exportar') {
+    if (!ix.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await confirm(ix, own.t('perm.command', { cmd: `/${name}` }), { ephemeral: true });
+      return;
+    }
+    if (name === 'remover') {
+      const nick = ix.options.getString('nick', true).trim();
+      const info = qDeletePlayer.run(guildId, nick);
+      await confirm(ix, own.t(info.changes ? 'remove.done' : 'remove.missing', { nick }), { ephemeral: true });
+    } else if (name === 'importar') {
+      await ix.deferReply({ ephemeral: true });
+      await confirm(ix, await importRosterFile(own, guildId, ix.options.getAttachment('arquivo', true)), { edit: true });
+    } else {
+      await confirm(ix, exportRosterFile(own, guildId, ix.options.getString('formato') ?? 'csv'), { ephemeral: true });
+    }
+    return;
+  }
+  
+  if (name === 'jogadores') {
+    const page = ix.options.getInteger('pagina') ?? 1;
+    await confirm(ix, { embeds: [embedPlayers(own, rosterRows(guildId), page, guildZone(guildId))] }, { ephemeral: true });
+    return;
+  }
+  
+  if (name === 'vincular' || name === 'desvincular') {
+    const nick = ix.options.getString('nick', true).trim();
+    const actor = { actorId: ix.user.id, isAdmin: !!ix.memberPermissions?.has(PermissionFlagsBits.ManageGuild) };
+    const reply = name === 'vincular'
+      ? linkPlayer(own, guildId, nick, (ix.options.getUser('membro') ?? ix.user).id, actor)
+      : unlinkPlayer(own, guildId, nick, actor);
+    await confirm(ix, reply, { ephemeral: true });
+    return;
+  }
+  
+  if (name === 'meu_relatorio') {
+    if (!qPlayersOfUser.all(guildId, ix.user.id).length) {
+      await confirm(ix, own.t('me.none'), { ephemeral: true });
+      return;
+    }
+    const sum = ix.options.getBoolean('somar') ?? false;
+    let w;
+    try {
+      w = rangeWindow(guildId, ix.options.getString('periodo') ?? 'day');
+    } catch (e) {
+      await confirm(ix, `⚠️ ${own.error(e)}`, { ephemeral: true });
       return;
     }
-    qInsertPlayer.run(guildId, nick);
-    const total = qListPlayers.all(guildId).length;
-    await confirm(ix, `✅ **${nick}** cadastrado.\n📚 Jogadores: **${total}**.`, { ephemeral: true });
+    await ix.deferReply();
+    try {
+      const results = await collectForMember(guildId, ix.user.id, w, { force });
+      const [first, ...rest] = memberReportMessages(tr, rangeTitle(tr, w), results, sum);
+      await confirm(ix, first, { edit: true });
+      for (const m of rest) await confirm(ix, m);
+    } catch (e) {
+      console.error(e);
+      await confirm(ix, tr.t('common.tryAgain'), { edit: true });
+    }
     return;
   }
   
   if (name === 'programar') {
     if (!ix.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
-      await confirm(ix, '❌ Apenas admins (Manage Server) podem programar.', { ephemeral: true });
+      await confirm(ix, own.t('perm.schedule'), { ephemeral: true });
       return;
     }
     const channel = ix.options.getChannel('canal', true);
     const horario = ix.options.getString('horario', true);
     const parsed = parseHHmm(horario);
     if (!parsed) {
-      await confirm(ix, '⚠️ Use **HH:mm** (24h), ex.: `23:55`.', { ephemeral: true });
+      await confirm(ix, `⚠️ ${own.t('schedule.error.time')}`, { ephemeral: true });
       return;
     }
-    await confirm(ix, `🗓️ Agendando **${horario} ${TZ}** em ${channel}…`, { ephemeral: true });
-    qUpsertSchedule.run(guildId, channel.id, horario);
-    await installCronsForGuild(client, guildId);
-    await confirm(ix, `✅ Programado!\n• Canal: ${channel}\n• Horário: **${horario} ${TZ}**`, { ephemeral: true });
+    const zone = guildZone(guildId);
+    await confirm(ix, own.t('program.pending', { time: horario, zone, channel }), { ephemeral: true });
+    const ids = await createDefaultScheduleJobs(client, guildId, channel.id, horario);
+    await confirm(ix, own.t('program.done', { channel, time: horario, zone, ids: ids.map(id => `#${id}`).join(', ') }), { ephemeral: true });
     return;
   }
   
   if (name === 'cancelar_programacao') {
     if (!ix.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
-      await confirm(ix, '❌ Apenas admins (Manage Server) podem cancelar programação.', { ephemeral: true });
+      await confirm(ix, own.t('perm.cancelSchedule'), { ephemeral: true });
       return;
     }
     stopCronsForGuild(guildId);
-    qDelSchedule.run(guildId);
-    await confirm(ix, '🛑 Programações **canceladas** para esta guild.', { ephemeral: true });
+    qDeleteGuildJobs.run(guildId);
+    await confirm(ix, own.t('program.canceled'), { ephemeral: true });
+    return;
+  }
+  
+  if (name === 'config') {
+    if (!ix.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await confirm(ix, own.t('perm.config'), { ephemeral: true });
+      return;
+    }
+    const sub = ix.options.getSubcommand();
+    let reply;
+    if (sub === 'ranking') {
+      try {
+        reply = setGuildRanking(own, guildId, {
+          reset: ix.options.getBoolean('padrao') || null,
+          categories: ix.options.getString('categorias'),
+          size: ix.options.getInteger('tamanho'),
+          window: ix.options.getString('janela'),
+          minMatches: ix.options.getInteger('min_partidas'),
+          minKills: ix.options.getInteger('min_kills'),
+        }, '`/config ranking`');
+      } catch (e) {
+        reply = `⚠️ ${own.error(e)}`;
+      }
+    } else if (sub === 'mvp') {
+      const change = { reset: ix.options.getBoolean('padrao') || null };
+      for (const m of MVP_METRICS) change[m] = ix.options.getInteger(MVP_OPTION_NAMES[m]);
+      try {
+        reply = setGuildMvp(own, guildId, change, '`/config mvp`');
+      } catch (e) {
+        reply = `⚠️ ${own.error(e)}`;
+      }
+    } else if (sub === 'ao_vivo') {
+      const canal = ix.options.getChannel('canal');
+      const intervalo = ix.options.getInteger('intervalo');
+      if (ix.options.getBoolean('desligar')) reply = setGuildLive(own, guildId, null);
+      else if (canal) reply = setGuildLive(own, guildId, canal.id, intervalo);
+      else reply = liveStatus(own, guildId, '`/config ao_vivo canal:#partidas`');
+    } else if (sub === 'idioma') {
+      const idioma = ix.options.getString('idioma');
+      const current = guildLanguage(guildId);
+      reply = idioma
+        ? setGuildLanguage(own, guildId, idioma)
+        : own.t('config.language.current', { language: translate(current, 'language.name'), hint: '`/config idioma`' });
+    } else {
+      const zona = ix.options.getString('zona');
+      reply = zona
+        ? await setGuildTimezone(own, client, guildId, zona)
+        : own.t('config.timezone.current', { zone: guildZone(guildId), hint: '`/config fuso zona:Europe/Lisbon`' });
+    }
+    await confirm(ix, reply, { ephemeral: true });
+    return;
+  }
+  
+  if (name === 'agendamentos') {
+    if (!ix.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await confirm(ix, own.t('perm.schedules'), { ephemeral: true });
+      return;
+    }
+    const sub = ix.options.getSubcommand();
+    try {
+      if (sub === 'listar') {
+        await confirm(ix, { embeds: [embedSchedules(own, qListJobs.all(guildId), guildZone(guildId))] }, { ephemeral: true });
+        return;
+      }
+      let reply;
+      if (sub === 'criar') {
+        reply = await createScheduleJob(own, client, guildId, {
+          kind: ix.options.getString('tipo', true),
+          period: ix.options.getString('periodo', true),
+          channelId: ix.options.getChannel('canal', true).id,
+          time: ix.options.getString('horario', true),
+          weekday: ix.options.getInteger('dia_semana'),
+          monthDay: ix.options.getInteger('dia_mes'),
+          chart: ix.options.getString('grafico'),
+        });
+      } else if (sub === 'remover') {
+        reply = await removeScheduleJob(own, client, guildId, ix.options.getInteger('id', true));
+      } else {
+        reply = await setScheduleJobEnabled(own, client, guildId, ix.options.getInteger('id', true), sub === 'retomar');
+      }
+      await confirm(ix, reply, { ephemeral: true });
+    } catch (e) {
+      await confirm(ix, `⚠️ ${own.error(e)}`, { ephemeral: true });
+    }
+    return;
+  }
+  
+  if (name === 'scraper_status') {
+    const rows = qListPlayers.all(guildId);
+    if (!rows.length) {
+      await confirm(ix, own.t('common.noPlayers'), { ephemeral: true });
+      return;
+    }
+    const status = rows.map(r => ({ username: r.username, health: qGetHealth.get(playerRef(r).key) }));
+    await confirm(ix, { embeds: [embedScraperStatus(own, status, guildZone(guildId))] }, { ephemeral: true });
+    return;
+  }
+  
+  if (name === 'partidas') {
+    const nick = ix.options.getString('nick', true).trim();
+    const limit = ix.options.getInteger('quantidade') ?? 5;
+    await ix.deferReply();
+    try {
+      const zone = guildZone(guildId);
+      const { key, username } = findPlayerRef(guildId, nick);
+      const r = await collectRecentMatches(key, limit, { force, zone });
+      if (!r.matches.length) {
+        await confirm(ix, tr.t('matches.none', { nick }), { edit: true });
+        return;
+      }
+      await confirm(ix, { embeds: [embedMatches(tr, username, r.url, r.matches, r.scrapedAt, zone)] }, { edit: true });
+    } catch (e) {
+      console.error(e);
+      await confirm(ix, tr.t('matches.failed', { nick, error: tr.error(e) }), { edit: true });
+    }
+    return;
+  }
+  
+  if (name === 'comparar') {
+    const nickA = ix.options.getString('nick1', true).trim();
+    const nickB = ix.options.getString('nick2', true).trim();
+    let w;
+    try {
+      w = rangeWindow(guildId, ix.options.getString('periodo') ?? 'week');
+    } catch (e) {
+      await confirm(ix, `⚠️ ${own.error(e)}`, { ephemeral: true });
+      return;
+    }
+    await ix.deferReply();
+    try {
+      await confirm(ix, await compareMessage(tr, guildId, nickA, nickB, w, { force }), { edit: true });
+    } catch (e) {
+      console.error(e);
+      await confirm(ix, tr.t('common.tryAgain'), { edit: true });
+    }
+    return;
+  }
+  
+  if (name === 'ranking_rank') {
+    await ix.deferReply();
+    try {
+      await confirm(ix, await rankLeaderboardMessage(tr, guildId, { force }), { edit: true });
+    } catch (e) {
+      console.error(e);
+      await confirm(ix, tr.t('common.tryAgain'), { edit: true });
+    }
+    return;
+  }
+  
+  if (name === 'recordes') {
+    const nick = ix.options.getString('nick', true).trim();
+    await ix.deferReply();
+    try {
+      await confirm(ix, await recordsMessage(tr, guildId, nick, { force }), { edit: true });
+    } catch (e) {
+      console.error(e);
+      await confirm(ix, tr.t('records.failed', { nick, error: tr.error(e) }), { edit: true });
+    }
+    return;
+  }
+  
+  if (name === 'conquistas') {
+    if (!ix.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await confirm(ix, own.t('perm.achievements'), { ephemeral: true });
+      return;
+    }
+    const sub = ix.options.getSubcommand();
+    try {
+      let reply;
+      if (sub === 'listar') reply = { embeds: [embedAchievements(own, guildAchievements(guildId))] };
+      else if (sub === 'criar') {
+        reply = createAchievement(own, guildId, { type: ix.options.getString('tipo', true), threshold: ix.options.getNumber('valor', true) });
+      } else reply = removeAchievement(own, guildId, ix.options.getInteger('id', true));
+      await confirm(ix, reply, { ephemeral: true });
+    } catch (e) {
+      await confirm(ix, `⚠️ ${own.error(e)}`, { ephemeral: true });
+    }
+    return;
+  }
+  
+  if (name === 'temporadas') {
+    if (!ix.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await confirm(ix, own.t('perm.seasons'), { ephemeral: true });
+      return;
+    }
+    const sub = ix.options.getSubcommand();
+    try {
+      let reply;
+      if (sub === 'listar') reply = { embeds: [embedSeasons(own, qSeasons.all(guildId), nowIn(guildZone(guildId)).toISODate())] };
+      else if (sub === 'criar') {
+        reply = createSeason(own, guildId, {
+          name: ix.options.getString('nome', true),
+          start: ix.options.getString('inicio', true),
+          end: ix.options.getString('fim', true),
+        });
+      } else reply = removeSeason(own, guildId, ix.options.getInteger('id', true));
+      await confirm(ix, reply, { ephemeral: true });
+    } catch (e) {
+      await confirm(ix, `⚠️ ${own.error(e)}`, { ephemeral: true });
+    }
+    return;
+  }
+  
+  if (name === 'grafico') {
+    const nick = ix.options.getString('nick', true).trim();
+    const metric = ix.options.getString('metrica', true);
+    const range = ix.options.getString('periodo') ?? 'month';
+    await ix.deferReply();
+    try {
+      const reply = await playerChartMessage(tr, guildId, nick, metric, range, { style: ix.options.getString('estilo'), force });
+      await confirm(ix, reply, { edit: true });
+    } catch (e) {
+      console.error(e);
+      await confirm(ix, tr.t('chart.failed', { nick, error: tr.error(e) }), { edit: true });
+    }
     return;
   }
   
-  if (name === 'yesterday_ranking') {
+  // Com `periodo` (temporada) ou `de`/`ate`, o ranking de ontem vira o ranking do período abaixo
+  const periodOpts = ['periodo', 'de', 'ate'].some(o => ix.options.getString(o));
+  if (name === 'yesterday_ranking' && !periodOpts) {
     await ix.deferReply();
-    const label = yesterdayLabel();
+    const label = yesterdayLabel(nowIn(guildZone(guildId)));
     try {
-      const results = await collectYesterdayForGuild(guildId);
+      const results = await collectYesterdayForGuild(guildId, { force });
       if (!results.length) {
-        await confirm(ix, '⚠️ Nenhum jogador cadastrado. Use `/cadastrar nick` primeiro.', { edit: true });
+        await confirm(ix, tr.t('common.noPlayers'), { edit: true });
         return;
       }
       const ok = results.filter(r => !r.error);
       if (!ok.length) {
-        await confirm(ix, `⚠️ Ninguém jogou **${label}**.`, { edit: true });
+        await confirm(ix, tr.t('yesterday.nobody', { label }), { edit: true });
         return;
       }
-      const rk = buildRankings(results);
-      await confirm(ix, { embeds: [embedRanking('— Ontem', rk)] }, { edit: true });
+      await confirm(ix, rankingMessage(tr, guildId, viewWindow(guildId, 'yesterday'), results), { edit: true });
     } catch (e) {
       console.error(e);
-      await confirm(ix, '❌ Não consegui gerar agora. Tente novamente.', { edit: true });
+      await confirm(ix, tr.t('common.tryAgain'), { edit: true });
     }
     return;
   }
@@ -1109,37 +2882,50 @@ client.on('interactionCreate', async (ix) => {
     monthly_ranking: 'month',
   };
   
-  if (name in rangeMap) {
-    const range = rangeMap[name];
+  // `periodo` (temporada do calendário) ou `de`/`ate` no lugar da janela do comando
+  if (name in rangeMap || name === 'yesterday_ranking') {
+    const from = ix.options.getString('de');
+    const to = ix.options.getString('ate');
+    let w;
+    try {
+      w = commandWindow(guildId, {
+        period: from || to ? { from, to } : null,
+        range: ix.options.getString('periodo'),
+        fallback: rangeMap[name],
+      });
+    } catch (e) {
+      await confirm(ix, `⚠️ ${own.error(e)}`, { ephemeral: true });
+      return;
+    }
     await ix.deferReply();
     
-    const label = range === 'day' ? 'de hoje' :
-                  range === 'week' ? 'dos últimos 7 dias' :
-                  'dos últimos 30 dias';
+    const label = rangeLabel(tr, w);
     
     const isReport = name.endsWith('report');
     
     const nickOpt = isReport ? ix.options.getString('nick') : null;
     if (isReport && nickOpt) {
       const nick = nickOpt.trim();
-      await confirm(ix, `🔎 Gerando relatório ${label} de **${nick}**…`);
+      await confirm(ix, tr.t('report.pendingOne', { range: label, nick }));
       try {
-        const r = await collectForUser(nick, range);
-        const title = range === 'day' ? 'Hoje' : range === 'week' ? 'Últimos 7 dias' : 'Últimos 30 dias';
-        await confirm(ix, { embeds: [embedReport(title, r.username, r.url, r.agg)] }, { edit: true });
-        await confirm(ix, `✅ Relatório ${label} de **${nick}** concluído.`);
+        const { key, ...who } = findPlayerRef(guildId, nick);
+        const r = { ...await collectForUserInWindow(key, w.start, w.end, { force }), ...who };
+        await confirm(ix, reportMessage(tr, w, r), { edit: true });
+        const warn = shortHistoryWarning(tr, w, [r]);
+        if (warn) await confirm(ix, warn);
+        await confirm(ix, tr.t('report.doneOne', { range: label, nick }));
       } catch (e) {
         console.error(e);
-        await confirm(ix, `❌ Falha ao gerar para **${nick}** — ${e?.message || 'erro'}`, { edit: true });
+        await confirm(ix, tr.t('report.failedOne', { nick, error: tr.error(e) }), { edit: true });
       }
       return;
     }
     
-    await confirm(ix, `🔎 Gerando ${isReport ? 'relatório' : 'ranking'} ${label}…`);
+    await confirm(ix, tr.t(isReport ? 'report.pending' : 'ranking.pending', { range: label }));
     try {
-      const results = await collectForGuild(guildId, range);
+      const results = await collectForGuildWindow(guildId, w.start, w.end, { force });
       if (!results.length) {
-        await confirm(ix, '⚠️ Nenhum jogador cadastrado. Use `/cadastrar nick` primeiro.', { edit: true });
+        await confirm(ix, tr.t('common.noPlayers'), { edit: true });
         return;
       }
       const total = results.length;
@@ -1147,27 +2933,38 @@ client.on('interactionCreate', async (ix) => {
       const fail = total - ok;
       
       if (isReport) {
-        const title = range === 'day' ? 'Hoje' : range === 'week' ? 'Últimos 7 dias' : 'Últimos 30 dias';
         for (const r of results) {
-          if (r.error) await confirm(ix, `❌ Falha em **${r.username}** — ${r.err || 'erro'}`);
-          else await confirm(ix, { embeds: [embedReport(title, r.username, r.url, r.agg)] });
+          if (r.error) await confirm(ix, tr.t('common.failedFor', { nick: r.username, error: tr.error(r.err) }));
+          else await confirm(ix, reportMessage(tr, w, r));
         }
-        await confirm(ix, `✅ Relatório ${label} concluído. **${ok}/${total}** (erros: ${fail}).`, { edit: true });
+        await confirm(ix, tr.t('report.done', { range: label, ok, total, fail }), { edit: true });
       } else {
-        const rk = buildRankings(results);
-        const title = range === 'day' ? '— Hoje' : range === 'week' ? '— Últimos 7 dias' : '— Últimos 30 dias';
-        await confirm(ix, { embeds: [embedRanking(title, rk)] }, { edit: true });
-        await confirm(ix, `✅ Ranking ${label} gerado. Considerados: **${ok}/${total}** (erros: ${fail}).`);
+        await confirm(ix, rankingMessage(tr, guildId, w, results), { edit: true });
+        await confirm(ix, tr.t('ranking.done', { range: label, ok, total, fail }));
       }
+      const warn = shortHistoryWarning(tr, w, results);
+      if (warn) await confirm(ix, warn);
     } catch (e) {
       console.error(e);
-      await confirm(ix, '❌ Não consegui gerar agora. Tente novamente.', { edit: true });
+      await confirm(ix, tr.t('common.tryAgain'), { edit: true });
     }
     return;
   }
 });
 
+// Canal de texto por menção, ID ou nome (#nome)
+function resolveTextChannel(msg, token = '') {
+  const mention = msg.mentions.channels.first();
+  if (mention?.isTextBased()) return mention;
+  const byId = msg.guild.channels.cache.get(token);
+  if (byId?.isTextBased()) return byId;
+  return msg.guild.channels.cache.find(
+    c => c.isTextBased() && c.name.toLowerCase() === token.replace(/^#/, '').toLowerCase()
+  );
+}
+
 // Handler: PREFIXO
+// Prefixo não tem locale de cliente: tudo sai no idioma da guild.
 client.on('messageCreate', async (msg) => {
   if (!msg.guild || msg.author.bot) return;
   const content = msg.content?.trim();
@@ -1178,74 +2975,319 @@ client.on('messageCreate', async (msg) => {
   
   const isAdmin = msg.member?.permissions?.has(PermissionFlagsBits.ManageGuild);
   const send = (m) => msg.channel.send(m);
+  const tr = translatorFor(msg.guild.id);
+  const adminOnly = (name) => send(tr.t('perm.command', { cmd: `${PREFIX}${name}` }));
+  
+  // `--atualizar` (ADMIN) ignora o cache de scrapes
+  const flagAt = args.indexOf('--atualizar');
+  const force = flagAt >= 0;
+  if (force) {
+    args.splice(flagAt, 1);
+    if (!isAdmin) return send(tr.t('perm.command', { cmd: '--atualizar' }));
+  }
   
   if (cmd === 'cadastrar') {
-    if (!isAdmin) return send('❌ Apenas admins (Manage Server) podem usar `!cadastrar`.');
+    if (!isAdmin) return adminOnly('cadastrar');
+    // Último argumento pode ser a plataforma: !cadastrar <nick> [pc|xbox|psn]
+    const platform = args.length > 1 ? parsePlatform(args.at(-1)) : null;
+    if (platform) args.pop();
     const nick = args.join(' ').trim();
-    if (!nick) return send('Uso: `!cadastrar <nick-ubisoft>`');
-    qInsertPlayer.run(msg.guild.id, nick);
-    const total = qListPlayers.all(msg.guild.id).length;
-    return send(`✅ **${nick}** cadastrado. Jogadores agora: **${total}**.`);
+    if (!nick) return send(tr.t('register.usage', { cmd: `${PREFIX}cadastrar` }));
+    await send(tr.t('register.pending', { nick }));
+    return send(await registerPlayer(tr, msg.guild.id, nick, platform));
   }
   
   if (cmd === 'remover') {
-    if (!isAdmin) return send('❌ Apenas admins (Manage Server) podem usar `!remover`.');
+    if (!isAdmin) return adminOnly('remover');
     const nick = args.join(' ').trim();
-    if (!nick) return send('Uso: `!remover <nick-ubisoft>`');
+    if (!nick) return send(tr.t('remove.usage', { cmd: `${PREFIX}remover` }));
     const info = qDeletePlayer.run(msg.guild.id, nick);
-    if (info.changes) return send(`🗑️ **${nick}** removido.`);
-    return send(`⚠️ **${nick}** não estava cadastrado.`);
+    if (info.changes) return send(tr.t('remove.done', { nick }));
+    return send(tr.t('remove.missing', { nick }));
   }
   
-  if (cmd === 'programar') {
-    if (!isAdmin) return send('❌ Apenas admins (Manage Server) podem usar `!programar`.');
-    if (args.length < 2) return send('Uso: `!programar #canal HH:mm`');
+  if (cmd === 'jogadores') {
+    const page = parseInt(args[0], 10) || 1;
+    return send({ embeds: [embedPlayers(tr, rosterRows(msg.guild.id), page, guildZone(msg.guild.id))] });
+  }
+  
+  if (cmd === 'importar') {
+    if (!isAdmin) return adminOnly('importar');
+    const file = msg.attachments.first();
+    if (!file) return send(tr.t('import.usage', { cmd: `${PREFIX}exportar` }));
+    return send(await importRosterFile(tr, msg.guild.id, file));
+  }
+  
+  if (cmd === 'exportar') {
+    if (!isAdmin) return adminOnly('exportar');
+    const format = (args[0] || 'csv').toLowerCase();
+    if (!ROSTER_FORMATS.includes(format)) return send(tr.t('export.usage', { prefix: PREFIX }));
+    return send(exportRosterFile(tr, msg.guild.id, format));
+  }
+  
+  if (cmd === 'vincular' || cmd === 'desvincular') {
+    const member = msg.mentions.users.first();
+    const nick = args.filter(a => !/^<@!?\d+>$/.test(a)).join(' ').trim();
+    if (!nick) return send(tr.t(`${cmd === 'vincular' ? 'link' : 'unlink'}.usage`, { prefix: PREFIX }));
+    const actor = { actorId: msg.author.id, isAdmin: !!isAdmin };
+    if (cmd === 'vincular') return send(linkPlayer(tr, msg.guild.id, nick, (member ?? msg.author).id, actor));
+    return send(unlinkPlayer(tr, msg.guild.id, nick, actor));
+  }
+  
+  if (cmd === 'meu_relatorio' || cmd === 'meu-relatorio' || cmd === 'meurelatorio') {
+    const sumAt = args.findIndex(a => a.toLowerCase() === 'somar');
+    const sum = sumAt >= 0;
+    if (sum) args.splice(sumAt, 1);
+    const range = args.length ? parsePeriod(args[0]) ?? parseSeasonRange(args[0]) : 'day';
+    if (!MEMBER_REPORT_RANGES.includes(range) || args.length > 1) return send(tr.t('me.usage', { prefix: PREFIX }));
+    if (!qPlayersOfUser.all(msg.guild.id, msg.author.id).length) return send(tr.t('me.none'));
+    let w;
+    try {
+      w = rangeWindow(msg.guild.id, range);
+    } catch (e) {
+      return send(`⚠️ ${tr.error(e)}`);
+    }
     
-    const chMention = msg.mentions.channels.first();
-    let target = chMention;
-    if (!target) {
-      const first = args[0];
-      const byId = msg.guild.channels.cache.get(first);
-      if (byId?.isTextBased()) target = byId;
-      if (!target) {
-        target = msg.guild.channels.cache.find(
-          c => c.isTextBased() && c.name.toLowerCase() === first.replace(/^#/, '').toLowerCase()
-        );
-      }
+    await send(tr.t('report.pendingOne', { range: rangeLabel(tr, w), nick: `<@${msg.author.id}>` }));
+    try {
+      const results = await collectForMember(msg.guild.id, msg.author.id, w, { force });
+      for (const m of memberReportMessages(tr, rangeTitle(tr, w), results, sum)) await send(m);
+    } catch (e) {
+      console.error(e);
+      await send(tr.t('common.tryAgain'));
     }
+    return;
+  }
+  
+  if (cmd === 'programar') {
+    if (!isAdmin) return adminOnly('programar');
+    if (args.length < 2) return send(tr.t('program.usage', { prefix: PREFIX }));
+    
+    const target = resolveTextChannel(msg, args[0]);
     const horario = args[1];
     const parsed = parseHHmm(horario || '');
     if (!target?.isTextBased() || !parsed) {
-      return send('Uso: `!programar #canal HH:mm` (ex.: `!programar #r6-status 23:55`)');
+      return send(tr.t('program.usage', { prefix: PREFIX }));
     }
     
-    await send(`🗓️ Agendando envios base **${horario} ${TZ}** em ${target}…`);
-    qUpsertSchedule.run(msg.guild.id, target.id, horario);
-    await installCronsForGuild(client, msg.guild.id);
-    return send(`✅ Programado!\n• Canal: ${target}\n• Horário: **${horario} ${TZ}**`);
+    const zone = guildZone(msg.guild.id);
+    await send(tr.t('program.pending', { time: horario, zone, channel: target }));
+    const ids = await createDefaultScheduleJobs(client, msg.guild.id, target.id, horario);
+    return send(tr.t('program.done', { channel: target, time: horario, zone, ids: ids.map(id => `#${id}`).join(', ') }));
   }
   
   if (cmd === 'cancelar-programação' || cmd === 'cancelar_programacao' || cmd === 'cancelarprogramacao') {
-    if (!isAdmin) return send('❌ Apenas admins (Manage Server) podem usar `!cancelar-programação`.');
+    if (!isAdmin) return adminOnly('cancelar-programação');
     stopCronsForGuild(msg.guild.id);
-    qDelSchedule.run(msg.guild.id);
-    return send('🛑 Programações **canceladas** para este servidor.');
+    qDeleteGuildJobs.run(msg.guild.id);
+    return send(tr.t('program.canceled'));
+  }
+  
+  if (cmd === 'config') {
+    if (!isAdmin) return adminOnly('config');
+    const sub = (args.shift() || '').toLowerCase();
+    const value = args.join(' ').trim();
+    if (sub === 'fuso') {
+      if (!value) return send(tr.t('config.timezone.current', { zone: guildZone(msg.guild.id), hint: `\`${PREFIX}config fuso Europe/Lisbon\`` }));
+      return send(await setGuildTimezone(tr, client, msg.guild.id, value));
+    }
+    if (sub === 'idioma') {
+      if (!value) {
+        return send(tr.t('config.language.current', {
+          language: tr.t('language.name'),
+          hint: `\`${PREFIX}config idioma ${LOCALES.join('|')}\``,
+        }));
+      }
+      return send(setGuildLanguage(tr, msg.guild.id, value));
+    }
+    if (sub === 'ranking') {
+      const change = parseRankingArgs(args);
+      if (!change) return send(tr.t('rankingConfig.usage', { prefix: PREFIX, max: MAX_RANKING_SIZE }));
+      try {
+        return send(setGuildRanking(tr, msg.guild.id, change, `\`${PREFIX}config ranking\``));
+      } catch (e) {
+        return send(`⚠️ ${tr.error(e)}`);
+      }
+    }
+    if (sub === 'mvp') {
+      const change = parseMvpArgs(args);
+      if (!change) return send(tr.t('mvp.usage', { prefix: PREFIX, max: MAX_MVP_WEIGHT }));
+      try {
+        return send(setGuildMvp(tr, msg.guild.id, change, `\`${PREFIX}config mvp\``));
+      } catch (e) {
+        return send(`⚠️ ${tr.error(e)}`);
+      }
+    }
+    if (sub === 'aovivo' || sub === 'ao_vivo') {
+      if (!args.length) return send(liveStatus(tr, msg.guild.id, `\`${PREFIX}config aovivo #canal [minutos]\``));
+      if (['desligar', 'off'].includes(args[0].toLowerCase())) return send(setGuildLive(tr, msg.guild.id, null));
+      const channel = resolveTextChannel(msg, args[0]);
+      if (!channel) return send(tr.t('live.usage', { prefix: PREFIX, min: MIN_POLL_MIN, max: MAX_POLL_MIN }));
+      try {
+        return send(setGuildLive(tr, msg.guild.id, channel.id, args[1]));
+      } catch (e) {
+        return send(`⚠️ ${tr.error(e)}`);
+      }
+    }
+    return send(tr.t('config.usage', { prefix: PREFIX, languages: LOCALES.join('|') }));
   }
   
-  if (cmd === 'yesterday_ranking') {
-    const label = yesterdayLabel();
-    await send('🔎 Gerando ranking **de ontem**…');
+  if (cmd === 'agendamentos') {
+    if (!isAdmin) return adminOnly('agendamentos');
+    const sub = (args.shift() || 'listar').toLowerCase();
+    const usage = tr.t('schedules.usage', { prefix: PREFIX });
+    
     try {
-      const results = await collectYesterdayForGuild(msg.guild.id);
-      if (!results.length) return send('⚠️ Nenhum jogador cadastrado.');
-      const ok = results.filter(r => !r.error);
-      if (!ok.length) return send(`⚠️ Ninguém jogou **${label}**.`);
-      const rk = buildRankings(results);
-      await send({ embeds: [embedRanking('— Ontem', rk)] });
-      return;
+      if (sub === 'listar') return send({ embeds: [embedSchedules(tr, qListJobs.all(msg.guild.id), guildZone(msg.guild.id))] });
+      
+      if (sub === 'criar') {
+        const [tipo, periodo, canal, horario, ...freq] = args;
+        const kind = parseKind(tipo);
+        const period = parsePeriod(periodo);
+        const target = canal && resolveTextChannel(msg, canal);
+        if (!kind || !period || !target || !horario) return send(usage);
+        
+        // "... grafico kd" no fim
+        let chart = null;
+        const chartAt = freq.findIndex(a => /^gr[aá]fico$/i.test(a));
+        if (chartAt >= 0) {
+          chart = parseChartMetric(freq[chartAt + 1]);
+          if (!chart) return send(`⚠️ ${tr.t('schedule.error.chartMetric')}`);
+          freq.splice(chartAt, 2);
+        }
+        
+        let weekday = null, monthDay = null;
+        if (freq[0]?.toLowerCase() === 'dia') monthDay = parseInt(freq[1], 10);
+        else if (freq.length) {
+          weekday = parseWeekday(freq[0]);
+          if (weekday === null) return send(tr.t('schedules.badWeekday', { input: freq[0], options: WEEKDAYS.join(', ') }));
+        }
+        return send(await createScheduleJob(tr, client, msg.guild.id, {
+          kind, period, channelId: target.id, time: horario, weekday, monthDay, chart,
+        }));
+      }
+      
+      const id = parseInt(args[0], 10);
+      if (!['remover', 'pausar', 'retomar'].includes(sub) || !Number.isInteger(id)) return send(usage);
+      if (sub === 'remover') return send(await removeScheduleJob(tr, client, msg.guild.id, id));
+      return send(await setScheduleJobEnabled(tr, client, msg.guild.id, id, sub === 'retomar'));
+    } catch (e) {
+      return send(`⚠️ ${tr.error(e)}`);
+    }
+  }
+  
+  if (cmd === 'partidas') {
+    const nick = args.join(' ').trim();
+    if (!nick) return send(tr.t('register.usage', { cmd: `${PREFIX}partidas` }));
+    try {
+      const zone = guildZone(msg.guild.id);
+      const { key, username } = findPlayerRef(msg.guild.id, nick);
+      const r = await collectRecentMatches(key, 5, { force, zone });
+      if (!r.matches.length) return send(tr.t('matches.none', { nick }));
+      return send({ embeds: [embedMatches(tr, username, r.url, r.matches, r.scrapedAt, zone)] });
+    } catch (e) {
+      console.error(e);
+      return send(tr.t('matches.failed', { nick, error: tr.error(e) }));
+    }
+  }
+  
+  if (cmd === 'ranking_rank') {
+    await send(tr.t('rank.pending'));
+    try {
+      return send(await rankLeaderboardMessage(tr, msg.guild.id, { force }));
+    } catch (e) {
+      console.error(e);
+      return send(tr.t('common.tryAgain'));
+    }
+  }
+  
+  if (cmd === 'recordes') {
+    const nick = args.join(' ').trim();
+    if (!nick) return send(tr.t('records.usage', { prefix: PREFIX }));
+    try {
+      return send(await recordsMessage(tr, msg.guild.id, nick, { force }));
+    } catch (e) {
+      console.error(e);
+      return send(tr.t('records.failed', { nick, error: tr.error(e) }));
+    }
+  }
+  
+  if (cmd === 'conquistas') {
+    if (!isAdmin) return adminOnly('conquistas');
+    const sub = (args.shift() || 'listar').toLowerCase();
+    const usage = tr.t('achievements.usage', { prefix: PREFIX, types: ACHIEVEMENT_TYPES.join('|') });
+    try {
+      if (sub === 'listar') return send({ embeds: [embedAchievements(tr, guildAchievements(msg.guild.id))] });
+      if (sub === 'criar') {
+        const type = parseAchievementType(args[0]);
+        if (!type || args.length !== 2) return send(usage);
+        return send(createAchievement(tr, msg.guild.id, { type, threshold: args[1] }));
+      }
+      const id = parseInt(args[0], 10);
+      if (sub !== 'remover' || !Number.isInteger(id)) return send(usage);
+      return send(removeAchievement(tr, msg.guild.id, id));
+    } catch (e) {
+      return send(`⚠️ ${tr.error(e)}`);
+    }
+  }
+  
+  if (cmd === 'temporadas') {
+    if (!isAdmin) return adminOnly('temporadas');
+    const sub = (args.shift() || 'listar').toLowerCase();
+    const usage = tr.t('seasons.usage', { prefix: PREFIX });
+    try {
+      if (sub === 'listar') return send({ embeds: [embedSeasons(tr, qSeasons.all(msg.guild.id), nowIn(guildZone(msg.guild.id)).toISODate())] });
+      if (sub === 'criar') {
+        // Nome pode ter espaços: as duas últimas palavras são as datas
+        if (args.length < 3) return send(usage);
+        const [start, end] = args.splice(-2);
+        return send(createSeason(tr, msg.guild.id, { name: args.join(' '), start, end }));
+      }
+      const id = parseInt(args[0], 10);
+      if (sub !== 'remover' || !Number.isInteger(id)) return send(usage);
+      return send(removeSeason(tr, msg.guild.id, id));
+    } catch (e) {
+      return send(`⚠️ ${tr.error(e)}`);
+    }
+  }
+  
+  if (cmd === 'comparar') {
+    const [nickA, nickB, periodo, ...extra] = args;
+    const range = periodo ? parsePeriod(periodo) ?? parseSeasonRange(periodo) : 'week';
+    if (!nickA || !nickB || !COMPARE_RANGES.includes(range) || extra.length) return send(tr.t('compare.usage', { prefix: PREFIX }));
+    let w;
+    try {
+      w = rangeWindow(msg.guild.id, range);
+    } catch (e) {
+      return send(`⚠️ ${tr.error(e)}`);
+    }
+    
+    await send(tr.t('compare.pending', { a: nickA, b: nickB }));
+    try {
+      return send(await compareMessage(tr, msg.guild.id, nickA, nickB, w, { force }));
+    } catch (e) {
+      console.error(e);
+      return send(tr.t('common.tryAgain'));
+    }
+  }
+  
+  if (cmd === 'grafico' || cmd === 'gráfico') {
+    const [nick, metrica, ...rest] = args;
+    const metric = parseChartMetric(metrica);
+    let range = 'month', style = null;
+    for (const a of rest) {
+      if (CHART_RANGES.includes(parsePeriod(a))) range = parsePeriod(a);
+      else if (parseChartStyle(a)) style = parseChartStyle(a);
+      else return send(tr.t('chart.usage', { prefix: PREFIX }));
+    }
+    if (!nick || !metric) return send(tr.t('chart.usage', { prefix: PREFIX }));
+    
+    await send(tr.t('chart.pending', { nick }));
+    try {
+      return send(await playerChartMessage(tr, msg.guild.id, nick, metric, range, { style, force }));
     } catch (e) {
       console.error(e);
-      return send('❌ Não consegui gerar agora. Tente novamente.');
+      return send(tr.t('chart.failed', { nick, error: tr.error(e) }));
     }
   }
   
@@ -1258,104 +3300,97 @@ client.on('messageCreate', async (msg) => {
     'monthly_ranking': 'month',
   };
   
-  if (cmd in rangeMap) {
-    const range = rangeMap[cmd];
+  // No lugar da janela do comando: "temporada"/"temporada_anterior" logo após
+  // o comando (calendário de /temporadas) ou "de <data> [ate <data>]"
+  const windowed = cmd in rangeMap || cmd === 'yesterday_ranking';
+  const seasonRange = windowed ? parseSeasonRange(args[0]) : null;
+  if (seasonRange) args.shift();
+  const period = windowed ? takePeriodArgs(args) : null;
+  
+  if (cmd === 'yesterday_ranking' && !seasonRange && !period) {
+    const label = yesterdayLabel(nowIn(guildZone(msg.guild.id)));
+    await send(tr.t('yesterday.pending'));
+    try {
+      const results = await collectYesterdayForGuild(msg.guild.id, { force });
+      if (!results.length) return send(tr.t('common.noPlayers'));
+      const ok = results.filter(r => !r.error);
+      if (!ok.length) return send(tr.t('yesterday.nobody', { label }));
+      await send(rankingMessage(tr, msg.guild.id, viewWindow(msg.guild.id, 'yesterday'), results));
+      return;
+    } catch (e) {
+      console.error(e);
+      return send(tr.t('common.tryAgain'));
+    }
+  }
+  
+  if (windowed) {
+    let w;
+    try {
+      w = commandWindow(msg.guild.id, { period, range: seasonRange, fallback: rangeMap[cmd] });
+    } catch (e) {
+      return send(`⚠️ ${tr.error(e)}`);
+    }
     const isReport = cmd.endsWith('report');
-    const label = range === 'day' ? 'de hoje'
-               : range === 'week' ? 'dos últimos 7 dias'
-               : 'dos últimos 30 dias';
+    const label = rangeLabel(tr, w);
     
     const singleNick = isReport && args.length ? args.join(' ').trim() : null;
     
     if (singleNick) {
-      await send(`🔎 Gerando relatório ${label} de **${singleNick}**…`);
+      await send(tr.t('report.pendingOne', { range: label, nick: singleNick }));
       try {
-        const r = await collectForUser(singleNick, range);
-        const title = range === 'day' ? 'Hoje' : range === 'week' ? 'Últimos 7 dias' : 'Últimos 30 dias';
-        await send({ embeds: [embedReport(title, r.username, r.url, r.agg)] });
-        await send(`✅ Relatório ${label} de **${singleNick}** concluído.`);
+        const { key, ...who } = findPlayerRef(msg.guild.id, singleNick);
+        const r = { ...await collectForUserInWindow(key, w.start, w.end, { force }), ...who };
+        await send(reportMessage(tr, w, r));
+        const warn = shortHistoryWarning(tr, w, [r]);
+        if (warn) await send(warn);
+        await send(tr.t('report.doneOne', { range: label, nick: singleNick }));
       } catch (e) {
         console.error(e);
-        await send(`❌ Falha ao gerar para **${singleNick}** — ${e?.message || 'erro'}`);
+        await send(tr.t('report.failedOne', { nick: singleNick, error: tr.error(e) }));
       }
       return;
     }
     
-    await send(`🔎 Gerando ${isReport ? 'relatório' : 'ranking'} ${label}…`);
+    await send(tr.t(isReport ? 'report.pending' : 'ranking.pending', { range: label }));
     try {
-      const results = await collectForGuild(msg.guild.id, range);
-      if (!results.length) return send('⚠️ Nenhum jogador cadastrado.');
+      const results = await collectForGuildWindow(msg.guild.id, w.start, w.end, { force });
+      if (!results.length) return send(tr.t('common.noPlayers'));
       
       const total = results.length;
       const ok = results.filter(r => !r.error).length;
       const fail = total - ok;
       
       if (isReport) {
-        const title = range === 'day' ? 'Hoje' : range === 'week' ? 'Últimos 7 dias' : 'Últimos 30 dias';
         for (const r of results) {
-          if (r.error) await send(`❌ Falha em **${r.username}** — ${r.err || 'erro'}`);
-          else await send({ embeds: [embedReport(title, r.username, r.url, r.agg)] });
+          if (r.error) await send(tr.t('common.failedFor', { nick: r.username, error: tr.error(r.err) }));
+          else await send(reportMessage(tr, w, r));
         }
-        await send(`✅ Relatório ${label} concluído. **${ok}/${total}** (erros: ${fail}).`);
+        await send(tr.t('report.done', { range: label, ok, total, fail }));
       } else {
-        const rk = buildRankings(results);
-        const title = range === 'day' ? '— Hoje' : range === 'week' ? '— Últimos 7 dias' : '— Últimos 30 dias';
-        await send({ embeds: [embedRanking(title, rk)] });
-        await send(`✅ Ranking ${label} gerado. Considerados: **${ok}/${total}** (erros: ${fail}).`);
+        await send(rankingMessage(tr, msg.guild.id, w, results));
+        await send(tr.t('ranking.done', { range: label, ok, total, fail }));
       }
+      const warn = shortHistoryWarning(tr, w, results);
+      if (warn) await send(warn);
     } catch (e) {
       console.error(e);
-      await send('❌ Não consegui gerar agora. Tente novamente.');
+      await send(tr.t('common.tryAgain'));
     }
     return;
   }
   
   if (cmd === 'help' || cmd === 'ajuda') {
-    const eb = new EmbedBuilder()
-      .setTitle('R6 — Ajuda')
-      .setDescription(`Prefixo: **${PREFIX}**`)
-      .addFields(
-        {
-          name: 'Cadastrar jogador (ADMIN)',
-          value: `\`${PREFIX}cadastrar <nick>\``,
-          inline: false
-        },
-        {
-          name: 'Programar envios (ADMIN)',
-          value: `\`${PREFIX}programar #canal HH:mm\``,
-          inline: false
-        },
-        {
-          name: 'Relatórios',
-          value: [
-            `\`${PREFIX}daily_report [nick]\``,
-            `\`${PREFIX}weekly_report [nick]\``,
-            `\`${PREFIX}monthly_report [nick]\``,
-          ].join('\n'),
-          inline: false
-        },
-        {
-          name: 'Rankings',
-          value: [
-            `\`${PREFIX}daily_ranking\``,
-            `\`${PREFIX}yesterday_ranking\``,
-            `\`${PREFIX}weekly_ranking\``,
-            `\`${PREFIX}monthly_ranking\``,
-          ].join('\n'),
-          inline: false
-        }
-      )
-      .setTimestamp(new Date());
-    return send({ embeds: [eb] });
+    return send({ embeds: [embedHelp(tr)] });
   }
 });
 
 // Cleanup ao desligar
 process.on('SIGINT', async () => {
   console.log('\n🛑 Encerrando bot...');
+  clearInterval(pollTimer);
   try {
-    await browserContext?.close();
-    await browserInstance?.close();
+    await scraper.close();
+    await chartSource?.close();
   } catch {}
   process.exit(0);
 });
@@ -20,7 +20,8 @@
 // ------------------------------------------------------------
 
 import 'dotenv/config';
-import { REST, Routes, SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { REST, Routes } from 'discord.js';
+import { slashCommands } from './src/commands.js';
 
 const {
   DISCORD_TOKEN,
@@ -38,34 +39,8 @@ if (!APP_ID) {
   process.exit(1);
 }
 
-// --------- defina aqui os seus comandos (mesmos do index.js) ---------
-const commands = [
-  new SlashCommandBuilder()
-    .setName('cadastrar')
-    .setDescription('Cadastrar um jogador (nick Ubisoft) para rastrear')
-    .addStringOption(o => o.setName('nick').setDescription('Nick na Ubisoft').setRequired(true))
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
-
-  new SlashCommandBuilder()
-    .setName('programar')
-    .setDescription('Programar o envio DIÁRIO do relatório de hoje em um canal')
-    .addChannelOption(o =>
-      o.setName('canal').setDescription('Canal de destino').setRequired(true)
-    )
-    .addStringOption(o =>
-      o.setName('horario').setDescription('Horário HH:mm (24h) no fuso configurado').setRequired(true)
-    )
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
-
-  new SlashCommandBuilder().setName('daily_report').setDescription('Relatório de HOJE'),
-  new SlashCommandBuilder().setName('weekly_report').setDescription('Relatório dos ÚLTIMOS 7 DIAS'),
-  new SlashCommandBuilder().setName('monthly_report').setDescription('Relatório dos ÚLTIMOS 30 DIAS'),
-
-  new SlashCommandBuilder().setName('daily_ranking').setDescription('Ranking de HOJE'),
-  new SlashCommandBuilder().setName('weekly_ranking').setDescription('Ranking dos ÚLTIMOS 7 DIAS'),
-  new SlashCommandBuilder().setName('monthly_ranking').setDescription('Ranking dos ÚLTIMOS 30 DIAS'),
-].map(c => c.toJSON());
-// ---------------------------------------------------------------------
+// Mesmos comandos que o index.js registra ao iniciar
+const commands = slashCommands;
 
 const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
 const CLEAR = process.argv.includes('--clear');
@@ -0,0 +1,36 @@
+// serve-fixtures.js
+// ------------------------------------------------------------
+// Servidor HTTP local que faz o papel do TRN, servindo o HTML salvo em
+// um diretório de fixtures. Usado com TRN_SOURCE=http para rodar o bot
+// (incluindo cron e rankings) sem rede.
+//
+// Uso:
+//  node serve-fixtures.js                   # ./fixtures na porta 8787
+//  node serve-fixtures.js ./meus-html 9000
+//
+// Rotas: GET /profile/<nick>           ->  <dir>/<nick>.html
+//        GET /profile/<nick>/overview  ->  <dir>/<nick>.overview.html
+// ------------------------------------------------------------
+
+import http from 'http';
+import fs from 'fs';
+import { findFixtureFile } from './src/sources/fixtures.js';
+
+const dir  = process.argv[2] || process.env.TRN_FIXTURES_DIR || 'fixtures';
+const port = Number(process.argv[3] || process.env.FIXTURES_PORT || 8787);
+
+const server = http.createServer((req, res) => {
+  const m = /^\/profile\/([^/?#]+)(\/overview)?/.exec(req.url || '');
+  const file = m ? findFixtureFile(dir, decodeURIComponent(m[1]) + (m[2] ? '.overview' : '')) : null;
+  if (!file) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('not found');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  fs.createReadStream(file).pipe(res);
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`📂 Servindo ${dir} em http://127.0.0.1:${port}/profile/<nick>`);
+});
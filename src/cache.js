@@ -0,0 +1,70 @@
+// src/cache.js
+// ------------------------------------------------------------
+// Cache de scrapes por nick, compartilhado entre guilds:
+//  - memória (com TTL) na frente de um `load` persistente (SQLite)
+//  - single-flight: pedidos simultâneos do mesmo nick dividem um único fetch
+// Chaves sem diferenciar maiúsculas (mesma regra do COLLATE NOCASE do banco).
+// ------------------------------------------------------------
+
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+/**
+ * entry = { url, blocks, scrapedAt, ... } — o que `fetch`/`load` devolverem.
+ * peek(username)             -> entry | null (memória; senão `load`)
+ * refresh(username, opts)    -> Promise<entry> (single-flight sobre `fetch`)
+ * ageMs(entry)               -> idade do dado em ms
+ */
+export function createScrapeCache({ ttlMs = 10 * 60 * 1000, load = () => null, fetch }) {
+  const memory = new Map();
+  const inflight = new Map();
+  const keyOf = (username) => String(username).toLowerCase();
+
+  function peek(username) {
+    const key = keyOf(username);
+    const hit = memory.get(key);
+    if (hit && Date.now() - hit.scrapedAt <= ttlMs) return hit;
+    memory.delete(key);
+
+    const stored = load(username);
+    if (stored && Number.isFinite(stored.scrapedAt)) {
+      if (Date.now() - stored.scrapedAt <= ttlMs) memory.set(key, stored);
+      return stored;
+    }
+    return null;
+  }
+
+  function refresh(username, opts = {}) {
+    const key = keyOf(username);
+    const running = inflight.get(key);
+    if (running) return running;
+
+    const p = Promise.resolve()
+      .then(() => fetch(username, opts))
+      .then((entry) => {
+        memory.set(key, entry);
+        return entry;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  return {
+    peek,
+    refresh,
+    ageMs: (entry) => (entry ? Date.now() - entry.scrapedAt : Infinity),
+    get inflight() { return inflight.size; },
+  };
+}
+
+// "dados de 4 min atrás" / "data from 4 min ago"
+export function dataAgeLabel(scrapedAt, now = Date.now(), locale = DEFAULT_LOCALE) {
+  const t = (key, vars) => translate(locale, key, vars);
+  if (!Number.isFinite(scrapedAt)) return t('age.unknown');
+  const min = Math.floor(Math.max(0, now - scrapedAt) / 60000);
+  if (min < 1) return t('age.now');
+  if (min < 60) return t('age.minutes', { n: min });
+  const h = Math.floor(min / 60);
+  if (h < 48) return t('age.hours', { n: h });
+  return t('age.days', { n: Math.floor(h / 24) });
+}
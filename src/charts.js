@@ -0,0 +1,205 @@
+// src/charts.js
+// ------------------------------------------------------------
+// Gráficos diários (/grafico e o comparativo dos rankings semanais).
+// Monta um SVG a partir dos blocos por dia do histórico (daily_stats);
+// o PNG sai do navegador da fonte (renderPng), sem nada da internet.
+// Textos e formatos de número/data chegam prontos do index.js.
+// ------------------------------------------------------------
+
+export const CHART_METRICS = ['kd', 'kills', 'wr', 'hs'];
+export const CHART_STYLES = ['line', 'bar'];
+
+// Aliases aceitos no prefixo (!grafico, !agendamentos ... grafico kd)
+const METRIC_ALIASES = {
+  kd: 'kd', 'k/d': 'kd',
+  kills: 'kills', k: 'kills', abates: 'kills',
+  wr: 'wr', winrate: 'wr', vitorias: 'wr', 'vitórias': 'wr',
+  hs: 'hs', 'hs%': 'hs', headshot: 'hs',
+};
+const STYLE_ALIASES = { line: 'line', linha: 'line', bar: 'bar', barra: 'bar', barras: 'bar' };
+
+export const parseChartMetric = (s) => METRIC_ALIASES[String(s || '').toLowerCase()] || null;
+export const parseChartStyle = (s) => STYLE_ALIASES[String(s || '').toLowerCase()] || null;
+
+export const CHART_WIDTH = 960;
+export const CHART_HEIGHT = 480;
+
+// Mais que isso no comparativo vira um emaranhado de linhas
+export const MAX_CHART_SERIES = 8;
+
+// Valor do dia (null = sem partidas, vira buraco na linha); `ref` = linha de referência
+const METRIC_SPECS = {
+  kd: { style: 'line', ref: 1, value: (b) => (b.d > 0 ? b.k / b.d : b.k) },
+  kills: { style: 'bar', value: (b) => b.k },
+  wr: { style: 'line', percent: true, ref: 50, value: (b) => (b.wins + b.losses > 0 ? (b.wins / (b.wins + b.losses)) * 100 : null) },
+  hs: { style: 'line', percent: true, value: (b) => (b.k > 0 ? b.hs_pct : null) },
+};
+
+// Paleta do Discord (blurple, verde, amarelo, fúcsia...)
+const PALETTE = ['#5865F2', '#57F287', '#FEE75C', '#EB459E', '#ED4245', '#00B0F4', '#FAA61A', '#B5BAC1'];
+const THEME = { bg: '#2b2d31', text: '#dbdee1', muted: '#949ba4', grid: '#3f4147', ref: '#80848e' };
+const FONT = 'DejaVu Sans, Liberation Sans, Arial, sans-serif';
+
+const played = (b) => !!b && (b.matches > 0 || b.wins + b.losses > 0 || b.k + b.d > 0);
+
+export function metricValue(block, metric) {
+  const spec = METRIC_SPECS[metric];
+  if (!spec || !played(block)) return null;
+  const v = spec.value(block);
+  return Number.isFinite(v) ? v : null;
+}
+
+// Estilo padrão: barras para kills, linha para as taxas
+export const defaultChartStyle = (metric) => METRIC_SPECS[metric]?.style || 'line';
+
+// Datas ISO de `start` a `end` (DateTime), um item por dia
+export function chartDays(start, end) {
+  const days = [];
+  for (let d = start.startOf('day'); d <= end; d = d.plus({ days: 1 })) days.push(d.toISODate());
+  return days;
+}
+
+const esc = (s) => String(s ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+const fix = (n) => Math.round(n * 10) / 10;
+
+// Casas do rótulo do eixo Y: só as que o valor usa (0,4 • 2 • 0,25)
+const tickDigits = (v) => [0, 1, 2].find(d => Math.abs(v * 10 ** d - Math.round(v * 10 ** d)) < 1e-9) ?? 2;
+
+// Topo "redondo" do eixo Y (1, 2, 2.5, 5 x 10^n)
+function niceMax(v) {
+  if (!(v > 0)) return 1;
+  const exp = 10 ** Math.floor(Math.log10(v));
+  for (const m of [1, 2, 2.5, 5, 10]) if (m * exp >= v) return m * exp;
+  return 10 * exp;
+}
+
+/**
+ * SVG de um gráfico por dia.
+ * `labels`: rótulo de cada dia (eixo X) • `series`: [{ name, values }] com um
+ * valor (ou null) por rótulo • `reference`: linha tracejada opcional (ex.: K/D 1,0).
+ * `formatValue` formata os números do eixo Y no idioma de quem lê.
+ */
+export function buildChartSvg({
+  title = '',
+  subtitle = '',
+  labels = [],
+  series = [],
+  style = 'line',
+  percent = false,
+  reference = null,
+  formatValue = (v) => String(+v.toFixed(2)),
+  width = CHART_WIDTH,
+  height = CHART_HEIGHT,
+}) {
+  const legend = series.length > 1;
+  const pad = { top: subtitle ? 78 : 56, right: 28, bottom: legend ? 76 : 44, left: 64 };
+  const pw = width - pad.left - pad.right;
+  const ph = height - pad.top - pad.bottom;
+  const n = Math.max(labels.length, 1);
+  const band = pw / n;
+
+  const values = series.flatMap(s => s.values).filter(Number.isFinite);
+  let yMax = niceMax(Math.max(0, ...values, reference ?? 0) * 1.1);
+  if (percent) yMax = Math.min(yMax, 100);
+  const y = (v) => pad.top + ph - (Math.min(v, yMax) / yMax) * ph;
+  const xCenter = (i) => pad.left + band * (i + 0.5);
+
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+    `<rect width="${width}" height="${height}" fill="${THEME.bg}"/>`,
+    `<text x="${pad.left}" y="34" font-size="22" font-weight="bold" fill="${THEME.text}">${esc(title)}</text>`,
+  ];
+  if (subtitle) out.push(`<text x="${pad.left}" y="60" font-size="15" fill="${THEME.muted}">${esc(subtitle)}</text>`);
+
+  // Grade e eixo Y (5 faixas: o topo "redondo" divide sem sobras)
+  for (let i = 0; i <= 5; i++) {
+    const v = (yMax / 5) * i;
+    const gy = fix(y(v));
+    out.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${gy}" y2="${gy}" stroke="${THEME.grid}"/>`);
+    out.push(`<text x="${pad.left - 8}" y="${gy + 4}" font-size="12" text-anchor="end" fill="${THEME.muted}">${esc(formatValue(v) + (percent ? '%' : ''))}</text>`);
+  }
+  if (Number.isFinite(reference) && reference <= yMax) {
+    const ry = fix(y(reference));
+    out.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${ry}" y2="${ry}" stroke="${THEME.ref}" stroke-dasharray="6 4"/>`);
+  }
+
+  // Eixo X: no máximo ~12 rótulos
+  const step = Math.ceil(n / 12);
+  labels.forEach((label, i) => {
+    if (i % step) return;
+    out.push(`<text x="${fix(xCenter(i))}" y="${pad.top + ph + 20}" font-size="12" text-anchor="middle" fill="${THEME.muted}">${esc(label)}</text>`);
+  });
+
+  series.forEach((s, si) => {
+    const color = PALETTE[si % PALETTE.length];
+    if (style === 'bar') {
+      const group = band * 0.8;
+      const bw = group / series.length;
+      s.values.forEach((v, i) => {
+        if (!Number.isFinite(v)) return;
+        const bx = fix(xCenter(i) - group / 2 + bw * si);
+        const by = fix(y(v));
+        out.push(`<rect x="${bx}" y="${by}" width="${fix(Math.max(bw - 1, 1))}" height="${fix(pad.top + ph - by)}" fill="${color}"/>`);
+      });
+      return;
+    }
+    // Linha: trechos contínuos; dias sem partida quebram a linha
+    let segment = [];
+    const flush = () => {
+      if (segment.length > 1) out.push(`<polyline points="${segment.join(' ')}" fill="none" stroke="${color}" stroke-width="2.5" stroke-linejoin="round"/>`);
+      segment = [];
+    };
+    s.values.forEach((v, i) => {
+      if (!Number.isFinite(v)) return flush();
+      const px = fix(xCenter(i));
+      const py = fix(y(v));
+      segment.push(`${px},${py}`);
+      out.push(`<circle cx="${px}" cy="${py}" r="3.5" fill="${color}"/>`);
+    });
+    flush();
+  });
+
+  if (legend) {
+    let lx = pad.left;
+    const ly = height - 22;
+    series.forEach((s, si) => {
+      out.push(`<rect x="${lx}" y="${ly - 11}" width="12" height="12" rx="2" fill="${PALETTE[si % PALETTE.length]}"/>`);
+      out.push(`<text x="${lx + 18}" y="${ly}" font-size="13" fill="${THEME.text}">${esc(s.name)}</text>`);
+      lx += 36 + String(s.name).length * 8;
+    });
+  }
+
+  out.push('</svg>');
+  return out.join('\n');
+}
+
+/**
+ * Gráfico de uma métrica por dia para um ou mais jogadores.
+ * `players`: [{ name, blocks }] (blocos do histórico) • `days`: chartDays(...)
+ * `formatDay(iso)`: rótulo do eixo X. Devolve null se ninguém jogou no período.
+ */
+export function buildMetricChart({ metric, days, players, style, title, subtitle, formatDay = (iso) => iso, formatNumber }) {
+  const spec = METRIC_SPECS[metric];
+  if (!spec) throw new Error(`Métrica inválida: ${metric}`);
+
+  const series = players.slice(0, MAX_CHART_SERIES).map(p => {
+    const byIso = new Map(p.blocks.map(b => [b.iso, b]));
+    return { name: p.name, values: days.map(iso => metricValue(byIso.get(iso), metric)) };
+  });
+  if (!series.some(s => s.values.some(v => v !== null))) return null;
+
+  return buildChartSvg({
+    title,
+    subtitle,
+    labels: days.map(iso => formatDay(iso)),
+    series,
+    style: CHART_STYLES.includes(style) ? style : spec.style,
+    percent: !!spec.percent,
+    reference: spec.ref ?? null,
+    formatValue: formatNumber ? (v) => formatNumber(v, tickDigits(v)) : undefined,
+  });
+}
+
+// Página que o navegador fotografa (o SVG ocupa a viewport inteira)
+export const chartHtml = (svg) =>
+  `<!DOCTYPE html><html><head><meta charset="utf-8"><style>html,body{margin:0;background:${THEME.bg}}svg{display:block}</style></head><body>${svg}</body></html>`;
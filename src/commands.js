@@ -0,0 +1,304 @@
+// src/commands.js
+// ------------------------------------------------------------
+// Definição dos slash commands, compartilhada pelo index.js (registro ao
+// iniciar) e pelo register.js (registro/limpeza manual via REST).
+// Nomes de opções e choices aqui; o tratamento fica no index.js.
+// ------------------------------------------------------------
+
+import { SlashCommandBuilder, PermissionFlagsBits, ChannelType } from 'discord.js';
+import { SCHEDULE_KINDS, SCHEDULE_PERIODS, WEEKDAYS, MAX_MONTH_DAY } from './schedules.js';
+import { DEFAULT_LOCALE, LOCALES, translate } from './i18n.js';
+import { ROSTER_FORMATS } from './roster.js';
+import { PLATFORMS, PLATFORM_NAMES } from './platforms.js';
+import { CHART_METRICS, CHART_STYLES } from './charts.js';
+import { ACHIEVEMENT_TYPES } from './records.js';
+import { DEFAULT_POLL_MIN, MAX_POLL_MIN, MIN_POLL_MIN } from './polling.js';
+import { MAX_SEASON_NAME, SEASON_RANGES } from './seasons.js';
+import { MAX_RANKING_MIN, MAX_RANKING_SIZE, RANKING_WINDOWS } from './rankings.js';
+import { DEFAULT_MVP_WEIGHTS, MAX_MVP_WEIGHT, MVP_METRICS, MVP_OPTION_NAMES } from './mvp.js';
+
+// /meu_relatorio: períodos aceitos (temporadas: calendário de /temporadas)
+export const MEMBER_REPORT_RANGES = ['day', 'week', 'month', ...SEASON_RANGES];
+
+// /grafico: períodos aceitos (um ponto por dia)
+export const CHART_RANGES = ['week', 'month'];
+
+// /comparar: períodos aceitos
+export const COMPARE_RANGES = ['day', 'week', 'month', ...SEASON_RANGES];
+
+// Opção de admin para ignorar o cache de scrapes
+const withRefreshOption = (b) => b.addBooleanOption(o =>
+  o.setName('atualizar').setDescription('ADMIN: ignorar o cache e raspar de novo agora').setRequired(false)
+);
+
+// Opção fixa: nome no idioma padrão + tradução que o Discord mostra a clientes em inglês
+const localizedChoice = (key, value) => ({
+  name: translate(DEFAULT_LOCALE, key),
+  name_localizations: { 'en-US': translate('en', key), 'en-GB': translate('en', key) },
+  value,
+});
+
+// Choice de período: janelas pelo título, temporadas pelo rótulo fixo
+const rangeChoice = (r) => localizedChoice(SEASON_RANGES.includes(r) ? `season.choice.${r}` : `title.${r}`, r);
+
+// Relatórios e rankings: temporada do calendário ou datas (de/até) no lugar da janela do comando
+const withPeriodOptions = (b) => b
+  .addStringOption(o =>
+    o.setName('periodo').setDescription('Temporada (calendário de /temporadas) em vez do período do comando').setRequired(false)
+      .addChoices(...SEASON_RANGES.map(rangeChoice)))
+  .addStringOption(o => o.setName('de').setDescription('Primeiro dia (DD/MM, DD/MM/AAAA ou AAAA-MM-DD)').setRequired(false))
+  .addStringOption(o => o.setName('ate').setDescription('Último dia (padrão: hoje)').setRequired(false));
+
+export const slashCommands = [
+  new SlashCommandBuilder()
+    .setName('cadastrar')
+    .setDescription('Cadastrar um jogador (nick Ubisoft) para rastrear')
+    .addStringOption(o => o.setName('nick').setDescription('Nick na Ubisoft').setRequired(true))
+    .addStringOption(o => o.setName('plataforma').setDescription('Plataforma do jogador (padrão: a do bot)').setRequired(false)
+      .addChoices(...PLATFORMS.map(p => ({ name: PLATFORM_NAMES[p], value: p }))))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  
+  new SlashCommandBuilder()
+    .setName('remover')
+    .setDescription('Remover um jogador cadastrado (o histórico salvo é mantido)')
+    .addStringOption(o => o.setName('nick').setDescription('Nick na Ubisoft').setRequired(true))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  
+  new SlashCommandBuilder()
+    .setName('jogadores')
+    .setDescription('Listar os jogadores cadastrados (quando entraram e último scrape)')
+    .addIntegerOption(o => o.setName('pagina').setDescription('Página (padrão 1)').setMinValue(1).setRequired(false)),
+  
+  new SlashCommandBuilder()
+    .setName('importar')
+    .setDescription('Cadastrar jogadores a partir de um arquivo CSV ou JSON (/exportar)')
+    .addAttachmentOption(o => o.setName('arquivo').setDescription('Arquivo .csv ou .json').setRequired(true))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  
+  new SlashCommandBuilder()
+    .setName('exportar')
+    .setDescription('Baixar a lista de jogadores (com vínculos) em CSV ou JSON')
+    .addStringOption(o => o.setName('formato').setDescription('Formato (padrão CSV)').setRequired(false)
+      .addChoices(...ROSTER_FORMATS.map(f => ({ name: f.toUpperCase(), value: f }))))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  
+  new SlashCommandBuilder()
+    .setName('vincular')
+    .setDescription('Vincular um nick cadastrado a você (ou, ADMIN, a outro membro)')
+    .addStringOption(o => o.setName('nick').setDescription('Nick Ubisoft já cadastrado').setRequired(true))
+    .addUserOption(o => o.setName('membro').setDescription('ADMIN: membro dono da conta (padrão: você)').setRequired(false)),
+  
+  new SlashCommandBuilder()
+    .setName('desvincular')
+    .setDescription('Desfazer o vínculo de um nick (seu, ou qualquer um se ADMIN)')
+    .addStringOption(o => o.setName('nick').setDescription('Nick Ubisoft').setRequired(true)),
+  
+  withRefreshOption(new SlashCommandBuilder()
+    .setName('meu_relatorio')
+    .setDescription('Relatório das contas vinculadas a você')
+    .addStringOption(o => o.setName('periodo').setDescription('Período (padrão: hoje)').setRequired(false)
+      .addChoices(...MEMBER_REPORT_RANGES.map(rangeChoice)))
+    .addBooleanOption(o => o.setName('somar').setDescription('Somar todas as suas contas num relatório só').setRequired(false))),
+  
+  new SlashCommandBuilder()
+    .setName('programar')
+    .setDescription('Atalho: agenda relatório diário + rankings semanal e mensal no mesmo horário')
+    .addChannelOption(o =>
+      o.setName('canal').setDescription('Canal de destino').addChannelTypes(ChannelType.GuildText).setRequired(true)
+    )
+    .addStringOption(o =>
+      o.setName('horario').setDescription('Horário HH:mm (24h) no fuso configurado').setRequired(true)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  
+  new SlashCommandBuilder()
+    .setName('cancelar_programacao')
+    .setDescription('Cancelar todos os envios programados desta guild')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  
+  new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('Configurações desta guild')
+    .addSubcommand(s => s
+      .setName('fuso')
+      .setDescription('Ver ou definir o fuso horário usado em janelas e agendamentos')
+      .addStringOption(o => o.setName('zona').setDescription('Fuso IANA, ex.: America/Sao_Paulo, Europe/Lisbon').setRequired(false))
+    )
+    .addSubcommand(s => s
+      .setName('idioma')
+      .setDescription('Ver ou definir o idioma das mensagens do bot nesta guild')
+      .addStringOption(o => o.setName('idioma').setDescription('Idioma').setRequired(false)
+        .addChoices(...LOCALES.map(l => ({ name: translate(l, 'language.name'), value: l }))))
+    )
+    .addSubcommand(s => s
+      .setName('ranking')
+      .setDescription('Ver ou mudar os rankings: categorias e ordem, posições e mínimos por janela')
+      .addStringOption(o => o.setName('categorias').setDescription('Categorias na ordem, ex.: kd,hs,wr,kills (vírgulas)').setRequired(false))
+      .addIntegerOption(o => o.setName('tamanho').setDescription(`Posições por categoria (1-${MAX_RANKING_SIZE})`)
+        .setMinValue(1).setMaxValue(MAX_RANKING_SIZE).setRequired(false))
+      .addStringOption(o => o.setName('janela').setDescription('Janela dos mínimos (padrão: todas)').setRequired(false)
+        .addChoices(...RANKING_WINDOWS.map(w => localizedChoice(`rankingConfig.${w}`, w))))
+      .addIntegerOption(o => o.setName('min_partidas').setDescription('Mínimo de partidas para K/D, HS%, WR, KPM, saldo e menos mortes')
+        .setMinValue(1).setMaxValue(MAX_RANKING_MIN).setRequired(false))
+      .addIntegerOption(o => o.setName('min_kills').setDescription('Mínimo de kills para HS%')
+        .setMinValue(1).setMaxValue(MAX_RANKING_MIN).setRequired(false))
+      .addBooleanOption(o => o.setName('padrao').setDescription('Voltar à configuração padrão').setRequired(false))
+    )
+    .addSubcommand(s => {
+      s.setName('mvp').setDescription('Ver ou mudar os pesos da nota do MVP semanal/mensal');
+      for (const m of MVP_METRICS) {
+        s.addIntegerOption(o => o.setName(MVP_OPTION_NAMES[m])
+          .setDescription(`Peso de ${translate(DEFAULT_LOCALE, `mvp.metric.${m}`)} (0-${MAX_MVP_WEIGHT}, padrão ${DEFAULT_MVP_WEIGHTS[m]}; 0 ignora)`)
+          .setMinValue(0).setMaxValue(MAX_MVP_WEIGHT).setRequired(false));
+      }
+      return s.addBooleanOption(o => o.setName('padrao').setDescription('Voltar aos pesos padrão').setRequired(false));
+    })
+    .addSubcommand(s => s
+      .setName('ao_vivo')
+      .setDescription('Ver, ligar ou desligar o aviso de partidas novas (checagem periódica)')
+      .addChannelOption(o =>
+        o.setName('canal').setDescription('Canal dos avisos (liga)').addChannelTypes(ChannelType.GuildText).setRequired(false)
+      )
+      .addIntegerOption(o => o.setName('intervalo').setDescription(`Minutos entre checagens (${MIN_POLL_MIN}-${MAX_POLL_MIN}, padrão ${DEFAULT_POLL_MIN})`)
+        .setMinValue(MIN_POLL_MIN).setMaxValue(MAX_POLL_MIN).setRequired(false))
+      .addBooleanOption(o => o.setName('desligar').setDescription('Desliga os avisos').setRequired(false))
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  
+  new SlashCommandBuilder()
+    .setName('agendamentos')
+    .setDescription('Gerenciar os envios programados desta guild')
+    .addSubcommand(s => s
+      .setName('criar')
+      .setDescription('Novo envio programado (relatório ou ranking)')
+      .addStringOption(o => o.setName('tipo').setDescription('O que enviar').setRequired(true)
+        .addChoices(...SCHEDULE_KINDS.map(k => localizedChoice(`schedule.kind.${k}`, k))))
+      .addStringOption(o => o.setName('periodo').setDescription('Período coberto').setRequired(true)
+        .addChoices(...SCHEDULE_PERIODS.map(p => localizedChoice(`schedule.choice.${p}`, p))))
+      .addChannelOption(o =>
+        o.setName('canal').setDescription('Canal de destino').addChannelTypes(ChannelType.GuildText).setRequired(true)
+      )
+      .addStringOption(o => o.setName('horario').setDescription('Horário HH:mm (24h) no fuso configurado').setRequired(true))
+      .addIntegerOption(o => o.setName('dia_semana').setDescription('Enviar só neste dia da semana').setRequired(false)
+        .addChoices(...WEEKDAYS.map((_, day) => localizedChoice(`weekday.${day}`, day))))
+      .addIntegerOption(o => o.setName('dia_mes').setDescription(`Enviar só neste dia do mês (1-${MAX_MONTH_DAY})`)
+        .setMinValue(1).setMaxValue(MAX_MONTH_DAY).setRequired(false))
+      .addStringOption(o => o.setName('grafico').setDescription('Rankings semanal/mensal: anexar gráfico comparativo desta métrica').setRequired(false)
+        .addChoices(...CHART_METRICS.map(m => localizedChoice(`chart.metric.${m}`, m))))
+    )
+    .addSubcommand(s => s.setName('listar').setDescription('Listar agendamentos'))
+    .addSubcommand(s => s
+      .setName('remover')
+      .setDescription('Remover um agendamento')
+      .addIntegerOption(o => o.setName('id').setDescription('Número do agendamento (#)').setRequired(true))
+    )
+    .addSubcommand(s => s
+      .setName('pausar')
+      .setDescription('Pausar um agendamento (sem apagar)')
+      .addIntegerOption(o => o.setName('id').setDescription('Número do agendamento (#)').setRequired(true))
+    )
+    .addSubcommand(s => s
+      .setName('retomar')
+      .setDescription('Retomar um agendamento pausado')
+      .addIntegerOption(o => o.setName('id').setDescription('Número do agendamento (#)').setRequired(true))
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  
+  withRefreshOption(withPeriodOptions(new SlashCommandBuilder()
+    .setName('daily_report')
+    .setDescription('Relatório de HOJE (todos ou 1 nick específico)')
+    .addStringOption(o => o.setName('nick').setDescription('Nick Ubisoft (opcional, 1 jogador)').setRequired(false)))),
+  
+  withRefreshOption(withPeriodOptions(new SlashCommandBuilder()
+    .setName('weekly_report')
+    .setDescription('Relatório dos ÚLTIMOS 7 DIAS (todos ou 1 nick específico)')
+    .addStringOption(o => o.setName('nick').setDescription('Nick Ubisoft (opcional, 1 jogador)').setRequired(false)))),
+  
+  withRefreshOption(withPeriodOptions(new SlashCommandBuilder()
+    .setName('monthly_report')
+    .setDescription('Relatório dos ÚLTIMOS 30 DIAS (todos ou 1 nick específico)')
+    .addStringOption(o => o.setName('nick').setDescription('Nick Ubisoft (opcional, 1 jogador)').setRequired(false)))),
+  
+  withRefreshOption(new SlashCommandBuilder()
+    .setName('partidas')
+    .setDescription('Últimas partidas de um jogador')
+    .addStringOption(o => o.setName('nick').setDescription('Nick Ubisoft').setRequired(true))
+    .addIntegerOption(o =>
+      o.setName('quantidade').setDescription('Quantas partidas (padrão 5)').setMinValue(1).setMaxValue(20).setRequired(false)
+    )),
+  
+  withRefreshOption(new SlashCommandBuilder()
+    .setName('ranking_rank')
+    .setDescription('Ranking pelo rank do ranqueado (rank e RP atuais de cada jogador)')),
+  
+  withRefreshOption(new SlashCommandBuilder()
+    .setName('recordes')
+    .setDescription('Recordes pessoais, sequências e conquistas de um jogador')
+    .addStringOption(o => o.setName('nick').setDescription('Nick Ubisoft').setRequired(true))),
+  
+  new SlashCommandBuilder()
+    .setName('conquistas')
+    .setDescription('Gerenciar as conquistas desta guild (anunciadas no canal de relatórios)')
+    .addSubcommand(s => s.setName('listar').setDescription('Listar conquistas'))
+    .addSubcommand(s => s
+      .setName('criar')
+      .setDescription('Nova conquista')
+      .addStringOption(o => o.setName('tipo').setDescription('O que medir').setRequired(true)
+        .addChoices(...ACHIEVEMENT_TYPES.map(t => localizedChoice(`achievement.choice.${t}`, t))))
+      .addNumberOption(o => o.setName('valor').setDescription('Meta (K/D aceita decimais)').setMinValue(0.01).setRequired(true))
+    )
+    .addSubcommand(s => s
+      .setName('remover')
+      .setDescription('Remover uma conquista (e quem já a tinha)')
+      .addIntegerOption(o => o.setName('id').setDescription('Número da conquista (#)').setRequired(true))
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  
+  new SlashCommandBuilder()
+    .setName('temporadas')
+    .setDescription('Calendário de temporadas desta guild (relatórios/rankings com periodo: temporada)')
+    .addSubcommand(s => s.setName('listar').setDescription('Listar temporadas'))
+    .addSubcommand(s => s
+      .setName('criar')
+      .setDescription('Nova temporada (o ranking final sai no canal de relatórios quando ela acaba)')
+      .addStringOption(o => o.setName('nome').setDescription(`Nome, ex.: Y10S4 (até ${MAX_SEASON_NAME} caracteres)`)
+        .setMaxLength(MAX_SEASON_NAME).setRequired(true))
+      .addStringOption(o => o.setName('inicio').setDescription('Primeiro dia (DD/MM/AAAA ou AAAA-MM-DD)').setRequired(true))
+      .addStringOption(o => o.setName('fim').setDescription('Último dia (DD/MM/AAAA ou AAAA-MM-DD)').setRequired(true))
+    )
+    .addSubcommand(s => s
+      .setName('remover')
+      .setDescription('Remover uma temporada do calendário')
+      .addIntegerOption(o => o.setName('id').setDescription('Número da temporada (#)').setRequired(true))
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  
+  withRefreshOption(new SlashCommandBuilder()
+    .setName('comparar')
+    .setDescription('Um contra um: K/D, KPM, WR, HS%, saldo e partidas de dois jogadores')
+    .addStringOption(o => o.setName('nick1').setDescription('Nick Ubisoft').setRequired(true))
+    .addStringOption(o => o.setName('nick2').setDescription('Nick Ubisoft').setRequired(true))
+    .addStringOption(o => o.setName('periodo').setDescription('Período (padrão: últimos 7 dias)').setRequired(false)
+      .addChoices(...COMPARE_RANGES.map(rangeChoice)))),
+  
+  withRefreshOption(new SlashCommandBuilder()
+    .setName('grafico')
+    .setDescription('Gráfico diário de K/D, kills, win rate ou HS% de um jogador')
+    .addStringOption(o => o.setName('nick').setDescription('Nick Ubisoft').setRequired(true))
+    .addStringOption(o => o.setName('metrica').setDescription('Métrica').setRequired(true)
+      .addChoices(...CHART_METRICS.map(m => localizedChoice(`chart.metric.${m}`, m))))
+    .addStringOption(o => o.setName('periodo').setDescription('Período (padrão: últimos 30 dias)').setRequired(false)
+      .addChoices(...CHART_RANGES.map(r => localizedChoice(`title.${r}`, r))))
+    .addStringOption(o => o.setName('estilo').setDescription('Linha ou barras (padrão: barras para kills, linha para o resto)').setRequired(false)
+      .addChoices(...CHART_STYLES.map(s => localizedChoice(`chart.style.${s}`, s))))),
+  
+  new SlashCommandBuilder()
+    .setName('scraper_status')
+    .setDescription('Último sucesso/falha do scraper por jogador')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  
+  withRefreshOption(withPeriodOptions(new SlashCommandBuilder().setName('daily_ranking').setDescription('Ranking de HOJE'))),
+  withRefreshOption(withPeriodOptions(new SlashCommandBuilder().setName('yesterday_ranking').setDescription('Ranking de ONTEM'))),
+  withRefreshOption(withPeriodOptions(new SlashCommandBuilder().setName('weekly_ranking').setDescription('Ranking dos ÚLTIMOS 7 DIAS'))),
+  withRefreshOption(withPeriodOptions(new SlashCommandBuilder().setName('monthly_ranking').setDescription('Ranking dos ÚLTIMOS 30 DIAS'))),
+].map(c => c.toJSON());
@@ -0,0 +1,45 @@
+// src/compare.js
+// ------------------------------------------------------------
+// Comparação 1 contra 1 (/comparar): os números de `aggregate` de dois
+// jogadores lado a lado, com o vencedor e a diferença de cada métrica.
+// Só regras; busca e embed ficam no index.js.
+// ------------------------------------------------------------
+
+// Ordem das linhas no embed (todas: maior é melhor)
+export const COMPARE_METRICS = ['kd', 'kpm', 'wr', 'hs_pct', 'net', 'matches'];
+
+// Taxas só valem se os dois jogaram no período (0 partidas não "perde" K/D)
+const RATE_METRICS = new Set(['kd', 'kpm', 'wr', 'hs_pct']);
+
+const num = (v) => (Number.isFinite(v) ? v : 0);
+const playedDay = (b) => b.matches > 0 || b.wins + b.losses > 0;
+
+/**
+ * Compara dois resultados de `aggregate`.
+ * Devolve uma linha por métrica: { metric, a, b, winner: 'a'|'b'|null, delta }
+ * (`delta` >= 0; winner null = empate ou taxa sem partidas de um dos lados).
+ */
+export function compareAggregates(a, b) {
+  const bothPlayed = num(a.matches) > 0 && num(b.matches) > 0;
+  return COMPARE_METRICS.map(metric => {
+    const va = num(a[metric]);
+    const vb = num(b[metric]);
+    const diff = va - vb;
+    const decided = (bothPlayed || !RATE_METRICS.has(metric)) && Math.abs(diff) > 1e-9;
+    return { metric, a: va, b: vb, winner: decided ? (diff > 0 ? 'a' : 'b') : null, delta: Math.abs(diff) };
+  });
+}
+
+// Placar: quantas métricas cada um levou
+export function compareScore(rows) {
+  return {
+    a: rows.filter(r => r.winner === 'a').length,
+    b: rows.filter(r => r.winner === 'b').length,
+  };
+}
+
+// Dias (ISO) em que os dois têm partidas no histórico
+export function sharedDays(blocksA, blocksB) {
+  const days = new Set(blocksA.filter(playedDay).map(b => b.iso));
+  return blocksB.filter(b => playedDay(b) && days.has(b.iso)).length;
+}
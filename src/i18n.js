@@ -0,0 +1,75 @@
+// src/i18n.js
+// ------------------------------------------------------------
+// Mensagens do bot em pt-BR e en: catálogos em src/locales/,
+// tradução com {variáveis} e formatação de números/datas por idioma.
+// ------------------------------------------------------------
+
+import ptBR from './locales/pt-BR.js';
+import en from './locales/en.js';
+
+export const DEFAULT_LOCALE = 'pt-BR';
+
+export const CATALOGS = {
+  'pt-BR': ptBR,
+  en,
+};
+
+export const LOCALES = Object.keys(CATALOGS);
+
+// Locale do Discord ('pt-BR', 'en-US', 'en-GB', ...) ou entrada do usuário -> idioma suportado
+export function resolveLocale(input) {
+  const v = String(input || '').trim().toLowerCase();
+  if (!v) return null;
+  const exact = LOCALES.find(l => l.toLowerCase() === v);
+  if (exact) return exact;
+  const base = v.split(/[-_]/)[0];
+  return LOCALES.find(l => l.toLowerCase().split('-')[0] === base) || null;
+}
+
+// Chave ausente cai no pt-BR e, por fim, na própria chave
+export function translate(locale, key, vars = {}) {
+  const msg = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+/**
+ * Erro com mensagem traduzível: `message` fica no idioma padrão (logs);
+ * quem mostra ao usuário usa tr.error(e) para traduzir.
+ */
+export function localizedError(key, vars = {}) {
+  const err = new Error(translate(DEFAULT_LOCALE, key, vars));
+  err.i18n = { key, vars };
+  return err;
+}
+
+/**
+ * Tradutor preso a um idioma.
+ * t(key, vars) • num(v, casas) • pct(v) • signed(v) • date(DateTime, formato) • error(e)
+ */
+export function createTranslator(locale) {
+  const lang = resolveLocale(locale) || DEFAULT_LOCALE;
+  const nf = new Map();
+  const numberFormat = (digits) => {
+    if (!nf.has(digits)) {
+      nf.set(digits, new Intl.NumberFormat(lang, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+    }
+    return nf.get(digits);
+  };
+
+  const t = (key, vars) => translate(lang, key, vars);
+  const num = (v, digits = 0) => numberFormat(digits).format(Number.isFinite(Number(v)) ? Number(v) : 0);
+
+  return {
+    locale: lang,
+    t,
+    num,
+    pct: (v, digits = 1) => `${num(v, digits)}%`,
+    signed: (v) => {
+      const n = Number.isFinite(v) ? Math.round(v) : 0;
+      return n > 0 ? `+${num(n)}` : num(n);
+    },
+    // `format`: nome de um formato do catálogo (dayMonth, dayMonthTime, monthYear)
+    date: (dt, format) => dt.setLocale(lang).toFormat(t(`fmt.${format}`)),
+    error: (e) => (e?.i18n ? t(e.i18n.key, e.i18n.vars) : e?.message || t('common.error')),
+  };
+}
@@ -0,0 +1,370 @@
+// src/locales/en.js
+// ------------------------------------------------------------
+// English catalog. Same keys as pt-BR.js.
+// ------------------------------------------------------------
+
+export default {
+  'language.name': 'English',
+
+  'fmt.dayMonth': 'LLL d',
+  'fmt.dayMonthTime': 'LLL d, HH:mm',
+  'fmt.monthYear': 'LLL yyyy',
+  'fmt.date': 'LLL d, yyyy',
+
+  'common.error': 'error',
+  'common.noPlayers': '⚠️ No players registered. Use `/cadastrar nick` first.',
+  'common.tryAgain': "❌ Couldn't build it right now. Please try again.",
+  'common.failedFor': '❌ Failed for **{nick}** — {error}',
+
+  'perm.register': '❌ Only admins (Manage Server) can register players.',
+  'perm.schedule': '❌ Only admins (Manage Server) can schedule posts.',
+  'perm.cancelSchedule': '❌ Only admins (Manage Server) can cancel scheduled posts.',
+  'perm.config': '❌ Only admins (Manage Server) can change settings.',
+  'perm.achievements': '❌ Only admins (Manage Server) can change achievements.',
+  'perm.seasons': '❌ Only admins (Manage Server) can change the season calendar.',
+  'perm.schedules': '❌ Only admins (Manage Server) can manage schedules.',
+  'perm.force': '❌ Only admins (Manage Server) can force a refresh.',
+  'perm.command': '❌ Only admins (Manage Server) can use `{cmd}`.',
+  'perm.link': '❌ Only admins (Manage Server) can link other members or nicks that already belong to someone else.',
+
+  'register.usage': 'Usage: `{cmd} <ubisoft-nick>`',
+  'register.done': '✅ **{nick}** ({platform}) registered.\n📚 Players: **{total}**.',
+  'register.pending': '🔎 Checking profile **{nick}** on TRN…',
+  'register.exists': 'ℹ️ **{nick}** is already registered.',
+  'register.sameProfile': 'ℹ️ **{nick}** is the same Ubisoft account as **{other}**, which is already registered.',
+  'register.invalid': "❌ Couldn't confirm profile **{nick}** on TRN — {error}\nCheck the nick and try again.",
+  'remove.usage': 'Usage: `{cmd} <ubisoft-nick>`',
+  'remove.done': '🗑️ **{nick}** removed.',
+  'remove.missing': '⚠️ **{nick}** was not registered.',
+
+  'link.usage': 'Usage: `{prefix}vincular <nick> [@member]`',
+  'link.notRegistered': '⚠️ **{nick}** is not registered. An admin needs to use `/cadastrar` first.',
+  'link.done': '🔗 **{nick}** linked to {user}.',
+  'unlink.usage': 'Usage: `{prefix}desvincular <nick>`',
+  'unlink.done': '✂️ **{nick}** unlinked.',
+  'unlink.missing': '⚠️ **{nick}** is not linked to anyone.',
+
+  'players.title': 'R6 — Players ({total})',
+  'players.line': '{nick} • added {added} • last scrape {scraped}',
+  'players.page': 'Page {page}/{pages}',
+  'import.usage': 'Attach a .csv or .json file (the same format `{cmd}` produces).',
+  'import.tooBig': '⚠️ File too large (max {max} KB).',
+  'import.done': '📥 Import done: **{added}** new, **{linked}** links added, **{skipped}** already registered.{invalid}\n📚 Players: **{total}**.',
+  'import.invalid': '\n⚠️ Skipped lines (invalid nick or ID): {lines}',
+  'import.failed': "❌ Couldn't import the file — {error}",
+  'export.usage': 'Usage: `{prefix}exportar [csv|json]`',
+  'export.done': '📤 **{total}** players exported ({format}).',
+  'roster.error.json': 'Invalid JSON (expected a list of players).',
+  'roster.error.empty': 'The file has no players.',
+  'roster.error.tooMany': 'The file has more than {max} players.',
+  'me.none': '⚠️ You have no linked nicks. Use `/vincular nick` first.',
+  'me.usage': 'Usage: `{prefix}meu_relatorio [hoje|semana|mes] [somar]`',
+
+  'program.usage': 'Usage: `{prefix}programar #channel HH:mm` (e.g. `{prefix}programar #r6-status 23:55`)',
+  'program.pending': '🗓️ Scheduling **{time} {zone}** in {channel}…',
+  'program.done': '✅ Scheduled!\n• Channel: {channel}\n• Time: **{time} {zone}**\n• Schedules: {ids}',
+  'program.canceled': '🛑 Scheduled posts **canceled** for this server.',
+
+  'config.usage': 'Usage: `{prefix}config fuso [zone]`, `{prefix}config idioma [{languages}]`, `{prefix}config aovivo [#channel [minutes] | desligar]`, `{prefix}config ranking [...]` or `{prefix}config mvp [...]`',
+  'config.timezone.current': '🕒 Server time zone: **{zone}**. To change it: {hint}.',
+  'config.timezone.invalid': '⚠️ Invalid time zone: **{input}**. Use an IANA name, e.g. `America/Sao_Paulo`, `Europe/Lisbon`.',
+  'config.timezone.set': '✅ Server time zone: **{zone}** (now {now}).',
+  'config.language.current': '🌐 Server language: **{language}**. To change it: {hint}.',
+  'config.language.invalid': '⚠️ Invalid language: **{input}**. Options: {options}.',
+  'config.language.set': '✅ Server language: **{language}**.',
+
+  'schedules.title': 'R6 — Schedules',
+  'schedules.empty': 'No schedules. Use `/agendamentos criar`.',
+  'schedules.footer': 'Time zone: {zone}',
+  'schedules.usage': 'Usage:\n`{prefix}agendamentos listar`\n`{prefix}agendamentos criar <relatorio|ranking> <hoje|ontem|semana|mes> #channel HH:mm [weekday | dia N] [grafico kd|kills|wr|hs]`\n`{prefix}agendamentos remover|pausar|retomar <id>`',
+  'schedules.badWeekday': '⚠️ Invalid weekday: **{input}** (use {options}).',
+  'schedule.duplicate': '⚠️ An identical schedule already exists: **#{id}**.',
+  'schedule.created': '✅ Schedule **#{id}** created: {job} in <#{channel}> • {freq} ({zone}).',
+  'schedule.notFound': '⚠️ Schedule **#{id}** not found.',
+  'schedule.resumed': '▶️ Schedule **#{id}** resumed ({job}).',
+  'schedule.paused': '⏸️ Schedule **#{id}** paused ({job}).',
+  'schedule.removed': '🗑️ Schedule **#{id}** removed ({job}).',
+  'schedule.job': '{kind} {period}',
+  'schedule.kind.report': 'Report',
+  'schedule.kind.ranking': 'Ranking',
+  'schedule.period.day': 'for today',
+  'schedule.period.yesterday': 'for yesterday',
+  'schedule.period.week': 'for last week',
+  'schedule.period.month': 'for last month',
+  'schedule.choice.day': 'Today',
+  'schedule.choice.yesterday': 'Yesterday',
+  'schedule.choice.week': 'Last week',
+  'schedule.choice.month': 'Last month',
+  'schedule.freq.daily': 'daily at {time}',
+  'schedule.freq.weekly': 'every {day} at {time}',
+  'schedule.freq.monthly': 'on day {day} at {time}',
+  'schedule.error.kind': 'Invalid type (use report or ranking).',
+  'schedule.error.period': 'Invalid period (use today, yesterday, week or month).',
+  'schedule.error.channel': 'Channel is required.',
+  'schedule.error.time': 'Use **HH:mm** (24h), e.g. `23:55`.',
+  'schedule.error.both': 'Pick a weekday **or** a day of the month, not both.',
+  'schedule.error.weekday': 'Invalid weekday.',
+  'schedule.error.monthDay': 'Day of the month must be between 1 and {max}.',
+  'schedule.error.chartMetric': 'Invalid chart metric (use kd, kills, wr or hs).',
+  'schedule.error.chart': 'Charts are only available on last week/last month rankings.',
+  'schedule.withChart': '+ {metric} chart',
+  'weekday.0': 'Sun',
+  'weekday.1': 'Mon',
+  'weekday.2': 'Tue',
+  'weekday.3': 'Wed',
+  'weekday.4': 'Thu',
+  'weekday.5': 'Fri',
+  'weekday.6': 'Sat',
+
+  'range.day': 'for today',
+  'range.week': 'for the last 7 days',
+  'range.month': 'for the last 30 days',
+  'range.season': 'for season {name}',
+  'range.custom': 'from {from} to {to}',
+  'range.customDay': 'for {day}',
+  'title.day': 'Today',
+  'title.week': 'Last 7 days',
+  'title.month': 'Last 30 days',
+  'title.yesterday': 'Yesterday',
+  'title.prevWeek': 'Last Week ({from}–{to})',
+  'title.prevMonth': 'Last Month ({month})',
+  'title.season': 'Season {name} ({from}–{to})',
+  'title.custom': '{from}–{to}',
+  'title.customDay': '{day}',
+
+  'report.title': 'R6 — {range} • {nick}',
+  'report.days': 'Days',
+  'report.pendingOne': '🔎 Building report {range} for **{nick}**…',
+  'report.doneOne': '✅ Report {range} for **{nick}** done.',
+  'report.failedOne': '❌ Failed to build for **{nick}** — {error}',
+  'report.pending': '🔎 Building report {range}…',
+  'report.done': '✅ Report {range} done. **{ok}/{total}** (errors: {fail}).',
+  'rank.field': 'Rank',
+  'rank.unranked': 'Unranked',
+  'rank.peak': '📈 Season peak: {rank}{rp}',
+  'rank.peakShort': 'peak {rank}',
+  'rank.title': 'R6 — Rank leaderboard (ranked)',
+  'rank.none': 'Nobody has a saved rank yet.',
+  'rank.unrankedList': 'Unranked',
+  'rank.pending': '🔎 Building the rank leaderboard…',
+  'rank.up': '⬆️ {who} ranked up to **{rank}**{rp} (was: {from})',
+  'rank.down': '⬇️ {who} dropped to **{rank}**{rp} (was: {from})',
+
+  'ranking.title': 'R6 — Ranking — {range}',
+  'ranking.pending': '🔎 Building ranking {range}…',
+  'ranking.done': '✅ Ranking {range} built. Counted: **{ok}/{total}** (errors: {fail}).',
+  'ranking.matches': '{n} matches',
+  'ranking.mostKills': 'Most kills',
+  'ranking.leastDeaths': 'Fewest deaths',
+  'ranking.bestKD': 'Best K/D',
+  'ranking.bestHS': 'Best HS%',
+  'ranking.mostWins': 'Most wins',
+  'ranking.highestWR': 'Best win rate%',
+  'ranking.bestKPM': 'Best kills per match',
+  'ranking.bestNet': 'Kill balance',
+  'ranking.mostMatches': 'Most matches played',
+  'ranking.excludedMatches': 'Below the minimum of {min} match(es) (left out of rate categories): {list}',
+  'ranking.excludedKills': 'Left out of HS% (min. {min} kills): {list}',
+  'view.range.day': 'Today',
+  'view.range.yesterday': 'Yesterday',
+  'view.range.week': '7d',
+  'view.range.month': '30d',
+  'view.category': 'Category',
+  'view.all': 'All categories',
+  'yesterday.pending': "🔎 Building **yesterday's** ranking…",
+  'yesterday.nobody': '⚠️ Nobody played on **{label}**.',
+  'yesterday.noData': 'No data for {label}',
+  'yesterday.noBlock': 'No block for "{label}"',
+
+  'live.title': '🎮 New match • {nick}',
+  'live.more': '…and **{n}** more match(es) from **{nick}** since the last check.',
+  'live.on': '✅ Live matches in {channel}: each player is checked every **{minutes} min** (up to {max} min while idle).',
+  'live.off': '🔕 Live matches turned off.',
+  'live.status': '📡 Live matches in {channel}, every **{minutes} min** (up to {max} min while idle) • {players} player(s). To change: {hint}.',
+  'live.statusOff': '🔕 Live matches are off. To turn on: {hint}.',
+  'live.usage': 'Usage: `{prefix}config aovivo #channel [minutes {min}-{max}]` or `{prefix}config aovivo desligar`',
+  'live.error.interval': 'Invalid interval: use {min} to {max} minutes.',
+  'rankingConfig.day': 'Day',
+  'rankingConfig.week': 'Week (up to 7 days)',
+  'rankingConfig.month': 'Month (over 7 days)',
+  'rankingConfig.window': '{window}: {matches} match(es), {kills} kill(s) for HS%',
+  'rankingConfig.summary': '🏆 **Rankings**: {categories}\nTop **{size}** per category • Minimums — {mins}\nTo change: {hint}.',
+  'rankingConfig.saved': '✅ Rankings updated.',
+  'rankingConfig.reset': '↩️ Rankings back to the defaults.',
+  'rankingConfig.usage': 'Usage: `{prefix}config ranking` (show), `{prefix}config ranking categorias kd,hs,wr,kills`, `{prefix}config ranking tamanho <1-{max}>`, `{prefix}config ranking minimo [dia|semana|mes] <matches> [kills]` or `{prefix}config ranking padrao`',
+  'rankingConfig.error.category': 'Unknown category: "{value}" (use {list}).',
+  'rankingConfig.error.empty': 'Give at least one category.',
+  'rankingConfig.error.size': 'Invalid size: {min} to {max}.',
+  'rankingConfig.error.min': 'Invalid minimum: {min} to {max}.',
+  'mvp.title': '⭐ MVP — {range}',
+  'mvp.score': '{who} with a score of **{score}**/100',
+  'mvp.breakdown': 'How the score was built',
+  'mvp.part': '{metric}: {value} → {norm} × weight {weight} = **{points}**',
+  'mvp.runnersUp': 'Runners-up',
+  'mvp.footer': 'Each metric goes from 0% (worst) to 100% (best) among the {n} player(s) with {min}+ match(es); weights in /config mvp.',
+  'mvp.metric.kd': 'K/D',
+  'mvp.metric.wr': 'WR',
+  'mvp.metric.kpm': 'KPM',
+  'mvp.metric.hs_pct': 'HS%',
+  'mvp.metric.matches': 'Matches',
+  'mvp.metric.net': 'Net',
+  'mvp.summary': '⭐ **MVP weights** (weekly/monthly): {weights}\nTo change: {hint}.',
+  'mvp.saved': '✅ MVP weights updated.',
+  'mvp.reset': '↩️ MVP weights back to the defaults.',
+  'mvp.usage': 'Usage: `{prefix}config mvp` (show), `{prefix}config mvp kd 40 hs 0 ...` (kd, wr, kpm, hs, partidas, saldo; 0-{max}) or `{prefix}config mvp padrao`',
+  'mvp.error.metric': 'Unknown metric: "{value}".',
+  'mvp.error.weight': 'Invalid weight: 0 to {max}.',
+  'mvp.error.zero': 'At least one metric needs a weight above 0.',
+
+  'matches.title': 'R6 — Last {count} matches • {nick}',
+  'matches.none': '⚠️ No saved matches for **{nick}**.',
+  'matches.failed': '❌ Failed to fetch matches for **{nick}** — {error}',
+
+  'records.title': 'R6 — Records • {nick}',
+  'records.type.kills_day': 'Most kills in a day',
+  'records.type.kd_day': 'Best daily K/D (min. {min} matches)',
+  'records.type.play_streak': 'Most days played in a row',
+  'records.type.win_streak': 'Longest win streak',
+  'records.type.loss_streak': 'Longest losing streak',
+  'records.unit.days': '{n} day(s)',
+  'records.unit.matches': '{n} match(es)',
+  'records.current.win': '🔥 Current streak: **{n}** win(s)',
+  'records.current.loss': '🥶 Current streak: **{n}** loss(es)',
+  'records.current.none': 'No streak going',
+  'records.totals': 'Saved history: **{matches}** matches • **{wins}** wins • **{k}** kills',
+  'records.achievements': 'Achievements',
+  'records.none': '⚠️ No saved matches for **{nick}**.',
+  'records.failed': '❌ Failed to fetch records for **{nick}** — {error}',
+  'records.usage': 'Usage: `{prefix}recordes <nick>`',
+  'records.newTitle': '🏅 News from {nick}',
+  'records.newRecord': '📈 New record — **{record}**: {value} (was: {previous})',
+  'records.unlocked': '🏆 Achievement unlocked: **{name}**',
+
+  'achievement.kills_day': '{n} kills in a day',
+  'achievement.kd_day': '{n} K/D in a day',
+  'achievement.win_streak': '{n} wins in a row',
+  'achievement.play_streak': '{n} days played in a row',
+  'achievement.matches': '{n} matches',
+  'achievement.choice.kills_day': 'Kills in a day',
+  'achievement.choice.kd_day': 'K/D in a day',
+  'achievement.choice.win_streak': 'Wins in a row',
+  'achievement.choice.play_streak': 'Days played in a row',
+  'achievement.choice.matches': 'Matches (total)',
+  'achievement.error.type': 'Invalid achievement type (use {types}).',
+  'achievement.error.threshold': 'Invalid goal: K/D from 0.01 to 100; everything else a whole number from 1.',
+  'achievements.title': 'R6 — Achievements',
+  'achievements.empty': 'No achievements. Use `/conquistas criar`.',
+  'achievements.footer': 'Announced in the channel of the first scheduled report',
+  'achievements.created': '✅ Achievement **#{id}** created: {name}.',
+  'achievements.duplicate': '⚠️ That achievement already exists: **#{id}**.',
+  'achievements.removed': '🗑️ Achievement **#{id}** removed ({name}).',
+  'achievements.notFound': '⚠️ Achievement **#{id}** not found.',
+  'achievements.usage': 'Usage:\n`{prefix}conquistas listar`\n`{prefix}conquistas criar <{types}> <value>`\n`{prefix}conquistas remover <id>`',
+  'season.choice.season': 'Current season',
+  'season.choice.lastSeason': 'Previous season',
+  'season.error.season': 'No season in progress on the calendar. Admins: `/temporadas criar`.',
+  'season.error.lastSeason': 'No finished season on the calendar. Admins: `/temporadas criar`.',
+  'season.error.name': 'Invalid name: 1 to {max} characters.',
+  'season.error.date': 'Invalid date: use DD/MM/YYYY or YYYY-MM-DD.',
+  'season.error.order': 'The start must be before the end (or on the same day).',
+  'season.error.duplicate': 'Season **{name}** already exists.',
+  'season.error.overlap': 'The dates overlap season **{name}**.',
+  'season.ended': '🏁 Season **{name}** is over! Final ranking:',
+  'season.totals.title': 'Season {name} — server totals',
+  'season.totals.players': '{n} of {total} player(s) played this season.',
+  'season.totals.matches': 'Matches',
+  'seasons.title': 'R6 — Seasons',
+  'seasons.empty': 'No seasons. Use `/temporadas criar`.',
+  'seasons.footer': 'The final ranking goes to the channel of the first scheduled report',
+  'seasons.current': '🟢 in progress',
+  'seasons.created': '✅ Season **#{id}** created: {season}.',
+  'seasons.removed': '🗑️ Season **#{id}** removed ({name}).',
+  'seasons.notFound': '⚠️ Season **#{id}** not found.',
+  'seasons.usage': 'Usage:\n`{prefix}temporadas listar`\n`{prefix}temporadas criar <name> <start> <end>` (dates DD/MM/YYYY)\n`{prefix}temporadas remover <id>`',
+  'period.error.from': 'Give the first day (`de`); `ate` alone is not enough.',
+  'period.error.date': 'Invalid date: "{value}" (use DD/MM, DD/MM/YYYY or YYYY-MM-DD).',
+  'period.error.order': 'The first day (`de`) must come before the last one (`ate`).',
+  'period.error.future': 'The period cannot go past today (in the server timezone).',
+  'period.error.long': 'Period too long: at most {max} days.',
+  'period.error.withSeason': 'Use `periodo` (season) or `de`/`ate`, not both.',
+  'period.shortHistory': "⚠️ The saved history of these players doesn't reach back to {from} (the TRN page only shows recent days): {list}. Days before that are not counted.",
+  'period.shortOne': '**{nick}** (since {day})',
+
+  'compare.title': 'R6 — {a} vs {b} • {range}',
+  'compare.score': '🏆 Score: **{a}** {winsA} x {winsB} **{b}**',
+  'compare.metric': 'Metric',
+  'compare.metric.kd': 'K/D',
+  'compare.metric.kpm': 'Kills/match',
+  'compare.metric.wr': 'Win rate',
+  'compare.metric.hs_pct': 'HS%',
+  'compare.metric.net': 'Net (K−D)',
+  'compare.metric.matches': 'Matches',
+  'compare.pp': '+{value} pp',
+  'compare.together': 'Together',
+  'compare.sharedDays': '📅 Days both played: **{days}**',
+  'compare.sharedMatches': '🤝 Matches played together: **{matches}**',
+  'compare.pending': '⚔️ Comparing **{a}** and **{b}**…',
+  'compare.same': '⚠️ Pick two different nicks.',
+  'compare.failed': '❌ Comparison failed (**{nick}**) — {error}',
+  'compare.usage': 'Usage: `{prefix}comparar <nick1> <nick2> [hoje|semana|mes]`',
+
+  'chart.metric.kd': 'K/D',
+  'chart.metric.kills': 'Kills',
+  'chart.metric.wr': 'Win rate',
+  'chart.metric.hs': 'HS%',
+  'chart.style.line': 'Line',
+  'chart.style.bar': 'Bars',
+  'chart.title': '{metric} per day • {nick}',
+  'chart.compareTitle': '{metric} per day — comparison',
+  'chart.pending': '📈 Building chart for **{nick}**…',
+  'chart.none': '⚠️ **{nick}** has no matches {range}.',
+  'chart.failed': '❌ Failed to build the chart for **{nick}** — {error}',
+  'chart.usage': 'Usage: `{prefix}grafico <nick> <kd|kills|wr|hs> [semana|mes] [linha|barras]`',
+
+  'state.ok': 'ok',
+  'state.empty': 'no matches',
+  'state.unrecognized': 'Page not recognized (did the TRN layout change?)',
+  'state.blocked': 'Blocked by Cloudflare',
+  'state.error': 'Failed to load',
+  'state.notfound': 'Profile not found on TRN',
+  'error.page.unrecognized': 'Page not recognized (did the TRN layout change?) ({url})',
+  'error.page.blocked': 'Blocked by Cloudflare ({url})',
+  'error.page.notfound': 'Profile not found (wrong or renamed nick?) ({url})',
+  'status.title': 'R6 — Scraper status',
+  'status.never': '⏳ **{nick}** — not scraped yet',
+  'status.ok': '✅ **{nick}** — ok {when}',
+  'status.okEmpty': '✅ **{nick}** — ok {when} (no matches)',
+  'status.failing': '❌ **{nick}** — {state} {when} • last ok: {lastOk}',
+  'alert.scraper': "🚨 **Scraper**: {state} while reading **{nick}**.\nThis player's reports will fail until the parser is fixed.",
+
+  'age.unknown': 'data without timestamp',
+  'age.now': 'data from just now',
+  'age.minutes': 'data from {n} min ago',
+  'age.hours': 'data from {n} h ago',
+  'age.days': 'data from {n} days ago',
+
+  'help.title': 'R6 — Help',
+  'help.prefix': 'Prefix: **{prefix}**',
+  'help.register': 'Players (changes: ADMIN)',
+  'help.importHint': '(with the .csv/.json file attached)',
+  'help.config': 'Settings (ADMIN)',
+  'help.liveHint': '(new matches posted to the channel; {min}-{max} min)',
+  'help.rankingConfigHint': '(ranking categories, places and minimums)',
+  'help.mvpHint': '(weights of the weekly/monthly MVP score)',
+  'help.schedule': 'Scheduled posts (ADMIN)',
+  'help.programHint': '(daily + weekly + monthly)',
+  'help.reports': 'Reports',
+  'help.matches': 'Matches',
+  'help.records': 'Records and achievements',
+  'help.achievementsHint': '(achievements: ADMIN)',
+  'help.charts': 'Charts',
+  'help.link': 'Linked accounts',
+  'help.linkHint': '(member: ADMIN only)',
+  'help.rankings': 'Rankings',
+  'help.rankHint': '(ranked rank and RP)',
+  'help.periodHint': 'Reports and rankings take `temporada` or `temporada_anterior` right after the command, or `de <date> [ate <date>]` (DD/MM).',
+  'help.seasons': 'Seasons (ADMIN)',
+  'help.seasonsHint': '(dates DD/MM/YYYY; automatic final ranking)',
+  'help.force': 'Force refresh (ADMIN)',
+  'help.forceText': 'Append `--atualizar` to reports, rankings, matches and charts to skip the cache ({ttl} min).',
+};
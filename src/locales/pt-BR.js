@@ -0,0 +1,383 @@
+// src/locales/pt-BR.js
+// ------------------------------------------------------------
+// Catálogo pt-BR (idioma padrão). Chaves planas; {nome} é substituído.
+// Toda chave nova precisa existir também em en.js (test/i18n.test.js confere).
+// ------------------------------------------------------------
+
+export default {
+  'language.name': 'Português (Brasil)',
+
+  // Formatos de data (Luxon)
+  'fmt.dayMonth': 'dd/LL',
+  'fmt.dayMonthTime': 'dd/LL HH:mm',
+  'fmt.monthYear': 'LL/yyyy',
+  'fmt.date': 'dd/LL/yyyy',
+
+  'common.error': 'erro',
+  'common.noPlayers': '⚠️ Nenhum jogador cadastrado. Use `/cadastrar nick` primeiro.',
+  'common.tryAgain': '❌ Não consegui gerar agora. Tente novamente.',
+  'common.failedFor': '❌ Falha em **{nick}** — {error}',
+
+  // Permissões
+  'perm.register': '❌ Apenas admins (Manage Server) podem cadastrar jogadores.',
+  'perm.schedule': '❌ Apenas admins (Manage Server) podem programar.',
+  'perm.cancelSchedule': '❌ Apenas admins (Manage Server) podem cancelar programação.',
+  'perm.config': '❌ Apenas admins (Manage Server) podem alterar configurações.',
+  'perm.achievements': '❌ Só admins (Gerenciar Servidor) podem mudar as conquistas.',
+  'perm.seasons': '❌ Só admins (Gerenciar Servidor) podem mudar o calendário de temporadas.',
+  'perm.schedules': '❌ Apenas admins (Manage Server) podem gerenciar agendamentos.',
+  'perm.force': '❌ Apenas admins (Manage Server) podem forçar atualização.',
+  'perm.command': '❌ Apenas admins (Manage Server) podem usar `{cmd}`.',
+  'perm.link': '❌ Apenas admins (Manage Server) podem vincular outros membros ou nicks que já são de outra pessoa.',
+
+  // Jogadores
+  'register.usage': 'Uso: `{cmd} <nick-ubisoft>`',
+  'register.done': '✅ **{nick}** ({platform}) cadastrado.\n📚 Jogadores: **{total}**.',
+  'register.pending': '🔎 Conferindo o perfil **{nick}** no TRN…',
+  'register.exists': 'ℹ️ **{nick}** já está cadastrado.',
+  'register.sameProfile': 'ℹ️ **{nick}** é a mesma conta Ubisoft de **{other}**, que já está cadastrado.',
+  'register.invalid': '❌ Não consegui confirmar o perfil **{nick}** no TRN — {error}\nConfira o nick e tente de novo.',
+  'remove.usage': 'Uso: `{cmd} <nick-ubisoft>`',
+  'remove.done': '🗑️ **{nick}** removido.',
+  'remove.missing': '⚠️ **{nick}** não estava cadastrado.',
+
+  'link.usage': 'Uso: `{prefix}vincular <nick> [@membro]`',
+  'link.notRegistered': '⚠️ **{nick}** não está cadastrado. Um admin precisa usar `/cadastrar` primeiro.',
+  'link.done': '🔗 **{nick}** vinculado a {user}.',
+  'unlink.usage': 'Uso: `{prefix}desvincular <nick>`',
+  'unlink.done': '✂️ **{nick}** desvinculado.',
+  'unlink.missing': '⚠️ **{nick}** não está vinculado a ninguém.',
+
+  'players.title': 'R6 — Jogadores ({total})',
+  'players.line': '{nick} • cadastrado {added} • último scrape {scraped}',
+  'players.page': 'Página {page}/{pages}',
+  'import.usage': 'Anexe um arquivo .csv ou .json (o mesmo formato gerado por `{cmd}`).',
+  'import.tooBig': '⚠️ Arquivo grande demais (máx. {max} KB).',
+  'import.done': '📥 Importação concluída: **{added}** novos, **{linked}** vínculos adicionados, **{skipped}** já cadastrados.{invalid}\n📚 Jogadores: **{total}**.',
+  'import.invalid': '\n⚠️ Linhas ignoradas (nick ou ID inválido): {lines}',
+  'import.failed': '❌ Não consegui importar o arquivo — {error}',
+  'export.usage': 'Uso: `{prefix}exportar [csv|json]`',
+  'export.done': '📤 **{total}** jogadores exportados ({format}).',
+  'roster.error.json': 'JSON inválido (esperada uma lista de jogadores).',
+  'roster.error.empty': 'O arquivo não tem jogadores.',
+  'roster.error.tooMany': 'O arquivo tem mais de {max} jogadores.',
+  'me.none': '⚠️ Você não tem nicks vinculados. Use `/vincular nick` primeiro.',
+  'me.usage': 'Uso: `{prefix}meu_relatorio [hoje|semana|mes] [somar]`',
+
+  // /programar
+  'program.usage': 'Uso: `{prefix}programar #canal HH:mm` (ex.: `{prefix}programar #r6-status 23:55`)',
+  'program.pending': '🗓️ Agendando **{time} {zone}** em {channel}…',
+  'program.done': '✅ Programado!\n• Canal: {channel}\n• Horário: **{time} {zone}**\n• Agendamentos: {ids}',
+  'program.canceled': '🛑 Programações **canceladas** para esta guild.',
+
+  // /config
+  'config.usage': 'Uso: `{prefix}config fuso [zona]`, `{prefix}config idioma [{languages}]`, `{prefix}config aovivo [#canal [minutos] | desligar]`, `{prefix}config ranking [...]` ou `{prefix}config mvp [...]`',
+  'config.timezone.current': '🕒 Fuso desta guild: **{zone}**. Para mudar: {hint}.',
+  'config.timezone.invalid': '⚠️ Fuso inválido: **{input}**. Use um nome IANA, ex.: `America/Sao_Paulo`, `Europe/Lisbon`.',
+  'config.timezone.set': '✅ Fuso desta guild: **{zone}** (agora {now}).',
+  'config.language.current': '🌐 Idioma desta guild: **{language}**. Para mudar: {hint}.',
+  'config.language.invalid': '⚠️ Idioma inválido: **{input}**. Opções: {options}.',
+  'config.language.set': '✅ Idioma desta guild: **{language}**.',
+
+  // Agendamentos
+  'schedules.title': 'R6 — Agendamentos',
+  'schedules.empty': 'Nenhum agendamento. Use `/agendamentos criar`.',
+  'schedules.footer': 'Fuso: {zone}',
+  'schedules.usage': 'Uso:\n`{prefix}agendamentos listar`\n`{prefix}agendamentos criar <relatorio|ranking> <hoje|ontem|semana|mes> #canal HH:mm [dia-da-semana | dia N] [grafico kd|kills|wr|hs]`\n`{prefix}agendamentos remover|pausar|retomar <id>`',
+  'schedules.badWeekday': '⚠️ Dia da semana inválido: **{input}** (use {options}).',
+  'schedule.duplicate': '⚠️ Já existe um agendamento igual: **#{id}**.',
+  'schedule.created': '✅ Agendamento **#{id}** criado: {job} em <#{channel}> • {freq} ({zone}).',
+  'schedule.notFound': '⚠️ Agendamento **#{id}** não encontrado.',
+  'schedule.resumed': '▶️ Agendamento **#{id}** retomado ({job}).',
+  'schedule.paused': '⏸️ Agendamento **#{id}** pausado ({job}).',
+  'schedule.removed': '🗑️ Agendamento **#{id}** removido ({job}).',
+  'schedule.job': '{kind} {period}',
+  'schedule.kind.report': 'Relatório',
+  'schedule.kind.ranking': 'Ranking',
+  'schedule.period.day': 'de hoje',
+  'schedule.period.yesterday': 'de ontem',
+  'schedule.period.week': 'da semana anterior',
+  'schedule.period.month': 'do mês anterior',
+  'schedule.choice.day': 'Hoje',
+  'schedule.choice.yesterday': 'Ontem',
+  'schedule.choice.week': 'Semana anterior',
+  'schedule.choice.month': 'Mês anterior',
+  'schedule.freq.daily': 'todo dia {time}',
+  'schedule.freq.weekly': 'toda {day} {time}',
+  'schedule.freq.monthly': 'dia {day} {time}',
+  'schedule.error.kind': 'Tipo inválido (use relatório ou ranking).',
+  'schedule.error.period': 'Período inválido (use hoje, ontem, semana ou mês).',
+  'schedule.error.channel': 'Canal obrigatório.',
+  'schedule.error.time': 'Use **HH:mm** (24h), ex.: `23:55`.',
+  'schedule.error.both': 'Escolha dia da semana **ou** dia do mês, não os dois.',
+  'schedule.error.weekday': 'Dia da semana inválido.',
+  'schedule.error.monthDay': 'Dia do mês deve ser de 1 a {max}.',
+  'schedule.error.chartMetric': 'Métrica do gráfico inválida (use kd, kills, wr ou hs).',
+  'schedule.error.chart': 'O gráfico só vale para rankings da semana ou do mês anterior.',
+  'schedule.withChart': '+ gráfico de {metric}',
+  'weekday.0': 'dom',
+  'weekday.1': 'seg',
+  'weekday.2': 'ter',
+  'weekday.3': 'qua',
+  'weekday.4': 'qui',
+  'weekday.5': 'sex',
+  'weekday.6': 'sáb',
+
+  // Janelas
+  'range.day': 'de hoje',
+  'range.week': 'dos últimos 7 dias',
+  'range.month': 'dos últimos 30 dias',
+  'range.season': 'da temporada {name}',
+  'range.custom': 'de {from} a {to}',
+  'range.customDay': 'de {day}',
+  'title.day': 'Hoje',
+  'title.week': 'Últimos 7 dias',
+  'title.month': 'Últimos 30 dias',
+  'title.yesterday': 'Ontem',
+  'title.prevWeek': 'Semana Anterior ({from}–{to})',
+  'title.prevMonth': 'Mês Anterior ({month})',
+  'title.season': 'Temporada {name} ({from}–{to})',
+  'title.custom': '{from}–{to}',
+  'title.customDay': '{day}',
+
+  // Relatórios e rankings
+  'report.title': 'R6 — {range} • {nick}',
+  'report.days': 'Dias',
+  'report.pendingOne': '🔎 Gerando relatório {range} de **{nick}**…',
+  'report.doneOne': '✅ Relatório {range} de **{nick}** concluído.',
+  'report.failedOne': '❌ Falha ao gerar para **{nick}** — {error}',
+  'report.pending': '🔎 Gerando relatório {range}…',
+  'report.done': '✅ Relatório {range} concluído. **{ok}/{total}** (erros: {fail}).',
+  'rank.field': 'Rank',
+  'rank.unranked': 'Sem rank',
+  'rank.peak': '📈 Pico da temporada: {rank}{rp}',
+  'rank.peakShort': 'pico {rank}',
+  'rank.title': 'R6 — Ranking de rank (ranqueado)',
+  'rank.none': 'Ninguém com rank salvo ainda.',
+  'rank.unrankedList': 'Sem rank',
+  'rank.pending': '🔎 Gerando ranking de rank…',
+  'rank.up': '⬆️ {who} subiu para **{rank}**{rp} (antes: {from})',
+  'rank.down': '⬇️ {who} caiu para **{rank}**{rp} (antes: {from})',
+
+  'ranking.title': 'R6 — Ranking — {range}',
+  'ranking.pending': '🔎 Gerando ranking {range}…',
+  'ranking.done': '✅ Ranking {range} gerado. Considerados: **{ok}/{total}** (erros: {fail}).',
+  'ranking.matches': '{n} partidas',
+  'ranking.mostKills': 'Quem mais matou',
+  'ranking.leastDeaths': 'Quem menos morreu',
+  'ranking.bestKD': 'Melhor K/D',
+  'ranking.bestHS': 'Melhor HS%',
+  'ranking.mostWins': 'Quem mais venceu',
+  'ranking.highestWR': 'Melhor Win Rate%',
+  'ranking.bestKPM': 'Melhor Kill Por Partida',
+  'ranking.bestNet': 'Saldo de Kills',
+  'ranking.mostMatches': 'Quem mais jogou',
+  'ranking.excludedMatches': 'Abaixo do mínimo de {min} partida(s) (fora das categorias de taxa): {list}',
+  'ranking.excludedKills': 'Fora do HS% (mín. {min} kills): {list}',
+  'view.range.day': 'Hoje',
+  'view.range.yesterday': 'Ontem',
+  'view.range.week': '7d',
+  'view.range.month': '30d',
+  'view.category': 'Categoria',
+  'view.all': 'Todas as categorias',
+  'yesterday.pending': '🔎 Gerando ranking **de ontem**…',
+  'yesterday.nobody': '⚠️ Ninguém jogou **{label}**.',
+  'yesterday.noData': 'Sem dados para {label}',
+  'yesterday.noBlock': 'Sem bloco de "{label}"',
+
+  // Partidas
+  'live.title': '🎮 Partida nova • {nick}',
+  'live.more': '…e mais **{n}** partida(s) de **{nick}** desde a última checagem.',
+  'live.on': '✅ Partidas ao vivo em {channel}: cada jogador é checado a cada **{minutes} min** (até {max} min para quem está sem jogar).',
+  'live.off': '🔕 Partidas ao vivo desligadas.',
+  'live.status': '📡 Partidas ao vivo em {channel}, a cada **{minutes} min** (até {max} min sem partidas) • {players} jogador(es). Para mudar: {hint}.',
+  'live.statusOff': '🔕 Partidas ao vivo desligadas. Para ligar: {hint}.',
+  'live.usage': 'Uso: `{prefix}config aovivo #canal [minutos {min}-{max}]` ou `{prefix}config aovivo desligar`',
+  'live.error.interval': 'Intervalo inválido: use de {min} a {max} minutos.',
+  'rankingConfig.day': 'Dia',
+  'rankingConfig.week': 'Semana (até 7 dias)',
+  'rankingConfig.month': 'Mês (mais de 7 dias)',
+  'rankingConfig.window': '{window}: {matches} partida(s), {kills} kill(s) p/ HS%',
+  'rankingConfig.summary': '🏆 **Rankings**: {categories}\nTop **{size}** por categoria • Mínimos — {mins}\nPara mudar: {hint}.',
+  'rankingConfig.saved': '✅ Rankings atualizados.',
+  'rankingConfig.reset': '↩️ Rankings de volta ao padrão.',
+  'rankingConfig.usage': 'Uso: `{prefix}config ranking` (ver), `{prefix}config ranking categorias kd,hs,wr,kills`, `{prefix}config ranking tamanho <1-{max}>`, `{prefix}config ranking minimo [dia|semana|mes] <partidas> [kills]` ou `{prefix}config ranking padrao`',
+  'rankingConfig.error.category': 'Categoria desconhecida: "{value}" (use {list}).',
+  'rankingConfig.error.empty': 'Informe ao menos uma categoria.',
+  'rankingConfig.error.size': 'Tamanho inválido: de {min} a {max}.',
+  'rankingConfig.error.min': 'Mínimo inválido: de {min} a {max}.',
+  'mvp.title': '⭐ MVP — {range}',
+  'mvp.score': '{who} com nota **{score}**/100',
+  'mvp.breakdown': 'Como a nota foi montada',
+  'mvp.part': '{metric}: {value} → {norm} × peso {weight} = **{points}**',
+  'mvp.runnersUp': 'Na sequência',
+  'mvp.footer': 'Cada métrica vai de 0% (pior) a 100% (melhor) entre os {n} jogador(es) com {min}+ partida(s); pesos em /config mvp.',
+  'mvp.metric.kd': 'K/D',
+  'mvp.metric.wr': 'WR',
+  'mvp.metric.kpm': 'KPM',
+  'mvp.metric.hs_pct': 'HS%',
+  'mvp.metric.matches': 'Partidas',
+  'mvp.metric.net': 'Saldo',
+  'mvp.summary': '⭐ **Pesos do MVP** (semanal/mensal): {weights}\nPara mudar: {hint}.',
+  'mvp.saved': '✅ Pesos do MVP atualizados.',
+  'mvp.reset': '↩️ Pesos do MVP de volta ao padrão.',
+  'mvp.usage': 'Uso: `{prefix}config mvp` (mostra), `{prefix}config mvp kd 40 hs 0 ...` (kd, wr, kpm, hs, partidas, saldo; 0-{max}) ou `{prefix}config mvp padrao`',
+  'mvp.error.metric': 'Métrica desconhecida: "{value}".',
+  'mvp.error.weight': 'Peso inválido: de 0 a {max}.',
+  'mvp.error.zero': 'Pelo menos uma métrica precisa de peso maior que 0.',
+
+  'matches.title': 'R6 — Últimas {count} partidas • {nick}',
+  'matches.none': '⚠️ Nenhuma partida salva para **{nick}**.',
+  'matches.failed': '❌ Falha ao buscar partidas de **{nick}** — {error}',
+
+  'records.title': 'R6 — Recordes • {nick}',
+  'records.type.kills_day': 'Mais kills num dia',
+  'records.type.kd_day': 'Melhor K/D num dia (mín. {min} partidas)',
+  'records.type.play_streak': 'Mais dias seguidos jogando',
+  'records.type.win_streak': 'Mais vitórias seguidas',
+  'records.type.loss_streak': 'Mais derrotas seguidas',
+  'records.unit.days': '{n} dia(s)',
+  'records.unit.matches': '{n} partida(s)',
+  'records.current.win': '🔥 Sequência atual: **{n}** vitória(s)',
+  'records.current.loss': '🥶 Sequência atual: **{n}** derrota(s)',
+  'records.current.none': 'Sem sequência em andamento',
+  'records.totals': 'No histórico salvo: **{matches}** partidas • **{wins}** vitórias • **{k}** kills',
+  'records.achievements': 'Conquistas',
+  'records.none': '⚠️ Nenhuma partida salva para **{nick}**.',
+  'records.failed': '❌ Falha ao buscar recordes de **{nick}** — {error}',
+  'records.usage': 'Uso: `{prefix}recordes <nick>`',
+  'records.newTitle': '🏅 Novidades de {nick}',
+  'records.newRecord': '📈 Novo recorde — **{record}**: {value} (antes: {previous})',
+  'records.unlocked': '🏆 Conquista desbloqueada: **{name}**',
+
+  'achievement.kills_day': '{n} kills num dia',
+  'achievement.kd_day': 'K/D de {n} num dia',
+  'achievement.win_streak': '{n} vitórias seguidas',
+  'achievement.play_streak': '{n} dias seguidos jogando',
+  'achievement.matches': '{n} partidas',
+  'achievement.choice.kills_day': 'Kills num dia',
+  'achievement.choice.kd_day': 'K/D num dia',
+  'achievement.choice.win_streak': 'Vitórias seguidas',
+  'achievement.choice.play_streak': 'Dias seguidos jogando',
+  'achievement.choice.matches': 'Partidas (total)',
+  'achievement.error.type': 'Tipo de conquista inválido (use {types}).',
+  'achievement.error.threshold': 'Meta inválida: K/D de 0,01 a 100; os demais, número inteiro a partir de 1.',
+  'achievements.title': 'R6 — Conquistas',
+  'achievements.empty': 'Nenhuma conquista. Use `/conquistas criar`.',
+  'achievements.footer': 'Anunciadas no canal do primeiro relatório agendado',
+  'achievements.created': '✅ Conquista **#{id}** criada: {name}.',
+  'achievements.duplicate': '⚠️ Já existe essa conquista: **#{id}**.',
+  'achievements.removed': '🗑️ Conquista **#{id}** removida ({name}).',
+  'achievements.notFound': '⚠️ Conquista **#{id}** não encontrada.',
+  'achievements.usage': 'Uso:\n`{prefix}conquistas listar`\n`{prefix}conquistas criar <{types}> <valor>`\n`{prefix}conquistas remover <id>`',
+  'season.choice.season': 'Temporada atual',
+  'season.choice.lastSeason': 'Temporada anterior',
+  'season.error.season': 'Nenhuma temporada em andamento no calendário. Admins: `/temporadas criar`.',
+  'season.error.lastSeason': 'Nenhuma temporada encerrada no calendário. Admins: `/temporadas criar`.',
+  'season.error.name': 'Nome inválido: de 1 a {max} caracteres.',
+  'season.error.date': 'Data inválida: use DD/MM/AAAA ou AAAA-MM-DD.',
+  'season.error.order': 'O início precisa ser antes do fim (ou no mesmo dia).',
+  'season.error.duplicate': 'Já existe a temporada **{name}**.',
+  'season.error.overlap': 'As datas se sobrepõem às da temporada **{name}**.',
+  'season.ended': '🏁 Fim da temporada **{name}**! Ranking final:',
+  'season.totals.title': 'Temporada {name} — totais da guild',
+  'season.totals.players': '{n} de {total} jogador(es) jogaram na temporada.',
+  'season.totals.matches': 'Partidas',
+  'seasons.title': 'R6 — Temporadas',
+  'seasons.empty': 'Nenhuma temporada. Use `/temporadas criar`.',
+  'seasons.footer': 'O ranking final sai no canal do primeiro relatório agendado',
+  'seasons.current': '🟢 em andamento',
+  'seasons.created': '✅ Temporada **#{id}** criada: {season}.',
+  'seasons.removed': '🗑️ Temporada **#{id}** removida ({name}).',
+  'seasons.notFound': '⚠️ Temporada **#{id}** não encontrada.',
+  'seasons.usage': 'Uso:\n`{prefix}temporadas listar`\n`{prefix}temporadas criar <nome> <início> <fim>` (datas DD/MM/AAAA)\n`{prefix}temporadas remover <id>`',
+  'period.error.from': 'Informe o primeiro dia (`de`); `ate` sozinho não vale.',
+  'period.error.date': 'Data inválida: "{value}" (use DD/MM, DD/MM/AAAA ou AAAA-MM-DD).',
+  'period.error.order': 'O primeiro dia (`de`) precisa ser antes do último (`ate`).',
+  'period.error.future': 'O período não pode passar de hoje (no fuso da guild).',
+  'period.error.long': 'Período longo demais: no máximo {max} dias.',
+  'period.error.withSeason': 'Use `periodo` (temporada) ou `de`/`ate`, não os dois.',
+  'period.shortHistory': '⚠️ O histórico salvo destes jogadores não chega até {from} (a página do TRN só mostra os dias recentes): {list}. Os dias antes disso não entram na conta.',
+  'period.shortOne': '**{nick}** (desde {day})',
+
+  'compare.title': 'R6 — {a} x {b} • {range}',
+  'compare.score': '🏆 Placar: **{a}** {winsA} x {winsB} **{b}**',
+  'compare.metric': 'Métrica',
+  'compare.metric.kd': 'K/D',
+  'compare.metric.kpm': 'Kills/partida',
+  'compare.metric.wr': 'Win rate',
+  'compare.metric.hs_pct': 'HS%',
+  'compare.metric.net': 'Saldo (K−D)',
+  'compare.metric.matches': 'Partidas',
+  'compare.pp': '+{value} p.p.',
+  'compare.together': 'Em comum',
+  'compare.sharedDays': '📅 Dias em que os dois jogaram: **{days}**',
+  'compare.sharedMatches': '🤝 Partidas juntos: **{matches}**',
+  'compare.pending': '⚔️ Comparando **{a}** e **{b}**…',
+  'compare.same': '⚠️ Escolha dois nicks diferentes.',
+  'compare.failed': '❌ Falha ao comparar (**{nick}**) — {error}',
+  'compare.usage': 'Uso: `{prefix}comparar <nick1> <nick2> [hoje|semana|mes]`',
+
+  'chart.metric.kd': 'K/D',
+  'chart.metric.kills': 'Kills',
+  'chart.metric.wr': 'Win rate',
+  'chart.metric.hs': 'HS%',
+  'chart.style.line': 'Linha',
+  'chart.style.bar': 'Barras',
+  'chart.title': '{metric} por dia • {nick}',
+  'chart.compareTitle': '{metric} por dia — comparativo',
+  'chart.pending': '📈 Gerando gráfico de **{nick}**…',
+  'chart.none': '⚠️ **{nick}** não tem partidas {range}.',
+  'chart.failed': '❌ Falha ao gerar o gráfico de **{nick}** — {error}',
+  'chart.usage': 'Uso: `{prefix}grafico <nick> <kd|kills|wr|hs> [semana|mes] [linha|barras]`',
+
+  // Saúde do scraper
+  'state.ok': 'ok',
+  'state.empty': 'sem partidas',
+  'state.unrecognized': 'Página não reconhecida (layout do TRN mudou?)',
+  'state.blocked': 'Bloqueado pelo Cloudflare',
+  'state.error': 'Erro ao carregar',
+  'state.notfound': 'Perfil não encontrado no TRN',
+  'error.page.unrecognized': 'Página não reconhecida (layout do TRN mudou?) ({url})',
+  'error.page.blocked': 'Bloqueado pelo Cloudflare ({url})',
+  'error.page.notfound': 'Perfil não encontrado (nick errado ou renomeado?) ({url})',
+  'status.title': 'R6 — Status do scraper',
+  'status.never': '⏳ **{nick}** — ainda não raspado',
+  'status.ok': '✅ **{nick}** — ok {when}',
+  'status.okEmpty': '✅ **{nick}** — ok {when} (sem partidas)',
+  'status.failing': '❌ **{nick}** — {state} {when} • último ok: {lastOk}',
+  'alert.scraper': '🚨 **Scraper**: {state} ao ler **{nick}**.\nOs relatórios desse jogador vão falhar até o parser ser ajustado.',
+
+  // Idade dos dados
+  'age.unknown': 'dados sem data',
+  'age.now': 'dados de agora há pouco',
+  'age.minutes': 'dados de {n} min atrás',
+  'age.hours': 'dados de {n} h atrás',
+  'age.days': 'dados de {n} dias atrás',
+
+  // Ajuda
+  'help.title': 'R6 — Ajuda',
+  'help.prefix': 'Prefixo: **{prefix}**',
+  'help.register': 'Jogadores (alterações: ADMIN)',
+  'help.importHint': '(com o arquivo .csv/.json anexado)',
+  'help.config': 'Configurações (ADMIN)',
+  'help.liveHint': '(partidas novas no canal; {min}-{max} min)',
+  'help.rankingConfigHint': '(categorias, posições e mínimos dos rankings)',
+  'help.mvpHint': '(pesos da nota do MVP semanal/mensal)',
+  'help.schedule': 'Programar envios (ADMIN)',
+  'help.programHint': '(diário + semanal + mensal)',
+  'help.reports': 'Relatórios',
+  'help.matches': 'Partidas',
+  'help.records': 'Recordes e conquistas',
+  'help.achievementsHint': '(conquistas: ADMIN)',
+  'help.charts': 'Gráficos',
+  'help.link': 'Vincular contas',
+  'help.linkHint': '(membro só por ADMIN)',
+  'help.rankings': 'Rankings',
+  'help.rankHint': '(rank e RP do ranqueado)',
+  'help.periodHint': 'Relatórios e rankings aceitam `temporada` ou `temporada_anterior` logo após o comando, ou `de <data> [ate <data>]` (DD/MM).',
+  'help.seasons': 'Temporadas (ADMIN)',
+  'help.seasonsHint': '(datas DD/MM/AAAA; ranking final automático)',
+  'help.force': 'Forçar atualização (ADMIN)',
+  'help.forceText': 'Acrescente `--atualizar` a relatórios, rankings, partidas e gráficos para ignorar o cache ({ttl} min).',
+};
@@ -0,0 +1,107 @@
+// src/mvp.js
+// ------------------------------------------------------------
+// MVP do período: nota composta (0-100) a partir dos campos do aggregate
+// (K/D, WR, KPM, HS%, partidas, saldo). Cada métrica é normalizada entre os
+// jogadores da guild na janela (o melhor leva 100%, o pior 0%) e pesada
+// pelos pesos da guild (/config mvp). Só regras; o embed fica no index.js.
+// ------------------------------------------------------------
+
+import { localizedError } from './i18n.js';
+
+export const MVP_METRICS = ['kd', 'wr', 'kpm', 'hs_pct', 'matches', 'net'];
+
+// Pesos relativos (não precisam somar 100)
+export const DEFAULT_MVP_WEIGHTS = { kd: 30, wr: 20, kpm: 20, hs_pct: 10, matches: 10, net: 10 };
+export const MAX_MVP_WEIGHT = 100;
+
+// Aliases aceitos no prefixo (!config mvp kd 40 hs 0)
+const METRIC_ALIASES = {
+  kd: 'kd',
+  wr: 'wr',
+  kpm: 'kpm',
+  hs: 'hs_pct', hs_pct: 'hs_pct',
+  partidas: 'matches', matches: 'matches',
+  saldo: 'net', net: 'net',
+};
+
+export const parseMvpMetric = (s) => METRIC_ALIASES[String(s || '').toLowerCase()] || null;
+
+// Nome da opção de cada métrica em /config mvp
+export const MVP_OPTION_NAMES = { kd: 'kd', wr: 'wr', kpm: 'kpm', hs_pct: 'hs', matches: 'partidas', net: 'saldo' };
+
+// Pesos gravados (JSON ou null) completados com o padrão; lixo vira padrão
+export function normalizeMvpWeights(json) {
+  let saved = {};
+  try {
+    saved = json ? JSON.parse(json) : {};
+  } catch {}
+  const weights = { ...DEFAULT_MVP_WEIGHTS };
+  for (const m of MVP_METRICS) if (Number.isInteger(saved?.[m])) weights[m] = saved[m];
+  return weights;
+}
+
+/**
+ * Aplica mudanças de peso ({ métrica: peso }) sobre `current`.
+ * Peso inteiro de 0 (ignora a métrica) a MAX_MVP_WEIGHT; pelo menos um > 0.
+ * Lança erro traduzível (localizedError).
+ */
+export function applyMvpWeights(current, change) {
+  const next = { ...current };
+  for (const [metric, value] of Object.entries(change)) {
+    if (value === null || value === undefined) continue;
+    if (!MVP_METRICS.includes(metric)) throw localizedError('mvp.error.metric', { value: metric });
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_MVP_WEIGHT) throw localizedError('mvp.error.weight', { max: MAX_MVP_WEIGHT });
+    next[metric] = n;
+  }
+  if (!MVP_METRICS.some(m => next[m] > 0)) throw localizedError('mvp.error.zero');
+  return next;
+}
+
+// Prefixo: "kd 40 hs 0 ..." -> { kd: 40, hs_pct: 0 } | { reset } | null (não entendeu)
+export function parseMvpArgs(args) {
+  if (args.length === 1 && ['padrao', 'padrão'].includes(args[0].toLowerCase())) return { reset: true };
+  if (args.length % 2) return null;
+  const change = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const metric = parseMvpMetric(args[i]);
+    if (!metric || !/^\d+$/.test(args[i + 1])) return null;
+    change[metric] = Number(args[i + 1]);
+  }
+  return change;
+}
+
+const safe = (x) => Number.isFinite(x) ? x : 0;
+
+/**
+ * Nota de cada jogador com pelo menos `minMatches` partidas na janela
+ * (o mesmo mínimo das categorias de taxa dos rankings).
+ * Devolve null se ninguém se qualifica; senão { mvp, ranking, eligible },
+ * com `parts` por jogador: { metric, value, norm (0-1), weight, points }.
+ */
+export function computeMvp(collected, weights = DEFAULT_MVP_WEIGHTS, { minMatches = 1 } = {}) {
+  const players = collected
+    .filter(c => !c.error && safe(c.agg?.matches) >= Math.max(1, minMatches))
+    .map(c => ({ username: c.username, discordUserId: c.discordUserId ?? null, agg: c.agg }));
+  if (!players.length) return null;
+
+  const metrics = MVP_METRICS.filter(m => weights[m] > 0);
+  const total = metrics.reduce((sum, m) => sum + weights[m], 0);
+  const bounds = Object.fromEntries(metrics.map(m => {
+    const values = players.map(p => safe(p.agg[m]));
+    return [m, { min: Math.min(...values), max: Math.max(...values) }];
+  }));
+
+  const ranking = players.map(p => {
+    const parts = metrics.map(metric => {
+      const value = safe(p.agg[metric]);
+      const { min, max } = bounds[metric];
+      // Todos iguais (ou um jogador só): ninguém perde pontos na métrica
+      const norm = max > min ? (value - min) / (max - min) : 1;
+      return { metric, value, norm, weight: weights[metric], points: (norm * weights[metric] / total) * 100 };
+    });
+    return { ...p, score: parts.reduce((sum, x) => sum + x.points, 0), parts };
+  }).sort((a, b) => b.score - a.score || safe(b.agg.matches) - safe(a.agg.matches) || a.username.localeCompare(b.username));
+
+  return { mvp: ranking[0], ranking, eligible: players.length };
+}
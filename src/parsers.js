@@ -0,0 +1,382 @@
+// src/parsers.js
+// ------------------------------------------------------------
+// Parsers (cheerio) do HTML de perfil do TRN. Funções puras: recebem o HTML
+// e o "agora" (DateTime com fuso) e não fazem rede nem acessam o banco.
+// ------------------------------------------------------------
+
+import * as cheerio from 'cheerio';
+import { DateTime } from 'luxon';
+import { normalizeRank } from './ranks.js';
+
+export const DEFAULT_TZ = 'America/Sao_Paulo';
+
+// Seção de um dia na aba de partidas
+const DAY_SECTION = 'div.col-span-full.grid.grid-cols-subgrid.gap-5';
+// Botão/link no fim da lista quando há partidas mais antigas que a página não mostra
+const LOAD_MORE_RE = /\b(?:load|show|view) more\b|carregar mais|mostrar mais/i;
+
+// Elementos que só existem numa página de perfil do TRN renderizada
+export const PROFILE_ANCHORS = ['.trn-profile', '.trn-profile-header', '.ph-details', '.v3-match-row', 'header .stat-list'];
+const CLOUDFLARE_RE = /cf-browser-verification|Just a moment|Checking your browser/i;
+// Página de erro do TRN para nick inexistente (ou que mudou de nome)
+const NOT_FOUND_RE = /player not found|could not find (?:the )?player|profile not found/i;
+
+// Id Ubisoft (UUID) no avatar ou no estado embutido da página
+const PROFILE_ID_RES = [
+  /ubisoft-avatars\.akamaized\.net\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\//i,
+  /"(?:platformUserId|profileId)"\s*:\s*"([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})"/i,
+];
+
+// Card do ranqueado (aba overview): título "Ranked"; atual e pico da temporada
+const RANKED_TITLE_RE = /\branked\b/i;
+const RP_RE = /([\d.,]+)\s*(?:RP|MMR)\b/i;
+
+const MONTHS_EN = { Jan:1, Feb:2, Mar:3, Apr:4, May:5, Jun:6, Jul:7, Aug:8, Sep:9, Oct:10, Nov:11, Dec:12 };
+
+// "Aug 28" -> "2025-08-28" (ano do "agora"; em janeiro, "Dec" é do ano anterior)
+export function toISOFromLabel(label, now = DateTime.now().setZone(DEFAULT_TZ)) {
+  const m = /^\s*(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{1,2})\s*$/.exec(label || '');
+  if (!m) return null;
+  let year = now.year;
+  const month = MONTHS_EN[m[1]];
+  const day = Number(m[2]);
+  let dt = DateTime.fromObject({ year, month, day }, { zone: now.zone });
+  if (now.month === 1 && month === 12) dt = dt.minus({ years: 1 });
+  return dt.toISODate();
+}
+
+/**
+ * Bloco diário normalizado — o mesmo formato para qualquer fonte/parser:
+ * { dateLabel, iso, wins, losses, k, d, kd, hs_pct, matches }
+ * Números ausentes viram 0; `kd` vem do site quando existir, senão k/d.
+ */
+export function normalizeBlock({ dateLabel = null, iso = null, wins, losses, k, d, kd, hs_pct, matches } = {}) {
+  const n = (v) => Number.isFinite(v) ? v : 0;
+  const kk = n(k), dd = n(d);
+  return {
+    dateLabel,
+    iso,
+    wins: n(wins),
+    losses: n(losses),
+    k: kk,
+    d: dd,
+    kd: Number.isFinite(kd) ? kd : (dd > 0 ? kk / dd : 0),
+    hs_pct: n(hs_pct),
+    matches: n(matches),
+  };
+}
+
+// Lê o valor de uma estatística da linha pelo rótulo (ex.: "HS%", "Map")
+export function readRowStat($row, label) {
+  return $row
+    .find(`.stat-name:contains("${label}")`)
+    .parent()
+    .find('.stat-value')
+    .first()
+    .text()
+    .trim();
+}
+
+// Extrai uma partida de um `.v3-match-row`. K/D fica null quando a linha
+// não traz o bloco com "slash" (não chutamos valores aqui).
+export function parseMatchRow($, $row, zone = DEFAULT_TZ) {
+  let result = null;
+  if ($row.hasClass('v3-match-row--win')) result = 'win';
+  else if ($row.hasClass('v3-match-row--loss')) result = 'loss';
+
+  const kdList = $row.find('.v3-separate-slash .value');
+  let k = null, d = null;
+  if (kdList.length >= 2) {
+    k = parseInt($(kdList[0]).text().trim(), 10);
+    d = parseInt($(kdList[1]).text().trim(), 10);
+    if (!Number.isFinite(k)) k = null;
+    if (!Number.isFinite(d)) d = null;
+  }
+
+  const hs = parseFloat(readRowStat($row, 'HS').replace('%', '').replace(',', '.'));
+
+  // Id estável: link para a partida ou atributo data-*
+  const href = $row.find('a[href*="/matches/"]').first().attr('href') || $row.attr('href') || '';
+  const idFromHref = /\/matches\/([^/?#]+)/.exec(href)?.[1] || null;
+  const id = idFromHref || $row.attr('data-match-id') || $row.attr('data-id') || null;
+
+  const map =
+    $row.find('.v3-match-row__map, [class*="map-name"]').first().text().trim() ||
+    readRowStat($row, 'Map') || null;
+  const mode =
+    $row.find('.v3-match-row__mode, [class*="playlist"]').first().text().trim() ||
+    readRowStat($row, 'Mode') || null;
+
+  const stamp = $row.find('time[datetime]').first().attr('datetime') || $row.attr('data-timestamp') || null;
+  const dt = stamp ? DateTime.fromISO(stamp, { zone }) : null;
+  const playedAt = dt?.isValid ? dt.toISO() : null;
+
+  return { id, result, k, d, hs_pct: Number.isNaN(hs) ? null : hs, map, mode, playedAt };
+}
+
+// Chave de deduplicação: id do site quando existir; senão uma combinação
+// dos campos da linha + horário ou posição no dia contada de baixo (a mais
+// antiga é 1). Sem id, sem horário e sem `seq` (dia possivelmente cortado)
+// não há chave estável: devolve null e a partida não é gravada.
+export function matchKey(m, iso, seq) {
+  if (m.id) return `id:${m.id}`;
+  if (!m.playedAt && seq == null) return null;
+  return ['row', iso, m.playedAt || `#${seq}`, m.result || '', m.k ?? '', m.d ?? '', m.map || '', m.mode || ''].join('|');
+}
+
+// W/L do "stat-list" de um header de dia (ex.: "3 W", "1 L")
+function headerWinLoss($, $header) {
+  let wins = 0, losses = 0;
+  $header.find('.stat-list .value').each((__, el) => {
+    const txt = $(el).text().trim();
+    const n = parseInt(txt.replace(/\D+/g, ''), 10) || 0;
+    if (/W/i.test(txt)) wins = n;
+    if (/L/i.test(txt)) losses = n;
+  });
+  return { wins, losses };
+}
+
+// Blocos diários + partidas a partir do HTML da aba de partidas
+export function parseDailyBlocks(html, { now = DateTime.now().setZone(DEFAULT_TZ) } = {}) {
+  const $ = cheerio.load(html, { decodeEntities: false });
+
+  const blocks = [];
+  const matches = [];
+
+  // Cada "dia" fica em uma seção com grid e gap-5 (mais recente primeiro)
+  const $sections = $(DAY_SECTION);
+  // Sem total no cabeçalho, o último dia só é suspeito se a lista foi cortada
+  // antes dele: há outros dias antes ou a página oferece mais histórico.
+  // Um dia só (perfil novo ou pouco ativo) é a lista inteira.
+  const moreHistory = $('button, a').toArray().some(el => LOAD_MORE_RE.test($(el).text()));
+  const lastMayBeCut = $sections.length > 1 || moreHistory;
+  $sections.each((sectionIdx, section) => {
+    const $sec = $(section);
+
+    // Título do dia, ex.: "Aug 28"
+    const headerLabel =
+      $sec.find('header .text-18.font-bold.text-secondary').first().text().trim() ||
+      $sec.find('header .text-18.font-bold').first().text().trim(); // fallback
+
+    const iso = toISOFromLabel(headerLabel, now);
+    if (!iso) return;
+
+    // Partidas (chip do cabeçalho). Ex.: <span class="v3-chip font-bold">5</span>
+    let matchesFromHeader = parseInt(
+      $sec.find('header .v3-chip.font-bold, header .v3-chip').first().text().trim() || '0',
+      10
+    );
+    if (!Number.isFinite(matchesFromHeader)) matchesFromHeader = 0;
+
+    let wins = 0, losses = 0, kSum = 0, dSum = 0;
+    let hsAcc = 0, hsN = 0;
+    let exactKD = true;
+
+    // Linhas de partidas do dia
+    const $rows = $sec.find('.v3-match-row');
+
+    // O dia mais antigo da página pode vir cortado (faltam as partidas de baixo):
+    // aí a posição muda entre scrapes e não entra na chave. Com o total do
+    // cabeçalho (chip ou W+L) dá para saber; sem ele, vale `lastMayBeCut`.
+    const { wins: headerWins, losses: headerLosses } = headerWinLoss($, $sec.find('header'));
+    const headerTotal = matchesFromHeader || (headerWins + headerLosses);
+    const partial = headerTotal
+      ? $rows.length < headerTotal
+      : lastMayBeCut && sectionIdx === $sections.length - 1;
+
+    $rows.each((idx, row) => {
+      const m = parseMatchRow($, $(row), now.zone);
+      const seq = $rows.length - idx;
+      matches.push({ ...m, iso, seq, key: matchKey(m, iso, partial ? null : seq) });
+
+      // Resultado
+      if (m.result === 'win') wins++;
+      else if (m.result === 'loss') losses++;
+
+      // K e D (preferência pelo bloco com "slash")
+      let k = m.k ?? 0, d = m.d ?? 0;
+      if (m.k === null || m.d === null) {
+        exactKD = false;
+        // Fallback: tenta ler K/D e reconstruir K e D (menor precisão)
+        const kd = parseFloat(readRowStat($(row), 'K/D').replace(',', '.')) || 0;
+        d = kd > 0 ? 1 : 0;
+        k = Math.round(kd * d);
+      }
+      kSum += k;
+      dSum += d;
+
+      // HS% (média simples das partidas do dia)
+      if (m.hs_pct !== null) {
+        hsAcc += m.hs_pct;
+        hsN += 1;
+      }
+    });
+
+    // Caso o chip não exista, usa a contagem de linhas como partidas
+    const matchCount = matchesFromHeader || $rows.length || (wins + losses);
+
+    // Se não houver linhas (algumas páginas mostram só o cabeçalho),
+    // tenta extrair W/L do "stat-list" do header como fallback.
+    if ($rows.length === 0) {
+      wins = headerWins;
+      losses = headerLosses;
+    }
+
+    // Totais do header (K, D, HS%) valem mais que a estimativa por K/D das linhas
+    const $header = $sec.find('header').first();
+    if (!$rows.length || !exactKD) {
+      const hk = readHeaderNumber($, $header, 'K');
+      const hd = readHeaderNumber($, $header, 'D');
+      if (Number.isFinite(hk) && Number.isFinite(hd)) {
+        kSum = hk;
+        dSum = hd;
+      }
+    }
+    const hsHeader = readHeaderNumber($, $header, 'HS%');
+    const hs_pct = hsN > 0 ? (hsAcc / hsN) : (Number.isFinite(hsHeader) ? hsHeader : 0);
+
+    blocks.push(normalizeBlock({
+      dateLabel: headerLabel,
+      iso,
+      wins,
+      losses,
+      k: kSum,
+      d: dSum,
+      hs_pct,
+      matches: matchCount
+    }));
+  });
+
+  $.root().empty(); // Limpa memória
+  return { blocks, matches };
+}
+
+/**
+ * Classifica a página antes de confiar em `blocks: []`:
+ *  - 'ok'           há blocos diários reconhecidos
+ *  - 'empty'        perfil renderizado, mas sem partidas
+ *  - 'blocked'      tela do Cloudflare
+ *  - 'notfound'     página de "jogador não encontrado" do TRN
+ *  - 'unrecognized' nenhuma âncora conhecida (o TRN mudou o markup?)
+ */
+export function detectPageState(html, { now = DateTime.now().setZone(DEFAULT_TZ) } = {}) {
+  const { blocks } = parseDailyBlocks(html, { now });
+  if (blocks.length) return 'ok';
+  if (CLOUDFLARE_RE.test(html || '')) return 'blocked';
+
+  const $ = cheerio.load(html || '');
+  if (NOT_FOUND_RE.test(html || '') && !PROFILE_ANCHORS.some(sel => $(sel).length)) return 'notfound';
+  // Linhas de partida sem seção de dia reconhecida = markup mudou
+  if ($('.v3-match-row').length) return 'unrecognized';
+  return PROFILE_ANCHORS.some(sel => $(sel).length) ? 'empty' : 'unrecognized';
+}
+
+export function findHeaderForLabel($, label) {
+  label = String(label).trim().toLowerCase(); // ex.: "Aug 28"
+  let target = null;
+
+  $('header').each((_, el) => {
+    const title = $(el).find('div.text-18.font-bold.text-secondary').first().text().trim();
+    if (title && title.trim().toLowerCase() === label) {
+      target = $(el);
+      return false;
+    }
+    // Fallback: se mudarem as classes, pegue o primeiro <div> do header e compare texto
+    const fallback = $(el).find('div').first().text().trim();
+    if (!target && fallback && fallback.toLowerCase() === label) {
+      target = $(el);
+    }
+  });
+
+  return target;
+}
+
+export function readHeaderNumber($, header, key) {
+  // acha o bloco cujo rótulo (stat-name) é exatamente a "key"
+  const row = header.find('.name-value').filter((_, el) =>
+    $(el).find('.stat-name .truncate').first().text().trim() === key
+  ).first();
+
+  if (!row.length) return NaN;
+
+  // pega todo o texto do valor, sem depender de `.truncate`
+  const raw = row.find('.stat-value').first().text().trim();
+
+  // normaliza e extrai o primeiro número (suporta "45.0%", "1,25", espaços, etc.)
+  const cleaned = raw.replace('%', '').replace(',', '.');
+  const match = cleaned.match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : NaN;
+}
+
+// Bloco de um dia (pelo rótulo, ex.: "Aug 28") lido só do header
+export function extractDayStatsFromHtml(html, label, now = DateTime.now().setZone(DEFAULT_TZ)) {
+  const $ = cheerio.load(html);
+  const header = findHeaderForLabel($, label);
+  if (!header || !header.length) return null;
+
+  // W/L no header
+  const { wins, losses } = headerWinLoss($, header);
+
+  // Chip de partidas (ex.: <span class="v3-chip font-bold">5</span>)
+  let matches = parseInt(
+    header.find('.v3-chip.font-bold, .v3-chip').first().text().trim(), 10
+  );
+  if (!Number.isFinite(matches)) matches = (wins + losses);
+
+  // Demais números do header
+  const kd = readHeaderNumber($, header, 'K/D');
+  const k  = readHeaderNumber($, header, 'K');
+  const d  = readHeaderNumber($, header, 'D');
+  const hs = readHeaderNumber($, header, 'HS%');
+
+  return normalizeBlock({ dateLabel: label, iso: toISOFromLabel(label, now), wins, losses, k, d, kd, hs_pct: hs, matches });
+}
+
+/**
+ * Identidade do perfil: { id, name }
+ *  - id   id Ubisoft estável (UUID), se a página expuser; sobrevive a renomeações
+ *  - name nick exibido no cabeçalho (ou no <title>), com a grafia atual
+ * Campos ausentes voltam null.
+ */
+export function parseProfileIdentity(html) {
+  const src = html || '';
+  const id = PROFILE_ID_RES.map(re => re.exec(src)?.[1]).find(Boolean) || null;
+
+  const $ = cheerio.load(src);
+  const header = $('.trn-profile-header__name').first().text().trim();
+  const title = /^(.+?)(?:'s\b|\s+[-–|]\s).*(?:Rainbow Six|R6)/i.exec($('title').first().text().trim())?.[1];
+  return { id: id && id.toLowerCase(), name: header || title?.trim() || null };
+}
+
+/**
+ * Card do ranqueado: { rank, rp, peakRank, peakRp }
+ *  - rank/peakRank  nome canônico (normalizeRank); null = sem rank (Unranked)
+ *  - rp/peakRp      pontos do ranqueado (RP, ou MMR nas páginas antigas)
+ * Sem card na página volta null.
+ */
+export function parseRankedCard(html) {
+  const $ = cheerio.load(html || '');
+  const card = $('.trn-card')
+    .filter((_, el) => RANKED_TITLE_RE.test($(el).find('h2, h3').first().text() || $(el).find('.trn-card__header').first().text()))
+    .first();
+  if (!card.length) return null;
+
+  const $peak = card.find('.rank-peak').first();
+  const $current = card.find('.rank-current').first();
+  // Texto com espaço entre os elementos (.text() junta "Champions" e "5,102 RP")
+  const words = ($el) => $el.find('*').addBack().contents().filter((_, n) => n.type === 'text').map((_, n) => $(n).text()).get().join(' ');
+  const read = ($el) => {
+    const text = words($el);
+    const name = $el.find('.rank-name').first().text() || $el.find('img[alt]').first().attr('alt') || text;
+    const rp = parseInt((RP_RE.exec(text)?.[1] || '').replace(/[.,]/g, ''), 10);
+    return { rank: normalizeRank(name), rp: Number.isFinite(rp) ? rp : null };
+  };
+
+  // Sem .rank-current, o "atual" é o card inteiro menos o pico
+  const rest = card.clone();
+  rest.find('.rank-peak').remove();
+  const current = read($current.length ? $current : rest);
+  const peak = $peak.length ? read($peak) : { rank: null, rp: null };
+  if (!current.rank && current.rp === null && !peak.rank) return null;
+  return { rank: current.rank, rp: current.rp, peakRank: peak.rank, peakRp: peak.rp };
+}
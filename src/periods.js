@@ -0,0 +1,61 @@
+// src/periods.js
+// ------------------------------------------------------------
+// Períodos personalizados dos relatórios e rankings (`de`/`ate`), para
+// torneios e eventos de fim de semana. Datas inclusivas, contadas no fuso
+// da guild (o index.js passa o "hoje" dela). Só regras; janela e aviso de
+// histórico curto ficam no index.js.
+// ------------------------------------------------------------
+
+import { DateTime } from 'luxon';
+import { localizedError } from './i18n.js';
+
+// Maior período aceito (dias, contando os dois extremos)
+export const MAX_PERIOD_DAYS = 366;
+
+/**
+ * "05/10", "05/10/2026" ou "2026-10-05" -> "2026-10-05"; inválida => null.
+ * Sem ano vale o ano de `todayIso`, ou o anterior quando a data passaria de
+ * `notAfter` (em janeiro, "20/12" é o dezembro passado).
+ */
+export function parseDayArg(input, todayIso, notAfter = todayIso) {
+  const s = String(input || '').trim();
+  const short = /^(\d{1,2})\/(\d{1,2})$/.exec(s);
+  let dt;
+  if (short) {
+    dt = DateTime.fromObject({ year: Number(todayIso.slice(0, 4)), month: Number(short[2]), day: Number(short[1]) });
+    if (dt.isValid && notAfter && dt.toISODate() > notAfter) dt = dt.minus({ years: 1 });
+  } else {
+    dt = /^\d{4}-\d{2}-\d{2}$/.test(s) ? DateTime.fromISO(s) : DateTime.fromFormat(s, 'd/M/yyyy');
+  }
+  return dt.isValid ? dt.toISODate() : null;
+}
+
+/**
+ * Valida `de`/`ate` contra o "hoje" da guild. Sem `ate`, vai até hoje.
+ * Devolve { fromIso, toIso, days }; lança erro traduzível (localizedError).
+ */
+export function buildPeriod({ from, to }, todayIso) {
+  if (!from) throw localizedError('period.error.from');
+  const toIso = to ? parseDayArg(to, todayIso, null) : todayIso;
+  if (!toIso) throw localizedError('period.error.date', { value: to });
+  const fromIso = parseDayArg(from, todayIso, toIso < todayIso ? toIso : todayIso);
+  if (!fromIso) throw localizedError('period.error.date', { value: from });
+  if (fromIso > todayIso || toIso > todayIso) throw localizedError('period.error.future');
+  if (fromIso > toIso) throw localizedError('period.error.order');
+
+  const days = DateTime.fromISO(toIso).diff(DateTime.fromISO(fromIso), 'days').days + 1;
+  if (days > MAX_PERIOD_DAYS) throw localizedError('period.error.long', { max: MAX_PERIOD_DAYS });
+  return { fromIso, toIso, days };
+}
+
+// Prefixo: tira "de <data>" e "ate|até <data>" de `args` (no lugar); null se não tiver
+export function takePeriodArgs(args) {
+  const take = (words) => {
+    const i = args.findIndex(a => words.includes(a.toLowerCase()));
+    if (i < 0) return undefined;
+    return args.splice(i, 2)[1] ?? '';
+  };
+  const from = take(['de']);
+  const to = take(['ate', 'até']);
+  return from === undefined && to === undefined ? null : { from, to };
+}
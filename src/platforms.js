@@ -0,0 +1,46 @@
+// src/platforms.js
+// ------------------------------------------------------------
+// Plataformas do TRN (PC/Ubisoft, Xbox, PlayStation). Cada jogador tem a sua;
+// TRN_PLATFORM é só o padrão de quem não escolheu. O histórico, o cache e a
+// saúde do scraper usam a "chave de perfil" (profileKey) no lugar do nick puro.
+// ------------------------------------------------------------
+
+export const PLATFORMS = ['pc', 'xbox', 'psn'];
+
+// Resolve plataforma
+export const PLATFORM_ALIASES = {
+  ubisoft: 'pc', ubi: 'pc', uplay: 'pc',
+  pc: 'pc',
+  xbox: 'xbox', xbl: 'xbox',
+  ps: 'psn', psn: 'psn', playstation: 'psn'
+};
+
+export const PLATFORM_NAMES = { pc: 'PC', xbox: 'Xbox', psn: 'PlayStation' };
+const PLATFORM_ICONS = { pc: '🖥️', xbox: '🟩', psn: '🟦' };
+
+// Selo mostrado nos relatórios e na lista de jogadores
+export const platformBadge = (platform) => `${PLATFORM_ICONS[platform] || '🎮'} ${PLATFORM_NAMES[platform] || platform}`;
+
+export function resolvePlatform(value) {
+  return PLATFORM_ALIASES[String(value || 'pc').toLowerCase()] || 'pc';
+}
+
+// Entrada do usuário: plataforma conhecida ou null (resolvePlatform cai em 'pc')
+export const parsePlatform = (value) => PLATFORM_ALIASES[String(value ?? '').trim().toLowerCase()] || null;
+
+/**
+ * Chave de histórico/cache de um jogador: o nick puro na plataforma padrão
+ * (o histórico gravado antes continua valendo) e "<plataforma>:<nick>" nas demais.
+ */
+export function profileKey(username, platform, defaultPlatform = 'pc') {
+  const p = resolvePlatform(platform || defaultPlatform);
+  return p === resolvePlatform(defaultPlatform) ? username : `${p}:${username}`;
+}
+
+// Inverso de profileKey: { username, platform }
+export function parseProfileKey(key, defaultPlatform = 'pc') {
+  const m = new RegExp(`^(${PLATFORMS.join('|')}):(.+)$`).exec(String(key));
+  return m
+    ? { username: m[2], platform: m[1] }
+    : { username: String(key), platform: resolvePlatform(defaultPlatform) };
+}
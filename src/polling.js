@@ -0,0 +1,69 @@
+// src/polling.js
+// ------------------------------------------------------------
+// Partidas novas quase em tempo real (/config ao_vivo): intervalo por guild
+// e backoff adaptativo por perfil — quem não joga é checado cada vez menos.
+// Só regras e a agenda em memória; o laço e os anúncios ficam no index.js.
+// ------------------------------------------------------------
+
+import { localizedError } from './i18n.js';
+
+export const DEFAULT_POLL_MIN = 15;
+export const MIN_POLL_MIN = 5;
+export const MAX_POLL_MIN = 120;
+
+// Teto do backoff: intervalo x 8, e nunca mais que 6 h entre checagens
+export const MAX_BACKOFF_FACTOR = 8;
+export const MAX_POLL_DELAY_MIN = 6 * 60;
+
+// Partidas por anúncio (as mais recentes; o resto só marca como vista)
+export const MAX_LIVE_MATCHES = 5;
+
+// Intervalo em minutos (inteiro); lança erro traduzível (localizedError)
+export function parsePollInterval(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_POLL_MIN;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < MIN_POLL_MIN || n > MAX_POLL_MIN) {
+    throw localizedError('live.error.interval', { min: MIN_POLL_MIN, max: MAX_POLL_MIN });
+  }
+  return n;
+}
+
+// Maior espera (min) para o intervalo da guild, com o backoff no teto
+export const maxPollDelayMin = (intervalMin) => Math.min(intervalMin * MAX_BACKOFF_FACTOR, Math.max(intervalMin, MAX_POLL_DELAY_MIN));
+
+// Espera (ms) até a próxima checagem: dobra a cada checagem sem partida nova
+export function nextPollDelay(intervalMin, idle = 0) {
+  const factor = Math.min(2 ** Math.max(0, idle), MAX_BACKOFF_FACTOR);
+  return Math.min(intervalMin * factor, maxPollDelayMin(intervalMin)) * 60 * 1000;
+}
+
+/**
+ * Agenda das checagens, por chave de perfil.
+ * isDue(key): nunca checada ou já passou da hora
+ * checked(key, { intervalMin, found }): partida nova zera o backoff; sem
+ *   partida (ou falha) aumenta. Devolve a espera até a próxima (ms).
+ * retain(keys): esquece quem saiu das guilds com ao vivo ligado.
+ */
+export function createPollSchedule({ now = () => Date.now() } = {}) {
+  const state = new Map(); // key -> { idle, nextAt }
+
+  return {
+    isDue(key) {
+      const s = state.get(key);
+      return !s || now() >= s.nextAt;
+    },
+    checked(key, { intervalMin, found = false }) {
+      const idle = found ? 0 : (state.get(key)?.idle ?? -1) + 1;
+      const delay = nextPollDelay(intervalMin, idle);
+      state.set(key, { idle, nextAt: now() + delay });
+      return delay;
+    },
+    retain(keys) {
+      const keep = new Set(keys);
+      for (const key of state.keys()) if (!keep.has(key)) state.delete(key);
+    },
+    get(key) {
+      return state.get(key) || null;
+    },
+  };
+}
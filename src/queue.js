@@ -0,0 +1,91 @@
+// src/queue.js
+// ------------------------------------------------------------
+// Fila de scraping (pool de workers com prioridade) e limitador de
+// requisições por host. Comandos interativos furam a fila dos crons.
+// ------------------------------------------------------------
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Menor número = maior prioridade
+export const PRIORITY = {
+  interactive: 0,
+  batch: 1,
+  poll: 2, // partidas ao vivo: só quando não há comando nem cron esperando
+};
+
+/**
+ * Pool com `concurrency` tarefas simultâneas.
+ * push(fn, { priority }) -> Promise com o resultado de fn()
+ * Mesma prioridade = ordem de chegada.
+ */
+export function createScrapeQueue({ concurrency = 2 } = {}) {
+  const limit = Math.max(1, concurrency | 0);
+  const pending = [];
+  let running = 0;
+  let seq = 0;
+
+  function takeNext() {
+    let best = 0;
+    for (let i = 1; i < pending.length; i++) {
+      const a = pending[i], b = pending[best];
+      if (a.priority < b.priority || (a.priority === b.priority && a.seq < b.seq)) best = i;
+    }
+    return pending.splice(best, 1)[0];
+  }
+
+  function pump() {
+    while (running < limit && pending.length) {
+      const job = takeNext();
+      running++;
+      Promise.resolve()
+        .then(job.fn)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          running--;
+          pump();
+        });
+    }
+  }
+
+  function push(fn, { priority = PRIORITY.interactive } = {}) {
+    return new Promise((resolve, reject) => {
+      pending.push({ fn, priority, seq: seq++, resolve, reject });
+      pump();
+    });
+  }
+
+  return {
+    push,
+    get pending() { return pending.length; },
+    get running() { return running; },
+  };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return String(url);
+  }
+}
+
+/**
+ * Limita requisições por host: no máximo `perMinute` por minuto, espaçadas
+ * igualmente. acquire(url) reserva o próximo horário livre do host e espera.
+ * perMinute <= 0 desliga o limite.
+ */
+export function createRateLimiter({ perMinute = 30 } = {}) {
+  const gapMs = perMinute > 0 ? 60000 / perMinute : 0;
+  const nextSlot = new Map();
+
+  async function acquire(url) {
+    if (!gapMs) return;
+    const host = hostOf(url);
+    const now = Date.now();
+    const at = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, at + gapMs);
+    if (at > now) await sleep(at - now);
+  }
+
+  return { acquire };
+}
@@ -0,0 +1,221 @@
+// src/rankings.js
+// ------------------------------------------------------------
+// Rankings: categorias, cortes e configuração por guild (/config ranking):
+// quais categorias aparecem e em que ordem, quantas posições e o mínimo de
+// partidas/kills por tipo de janela (dia, semana, mês). Só regras; o embed
+// e a gravação da configuração ficam no index.js.
+// ------------------------------------------------------------
+
+import { localizedError } from './i18n.js';
+
+// Ordem padrão do embed
+export const RANKING_CATEGORIES = [
+  'mostKills', 'leastDeaths', 'bestKD', 'bestHS', 'mostWins', 'highestWR', 'bestKPM', 'bestNet', 'mostMatches',
+];
+
+// Categorias de taxa: exigem o mínimo de partidas (uma partida de sorte não leva "Melhor K/D")
+export const RATE_CATEGORIES = ['leastDeaths', 'bestKD', 'bestHS', 'highestWR', 'bestKPM', 'bestNet'];
+
+// Tipo de janela pelo tamanho: 1 dia, até 7 dias, mais que isso
+export const RANKING_WINDOWS = ['day', 'week', 'month'];
+export const rankingWindow = (days) => days <= 1 ? 'day' : days <= 7 ? 'week' : 'month';
+
+export const MAX_RANKING_SIZE = 15;
+export const MAX_RANKING_MIN = 1000;
+
+// Igual ao que valia antes da configuração: top 6, 1 partida, 1 kill para HS%
+export const DEFAULT_RANKING_SETTINGS = {
+  categories: RANKING_CATEGORIES,
+  size: 6,
+  minMatches: { day: 1, week: 1, month: 1 },
+  minKills: { day: 1, week: 1, month: 1 },
+};
+
+// Aliases aceitos em /config ranking categorias e no prefixo
+const CATEGORY_ALIASES = {
+  kills: 'mostKills', abates: 'mostKills',
+  mortes: 'leastDeaths', deaths: 'leastDeaths',
+  kd: 'bestKD',
+  hs: 'bestHS',
+  vitorias: 'mostWins', 'vitórias': 'mostWins', wins: 'mostWins',
+  wr: 'highestWR',
+  kpm: 'bestKPM',
+  saldo: 'bestNet', net: 'bestNet',
+  partidas: 'mostMatches', matches: 'mostMatches',
+};
+
+// Alias curto de cada categoria (para mostrar a configuração)
+export const categoryAlias = (category) => Object.keys(CATEGORY_ALIASES).find(a => CATEGORY_ALIASES[a] === category);
+
+const WINDOW_ALIASES = {
+  day: 'day', dia: 'day', hoje: 'day',
+  week: 'week', semana: 'week',
+  month: 'month', mes: 'month', 'mês': 'month',
+};
+
+export const parseRankingWindow = (s) => WINDOW_ALIASES[String(s || '').toLowerCase()] || null;
+
+// "kd, hs wr" -> ['bestKD', 'bestHS', 'highestWR']; lança erro traduzível
+export function parseCategories(input) {
+  const words = String(input || '').toLowerCase().split(/[\s,;]+/).filter(Boolean);
+  const categories = [];
+  for (const w of words) {
+    const c = CATEGORY_ALIASES[w] || RANKING_CATEGORIES.find(k => k.toLowerCase() === w);
+    if (!c) throw localizedError('rankingConfig.error.category', { value: w, list: RANKING_CATEGORIES.map(categoryAlias).join(', ') });
+    if (!categories.includes(c)) categories.push(c);
+  }
+  if (!categories.length) throw localizedError('rankingConfig.error.empty');
+  return categories;
+}
+
+function checkInt(value, min, max, key) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw localizedError(key, { min, max });
+  return n;
+}
+
+// Configuração gravada (JSON ou null) completada com o padrão; lixo vira padrão
+export function normalizeRankingSettings(json) {
+  let saved = {};
+  try {
+    saved = json ? JSON.parse(json) : {};
+  } catch {}
+  const categories = Array.isArray(saved.categories) ? saved.categories.filter(c => RANKING_CATEGORIES.includes(c)) : [];
+  return {
+    categories: categories.length ? categories : DEFAULT_RANKING_SETTINGS.categories,
+    size: Number.isInteger(saved.size) ? saved.size : DEFAULT_RANKING_SETTINGS.size,
+    minMatches: { ...DEFAULT_RANKING_SETTINGS.minMatches, ...saved.minMatches },
+    minKills: { ...DEFAULT_RANKING_SETTINGS.minKills, ...saved.minKills },
+  };
+}
+
+/**
+ * Aplica uma mudança (/config ranking) sobre a configuração atual.
+ * `change`: { categories?, size?, window?, minMatches?, minKills? }; os mínimos
+ * valem para a janela `window` (sem ela, para as três).
+ * Lança erro traduzível (localizedError).
+ */
+export function applyRankingChange(current, change) {
+  const next = {
+    ...current,
+    minMatches: { ...current.minMatches },
+    minKills: { ...current.minKills },
+  };
+  if (change.categories != null) {
+    next.categories = Array.isArray(change.categories) ? change.categories : parseCategories(change.categories);
+  }
+  if (change.size != null) next.size = checkInt(change.size, 1, MAX_RANKING_SIZE, 'rankingConfig.error.size');
+  const windows = change.window ? [change.window] : RANKING_WINDOWS;
+  if (change.minMatches != null) {
+    const n = checkInt(change.minMatches, 1, MAX_RANKING_MIN, 'rankingConfig.error.min');
+    for (const w of windows) next.minMatches[w] = n;
+  }
+  if (change.minKills != null) {
+    const n = checkInt(change.minKills, 1, MAX_RANKING_MIN, 'rankingConfig.error.min');
+    for (const w of windows) next.minKills[w] = n;
+  }
+  return next;
+}
+
+/**
+ * Prefixo (!config ranking ...): "categorias kd,hs,wr", "tamanho 5",
+ * "minimo [dia|semana|mes] <partidas> [kills]", "padrao". Palavras em
+ * qualquer ordem; devolve a mudança para applyRankingChange ({ reset } no
+ * "padrao") ou null se não entendeu.
+ */
+export function parseRankingArgs(args) {
+  const rest = args.map(a => String(a).toLowerCase());
+  const change = {};
+  const isNumber = (s) => /^\d+$/.test(s ?? '');
+  while (rest.length) {
+    const word = rest.shift();
+    if (word === 'padrao' || word === 'padrão') change.reset = true;
+    else if (word === 'categorias' && rest.length) change.categories = rest.shift();
+    else if (word === 'tamanho' && isNumber(rest[0])) change.size = Number(rest.shift());
+    else if (word === 'minimo' || word === 'mínimo') {
+      const window = parseRankingWindow(rest[0]);
+      if (window) {
+        change.window = window;
+        rest.shift();
+      }
+      if (!isNumber(rest[0])) return null;
+      change.minMatches = Number(rest.shift());
+      if (isNumber(rest[0])) change.minKills = Number(rest.shift());
+    } else return null;
+  }
+  return change;
+}
+
+// Regras de um ranking: configuração da guild + janela de `days` dias
+export function rankingRules(settings, days) {
+  const window = rankingWindow(days);
+  return {
+    window,
+    categories: settings.categories,
+    size: settings.size,
+    minMatches: settings.minMatches[window],
+    minKills: settings.minKills[window],
+  };
+}
+
+const safe = (x) => Number.isFinite(x) ? x : 0;
+
+// Ordena por `k` e desempates; por último, o nick
+const byKey = (k, tiebreak, dir) => (a, b) => {
+  for (const key of [k, ...tiebreak]) {
+    const diff = dir * (safe(b[key]) - safe(a[key]));
+    if (diff !== 0) return diff;
+  }
+  return a.username.localeCompare(b.username);
+};
+const byDesc = (k, tiebreak = []) => byKey(k, tiebreak, 1);
+const byAsc = (k, tiebreak = []) => byKey(k, tiebreak, -1);
+
+/**
+ * Rankings de `collected` (resultados de collect*) com as regras `rules`
+ * (rankingRules). Devolve { order, rules, [categoria]: top, excluded }:
+ * `excluded` = { matches: quem jogou abaixo do mínimo de partidas (fora das
+ * categorias de taxa), kills: quem ficou fora do HS% pelo mínimo de kills }.
+ */
+export function buildRankings(collected, rules = rankingRules(DEFAULT_RANKING_SETTINGS, 1)) {
+  // Achata e mantém só quem não falhou
+  const flat = collected
+    .filter(c => !c.error)
+    .map(c => ({ username: c.username, discordUserId: c.discordUserId, ...c.agg }));
+
+  // Considera quem jogou algo (k, d, w ou l)
+  const played = flat.filter(p => (Number(p.k) + Number(p.d) + Number(p.wins) + Number(p.losses)) > 0);
+
+  const top = (arr) => arr.slice(0, rules.size);
+
+  // Cortes para evitar outliers nas categorias de taxa
+  const withMatches = played.filter(p => safe(p.matches) >= rules.minMatches);
+  const withDeaths = withMatches.filter(p => safe(p.d) > 0);
+  const forHS = withMatches.filter(p => safe(p.k) >= rules.minKills);
+
+  const all = {
+    // Top básicos
+    mostKills: () => [...played].sort(byDesc('k', ['matches', 'wins'])),
+    leastDeaths: () => withMatches.filter(p => safe(p.matches) > 0).sort(byAsc('d', ['matches'])),
+    mostWins: () => [...played].sort(byDesc('wins', ['matches', 'k'])),
+
+    // Qualidade
+    bestKD: () => [...withDeaths].sort(byDesc('kd', ['k', 'matches'])),
+    bestHS: () => [...forHS].sort(byDesc('hs_pct', ['k', 'matches'])),
+    highestWR: () => [...withMatches].sort(byDesc('wr', ['matches', 'wins'])),
+    bestKPM: () => [...withMatches].sort(byDesc('kpm', ['matches', 'k'])),
+    bestNet: () => [...withMatches].sort(byDesc('net', ['matches', 'k'])),
+    mostMatches: () => [...played].sort(byDesc('matches', ['wins', 'k'])),
+  };
+
+  const rankings = { order: rules.categories, rules };
+  for (const c of rules.categories) rankings[c] = top(all[c]());
+
+  // Quem ficou de fora só importa se alguma categoria afetada aparece
+  const usesRates = rules.categories.some(c => RATE_CATEGORIES.includes(c));
+  rankings.excluded = {
+    matches: usesRates ? played.filter(p => safe(p.matches) < rules.minMatches) : [],
+    kills: rules.categories.includes('bestHS') ? withMatches.filter(p => safe(p.k) < rules.minKills) : [],
+  };
+  return rankings;
+}
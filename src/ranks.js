@@ -0,0 +1,48 @@
+// src/ranks.js
+// ------------------------------------------------------------
+// Ranqueado: nomes de rank (tiers/divisões), ordem entre eles e detecção
+// de subida/queda entre dois scrapes. O card vem de parseRankedCard
+// (src/parsers.js); gravação, ranking e avisos ficam no index.js.
+// ------------------------------------------------------------
+
+// Do mais baixo ao mais alto; Champion não tem divisão
+export const RANK_TIERS = ['Copper', 'Bronze', 'Silver', 'Gold', 'Platinum', 'Emerald', 'Diamond', 'Champion'];
+const DIVISIONS = ['V', 'IV', 'III', 'II', 'I'];
+const DIVISION_DIGITS = { 5: 'V', 4: 'IV', 3: 'III', 2: 'II', 1: 'I' };
+
+const RANK_RE = /\b(copper|bronze|silver|gold|platinum|emerald|diamond|champions?)\b(?:\s+(iv|v|i{1,3}|[1-5])\b)?/i;
+
+/**
+ * Nome canônico do rank ("platinum 2" -> "Platinum II", "Champions" -> "Champion").
+ * Texto sem rank reconhecível (ex.: "Unranked") volta null.
+ */
+export function normalizeRank(text) {
+  const m = RANK_RE.exec(String(text || ''));
+  if (!m) return null;
+  const tier = RANK_TIERS.find(t => m[1].toLowerCase().startsWith(t.toLowerCase()));
+  if (tier === 'Champion') return tier;
+  const division = m[2] && (DIVISION_DIGITS[m[2]] || m[2].toUpperCase());
+  return division ? `${tier} ${division}` : tier;
+}
+
+// Posição do rank na escada (maior = melhor); sem rank = -1
+export function rankScore(rank) {
+  const name = normalizeRank(rank);
+  if (!name) return -1;
+  const [tier, division] = name.split(' ');
+  const t = RANK_TIERS.indexOf(tier);
+  return t * DIVISIONS.length + (division ? DIVISIONS.indexOf(division) : DIVISIONS.length - 1);
+}
+
+// Ordem do ranking de rank: rank, depois RP (maior primeiro)
+export function compareRanks(a, b) {
+  return rankScore(b.rank) - rankScore(a.rank) || (b.rp ?? -1) - (a.rp ?? -1);
+}
+
+// 'up' | 'down' entre dois ranks conhecidos e diferentes; senão null
+export function rankChange(previous, current) {
+  const a = rankScore(previous);
+  const b = rankScore(current);
+  if (a < 0 || b < 0 || a === b) return null;
+  return b > a ? 'up' : 'down';
+}
@@ -0,0 +1,145 @@
+// src/records.js
+// ------------------------------------------------------------
+// Recordes pessoais, sequências e conquistas, calculados do histórico
+// inteiro de um jogador (dias de daily_stats + partidas em ordem).
+// Só regras; gravação e anúncios ficam no index.js.
+// ------------------------------------------------------------
+
+import { localizedError } from './i18n.js';
+
+// kills_day/kd_day: melhor dia • play_streak: dias seguidos jogando
+// win_streak/loss_streak: partidas seguidas (vitórias/derrotas)
+export const RECORD_TYPES = ['kills_day', 'kd_day', 'play_streak', 'win_streak', 'loss_streak'];
+
+// Sequência de derrotas é registrada, mas não é anunciada
+export const ANNOUNCED_RECORDS = ['kills_day', 'kd_day', 'play_streak', 'win_streak'];
+
+// K/D de um dia só conta como recorde com esse mínimo de partidas
+export const MIN_KD_DAY_MATCHES = 3;
+
+export const ACHIEVEMENT_TYPES = ['kills_day', 'kd_day', 'win_streak', 'play_streak', 'matches'];
+
+// Aliases aceitos no prefixo (!conquistas criar <tipo> <valor>)
+const ACHIEVEMENT_ALIASES = {
+  kills_day: 'kills_day', kills: 'kills_day', abates: 'kills_day',
+  kd_day: 'kd_day', kd: 'kd_day',
+  win_streak: 'win_streak', vitorias: 'win_streak', 'vitórias': 'win_streak',
+  play_streak: 'play_streak', dias: 'play_streak',
+  matches: 'matches', partidas: 'matches',
+};
+
+export const parseAchievementType = (s) => ACHIEVEMENT_ALIASES[String(s || '').toLowerCase()] || null;
+
+// Conquistas que toda guild ganha na primeira vez (depois, /conquistas muda)
+export const DEFAULT_ACHIEVEMENTS = [
+  { type: 'kills_day', threshold: 30 },
+  { type: 'kd_day', threshold: 2 },
+  { type: 'win_streak', threshold: 5 },
+  { type: 'play_streak', threshold: 7 },
+  { type: 'matches', threshold: 100 },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const played = (b) => b.matches > 0 || b.wins + b.losses > 0;
+
+// Maior sequência de itens consecutivos (`next(prev, cur)`) que passam em `keep`
+function longestRun(items, keep, next = () => true) {
+  let best = null;
+  let run = null;
+  let prev = null;
+  for (const item of items) {
+    if (!keep(item)) {
+      run = null;
+    } else {
+      run = run && next(prev, item) ? { ...run, value: run.value + 1, to: item.iso } : { value: 1, from: item.iso, to: item.iso };
+      if (!best || run.value > best.value) best = run;
+    }
+    prev = item;
+  }
+  return best;
+}
+
+/**
+ * Recordes do histórico.
+ * `blocks`: dias (qualquer ordem) • `matches`: partidas em ordem cronológica ({ iso, result }).
+ * Devolve { records: { tipo: { value, iso?, from?, to? } | null }, current: { result, count }, totals }.
+ */
+export function computeRecords(blocks, matches = []) {
+  const days = blocks.filter(played).sort((a, b) => a.iso.localeCompare(b.iso));
+
+  let killsDay = null;
+  let kdDay = null;
+  for (const b of days) {
+    if (!killsDay || b.k > killsDay.value) killsDay = { value: b.k, iso: b.iso };
+    const kd = b.d > 0 ? b.k / b.d : b.k;
+    if (b.matches >= MIN_KD_DAY_MATCHES && (!kdDay || kd > kdDay.value)) kdDay = { value: kd, iso: b.iso };
+  }
+
+  const playStreak = longestRun(days, () => true, (prev, cur) => Date.parse(cur.iso) - Date.parse(prev.iso) === DAY_MS);
+  const sameResult = (result) => longestRun(matches, (m) => m.result === result);
+
+  // Sequência em andamento (da partida mais recente para trás)
+  let current = { result: null, count: 0 };
+  for (let i = matches.length - 1; i >= 0; i--) {
+    const { result } = matches[i];
+    if (result !== 'win' && result !== 'loss') break;
+    if (current.result && result !== current.result) break;
+    current = { result, count: current.count + 1 };
+  }
+
+  const totals = { matches: 0, wins: 0, losses: 0, k: 0, d: 0 };
+  for (const b of days) {
+    totals.matches += b.matches || b.wins + b.losses;
+    totals.wins += b.wins;
+    totals.losses += b.losses;
+    totals.k += b.k;
+    totals.d += b.d;
+  }
+
+  return {
+    records: {
+      kills_day: killsDay,
+      kd_day: kdDay,
+      play_streak: playStreak,
+      win_streak: sameResult('win'),
+      loss_streak: sameResult('loss'),
+    },
+    current,
+    totals,
+  };
+}
+
+/**
+ * Recordes anunciáveis que superaram os gravados.
+ * `stored`: Map tipo -> valor anterior. Tipo sem valor anterior não é "novo
+ * recorde" (é o primeiro registro), para o histórico antigo não virar anúncio.
+ */
+export function newRecords(stored, computed) {
+  return ANNOUNCED_RECORDS
+    .filter(type => computed.records[type] && stored.has(type) && computed.records[type].value > stored.get(type) + 1e-9)
+    .map(type => ({ type, ...computed.records[type], previous: stored.get(type) }));
+}
+
+// Quanto o jogador já tem de cada tipo de conquista
+export function achievementValue(type, computed) {
+  if (type === 'matches') return computed.totals.matches;
+  return computed.records[type]?.value ?? 0;
+}
+
+// Conquistas (linhas { id, type, threshold }) já alcançadas
+export function reachedAchievements(achievements, computed) {
+  return achievements.filter(a => achievementValue(a.type, computed) >= a.threshold);
+}
+
+/**
+ * Valida uma conquista nova (/conquistas criar).
+ * K/D aceita decimais; o resto é contagem (inteiro >= 1).
+ * Lança erro traduzível (localizedError).
+ */
+export function buildAchievement({ type, threshold }) {
+  if (!ACHIEVEMENT_TYPES.includes(type)) throw localizedError('achievement.error.type', { types: ACHIEVEMENT_TYPES.join(', ') });
+  const value = Number(String(threshold ?? '').replace(',', '.'));
+  const ok = type === 'kd_day' ? value > 0 && value <= 100 : Number.isInteger(value) && value >= 1 && value <= 100000;
+  if (!ok) throw localizedError('achievement.error.threshold');
+  return { type, threshold: value };
+}
@@ -0,0 +1,41 @@
+// src/renames.js
+// ------------------------------------------------------------
+// Renomeação de jogador (mesmo id Ubisoft, nick novo) nas linhas de
+// `players` de todas as guilds. Quando a guild já tinha o nick novo
+// cadastrado à parte, a linha antiga é fundida nela (vínculo e ajustes
+// da antiga valem) antes de sair. A migração do histórico fica no index.js.
+// ------------------------------------------------------------
+
+/**
+ * `db`: banco better-sqlite3 com a tabela `players`.
+ * Devolve rename(profileId, to); rode dentro da transação de quem chama.
+ */
+export function createPlayerRenamer(db) {
+  // Linha antiga (o) -> linha que já tem o nick novo (p), na mesma guild
+  const merge = db.prepare(`
+    UPDATE players AS p SET
+      profile_id = o.profile_id,
+      discord_user_id = COALESCE(o.discord_user_id, p.discord_user_id),
+      platform = COALESCE(o.platform, p.platform),
+      added_at = COALESCE(MIN(o.added_at, p.added_at), o.added_at, p.added_at),
+      achievements_at = COALESCE(o.achievements_at, p.achievements_at),
+      live_seen_at = COALESCE(o.live_seen_at, p.live_seen_at)
+    FROM players AS o
+    WHERE o.profile_id = @id AND o.username <> @to COLLATE NOCASE
+      AND p.guild_id = o.guild_id AND p.username = @to COLLATE NOCASE
+  `);
+  // Depois da fusão, a linha antiga sobra nas guilds que já tinham o nick novo
+  const dropMerged = db.prepare(`
+    DELETE FROM players
+    WHERE profile_id = @id AND username <> @to COLLATE NOCASE
+      AND EXISTS (SELECT 1 FROM players p WHERE p.guild_id = players.guild_id AND p.username = @to COLLATE NOCASE)
+  `);
+  const rename = db.prepare('UPDATE players SET username = @to WHERE profile_id = @id');
+
+  return (profileId, to) => {
+    const args = { id: profileId, to };
+    merge.run(args);
+    dropMerged.run(args);
+    rename.run(args);
+  };
+}
@@ -0,0 +1,158 @@
+// src/roster.js
+// ------------------------------------------------------------
+// Lista de jogadores em CSV/JSON (/exportar e /importar), para levar o
+// cadastro de uma guild para outra ou restaurar um backup.
+// Colunas: username, discord_user_id (vínculo), added_at e platform (opcionais).
+// Só conversão e validação; o banco fica no index.js.
+// ------------------------------------------------------------
+
+import { localizedError } from './i18n.js';
+import { parsePlatform } from './platforms.js';
+
+export const ROSTER_FORMATS = ['csv', 'json'];
+export const ROSTER_COLUMNS = ['username', 'discord_user_id', 'added_at', 'platform'];
+
+// Limites do arquivo importado
+export const MAX_ROSTER_PLAYERS = 500;
+export const MAX_ROSTER_BYTES = 256 * 1024;
+
+// Snowflake do Discord
+const DISCORD_ID = /^\d{15,21}$/;
+
+// Cabeçalhos aceitos além dos nomes canônicos
+const COLUMN_ALIASES = {
+  username: 'username', nick: 'username',
+  discord_user_id: 'discord_user_id', discorduserid: 'discord_user_id', discord: 'discord_user_id', membro: 'discord_user_id',
+  added_at: 'added_at', addedat: 'added_at', cadastrado_em: 'added_at',
+  platform: 'platform', plataforma: 'platform',
+};
+
+// Formato pela extensão do arquivo; sem extensão conhecida, pelo conteúdo
+export function detectRosterFormat(filename, text = '') {
+  const ext = String(filename || '').toLowerCase().split('.').pop();
+  if (ROSTER_FORMATS.includes(ext)) return ext;
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+}
+
+// Uma linha CSV (RFC 4180): campos entre aspas podem conter o separador e "" escapado
+function splitCsvLine(line, sep) {
+  const cells = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { cells.push(cur); cur = ''; }
+    else cur += ch;
+  }
+  cells.push(cur);
+  return cells.map(c => c.trim());
+}
+
+// Sem cabeçalho reconhecido, as colunas seguem a ordem padrão (uma lista
+// de nicks, um por linha, também funciona). `;` é aceito (Excel em pt-BR).
+function parseCsv(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map((raw, i) => ({ raw, line: i + 1 }))
+    .filter(l => l.raw.trim());
+  if (!lines.length) return [];
+
+  const sep = !lines[0].raw.includes(',') && lines[0].raw.includes(';') ? ';' : ',';
+  const head = splitCsvLine(lines[0].raw, sep).map(c => COLUMN_ALIASES[c.toLowerCase()]);
+  const hasHeader = head.includes('username');
+  const columns = hasHeader ? head : ROSTER_COLUMNS;
+
+  return lines.slice(hasHeader ? 1 : 0).map(({ raw, line }) => {
+    const cells = splitCsvLine(raw, sep);
+    const entry = { line };
+    columns.forEach((col, i) => { if (col) entry[col] = cells[i]; });
+    return entry;
+  });
+}
+
+// Array de nicks ou de objetos; também aceita { players: [...] }
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch {
+    throw localizedError('roster.error.json');
+  }
+  const list = Array.isArray(data) ? data : data?.players;
+  if (!Array.isArray(list)) throw localizedError('roster.error.json');
+
+  return list.map((item, i) => {
+    if (typeof item === 'string') return { line: i + 1, username: item };
+    const entry = { line: i + 1 };
+    for (const [key, value] of Object.entries(item || {})) {
+      const col = COLUMN_ALIASES[key.toLowerCase()];
+      if (col) entry[col] = value;
+    }
+    return entry;
+  });
+}
+
+// Data em ms (número ou ISO); inválida/ausente => null
+function parseAddedAt(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Lê o arquivo de importação.
+ * Retorna { players: [{ username, discordUserId, addedAt, platform }], invalid: [linhas] }.
+ * `platform` null = padrão do bot (TRN_PLATFORM).
+ * Nicks repetidos (sem diferenciar maiúsculas) ficam só com a primeira ocorrência.
+ * Lança erro traduzível (localizedError) se o arquivo não puder ser usado.
+ */
+export function parseRoster(text, format = 'csv') {
+  const entries = format === 'json' ? parseJson(String(text)) : parseCsv(String(text));
+  if (!entries.length) throw localizedError('roster.error.empty');
+  if (entries.length > MAX_ROSTER_PLAYERS) throw localizedError('roster.error.tooMany', { max: MAX_ROSTER_PLAYERS });
+
+  const players = [];
+  const invalid = [];
+  const seen = new Set();
+  for (const e of entries) {
+    const username = String(e.username ?? '').trim();
+    const discordUserId = String(e.discord_user_id ?? '').trim() || null;
+    const platformIn = String(e.platform ?? '').trim();
+    const platform = platformIn ? parsePlatform(platformIn) : null;
+    if (!username || /\s/.test(username) || (discordUserId && !DISCORD_ID.test(discordUserId)) || (platformIn && !platform)) {
+      invalid.push(e.line);
+      continue;
+    }
+    const key = username.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    players.push({ username, discordUserId, addedAt: parseAddedAt(e.added_at), platform });
+  }
+  return { players, invalid };
+}
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",;\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Gera o arquivo de exportação a partir das linhas de `players`
+ * ({ username, discord_user_id, added_at, platform }). Datas saem em ISO (UTC).
+ */
+export function serializeRoster(rows, format = 'csv') {
+  const entries = rows.map(r => ({
+    username: r.username,
+    discord_user_id: r.discord_user_id || null,
+    added_at: Number.isFinite(r.added_at) ? new Date(r.added_at).toISOString() : null,
+    platform: r.platform || null,
+  }));
+  if (format === 'json') return JSON.stringify(entries, null, 2) + '\n';
+  return [ROSTER_COLUMNS, ...entries.map(e => ROSTER_COLUMNS.map(c => e[c]))]
+    .map(cols => cols.map(csvCell).join(','))
+    .join('\n') + '\n';
+}
@@ -0,0 +1,121 @@
+// src/schedules.js
+// ------------------------------------------------------------
+// Agendamentos por guild: cada job escolhe tipo (relatório/ranking),
+// período, canal, horário e frequência (diário, dia da semana ou dia do mês).
+// Rankings semanais/mensais podem levar um gráfico comparativo (`chart`).
+// Aqui ficam só as regras puras (validação, expressão cron, descrição);
+// persistência e envio ficam no index.js. Textos vêm do catálogo (src/i18n.js).
+// ------------------------------------------------------------
+
+import { DEFAULT_LOCALE, localizedError, translate } from './i18n.js';
+import { CHART_METRICS } from './charts.js';
+
+export const SCHEDULE_KINDS = ['report', 'ranking'];
+
+// day/yesterday: dia corrente/anterior • week/month: semana/mês anterior (fechados)
+export const SCHEDULE_PERIODS = ['day', 'yesterday', 'week', 'month'];
+
+// Aceitos no prefixo; índice = dia da semana do cron (0 = domingo)
+export const WEEKDAYS = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sáb'];
+
+// Períodos em que o ranking pode levar gráfico (um ponto por dia)
+export const CHART_PERIODS = ['week', 'month'];
+
+// Último dia aceito para jobs mensais (existe em todos os meses)
+export const MAX_MONTH_DAY = 28;
+
+// Aliases aceitos no prefixo (!agendamentos criar ...)
+const KIND_ALIASES = {
+  report: 'report', relatorio: 'report', 'relatório': 'report',
+  ranking: 'ranking',
+};
+const PERIOD_ALIASES = {
+  day: 'day', hoje: 'day', diario: 'day', 'diário': 'day',
+  yesterday: 'yesterday', ontem: 'yesterday',
+  week: 'week', semana: 'week', semanal: 'week',
+  month: 'month', mes: 'month', 'mês': 'month', mensal: 'month',
+};
+
+export function parseHHmm(s) {
+  const m = /^([01]\d|2[0-3]):([0-5]\d)$/.exec((s || '').trim());
+  if (!m) return null;
+  return { hh: Number(m[1]), mm: Number(m[2]) };
+}
+
+export const parseKind = (s) => KIND_ALIASES[String(s || '').toLowerCase()] || null;
+export const parsePeriod = (s) => PERIOD_ALIASES[String(s || '').toLowerCase()] || null;
+
+export function parseWeekday(s) {
+  const v = String(s ?? '').trim().toLowerCase();
+  if (/^[0-6]$/.test(v)) return Number(v);
+  const idx = WEEKDAYS.findIndex(d => d === v || d.normalize('NFD').replace(/[\u0300-\u036f]/g, '') === v);
+  return idx >= 0 ? idx : null;
+}
+
+/**
+ * Monta e valida um job. Sem frequência explícita:
+ * week -> segunda, month -> dia 1, day/yesterday -> todo dia.
+ * `chart`: métrica do gráfico comparativo (src/charts.js) ou null.
+ * Lança erro traduzível (localizedError) pronto para o usuário.
+ */
+export function buildScheduleJob({ kind, period, channelId, time, weekday = null, monthDay = null, chart = null }) {
+  if (!SCHEDULE_KINDS.includes(kind)) throw localizedError('schedule.error.kind');
+  if (!SCHEDULE_PERIODS.includes(period)) throw localizedError('schedule.error.period');
+  if (!channelId) throw localizedError('schedule.error.channel');
+  if (!parseHHmm(time)) throw localizedError('schedule.error.time');
+  if (weekday !== null && monthDay !== null) throw localizedError('schedule.error.both');
+  if (weekday !== null && !(Number.isInteger(weekday) && weekday >= 0 && weekday <= 6)) {
+    throw localizedError('schedule.error.weekday');
+  }
+  if (monthDay !== null && !(Number.isInteger(monthDay) && monthDay >= 1 && monthDay <= MAX_MONTH_DAY)) {
+    throw localizedError('schedule.error.monthDay', { max: MAX_MONTH_DAY });
+  }
+  if (chart !== null && !CHART_METRICS.includes(chart)) throw localizedError('schedule.error.chartMetric');
+  if (chart !== null && (kind !== 'ranking' || !CHART_PERIODS.includes(period))) throw localizedError('schedule.error.chart');
+
+  if (weekday === null && monthDay === null) {
+    if (period === 'week') weekday = 1;
+    else if (period === 'month') monthDay = 1;
+  }
+
+  return { kind, period, channel_id: channelId, time_str: time.trim(), weekday, month_day: monthDay, chart };
+}
+
+export function cronExpression(job) {
+  const t = parseHHmm(job.time_str);
+  if (!t) return null;
+  const dom = job.month_day ?? '*';
+  const dow = job.weekday ?? '*';
+  return `${t.mm} ${t.hh} ${dom} * ${dow}`;
+}
+
+// "todo dia 23:55" / "toda seg 09:00" / "dia 1 09:00"
+export function describeFrequency(job, locale = DEFAULT_LOCALE) {
+  const time = job.time_str;
+  if (job.weekday !== null && job.weekday !== undefined) {
+    return translate(locale, 'schedule.freq.weekly', { day: translate(locale, `weekday.${job.weekday}`), time });
+  }
+  if (job.month_day !== null && job.month_day !== undefined) {
+    return translate(locale, 'schedule.freq.monthly', { day: job.month_day, time });
+  }
+  return translate(locale, 'schedule.freq.daily', { time });
+}
+
+// "Relatório de hoje" / "Ranking for last week + K/D chart"
+export function describeJob(job, locale = DEFAULT_LOCALE) {
+  const text = translate(locale, 'schedule.job', {
+    kind: translate(locale, `schedule.kind.${job.kind}`),
+    period: translate(locale, `schedule.period.${job.period}`),
+  });
+  if (!job.chart) return text;
+  return `${text} ${translate(locale, 'schedule.withChart', { metric: translate(locale, `chart.metric.${job.chart}`) })}`;
+}
+
+// Agendamentos que o antigo `/programar` criava (mesmo canal e horário)
+export function defaultScheduleJobs(channelId, time) {
+  return [
+    buildScheduleJob({ kind: 'report', period: 'day', channelId, time }),
+    buildScheduleJob({ kind: 'ranking', period: 'week', channelId, time }),
+    buildScheduleJob({ kind: 'ranking', period: 'month', channelId, time }),
+  ];
+}
@@ -0,0 +1,135 @@
+// src/scraper.js
+// ------------------------------------------------------------
+// Motor único de scraping: fonte (navegador/fixtures/HTTP) + parsers.
+// Usado pelo bot (index.js), pelo CLI de depuração (test-scrape.js) e pelos testes.
+// ------------------------------------------------------------
+
+import path from 'path';
+import { DateTime } from 'luxon';
+import { createProfileSource } from './sources/index.js';
+import { resolvePlatform } from './platforms.js';
+import { parseDailyBlocks, parseProfileIdentity, parseRankedCard, detectPageState, DEFAULT_TZ } from './parsers.js';
+import { createRateLimiter } from './queue.js';
+
+// Estados em que `blocks: []` não significa "não jogou" (ver detectPageState)
+export const BAD_PAGE_STATES = ['unrecognized', 'blocked'];
+
+// Perfil inexistente: nick errado ou renomeado (não é defeito do parser, sem alerta)
+export const MISSING_PAGE_STATES = ['notfound'];
+
+/**
+ * Cria o scraper sobre uma fonte já construída.
+ * scrapeProfile(username, { snapshot?, platform?, ranked? }) -> { url, blocks, matches, state, snapshot, profile, ranked }
+ * (blocos no formato de normalizeBlock; partidas no formato de parseMatchRow;
+ * `profile` de parseProfileIdentity; `ranked` de parseRankedCard ou null).
+ * `username` também pode ser o id Ubisoft.
+ * Com `ranked: true`, se a página não tiver o card do ranqueado, abre também a
+ * aba overview (uma navegação a mais; falha ali não derruba o scrape).
+ * Páginas em BAD_PAGE_STATES são salvas em `snapshotDir` (HTML + screenshot).
+ */
+export function createScraper({ source, zone = DEFAULT_TZ, snapshotDir = 'snapshots' }) {
+  // Card do ranqueado pela aba overview (null se não abrir ou não tiver)
+  async function fetchRanked(username, platform) {
+    try {
+      const { html } = await source.fetchProfile(username, { platform, view: 'overview' });
+      return parseRankedCard(html);
+    } catch (e) {
+      console.warn(`⚠️ Sem card do ranqueado para ${username}: ${e?.message || e}`);
+      return null;
+    }
+  }
+
+  async function scrapeProfile(username, { snapshot, platform, ranked: withRanked = false } = {}) {
+    const now = DateTime.now().setZone(zone);
+    let state = null;
+    let savedAs = null;
+
+    const { url, html } = await source.fetchProfile(username, {
+      platform,
+      snapshot: (pageHtml) => {
+        state = detectPageState(pageHtml, { now });
+        const safe = String(username).replace(/[^\w.-]+/g, '_');
+        savedAs = BAD_PAGE_STATES.includes(state)
+          ? path.join(snapshotDir, `${safe}-${now.toFormat('yyyyLLdd-HHmmss')}`)
+          : (snapshot || null);
+        return savedAs;
+      },
+    });
+
+    const { blocks, matches } = parseDailyBlocks(html, { now });
+    const pageState = state || detectPageState(html, { now });
+    let ranked = parseRankedCard(html);
+    if (!ranked && withRanked && !BAD_PAGE_STATES.includes(pageState) && !MISSING_PAGE_STATES.includes(pageState)) {
+      ranked = await fetchRanked(username, platform);
+    }
+    return {
+      url,
+      blocks,
+      matches,
+      state: pageState,
+      snapshot: savedAs,
+      profile: parseProfileIdentity(html),
+      ranked,
+    };
+  }
+
+  return {
+    source,
+    scrapeProfile,
+    close: () => source.close(),
+  };
+}
+
+// Opções das fontes a partir do .env (mesmos nomes/padrões para bot e CLI).
+// Um único limitador por host é compartilhado entre as fontes de rede.
+export function sourceOptionsFromEnv(env = process.env, { cookies } = {}) {
+  const {
+    TRN_BASE = 'auto',
+    TRN_PLATFORM = 'pc',
+    TRN_HEADLESS = 'true',
+    HEADFUL,
+    TRN_CF_WAIT_MS = '12000',
+    TRN_NAV_TIMEOUT_MS = '45000',
+    EXTRA_WAIT_MS = '12000',
+    CHROME_EXE,
+    TRN_FIXTURES_DIR = 'fixtures',
+    TRN_HTTP_BASE = 'http://127.0.0.1:8787',
+    TRN_HOST_RPM = '30',
+  } = env;
+
+  const limiter = createRateLimiter({ perMinute: parseInt(TRN_HOST_RPM, 10) || 0 });
+
+  const browser = {
+    base: TRN_BASE,
+    platform: resolvePlatform(TRN_PLATFORM),
+    headless: !HEADFUL && String(TRN_HEADLESS).toLowerCase() !== 'false',
+    chromeExe: CHROME_EXE,
+    limiter,
+  };
+
+  return {
+    playwright: {
+      ...browser,
+      navTimeoutMs: parseInt(TRN_NAV_TIMEOUT_MS, 10) || 30000,
+      cfWaitMs: parseInt(TRN_CF_WAIT_MS, 10) || 5000,
+      cookies,
+    },
+    puppeteer: {
+      ...browser,
+      navTimeoutMs: parseInt(TRN_NAV_TIMEOUT_MS, 10) || 90000,
+      extraWaitMs: parseInt(EXTRA_WAIT_MS, 10) || 12000,
+    },
+    fixtures: { dir: TRN_FIXTURES_DIR },
+    http: { base: TRN_HTTP_BASE, limiter },
+  };
+}
+
+// Atalho: fonte escolhida por TRN_SOURCE (ou `kind`) + scraper
+export function createScraperFromEnv(env = process.env, { kind, zone, cookies } = {}) {
+  const source = createProfileSource(kind || env.TRN_SOURCE || 'playwright', sourceOptionsFromEnv(env, { cookies }));
+  return createScraper({
+    source,
+    zone: zone || env.TZ || DEFAULT_TZ,
+    snapshotDir: env.SNAPSHOT_DIR || 'snapshots',
+  });
+}
@@ -0,0 +1,65 @@
+// src/seasons.js
+// ------------------------------------------------------------
+// Calendário de temporadas do Siege por guild (/temporadas): nome, início
+// e fim (datas inclusivas, no fuso da guild). Os comandos de relatório e
+// ranking aceitam `periodo: temporada` (atual) ou `temporada_anterior`.
+// Só regras; o banco e o post de fim de temporada ficam no index.js.
+// ------------------------------------------------------------
+
+import { DateTime } from 'luxon';
+import { localizedError } from './i18n.js';
+
+// season: a temporada em andamento • lastSeason: a última já encerrada
+export const SEASON_RANGES = ['season', 'lastSeason'];
+
+// Aliases aceitos no prefixo (!weekly_ranking temporada)
+const RANGE_ALIASES = {
+  season: 'season', temporada: 'season',
+  lastseason: 'lastSeason', temporada_anterior: 'lastSeason',
+};
+
+export const parseSeasonRange = (s) => RANGE_ALIASES[String(s || '').toLowerCase()] || null;
+
+export const MAX_SEASON_NAME = 40;
+
+// "2025-12-02" ou "02/12/2025" -> "2025-12-02"; inválida => null
+export function parseSeasonDate(input) {
+  const s = String(input || '').trim();
+  const dt = /^\d{4}-\d{2}-\d{2}$/.test(s)
+    ? DateTime.fromISO(s)
+    : DateTime.fromFormat(s, 'd/M/yyyy');
+  return dt.isValid ? dt.toISODate() : null;
+}
+
+/**
+ * Valida uma temporada nova contra as já cadastradas (`existing`: linhas
+ * { name, start_iso, end_iso }). Nome único (sem diferenciar maiúsculas),
+ * início <= fim e sem sobrepor outra temporada.
+ * Lança erro traduzível (localizedError).
+ */
+export function buildSeason({ name, start, end }, existing = []) {
+  const clean = String(name || '').trim();
+  if (!clean || clean.length > MAX_SEASON_NAME) throw localizedError('season.error.name', { max: MAX_SEASON_NAME });
+  const startIso = parseSeasonDate(start);
+  const endIso = parseSeasonDate(end);
+  if (!startIso || !endIso) throw localizedError('season.error.date');
+  if (startIso > endIso) throw localizedError('season.error.order');
+
+  const same = existing.find(s => s.name.toLowerCase() === clean.toLowerCase());
+  if (same) throw localizedError('season.error.duplicate', { name: same.name });
+  const overlap = existing.find(s => s.start_iso <= endIso && startIso <= s.end_iso);
+  if (overlap) throw localizedError('season.error.overlap', { name: overlap.name });
+
+  return { name: clean, startIso, endIso };
+}
+
+// Temporada da data `iso` (atual) ou a mais recente encerrada antes dela
+export function findSeason(seasons, range, iso) {
+  if (range === 'lastSeason') {
+    return seasons.filter(s => s.end_iso < iso).sort((a, b) => b.end_iso.localeCompare(a.end_iso))[0] || null;
+  }
+  return seasons.find(s => s.start_iso <= iso && iso <= s.end_iso) || null;
+}
+
+// Encerradas até a véspera de `iso` e ainda sem post de fim de temporada
+export const seasonsToAnnounce = (seasons, iso) => seasons.filter(s => s.end_iso < iso && !s.announced_at);
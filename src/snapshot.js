@@ -0,0 +1,42 @@
+// src/snapshot.js
+// ------------------------------------------------------------
+// Snapshots de depuração: screenshot + HTML da página como o scraper viu.
+// ------------------------------------------------------------
+
+import fs from 'fs';
+import path from 'path';
+
+function ensureDir(tag) {
+  const dir = path.dirname(tag);
+  if (dir && dir !== '.') fs.mkdirSync(dir, { recursive: true });
+}
+
+// `snapshot` das fontes: prefixo fixo ou função (html) => prefixo | null,
+// avaliada com a página ainda aberta
+export function resolveSnapshot(snapshot, html) {
+  return typeof snapshot === 'function' ? snapshot(html) : snapshot;
+}
+
+// Página de navegador (Playwright ou Puppeteer: mesma API para isso)
+export async function saveDebug(page, tag = 'debug') {
+  try {
+    ensureDir(tag);
+    await page.screenshot({ path: `${tag}.png`, fullPage: true });
+    const html = await page.content();
+    fs.writeFileSync(`${tag}.html`, html, 'utf8');
+    console.log(`Salvei ${tag}.png e ${tag}.html`);
+  } catch (e) {
+    console.log('Falha ao salvar debug:', e.message);
+  }
+}
+
+// Fontes sem navegador só têm o HTML
+export function saveHtmlSnapshot(html, tag = 'debug') {
+  try {
+    ensureDir(tag);
+    fs.writeFileSync(`${tag}.html`, html, 'utf8');
+    console.log(`Salvei ${tag}.html`);
+  } catch (e) {
+    console.log('Falha ao salvar debug:', e.message);
+  }
+}
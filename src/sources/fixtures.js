@@ -0,0 +1,43 @@
+// src/sources/fixtures.js
+// ------------------------------------------------------------
+// Fonte de perfis "fixtures": serve HTML salvo em disco, um arquivo por nick
+// (ex.: fixtures/gabrielgadelham.html; a aba overview em
+// gabrielgadelham.overview.html). Não usa rede. A URL devolvida é a do
+// perfil no TRN (embeds do Discord não aceitam file://).
+// ------------------------------------------------------------
+
+import fs from 'fs';
+import path from 'path';
+import { buildCandidates } from './playwright.js';
+import { saveHtmlSnapshot, resolveSnapshot } from '../snapshot.js';
+
+// Procura "<nick>.html" sem diferenciar maiúsculas (só nomes que existem no diretório)
+export function findFixtureFile(dir, username) {
+  const root = path.resolve(dir);
+  const want = `${username}.html`.toLowerCase();
+  let files = [];
+  try {
+    files = fs.readdirSync(root);
+  } catch {
+    return null;
+  }
+  const file = files.find(f => f.toLowerCase() === want);
+  return file ? path.join(root, file) : null;
+}
+
+export function createFixtureSource({ dir = 'fixtures' } = {}) {
+  async function fetchProfile(username, { snapshot, platform, view = 'matches' } = {}) {
+    const file = findFixtureFile(dir, view === 'overview' ? `${username}.overview` : username);
+    if (!file) throw new Error(`Falha ao carregar perfil ${username}: sem fixture em ${path.resolve(dir)}`);
+    const html = await fs.promises.readFile(file, 'utf8');
+    const tag = resolveSnapshot(snapshot, html);
+    if (tag) saveHtmlSnapshot(html, tag);
+    return { url: buildCandidates(username, { platform, view })[0], html };
+  }
+
+  return {
+    name: 'fixtures',
+    fetchProfile,
+    async close() {},
+  };
+}
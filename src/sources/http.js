@@ -0,0 +1,31 @@
+// src/sources/http.js
+// ------------------------------------------------------------
+// Fonte de perfis "http": busca o HTML num servidor local que faz o papel
+// do TRN (ver serve-fixtures.js). Rota: GET <base>/profile/<nick>[/overview][?platform=xbox]
+// ------------------------------------------------------------
+
+import { saveHtmlSnapshot, resolveSnapshot } from '../snapshot.js';
+
+export function createHttpSource({ base = 'http://127.0.0.1:8787', timeoutMs = 15000, limiter } = {}) {
+  const root = String(base).replace(/\/+$/, '');
+
+  async function fetchProfile(username, { snapshot, platform, view = 'matches' } = {}) {
+    const query = platform ? `?platform=${encodeURIComponent(platform)}` : '';
+    const tab = view === 'overview' ? '/overview' : '';
+    const url = `${root}/profile/${encodeURIComponent(username)}${tab}${query}`;
+    await limiter?.acquire(url);
+    console.log(`🌐 Carregando: ${url}`);
+    const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error(`Falha ao carregar perfil ${username}: HTTP ${res.status}`);
+    const html = await res.text();
+    const tag = resolveSnapshot(snapshot, html);
+    if (tag) saveHtmlSnapshot(html, tag);
+    return { url, html };
+  }
+
+  return {
+    name: 'http',
+    fetchProfile,
+    async close() {},
+  };
+}
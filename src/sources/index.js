@@ -0,0 +1,28 @@
+// src/sources/index.js
+// ------------------------------------------------------------
+// Fontes de HTML de perfil. Toda fonte expõe a mesma interface:
+//   fetchProfile(username, { snapshot?, platform?, view? }) -> Promise<{ url, html }>
+//     (`view`: 'matches' padrão ou 'overview', a aba com o card do ranqueado)
+//   close()                               -> Promise<void>
+// As de navegador (playwright, puppeteer) também desenham HTML local em PNG:
+//   renderPng(html, { width, height })     -> Promise<Buffer>
+// `snapshot` é um prefixo de arquivo (ou função html => prefixo|null): salva
+// <prefixo>.html (e .png nos navegadores).
+// A escolha vem de TRN_SOURCE: playwright (padrão) | puppeteer | fixtures | http
+// ------------------------------------------------------------
+
+import { createPlaywrightSource } from './playwright.js';
+import { createPuppeteerSource } from './puppeteer.js';
+import { createFixtureSource } from './fixtures.js';
+import { createHttpSource } from './http.js';
+
+export const SOURCE_KINDS = ['playwright', 'puppeteer', 'fixtures', 'http'];
+
+export function createProfileSource(kind = 'playwright', opts = {}) {
+  const k = String(kind || 'playwright').toLowerCase();
+  if (k === 'playwright') return createPlaywrightSource(opts.playwright);
+  if (k === 'puppeteer') return createPuppeteerSource(opts.puppeteer);
+  if (k === 'fixtures') return createFixtureSource(opts.fixtures);
+  if (k === 'http') return createHttpSource(opts.http);
+  throw new Error(`TRN_SOURCE inválido: "${kind}" (use ${SOURCE_KINDS.join(', ')})`);
+}
@@ -0,0 +1,267 @@
+// src/sources/playwright.js
+// ------------------------------------------------------------
+// Fonte de perfis "playwright": abre as URLs do tracker.gg / r6.tracker.network
+// num Chromium real (contexto compartilhado, fechado quando fica ocioso).
+// ------------------------------------------------------------
+
+import { saveDebug, resolveSnapshot } from '../snapshot.js';
+
+// Tabela de aliases mora em src/platforms.js (também usada no cadastro)
+export { PLATFORM_ALIASES, resolvePlatform } from '../platforms.js';
+
+// URLs candidatas
+// Console: as URLs da plataforma vêm primeiro (as de "ubi" usam o nick Ubisoft).
+// `view: 'overview'` fica só com as páginas de visão geral (card do ranqueado).
+export function buildCandidates(username, { base = 'auto', platform = 'pc', view = 'matches' } = {}) {
+  const nameEnc = encodeURIComponent(username);
+  
+  const uTrkUbiOverview = `https://tracker.gg/r6siege/profile/ubi/${nameEnc}/matches`;
+  const uTrkPlatOverview = `https://tracker.gg/r6siege/profile/${platform}/${nameEnc}/overview`;
+  const uR6UbiMatches = `https://tracker.gg/r6siege/profile/ubi/${nameEnc}/overview`;
+  const uR6PlatProfile = `https://r6.tracker.network/profile/${platform}/${nameEnc}`;
+  
+  let candidates;
+  const basePref = (base || 'auto').toLowerCase();
+  if (basePref === 'tracker') {
+    candidates = [uTrkUbiOverview, uTrkPlatOverview, uR6UbiMatches, uR6PlatProfile];
+  } else if (basePref === 'r6') {
+    candidates = [uR6PlatProfile, uR6UbiMatches, uTrkPlatOverview, uTrkUbiOverview];
+  } else {
+    candidates = [uTrkUbiOverview, uTrkPlatOverview, uR6UbiMatches, uR6PlatProfile];
+  }
+  if (platform !== 'pc') {
+    candidates = [...candidates.filter(u => !u.includes('/ubi/')), ...candidates.filter(u => u.includes('/ubi/'))];
+  }
+  if (view === 'overview') candidates = candidates.filter(u => !u.endsWith('/matches'));
+  return [...new Set(candidates)];
+}
+
+// Lazy import do Playwright
+async function ensurePlaywright() {
+  try {
+    const pw = await import('playwright');
+    return pw;
+  } catch {
+    try {
+      const pwc = await import('playwright-core');
+      return pwc;
+    } catch (e) {
+      console.error('❌ Playwright não instalado! Execute:');
+      console.error('   npm install playwright');
+      console.error('   npx playwright install chromium');
+      process.exit(1);
+    }
+  }
+}
+
+/**
+ * Cria a fonte Playwright.
+ * `cookies` guarda o cookie do TRN entre execuções: { get(): string|null, set(str) }.
+ * `limiter` (opcional, ver src/queue.js) espaça as navegações por host.
+ * Várias páginas podem rodar ao mesmo tempo no contexto compartilhado.
+ */
+export function createPlaywrightSource({
+  base = 'auto',
+  platform = 'pc',
+  headless = true,
+  chromeExe,
+  navTimeoutMs = 30000,
+  cfWaitMs = 5000,
+  idleTimeoutMs = 5 * 60 * 1000, // 5 minutos
+  cookies,
+  limiter,
+} = {}) {
+  let browserInstance = null;
+  let browserContext = null;
+  let launching = null;
+  let openPages = 0;
+  let lastBrowserUse = Date.now();
+
+  // Fecha o browser se estiver idle (e sem páginas abertas)
+  async function checkBrowserIdle() {
+    if (browserInstance && !openPages && Date.now() - lastBrowserUse > idleTimeoutMs) {
+      console.log('🔄 Fechando browser idle...');
+      await closeBrowser();
+    }
+  }
+
+  async function closeBrowser() {
+    try {
+      await browserContext?.close();
+      await browserInstance?.close();
+    } catch {}
+    browserContext = null;
+    browserInstance = null;
+  }
+
+  // Configura timer para checar browser idle
+  const idleTimer = setInterval(checkBrowserIdle, 60000); // Check every minute
+
+  // Obtém ou cria contexto do browser (uma única inicialização mesmo com chamadas simultâneas)
+  async function getBrowserContext() {
+    lastBrowserUse = Date.now();
+    
+    if (browserContext) return browserContext;
+    if (!launching) launching = launchContext().finally(() => { launching = null; });
+    return launching;
+  }
+
+  async function launchContext() {
+    const pw = await ensurePlaywright();
+    if (!pw) throw new Error('Playwright necessário');
+    
+    const launchOpts = {
+      headless,
+      args: [
+        '--no-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-blink-features=AutomationControlled',
+        '--disable-features=IsolateOrigins,site-per-process',
+      ],
+    };
+    
+    if (chromeExe) launchOpts.executablePath = chromeExe;
+    
+    console.log('🚀 Iniciando browser...');
+    browserInstance = await pw.chromium.launch(launchOpts);
+    
+    browserContext = await browserInstance.newContext({
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+      viewport: { width: 1366, height: 768 },
+      extraHTTPHeaders: {
+        'Accept-Language': 'en-US,en;q=0.9',
+      }
+    });
+    
+    // Se temos cookies salvos, aplica no contexto
+    const saved = cookies?.get();
+    if (saved) {
+      const list = saved.split('; ').map(c => {
+        const [name, value] = c.split('=');
+        return {
+          name,
+          value,
+          domain: '.tracker.gg',
+          path: '/',
+        };
+      });
+      await browserContext.addCookies(list);
+      console.log('🍪 Cookies aplicados ao browser.');
+    }
+    
+    return browserContext;
+  }
+
+  // Fetch usando Playwright (muito mais robusto)
+  async function fetchWithPlaywright(url, { snapshot } = {}) {
+    await limiter?.acquire(url);
+    const ctx = await getBrowserContext();
+    openPages++;
+    let page;
+    
+    try {
+      page = await ctx.newPage();
+      console.log(`🌐 Carregando: ${url}`);
+      
+      await page.goto(url, { 
+        waitUntil: 'domcontentloaded', 
+        timeout: navTimeoutMs 
+      });
+
+      // Dentro de fetchWithPlaywright, logo após o goto():
+      await page.waitForSelector('header .stat-list .value, header .name-value .stat-name .truncate', { timeout: 10000 }).catch(() => {});
+      
+      // Aguarda inicial
+      await page.waitForTimeout(2000);
+      
+      // Verifica e aguarda Cloudflare
+      let attempts = 0;
+      while (attempts < 10) {
+        const html = await page.content();
+        if (!/cf-browser-verification|Just a moment|Checking your browser/i.test(html)) break;
+        console.log('⏳ Aguardando Cloudflare...');
+        await page.waitForTimeout(3000);
+        attempts++;
+      }
+      
+      // Aguarda conteúdo carregar
+      try {
+        await page.waitForSelector('.v3-match-row, .stat-list, .trn-profile', { timeout: 10000 });
+      } catch {
+        // Pode não ter partidas, continua
+      }
+      
+      // Aguarda final para garantir
+      await page.waitForTimeout(cfWaitMs);
+      
+      const finalHtml = await page.content();
+      const tag = resolveSnapshot(snapshot, finalHtml);
+      if (tag) await saveDebug(page, tag);
+      
+      // Salva cookies atualizados
+      const all = await ctx.cookies();
+      const trnCookies = all.filter(c => 
+        c.domain.includes('tracker.gg') || c.domain.includes('r6.tracker.network')
+      );
+      if (trnCookies.length > 0) {
+        const cookieStr = trnCookies.map(c => `${c.name}=${c.value}`).join('; ');
+        cookies?.set(cookieStr);
+      }
+      
+      return finalHtml;
+      
+    } finally {
+      openPages--;
+      lastBrowserUse = Date.now();
+      await page?.close().catch(() => {});
+    }
+  }
+
+  // HTML local -> PNG (gráficos). Sem rede: não passa pelo limitador.
+  async function renderPng(html, { width, height }) {
+    const ctx = await getBrowserContext();
+    openPages++;
+    let page;
+    try {
+      page = await ctx.newPage();
+      await page.setViewportSize({ width, height });
+      await page.setContent(html, { waitUntil: 'load' });
+      return await page.screenshot({ type: 'png' });
+    } finally {
+      openPages--;
+      lastBrowserUse = Date.now();
+      await page?.close().catch(() => {});
+    }
+  }
+
+  // Fetch de perfil com retry
+  // `opts.platform`: plataforma do jogador (padrão: a da fonte, TRN_PLATFORM)
+  // `opts.view`: 'matches' (padrão) ou 'overview'
+  async function fetchProfile(username, opts = {}) {
+    const candidates = buildCandidates(username, { base, platform: opts.platform || platform, view: opts.view });
+    
+    let lastErr;
+    for (const url of candidates) {
+      try {
+        const html = await fetchWithPlaywright(url, opts);
+        return { url, html };
+      } catch (e) {
+        lastErr = e;
+        console.warn(`⚠️ Falha em ${url}: ${e?.message || e}`);
+        continue;
+      }
+    }
+    
+    throw new Error(`Falha ao carregar perfil ${username}: ${lastErr?.message || 'bloqueado'}`);
+  }
+
+  return {
+    name: 'playwright',
+    fetchProfile,
+    renderPng,
+    async close() {
+      clearInterval(idleTimer);
+      await closeBrowser();
+    },
+  };
+}
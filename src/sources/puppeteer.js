@@ -0,0 +1,133 @@
+// src/sources/puppeteer.js
+// ------------------------------------------------------------
+// Fonte de perfis "puppeteer": puppeteer-extra + plugin stealth, com espera
+// "na marra" pela hidratação e rolagem para disparar lazy-load.
+// ------------------------------------------------------------
+
+import { buildCandidates } from './playwright.js';
+import { saveDebug, resolveSnapshot } from '../snapshot.js';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Lazy import (só carrega o puppeteer se essa fonte for escolhida)
+async function ensurePuppeteer() {
+  const { default: puppeteerExtra } = await import('puppeteer-extra');
+  const { default: StealthPlugin } = await import('puppeteer-extra-plugin-stealth');
+  puppeteerExtra.use(StealthPlugin());
+  return puppeteerExtra;
+}
+
+async function tryDismissOverlays(page) {
+  const selectors = [
+    'button[aria-label="Accept all"]',
+    '#onetrust-accept-btn-handler',
+    'button.cookie-accept',
+    '.cc-allow', '.osano-cm-accept',
+  ];
+  for (const sel of selectors) {
+    try { const el = await page.$(sel); if (el) { await el.click({delay:50}); await sleep(800);} } catch {}
+  }
+}
+
+// `limiter` (opcional, ver src/queue.js) espaça as navegações por host
+export function createPuppeteerSource({
+  base = 'auto',
+  platform = 'pc',
+  headless = true,
+  chromeExe,
+  navTimeoutMs = 90000,
+  extraWaitMs = 12000,
+  limiter,
+} = {}) {
+  let browser = null;
+  let launching = null;
+
+  // Uma única inicialização mesmo com chamadas simultâneas
+  async function getBrowser() {
+    if (browser) return browser;
+    if (!launching) launching = launchBrowser().finally(() => { launching = null; });
+    return launching;
+  }
+
+  async function launchBrowser() {
+    const puppeteerExtra = await ensurePuppeteer();
+    console.log('🚀 Iniciando browser (puppeteer)...');
+    browser = await puppeteerExtra.launch({
+      headless: headless ? 'new' : false,
+      executablePath: chromeExe || undefined, // use Chrome se CHROME_EXE estiver setado
+      args: [
+        '--no-sandbox','--disable-setuid-sandbox','--disable-gpu',
+        '--lang=en-US,en;q=0.9,pt-BR;q=0.8','--window-size=1366,900'
+      ],
+    });
+    return browser;
+  }
+
+  async function fetchPage(url, { snapshot } = {}) {
+    await limiter?.acquire(url);
+    const b = await getBrowser();
+    const page = await b.newPage();
+    try {
+      console.log(`🌐 Carregando: ${url}`);
+      await page.setViewport({ width: 1366, height: 900 });
+      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari');
+      await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9,pt-BR;q=0.8' });
+
+      await page.goto(url, { waitUntil: ['domcontentloaded','networkidle2'], timeout: navTimeoutMs });
+      await tryDismissOverlays(page);
+
+      // espera “na marra” a hidratação do JS
+      await sleep(extraWaitMs);
+
+      // scroll simples para garantir lazy load de blocos
+      for (let i=0;i<3;i++){ await page.evaluate(()=>window.scrollBy(0, window.innerHeight)); await sleep(800); }
+
+      const html = await page.content();
+      const tag = resolveSnapshot(snapshot, html);
+      if (tag) await saveDebug(page, tag);
+      return html;
+    } finally {
+      await page.close();
+    }
+  }
+
+  // HTML local -> PNG (gráficos). Sem rede: não passa pelo limitador.
+  async function renderPng(html, { width, height }) {
+    const b = await getBrowser();
+    const page = await b.newPage();
+    try {
+      await page.setViewport({ width, height });
+      await page.setContent(html, { waitUntil: 'load' });
+      return Buffer.from(await page.screenshot({ type: 'png' }));
+    } finally {
+      await page.close();
+    }
+  }
+
+  async function fetchProfile(username, opts = {}) {
+    const candidates = buildCandidates(username, { base, platform: opts.platform || platform, view: opts.view });
+
+    let lastErr;
+    for (const url of candidates) {
+      try {
+        const html = await fetchPage(url, opts);
+        return { url, html };
+      } catch (e) {
+        lastErr = e;
+        console.warn(`⚠️ Falha em ${url}: ${e?.message || e}`);
+      }
+    }
+
+    throw new Error(`Falha ao carregar perfil ${username}: ${lastErr?.message || 'bloqueado'}`);
+  }
+
+  return {
+    name: 'puppeteer',
+    fetchProfile,
+    renderPng,
+    async close() {
+      try { await browser?.close(); } catch {}
+      browser = null;
+    },
+  };
+}
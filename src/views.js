@@ -0,0 +1,48 @@
+// src/views.js
+// ------------------------------------------------------------
+// Mensagens interativas de ranking/relatório: botões de período
+// (Hoje / Ontem / 7d / 30d) e menu de categoria, que editam a mesma
+// mensagem. O estado inteiro vai no customId do componente (nada em
+// memória: vale depois de reiniciar o bot). Só regras; componentes e
+// coleta (que passa pelo cache de scrapes) ficam no index.js.
+// ------------------------------------------------------------
+
+import { RANKING_CATEGORIES } from './rankings.js';
+
+export const VIEW_KINDS = ['ranking', 'report'];
+
+// Períodos dos botões, na ordem em que aparecem
+export const VIEW_RANGES = ['day', 'yesterday', 'week', 'month'];
+
+// Menu de categoria: todas (configuração da guild) ou uma só
+export const VIEW_ALL = 'all';
+
+// Alvo do próprio menu: a categoria vem do valor escolhido (ix.values)
+export const VIEW_MENU = 'menu';
+
+const PREFIX = 'view';
+const MAX_CUSTOM_ID = 100; // limite do Discord
+
+/**
+ * customId de um componente: "view:<kind>:<range>:<alvo>".
+ * Alvo = categoria (ranking) ou nick (relatório). Devolve null se não
+ * couber no limite do Discord (nick enorme: a mensagem sai sem botões).
+ */
+export function viewId({ kind, range, target }) {
+  const id = [PREFIX, kind, range, target].join(':');
+  return id.length <= MAX_CUSTOM_ID ? id : null;
+}
+
+// customId -> { kind, range, target } | null (não é nosso ou está inválido)
+export function parseViewId(customId) {
+  const [prefix, kind, range, ...rest] = String(customId || '').split(':');
+  const target = rest.join(':');
+  if (prefix !== PREFIX || !VIEW_KINDS.includes(kind) || !VIEW_RANGES.includes(range) || !target) return null;
+  if (kind === 'ranking' && ![VIEW_ALL, VIEW_MENU, ...RANKING_CATEGORIES].includes(target)) return null;
+  return { kind, range, target };
+}
+
+// Categorias do ranking a mostrar: as da guild, ou só a escolhida (se ainda estiver configurada)
+export function viewCategories(configured, target) {
+  return target !== VIEW_ALL && configured.includes(target) ? [target] : configured;
+}
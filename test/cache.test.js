@@ -0,0 +1,77 @@
+// test/cache.test.js
+// ------------------------------------------------------------
+// Cache de scrapes: memória/TTL, fallback persistente e single-flight.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createScrapeCache, dataAgeLabel } from '../src/cache.js';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('pedidos simultâneos do mesmo nick dividem um fetch', async () => {
+  let calls = 0;
+  const cache = createScrapeCache({
+    fetch: async (username) => {
+      calls++;
+      await sleep(10);
+      return { url: `u/${username}`, blocks: [], scrapedAt: Date.now() };
+    },
+  });
+
+  const [a, b, c] = await Promise.all([
+    cache.refresh('Gabriel'),
+    cache.refresh('gabriel'),
+    cache.refresh('GABRIEL'),
+  ]);
+  assert.equal(calls, 1);
+  assert.equal(a, b);
+  assert.equal(b, c);
+  assert.equal(cache.inflight, 0);
+
+  // depois de resolvido, um novo refresh busca de novo
+  await cache.refresh('gabriel');
+  assert.equal(calls, 2);
+});
+
+test('peek usa memória dentro do TTL e cai no load persistente', () => {
+  let loads = 0;
+  const stored = { url: 'db', blocks: [], scrapedAt: Date.now() - 5000 };
+  const cache = createScrapeCache({
+    ttlMs: 60000,
+    load: () => { loads++; return stored; },
+    fetch: async () => { throw new Error('não deveria buscar'); },
+  });
+
+  assert.equal(cache.peek('x'), stored);
+  assert.equal(cache.peek('X'), stored);
+  assert.equal(loads, 1);
+  assert.ok(cache.ageMs(stored) >= 5000);
+  assert.equal(cache.ageMs(null), Infinity);
+});
+
+test('peek devolve null quando nada foi raspado', () => {
+  const cache = createScrapeCache({ fetch: async () => null });
+  assert.equal(cache.peek('ninguem'), null);
+});
+
+test('falha no fetch libera o single-flight', async () => {
+  let calls = 0;
+  const cache = createScrapeCache({
+    fetch: async () => { calls++; throw new Error('bloqueado'); },
+  });
+  await assert.rejects(cache.refresh('a'), /bloqueado/);
+  await assert.rejects(cache.refresh('a'), /bloqueado/);
+  assert.equal(calls, 2);
+});
+
+test('dataAgeLabel', () => {
+  const now = Date.parse('2025-08-29T12:00:00Z');
+  assert.equal(dataAgeLabel(now - 20 * 1000, now), 'dados de agora há pouco');
+  assert.equal(dataAgeLabel(now - 4 * 60000, now), 'dados de 4 min atrás');
+  assert.equal(dataAgeLabel(now - 3 * 3600000, now), 'dados de 3 h atrás');
+  assert.equal(dataAgeLabel(now - 72 * 3600000, now), 'dados de 3 dias atrás');
+  assert.equal(dataAgeLabel(undefined, now), 'dados sem data');
+  assert.equal(dataAgeLabel(now - 4 * 60000, now, 'en'), 'data from 4 min ago');
+});
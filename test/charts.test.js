@@ -0,0 +1,90 @@
+// test/charts.test.js
+// ------------------------------------------------------------
+// Gráficos diários: valores por métrica, dias sem partida e o SVG gerado.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+
+import {
+  buildChartSvg,
+  buildMetricChart,
+  chartDays,
+  defaultChartStyle,
+  metricValue,
+  parseChartMetric,
+  parseChartStyle,
+} from '../src/charts.js';
+
+const day = (iso, s) => ({ iso, wins: 0, losses: 0, k: 0, d: 0, hs_pct: 0, matches: 0, ...s });
+
+test('valor de cada métrica no dia', () => {
+  const b = day('2026-10-01', { wins: 3, losses: 1, k: 20, d: 8, hs_pct: 45, matches: 4 });
+  assert.equal(metricValue(b, 'kd'), 2.5);
+  assert.equal(metricValue(b, 'kills'), 20);
+  assert.equal(metricValue(b, 'wr'), 75);
+  assert.equal(metricValue(b, 'hs'), 45);
+
+  // Sem mortes o K/D é o número de kills
+  assert.equal(metricValue(day('x', { k: 5, matches: 1 }), 'kd'), 5);
+  // Dia sem partidas (ou ausente) vira buraco
+  assert.equal(metricValue(day('x'), 'kills'), null);
+  assert.equal(metricValue(undefined, 'kd'), null);
+  assert.equal(metricValue(day('x', { d: 4, matches: 1 }), 'hs'), null);
+});
+
+test('dias do período, inclusive os sem histórico', () => {
+  const start = DateTime.fromISO('2026-10-13T00:00', { zone: 'America/Sao_Paulo' });
+  const days = chartDays(start, start.plus({ days: 6 }).endOf('day'));
+  assert.equal(days.length, 7);
+  assert.equal(days[0], '2026-10-13');
+  assert.equal(days[6], '2026-10-19');
+});
+
+test('aliases e estilo padrão', () => {
+  assert.equal(parseChartMetric('K/D'), 'kd');
+  assert.equal(parseChartMetric('vitórias'), 'wr');
+  assert.equal(parseChartMetric('abc'), null);
+  assert.equal(parseChartStyle('barras'), 'bar');
+  assert.equal(defaultChartStyle('kills'), 'bar');
+  assert.equal(defaultChartStyle('kd'), 'line');
+});
+
+test('SVG: título escapado, legenda só com várias séries, linha quebrada nos buracos', () => {
+  const svg = buildChartSvg({
+    title: 'K/D <alpha & beta>',
+    labels: ['a', 'b', 'c', 'd'],
+    series: [{ name: 'alpha', values: [1, 2, null, 1.5] }],
+    reference: 1,
+  });
+  assert.match(svg, /^<svg [^>]*width="960" height="480"/);
+  assert.match(svg, /K\/D &lt;alpha &amp; beta&gt;/);
+  assert.equal((svg.match(/<polyline /g) || []).length, 1); // só a-b (d fica sozinho)
+  assert.equal((svg.match(/<circle /g) || []).length, 3);
+  assert.match(svg, /stroke-dasharray/);
+  assert.doesNotMatch(svg, />alpha</);
+
+  const two = buildChartSvg({
+    labels: ['a', 'b'],
+    series: [{ name: 'alpha', values: [10, 20] }, { name: 'beta', values: [5, null] }],
+    style: 'bar',
+  });
+  assert.equal((two.match(/<rect [^>]*fill="#(?!2b2d31)/g) || []).length, 3 + 2); // 3 barras + 2 na legenda
+  assert.match(two, />beta</);
+});
+
+test('gráfico de métrica: null sem partidas, percentuais limitados a 100', () => {
+  const days = ['2026-10-01', '2026-10-02'];
+  assert.equal(buildMetricChart({ metric: 'kd', days, players: [{ name: 'a', blocks: [] }] }), null);
+
+  const svg = buildMetricChart({
+    metric: 'wr',
+    days,
+    players: [{ name: 'a', blocks: [day('2026-10-02', { wins: 2, losses: 0, matches: 2 })] }],
+    formatNumber: (v) => String(v),
+  });
+  assert.match(svg, />100%</);
+  assert.doesNotMatch(svg, />120%</);
+  assert.throws(() => buildMetricChart({ metric: 'xyz', days, players: [] }), /Métrica inválida/);
+});
@@ -0,0 +1,37 @@
+// test/commands.test.js
+// ------------------------------------------------------------
+// Slash commands: limites que a API do Discord valida no registro.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { slashCommands } from '../src/commands.js';
+
+const NAME = /^[\p{Ll}\p{N}_-]{1,32}$/u;
+
+// Comandos, subcomandos e opções (recursivo)
+function* walk(items, path = '') {
+  for (const item of items || []) {
+    const here = `${path}/${item.name}`;
+    yield [here, item];
+    yield* walk(item.options, here);
+  }
+}
+
+test('nomes únicos e válidos', () => {
+  const names = slashCommands.map(c => c.name);
+  assert.equal(new Set(names).size, names.length);
+  for (const [path, item] of walk(slashCommands)) assert.match(item.name, NAME, path);
+});
+
+test('descrições e choices dentro dos limites', () => {
+  for (const [path, item] of walk(slashCommands)) {
+    assert.ok(item.description?.length >= 1 && item.description.length <= 100, `descrição de ${path}`);
+    for (const choice of item.choices || []) {
+      for (const name of [choice.name, ...Object.values(choice.name_localizations || {})]) {
+        assert.ok(name.length >= 1 && name.length <= 100, `choice ${name} de ${path}`);
+      }
+    }
+  }
+});
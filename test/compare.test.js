@@ -0,0 +1,44 @@
+// test/compare.test.js
+// ------------------------------------------------------------
+// /comparar: vencedor e diferença por métrica, placar e dias em comum.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { COMPARE_METRICS, compareAggregates, compareScore, sharedDays } from '../src/compare.js';
+
+const agg = (s) => ({ kd: 0, kpm: 0, wr: 0, hs_pct: 0, net: 0, matches: 0, ...s });
+
+test('vencedor e diferença de cada métrica', () => {
+  const rows = compareAggregates(
+    agg({ kd: 1.5, kpm: 0.9, wr: 60, hs_pct: 40, net: 10, matches: 8 }),
+    agg({ kd: 1.2, kpm: 1.1, wr: 60, hs_pct: 55, net: -4, matches: 10 }),
+  );
+  assert.deepEqual(rows.map(r => r.metric), COMPARE_METRICS);
+  const by = Object.fromEntries(rows.map(r => [r.metric, r]));
+  assert.equal(by.kd.winner, 'a');
+  assert.ok(Math.abs(by.kd.delta - 0.3) < 1e-9);
+  assert.equal(by.kpm.winner, 'b');
+  assert.equal(by.wr.winner, null); // empate
+  assert.equal(by.hs_pct.winner, 'b');
+  assert.equal(by.hs_pct.delta, 15);
+  assert.equal(by.net.winner, 'a');
+  assert.equal(by.net.delta, 14);
+  assert.equal(by.matches.winner, 'b');
+  assert.deepEqual(compareScore(rows), { a: 2, b: 3 });
+});
+
+test('sem partidas de um lado, as taxas não têm vencedor', () => {
+  const rows = compareAggregates(agg({ kd: 2, wr: 100, net: 3, matches: 1 }), agg());
+  const by = Object.fromEntries(rows.map(r => [r.metric, r.winner]));
+  assert.deepEqual(by, { kd: null, kpm: null, wr: null, hs_pct: null, net: 'a', matches: 'a' });
+});
+
+test('dias em que os dois jogaram', () => {
+  const day = (iso, matches) => ({ iso, matches, wins: 0, losses: 0 });
+  const a = [day('2026-10-01', 2), day('2026-10-02', 0), day('2026-10-03', 1)];
+  const b = [day('2026-10-02', 3), day('2026-10-03', 2), day('2026-10-04', 1)];
+  assert.equal(sharedDays(a, b), 1);
+  assert.equal(sharedDays(a, []), 0);
+});
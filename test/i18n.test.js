@@ -0,0 +1,71 @@
+// test/i18n.test.js
+// ------------------------------------------------------------
+// Catálogos completos e formatação por idioma.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+
+import {
+  CATALOGS,
+  DEFAULT_LOCALE,
+  createTranslator,
+  localizedError,
+  resolveLocale,
+  translate,
+} from '../src/i18n.js';
+
+const placeholders = (msg) => [...msg.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+
+test('todos os catálogos têm as mesmas chaves e variáveis do pt-BR', () => {
+  const base = CATALOGS[DEFAULT_LOCALE];
+  for (const [locale, catalog] of Object.entries(CATALOGS)) {
+    assert.deepEqual(Object.keys(catalog).sort(), Object.keys(base).sort(), `chaves de ${locale}`);
+    for (const key of Object.keys(base)) {
+      assert.deepEqual(placeholders(catalog[key]), placeholders(base[key]), `${locale}: ${key}`);
+    }
+  }
+});
+
+test('resolveLocale aceita locales do Discord', () => {
+  assert.equal(resolveLocale('pt-BR'), 'pt-BR');
+  assert.equal(resolveLocale('en-US'), 'en');
+  assert.equal(resolveLocale('en-GB'), 'en');
+  assert.equal(resolveLocale('EN'), 'en');
+  assert.equal(resolveLocale('pt'), 'pt-BR');
+  assert.equal(resolveLocale('es-ES'), null);
+  assert.equal(resolveLocale(undefined), null);
+});
+
+test('translate interpola e cai no pt-BR / na chave', () => {
+  assert.equal(translate('en', 'remove.done', { nick: 'Ana' }), '🗑️ **Ana** removed.');
+  assert.equal(translate('xx', 'remove.done', { nick: 'Ana' }), '🗑️ **Ana** removido.');
+  assert.equal(translate('en', 'nao.existe'), 'nao.existe');
+  assert.equal(translate('en', 'remove.done'), '🗑️ **{nick}** removed.');
+});
+
+test('números e datas seguem o idioma', () => {
+  const pt = createTranslator('pt-BR');
+  const en = createTranslator('en-US');
+  assert.equal(pt.num(1.5, 2), '1,50');
+  assert.equal(en.num(1.5, 2), '1.50');
+  assert.equal(pt.num(12345), '12.345');
+  assert.equal(en.num(12345), '12,345');
+  assert.equal(pt.pct(41.25), '41,3%');
+  assert.equal(en.signed(12), '+12');
+  assert.equal(pt.signed(-3), '-3');
+  assert.equal(pt.num(undefined, 2), '0,00');
+
+  const dt = DateTime.fromISO('2025-10-19T21:05', { zone: 'America/Sao_Paulo' });
+  assert.equal(pt.date(dt, 'dayMonthTime'), '19/10 21:05');
+  assert.equal(en.date(dt, 'dayMonthTime'), 'Oct 19, 21:05');
+});
+
+test('erros traduzíveis', () => {
+  const err = localizedError('yesterday.noData', { label: 'Oct 18' });
+  assert.equal(err.message, 'Sem dados para Oct 18');
+  assert.equal(createTranslator('en').error(err), 'No data for Oct 18');
+  assert.equal(createTranslator('en').error(new Error('boom')), 'boom');
+  assert.equal(createTranslator('en').error(null), 'error');
+});
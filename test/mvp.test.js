@@ -0,0 +1,72 @@
+// test/mvp.test.js
+// ------------------------------------------------------------
+// MVP: nota composta normalizada entre os jogadores e pesos por guild.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_MVP_WEIGHTS, MVP_METRICS,
+  applyMvpWeights, computeMvp, normalizeMvpWeights, parseMvpArgs,
+} from '../src/mvp.js';
+
+// Só as métricas do MVP; campos ausentes contam como 0
+const collected = [
+  { username: 'craque', agg: { matches: 10, kd: 2, wr: 70, kpm: 1.2, hs_pct: 60, net: 40 } },
+  { username: 'constante', agg: { matches: 12, kd: 1, wr: 50, kpm: 0.8, hs_pct: 40, net: 0 } },
+  { username: 'uma_partida', agg: { matches: 1, kd: 9, wr: 100, kpm: 3, hs_pct: 90, net: 8 } },
+  { username: 'sem_jogos', agg: {} },
+  { username: 'falhou', error: true },
+];
+
+test('nota: melhor em tudo leva 100, mínimo de partidas filtra', () => {
+  const { mvp, ranking, eligible } = computeMvp(collected, DEFAULT_MVP_WEIGHTS, { minMatches: 3 });
+  assert.equal(eligible, 2);
+  assert.equal(mvp.username, 'craque');
+  assert.deepEqual(ranking.map(r => r.username), ['craque', 'constante']);
+
+  // Só perde em partidas (peso 10 de 100)
+  assert.equal(Math.round(mvp.score), 90);
+  const matches = mvp.parts.find(p => p.metric === 'matches');
+  assert.deepEqual([matches.value, matches.norm, matches.points], [10, 0, 0]);
+  assert.equal(Math.round(ranking[1].score), 10);
+});
+
+test('sem mínimo o outlier de uma partida entra; ninguém elegível => null', () => {
+  assert.equal(computeMvp(collected).mvp.username, 'uma_partida');
+  assert.equal(computeMvp(collected, DEFAULT_MVP_WEIGHTS, { minMatches: 50 }), null);
+  assert.equal(computeMvp([collected[3]]), null);
+});
+
+test('um jogador só ou empate: 100% em cada métrica', () => {
+  const { mvp } = computeMvp([collected[0]]);
+  assert.equal(mvp.score, 100);
+  assert.ok(mvp.parts.every(p => p.norm === 1));
+});
+
+test('pesos: métrica com 0 some da conta', () => {
+  const weights = applyMvpWeights(DEFAULT_MVP_WEIGHTS, { kd: 0, wr: 0, kpm: 0, hs_pct: 0, net: 0 });
+  const { mvp } = computeMvp(collected, weights, { minMatches: 3 });
+  assert.equal(mvp.username, 'constante');
+  assert.deepEqual(mvp.parts.map(p => p.metric), ['matches']);
+  assert.equal(mvp.score, 100);
+});
+
+test('configuração: erros traduzíveis, JSON gravado e prefixo', () => {
+  const key = (k) => (e) => e.i18n?.key === k;
+  assert.throws(() => applyMvpWeights(DEFAULT_MVP_WEIGHTS, { sorte: 5 }), key('mvp.error.metric'));
+  assert.throws(() => applyMvpWeights(DEFAULT_MVP_WEIGHTS, { kd: 101 }), key('mvp.error.weight'));
+  assert.throws(() => applyMvpWeights(DEFAULT_MVP_WEIGHTS, Object.fromEntries(MVP_METRICS.map(m => [m, 0]))), key('mvp.error.zero'));
+
+  const saved = applyMvpWeights(DEFAULT_MVP_WEIGHTS, { kd: 50 });
+  assert.deepEqual(normalizeMvpWeights(JSON.stringify(saved)), saved);
+  assert.deepEqual(normalizeMvpWeights('{quebrado'), DEFAULT_MVP_WEIGHTS);
+  assert.deepEqual(normalizeMvpWeights(null), DEFAULT_MVP_WEIGHTS);
+
+  assert.deepEqual(parseMvpArgs([]), {});
+  assert.deepEqual(parseMvpArgs(['padrao']), { reset: true });
+  assert.deepEqual(parseMvpArgs(['KD', '40', 'hs', '0', 'partidas', '5']), { kd: 40, hs_pct: 0, matches: 5 });
+  assert.equal(parseMvpArgs(['kd']), null);
+  assert.equal(parseMvpArgs(['sorte', '10']), null);
+});
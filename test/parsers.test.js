@@ -0,0 +1,163 @@
+// test/parsers.test.js
+// ------------------------------------------------------------
+// Regressão dos parsers contra páginas de perfil salvas em test/fixtures.
+// Cada <nome>.html tem um <nome>.expected.json com a saída esperada de
+// detectPageState, parseDailyBlocks (blocos + partidas), de
+// extractDayStatsFromHtml por rótulo e, quando houver "ranked", de parseRankedCard.
+// ------------------------------------------------------------
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { DateTime } from 'luxon';
+
+import {
+  toISOFromLabel,
+  parseDailyBlocks,
+  extractDayStatsFromHtml,
+  findHeaderForLabel,
+  readHeaderNumber,
+  detectPageState,
+  parseProfileIdentity,
+  parseRankedCard,
+} from '../src/parsers.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const ZONE = 'America/Sao_Paulo';
+
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+// Compara pelo que seria serializado (o esperado vem de JSON)
+const asJson = (v) => JSON.parse(JSON.stringify(v));
+
+describe('corpus de páginas salvas', () => {
+  const pages = fs.readdirSync(FIXTURES).filter(f => f.endsWith('.html'));
+
+  for (const page of pages) {
+    const base = page.replace(/\.html$/, '');
+    test(base, () => {
+      const html = readFixture(page);
+      const expected = JSON.parse(readFixture(`${base}.expected.json`));
+      const now = DateTime.fromISO(expected.now, { zone: expected.zone });
+
+      assert.equal(detectPageState(html, { now }), expected.state);
+      if (expected.profile) assert.deepEqual(parseProfileIdentity(html), expected.profile);
+      if ('ranked' in expected) assert.deepEqual(parseRankedCard(html), expected.ranked);
+
+      const { blocks, matches } = parseDailyBlocks(html, { now });
+      assert.deepEqual(asJson(blocks), expected.blocks);
+      assert.deepEqual(asJson(matches), expected.matches);
+
+      for (const [label, stats] of Object.entries(expected.days)) {
+        assert.deepEqual(asJson(extractDayStatsFromHtml(html, label, now)), stats, `dia "${label}"`);
+      }
+    });
+  }
+});
+
+describe('toISOFromLabel', () => {
+  const now = DateTime.fromISO('2025-08-29T12:00:00', { zone: ZONE });
+
+  test('usa o ano corrente', () => {
+    assert.equal(toISOFromLabel('Aug 28', now), '2025-08-28');
+    assert.equal(toISOFromLabel('  Mar 3 ', now), '2025-03-03');
+  });
+
+  test('em janeiro, dezembro é do ano anterior', () => {
+    const jan = DateTime.fromISO('2026-01-02T08:00:00', { zone: ZONE });
+    assert.equal(toISOFromLabel('Dec 31', jan), '2025-12-31');
+    assert.equal(toISOFromLabel('Jan 1', jan), '2026-01-01');
+  });
+
+  test('rótulos fora do formato viram null', () => {
+    assert.equal(toISOFromLabel('Today', now), null);
+    assert.equal(toISOFromLabel('28 Aug', now), null);
+    assert.equal(toISOFromLabel('', now), null);
+    assert.equal(toISOFromLabel(undefined, now), null);
+  });
+});
+
+describe('findHeaderForLabel / readHeaderNumber', () => {
+  test('acha o header sem diferenciar maiúsculas e lê os números', () => {
+    const $ = cheerio.load(readFixture('header-only.html'));
+    const header = findHeaderForLabel($, 'aug 27');
+    assert.ok(header?.length);
+    assert.equal(readHeaderNumber($, header, 'K/D'), 0.85);
+    assert.equal(readHeaderNumber($, header, 'HS%'), 45);
+    assert.ok(Number.isNaN(readHeaderNumber($, header, 'KPM')));
+  });
+
+  test('cai no primeiro <div> quando a classe text-secondary some', () => {
+    const $ = cheerio.load(readFixture('no-slash-kd.html'));
+    assert.ok(findHeaderForLabel($, 'Aug 29')?.length);
+  });
+
+  test('rótulo ausente devolve null', () => {
+    const $ = cheerio.load(readFixture('matches-full.html'));
+    assert.equal(findHeaderForLabel($, 'Aug 27'), null);
+  });
+});
+
+describe('parseDailyBlocks', () => {
+  test('chaves das partidas são estáveis entre scrapes', () => {
+    const now = DateTime.fromISO('2025-08-29T12:00:00', { zone: ZONE });
+    const html = readFixture('no-slash-kd.html');
+    const a = parseDailyBlocks(html, { now }).matches.map(m => m.key);
+    const b = parseDailyBlocks(html, { now: now.plus({ hours: 3 }) }).matches.map(m => m.key);
+    assert.deepEqual(a, b);
+    assert.equal(new Set(a).size, a.length);
+  });
+
+  test('página com um dia só e sem total no cabeçalho: é a lista inteira, chaves por posição', () => {
+    const now = DateTime.fromISO('2025-08-29T12:00:00', { zone: ZONE });
+    const $ = cheerio.load(readFixture('no-slash-kd.html'));
+    $('.v3-chip, .stat-list').remove();
+    const { matches } = parseDailyBlocks($.html(), { now });
+    assert.equal(matches.length, 2);
+    assert.deepEqual(matches.map(m => m.key), ['row|2025-08-29|#2|win|||Villa|', 'row|2025-08-29|#1|loss||||']);
+  });
+
+  test('dia cortado (faltam as partidas mais antigas): sem chave por posição', () => {
+    const now = DateTime.fromISO('2025-08-29T12:00:00', { zone: ZONE });
+    const html = readFixture('no-slash-kd.html');
+    const $ = cheerio.load(html);
+    $('.v3-match-row--loss').remove();
+    const cut = parseDailyBlocks($.html(), { now }).matches;
+    assert.equal(cut.length, 1);
+    assert.equal(cut[0].key, null);
+
+    // Sem total no cabeçalho e com mais histórico na página, o dia mais antigo também é suspeito
+    $('.stat-list').remove();
+    $('.trn-profile').append('<button type="button">Load More</button>');
+    assert.equal(parseDailyBlocks($.html(), { now }).matches[0].key, null);
+
+    // Sem total, mas com outro dia acima: o de baixo é suspeito, o de cima não
+    const $two = cheerio.load(html);
+    $two('.stat-list').remove();
+    const day = $two.html('.col-span-full');
+    $two('.col-span-full').before(day.replace('Aug 29', 'Aug 30'));
+    const twoDays = parseDailyBlocks($two.html(), { now: now.plus({ days: 1 }) }).matches;
+    assert.deepEqual(twoDays.map(m => [m.iso, m.key === null]), [
+      ['2025-08-30', false], ['2025-08-30', false], ['2025-08-29', true], ['2025-08-29', true],
+    ]);
+
+    // Com id ou horário a chave continua valendo
+    assert.equal(parseDailyBlocks(readFixture('matches-full.html'), { now }).matches.every(m => m.key), true);
+  });
+});
+
+describe('parseProfileIdentity', () => {
+  test('id do estado embutido e nick do <title>', () => {
+    const html = `<html><head><title>Beta.Pro's Rainbow Six Siege Matches - R6 Tracker</title></head>
+      <body><script>window.__STATE__={"platformUserId":"AB12CD34-0000-4000-8000-123456789ABC"}</script></body></html>`;
+    assert.deepEqual(parseProfileIdentity(html), { id: 'ab12cd34-0000-4000-8000-123456789abc', name: 'Beta.Pro' });
+  });
+
+  test('página sem identidade', () => {
+    assert.deepEqual(parseProfileIdentity('<html><title>Just a moment...</title></html>'), { id: null, name: null });
+    assert.deepEqual(parseProfileIdentity(''), { id: null, name: null });
+  });
+});
@@ -0,0 +1,44 @@
+// test/periods.test.js
+// ------------------------------------------------------------
+// Períodos de/até: datas sem ano, validação e argumentos do prefixo.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAX_PERIOD_DAYS, buildPeriod, parseDayArg, takePeriodArgs } from '../src/periods.js';
+
+const TODAY = '2026-10-19';
+
+test('datas: DD/MM usa o ano de hoje, ou o anterior se ainda não chegou', () => {
+  assert.equal(parseDayArg('05/10', TODAY), '2026-10-05');
+  assert.equal(parseDayArg('20/12', TODAY), '2025-12-20');
+  assert.equal(parseDayArg('20/12', TODAY, null), '2026-12-20');
+  assert.equal(parseDayArg('5/10/2025', TODAY), '2025-10-05');
+  assert.equal(parseDayArg('2026-10-05', TODAY), '2026-10-05');
+  assert.equal(parseDayArg('31/02', TODAY), null);
+  assert.equal(parseDayArg('ontem', TODAY), null);
+});
+
+test('período: até hoje por padrão, virada de ano e erros traduzíveis', () => {
+  assert.deepEqual(buildPeriod({ from: '17/10' }, TODAY), { fromIso: '2026-10-17', toIso: TODAY, days: 3 });
+  assert.deepEqual(buildPeriod({ from: '28/12', to: '03/01' }, '2027-01-10'), { fromIso: '2026-12-28', toIso: '2027-01-03', days: 7 });
+  assert.equal(buildPeriod({ from: '19/10', to: '19/10' }, TODAY).days, 1);
+
+  const key = (k) => (e) => e.i18n?.key === k;
+  assert.throws(() => buildPeriod({ to: '10/10' }, TODAY), key('period.error.from'));
+  assert.throws(() => buildPeriod({ from: '10/13' }, TODAY), key('period.error.date'));
+  assert.throws(() => buildPeriod({ from: '2026-10-12', to: '2026-10-10' }, TODAY), key('period.error.order'));
+  assert.throws(() => buildPeriod({ from: '10/10', to: '25/10' }, TODAY), key('period.error.future'));
+  assert.throws(() => buildPeriod({ from: '2026-10-20' }, TODAY), key('period.error.future'));
+  assert.throws(() => buildPeriod({ from: '2025-01-01' }, TODAY), key('period.error.long'));
+  assert.equal(buildPeriod({ from: '2025-10-19' }, TODAY).days, MAX_PERIOD_DAYS);
+});
+
+test('prefixo: "de"/"ate" saem dos argumentos', () => {
+  const args = ['de', '01/10', 'Alpha', 'até', '05/10'];
+  assert.deepEqual(takePeriodArgs(args), { from: '01/10', to: '05/10' });
+  assert.deepEqual(args, ['Alpha']);
+  assert.deepEqual(takePeriodArgs(['ate']), { from: undefined, to: '' });
+  assert.equal(takePeriodArgs(['Alpha']), null);
+});
@@ -0,0 +1,43 @@
+// test/platforms.test.js
+// ------------------------------------------------------------
+// Plataformas: aliases, chave de perfil e URLs candidatas por plataforma.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePlatform, parseProfileKey, profileKey, resolvePlatform } from '../src/platforms.js';
+import { buildCandidates } from '../src/sources/playwright.js';
+
+test('aliases', () => {
+  assert.equal(parsePlatform('XBL'), 'xbox');
+  assert.equal(parsePlatform('PlayStation'), 'psn');
+  assert.equal(parsePlatform('uplay'), 'pc');
+  assert.equal(parsePlatform('switch'), null);
+  assert.equal(resolvePlatform('switch'), 'pc');
+});
+
+test('chave de perfil: nick puro na plataforma padrão', () => {
+  assert.equal(profileKey('alpha', null), 'alpha');
+  assert.equal(profileKey('alpha', 'pc'), 'alpha');
+  assert.equal(profileKey('alpha', 'xbox'), 'xbox:alpha');
+  assert.equal(profileKey('alpha', 'pc', 'psn'), 'pc:alpha');
+  assert.equal(profileKey('alpha', null, 'psn'), 'alpha');
+
+  assert.deepEqual(parseProfileKey('xbox:Some Tag'), { username: 'Some Tag', platform: 'xbox' });
+  assert.deepEqual(parseProfileKey('alpha', 'psn'), { username: 'alpha', platform: 'psn' });
+  assert.deepEqual(parseProfileKey(profileKey('a:b', 'psn')), { username: 'a:b', platform: 'psn' });
+});
+
+test('console tenta primeiro as URLs da plataforma', () => {
+  assert.match(buildCandidates('alpha')[0], /\/ubi\//);
+  const xbox = buildCandidates('alpha', { platform: 'xbox' });
+  assert.match(xbox[0], /\/xbox\/alpha/);
+  assert.match(xbox.at(-1), /\/ubi\//);
+});
+
+test('aba overview não usa a URL de partidas', () => {
+  const overview = buildCandidates('alpha', { view: 'overview' });
+  assert.ok(overview.length);
+  assert.ok(overview.every(u => !u.endsWith('/matches')));
+});
@@ -0,0 +1,41 @@
+// test/polling.test.js
+// ------------------------------------------------------------
+// Partidas ao vivo: intervalo, backoff adaptativo e agenda por perfil.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_POLL_MIN, MAX_POLL_DELAY_MIN, createPollSchedule, maxPollDelayMin, nextPollDelay, parsePollInterval,
+} from '../src/polling.js';
+
+const MIN = 60 * 1000;
+
+test('intervalo: padrão, limites e erro traduzível', () => {
+  assert.equal(parsePollInterval(undefined), DEFAULT_POLL_MIN);
+  assert.equal(parsePollInterval('30'), 30);
+  assert.throws(() => parsePollInterval(2), e => e.i18n?.key === 'live.error.interval');
+  assert.throws(() => parsePollInterval('7.5'), e => e.i18n?.key === 'live.error.interval');
+});
+
+test('backoff dobra até o teto', () => {
+  assert.deepEqual([0, 1, 2, 3, 4, 10].map(i => nextPollDelay(10, i) / MIN), [10, 20, 40, 80, 80, 80]);
+  assert.equal(maxPollDelayMin(120), MAX_POLL_DELAY_MIN);
+  assert.equal(nextPollDelay(120, 5) / MIN, MAX_POLL_DELAY_MIN);
+});
+
+test('agenda: partida nova zera o backoff, chaves removidas são esquecidas', () => {
+  let now = 0;
+  const s = createPollSchedule({ now: () => now });
+  assert.ok(s.isDue('a'));
+  assert.equal(s.checked('a', { intervalMin: 10 }), 10 * MIN);
+  assert.equal(s.isDue('a'), false);
+  now = 10 * MIN;
+  assert.ok(s.isDue('a'));
+  assert.equal(s.checked('a', { intervalMin: 10 }), 20 * MIN);
+  assert.equal(s.checked('a', { intervalMin: 10, found: true }), 10 * MIN);
+  assert.equal(s.get('a').idle, 0);
+  s.retain(['b']);
+  assert.equal(s.get('a'), null);
+});
@@ -0,0 +1,66 @@
+// test/queue.test.js
+// ------------------------------------------------------------
+// Fila de scraping (concorrência/prioridade) e limitador por host.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createScrapeQueue, createRateLimiter, PRIORITY } from '../src/queue.js';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('respeita o limite de concorrência', async () => {
+  const queue = createScrapeQueue({ concurrency: 2 });
+  let active = 0, peak = 0;
+  const job = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(10);
+    active--;
+  };
+  await Promise.all(Array.from({ length: 6 }, () => queue.push(job)));
+  assert.equal(peak, 2);
+  assert.equal(queue.running, 0);
+});
+
+test('interativos passam na frente dos lotes', async () => {
+  const queue = createScrapeQueue({ concurrency: 1 });
+  const order = [];
+  const job = (name) => async () => { order.push(name); await sleep(5); };
+
+  const all = [
+    queue.push(job('cron-1'), { priority: PRIORITY.batch }),
+    queue.push(job('cron-2'), { priority: PRIORITY.batch }),
+    queue.push(job('cron-3'), { priority: PRIORITY.batch }),
+  ];
+  all.push(queue.push(job('slash'), { priority: PRIORITY.interactive }));
+  await Promise.all(all);
+
+  // cron-1 já tinha começado; o comando entra logo depois
+  assert.deepEqual(order, ['cron-1', 'slash', 'cron-2', 'cron-3']);
+});
+
+test('erros rejeitam só a própria tarefa', async () => {
+  const queue = createScrapeQueue({ concurrency: 1 });
+  const bad = queue.push(async () => { throw new Error('falhou'); });
+  const good = queue.push(async () => 42);
+  await assert.rejects(bad, /falhou/);
+  assert.equal(await good, 42);
+});
+
+test('limitador espaça requisições do mesmo host', async () => {
+  const limiter = createRateLimiter({ perMinute: 60000 / 20 }); // 20ms entre requisições
+  const t0 = Date.now();
+  await Promise.all([
+    limiter.acquire('https://tracker.gg/a'),
+    limiter.acquire('https://tracker.gg/b'),
+    limiter.acquire('https://tracker.gg/c'),
+  ]);
+  assert.ok(Date.now() - t0 >= 35);
+
+  // host diferente não espera pelos outros
+  const t1 = Date.now();
+  await limiter.acquire('https://r6.tracker.network/x');
+  assert.ok(Date.now() - t1 < 15);
+});
@@ -0,0 +1,89 @@
+// test/rankings.test.js
+// ------------------------------------------------------------
+// Rankings: categorias, mínimos por janela e configuração por guild.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_RANKING_SETTINGS, RANKING_CATEGORIES,
+  applyRankingChange, buildRankings, normalizeRankingSettings, parseCategories, parseRankingArgs, rankingRules, rankingWindow,
+} from '../src/rankings.js';
+
+const result = (username, agg) => ({
+  username,
+  agg: { k: 0, d: 0, wins: 0, losses: 0, matches: 0, kd: 0, hs_pct: 0, wr: 0, kpm: 0, net: 0, ...agg },
+});
+
+const collected = [
+  result('sortudo', { k: 9, d: 1, wins: 1, matches: 1, kd: 9, hs_pct: 80, wr: 100, kpm: 9, net: 8 }),
+  result('regular', { k: 60, d: 40, wins: 6, losses: 4, matches: 10, kd: 1.5, hs_pct: 50, wr: 60, kpm: 6, net: 20 }),
+  result('pouco_kill', { k: 4, d: 20, wins: 1, losses: 4, matches: 5, kd: 0.2, hs_pct: 100, wr: 20, kpm: 0.8, net: -16 }),
+  result('parado', {}),
+  { username: 'erro', error: true },
+];
+
+test('janela pelo tamanho', () => {
+  assert.deepEqual([1, 2, 7, 8, 30, 90].map(rankingWindow), ['day', 'week', 'week', 'month', 'month', 'month']);
+});
+
+test('padrão: todas as categorias, uma partida basta', () => {
+  const rk = buildRankings(collected);
+  assert.deepEqual(rk.order, RANKING_CATEGORIES);
+  assert.equal(rk.bestKD[0].username, 'sortudo');
+  assert.equal(rk.mostKills[0].username, 'regular');
+  assert.ok(!rk.mostMatches.some(r => r.username === 'parado' || r.username === 'erro'));
+  assert.deepEqual(rk.excluded, { matches: [], kills: [] });
+});
+
+test('mínimos da janela tiram o outlier das categorias de taxa e vão para o rodapé', () => {
+  const settings = applyRankingChange(DEFAULT_RANKING_SETTINGS, { window: 'week', minMatches: 3, minKills: 10 });
+  const rules = rankingRules(settings, 7);
+  const rk = buildRankings(collected, rules);
+  assert.equal(rk.bestKD[0].username, 'regular');
+  assert.equal(rk.mostKills.length, 3);
+  assert.deepEqual(rk.bestHS.map(r => r.username), ['regular']);
+  assert.deepEqual(rk.excluded.matches.map(r => r.username), ['sortudo']);
+  assert.deepEqual(rk.excluded.kills.map(r => r.username), ['pouco_kill']);
+
+  // Outra janela continua com o padrão
+  assert.equal(buildRankings(collected, rankingRules(settings, 1)).bestKD[0].username, 'sortudo');
+});
+
+test('categorias escolhidas, ordem e tamanho', () => {
+  const settings = applyRankingChange(DEFAULT_RANKING_SETTINGS, { categories: 'partidas, kills', size: 1, minMatches: 3 });
+  const rk = buildRankings(collected, rankingRules(settings, 30));
+  assert.deepEqual(rk.order, ['mostMatches', 'mostKills']);
+  assert.equal(rk.mostKills.length, 1);
+  assert.equal(rk.bestKD, undefined);
+  // Sem categoria de taxa na tela, ninguém é listado como excluído
+  assert.deepEqual(rk.excluded.matches, []);
+});
+
+test('configuração: aliases, erros traduzíveis e JSON gravado', () => {
+  assert.deepEqual(parseCategories('kd hs;WR,kd'), ['bestKD', 'bestHS', 'highestWR']);
+  const key = (k) => (e) => e.i18n?.key === k;
+  assert.throws(() => parseCategories('kd, sorte'), key('rankingConfig.error.category'));
+  assert.throws(() => parseCategories(' , '), key('rankingConfig.error.empty'));
+  assert.throws(() => applyRankingChange(DEFAULT_RANKING_SETTINGS, { size: 40 }), key('rankingConfig.error.size'));
+  assert.throws(() => applyRankingChange(DEFAULT_RANKING_SETTINGS, { minMatches: 0 }), key('rankingConfig.error.min'));
+
+  const saved = applyRankingChange(DEFAULT_RANKING_SETTINGS, { categories: ['bestKD'], window: 'month', minMatches: 5 });
+  assert.deepEqual(normalizeRankingSettings(JSON.stringify(saved)), saved);
+  assert.deepEqual(DEFAULT_RANKING_SETTINGS.minMatches, { day: 1, week: 1, month: 1 });
+  assert.deepEqual(normalizeRankingSettings('{quebrado'), DEFAULT_RANKING_SETTINGS);
+  assert.deepEqual(normalizeRankingSettings('{"categories":["sumiu"],"size":3}').categories, RANKING_CATEGORIES);
+});
+
+test('prefixo: !config ranking ...', () => {
+  assert.deepEqual(parseRankingArgs([]), {});
+  assert.deepEqual(parseRankingArgs(['padrao']), { reset: true });
+  assert.deepEqual(
+    parseRankingArgs(['categorias', 'kd,hs', 'tamanho', '5', 'minimo', 'semana', '3', '10']),
+    { categories: 'kd,hs', size: 5, window: 'week', minMatches: 3, minKills: 10 }
+  );
+  assert.deepEqual(parseRankingArgs(['mínimo', '2']), { minMatches: 2 });
+  assert.equal(parseRankingArgs(['minimo', 'mes']), null);
+  assert.equal(parseRankingArgs(['tamanho', 'grande']), null);
+});
@@ -0,0 +1,41 @@
+// test/ranks.test.js
+// ------------------------------------------------------------
+// Ranqueado: nomes canônicos, ordem da escada e subida/queda.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compareRanks, normalizeRank, rankChange, rankScore } from '../src/ranks.js';
+
+test('nome canônico do rank', () => {
+  assert.equal(normalizeRank('platinum 2'), 'Platinum II');
+  assert.equal(normalizeRank('EMERALD IV'), 'Emerald IV');
+  assert.equal(normalizeRank('Champions'), 'Champion');
+  assert.equal(normalizeRank('Gold'), 'Gold');
+  assert.equal(normalizeRank('Unranked'), null);
+  assert.equal(normalizeRank(null), null);
+});
+
+test('ordem da escada e desempate por RP', () => {
+  assert.ok(rankScore('Gold I') > rankScore('Gold V'));
+  assert.ok(rankScore('Platinum V') > rankScore('Gold I'));
+  assert.ok(rankScore('Champion') > rankScore('Diamond I'));
+  assert.equal(rankScore('Unranked'), -1);
+
+  const list = [
+    { name: 'a', rank: 'Gold I', rp: 2900 },
+    { name: 'b', rank: 'Platinum V', rp: 3000 },
+    { name: 'c', rank: 'Gold I', rp: 2950 },
+    { name: 'd', rank: null, rp: null },
+  ];
+  assert.deepEqual(list.sort(compareRanks).map(r => r.name), ['b', 'c', 'a', 'd']);
+});
+
+test('subida e queda só entre ranks conhecidos', () => {
+  assert.equal(rankChange('Gold I', 'Platinum V'), 'up');
+  assert.equal(rankChange('Platinum II', 'Platinum III'), 'down');
+  assert.equal(rankChange('Gold I', 'Gold I'), null);
+  assert.equal(rankChange(null, 'Gold I'), null);
+  assert.equal(rankChange('Gold I', null), null);
+});
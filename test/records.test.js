@@ -0,0 +1,63 @@
+// test/records.test.js
+// ------------------------------------------------------------
+// Recordes pessoais, sequências, novos recordes e conquistas.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MIN_KD_DAY_MATCHES, computeRecords, newRecords, reachedAchievements, buildAchievement, parseAchievementType,
+} from '../src/records.js';
+
+const day = (iso, s = {}) => ({ iso, matches: 0, wins: 0, losses: 0, k: 0, d: 0, ...s });
+const seq = (results) => results.split('').map((c, i) => ({ iso: '2026-10-01', seq: i, result: c === 'w' ? 'win' : c === 'l' ? 'loss' : 'draw' }));
+
+test('melhor dia, K/D com mínimo de partidas e dias seguidos', () => {
+  const blocks = [
+    day('2026-10-05', { matches: 4, wins: 3, losses: 1, k: 20, d: 10 }),
+    day('2026-10-01', { matches: 2, wins: 1, losses: 1, k: 30, d: 5 }), // K/D 6, mas só 2 partidas
+    day('2026-10-02', { matches: 3, wins: 2, losses: 1, k: 12, d: 4 }),
+    day('2026-10-03', { matches: 1, wins: 1, k: 5, d: 5 }),
+    day('2026-10-04'), // sem partidas: quebra a sequência
+  ];
+  assert.equal(MIN_KD_DAY_MATCHES, 3);
+  const { records, totals } = computeRecords(blocks);
+  assert.deepEqual(records.kills_day, { value: 30, iso: '2026-10-01' });
+  assert.deepEqual(records.kd_day, { value: 3, iso: '2026-10-02' });
+  assert.deepEqual(records.play_streak, { value: 3, from: '2026-10-01', to: '2026-10-03' });
+  assert.deepEqual(totals, { matches: 10, wins: 7, losses: 3, k: 67, d: 24 });
+});
+
+test('sequências de vitórias/derrotas e a sequência atual', () => {
+  const { records, current } = computeRecords([], seq('wwlwwwdlll'));
+  assert.equal(records.win_streak.value, 3);
+  assert.equal(records.loss_streak.value, 3);
+  assert.deepEqual(current, { result: 'loss', count: 3 });
+  assert.deepEqual(computeRecords([], seq('wwd')).current, { result: null, count: 0 });
+  assert.equal(computeRecords([]).records.kills_day, null);
+});
+
+test('novo recorde só quando supera um valor já gravado', () => {
+  const computed = computeRecords([day('2026-10-01', { matches: 3, wins: 3, k: 25, d: 5 })], seq('www'));
+  const stored = new Map([['kills_day', 20], ['kd_day', 5], ['win_streak', 3]]);
+  assert.deepEqual(newRecords(stored, computed).map(r => [r.type, r.value, r.previous]), [['kills_day', 25, 20]]);
+  assert.deepEqual(newRecords(new Map(), computed), []); // primeira vez: só grava
+});
+
+test('conquistas alcançadas e validação', () => {
+  const computed = computeRecords([day('2026-10-01', { matches: 3, wins: 2, losses: 1, k: 31, d: 10 })], seq('wlw'));
+  const list = [
+    { id: 1, type: 'kills_day', threshold: 30 },
+    { id: 2, type: 'kd_day', threshold: 2 },
+    { id: 3, type: 'matches', threshold: 3 },
+    { id: 4, type: 'win_streak', threshold: 2 },
+  ];
+  assert.deepEqual(reachedAchievements(list, computed).map(a => a.id), [1, 2, 3]);
+
+  assert.deepEqual(buildAchievement({ type: 'kd_day', threshold: '2,5' }), { type: 'kd_day', threshold: 2.5 });
+  assert.throws(() => buildAchievement({ type: 'kills_day', threshold: 2.5 }), e => e.i18n?.key === 'achievement.error.threshold');
+  assert.throws(() => buildAchievement({ type: 'nope', threshold: 1 }), e => e.i18n?.key === 'achievement.error.type');
+  assert.equal(parseAchievementType('Partidas'), 'matches');
+  assert.equal(parseAchievementType('x'), null);
+});
@@ -0,0 +1,62 @@
+// test/renames.test.js
+// ------------------------------------------------------------
+// Renomeação de jogador nas linhas de `players` (banco em memória).
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+
+import { createPlayerRenamer } from '../src/renames.js';
+
+function setup() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE players (
+      guild_id TEXT NOT NULL, username TEXT NOT NULL,
+      discord_user_id TEXT, added_at INTEGER, profile_id TEXT, platform TEXT,
+      achievements_at INTEGER, live_seen_at INTEGER,
+      PRIMARY KEY (guild_id, username)
+    )
+  `);
+  const add = db.prepare(`
+    INSERT INTO players (guild_id, username, discord_user_id, added_at, profile_id, platform, live_seen_at)
+    VALUES (@guild, @username, @user, @added, @id, @platform, @seen)
+  `);
+  const row = (r) => add.run({ user: null, added: 1, id: null, platform: null, seen: null, ...r });
+  const all = () => db.prepare('SELECT * FROM players ORDER BY guild_id, username').all();
+  return { db, row, all, rename: createPlayerRenamer(db) };
+}
+
+test('renomeia em todas as guilds mantendo o vínculo', () => {
+  const { row, all, rename } = setup();
+  row({ guild: 'g1', username: 'Velho', id: 'u1', user: '111' });
+  row({ guild: 'g2', username: 'velho', id: 'u1' });
+  row({ guild: 'g2', username: 'Outro', id: 'u2' });
+  rename('u1', 'Novo');
+  assert.deepEqual(all().map(r => [r.guild_id, r.username, r.discord_user_id]), [
+    ['g1', 'Novo', '111'], ['g2', 'Novo', null], ['g2', 'Outro', null],
+  ]);
+});
+
+test('nick novo já cadastrado na guild: a linha antiga é fundida, não perdida', () => {
+  const { row, all, rename } = setup();
+  row({ guild: 'g1', username: 'Velho', id: 'u1', user: '111', added: 5, seen: 900, platform: 'psn' });
+  row({ guild: 'g1', username: 'novo', added: 9 });
+  rename('u1', 'Novo');
+
+  const rows = all();
+  assert.equal(rows.length, 1);
+  assert.deepEqual(
+    { ...rows[0] },
+    { guild_id: 'g1', username: 'Novo', discord_user_id: '111', added_at: 5, profile_id: 'u1', platform: 'psn', achievements_at: null, live_seen_at: 900 }
+  );
+});
+
+test('vínculo da linha existente fica quando a antiga não tinha', () => {
+  const { row, all, rename } = setup();
+  row({ guild: 'g1', username: 'Velho', id: 'u1' });
+  row({ guild: 'g1', username: 'Novo', user: '222' });
+  rename('u1', 'Novo');
+  assert.deepEqual(all().map(r => [r.username, r.discord_user_id, r.profile_id]), [['Novo', '222', 'u1']]);
+});
@@ -0,0 +1,66 @@
+// test/roster.test.js
+// ------------------------------------------------------------
+// Importação/exportação da lista de jogadores (CSV e JSON).
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_ROSTER_PLAYERS,
+  detectRosterFormat,
+  parseRoster,
+  serializeRoster,
+} from '../src/roster.js';
+
+const ID = '123456789012345678';
+
+test('exportar e importar de volta preserva nick, vínculo e data', () => {
+  const rows = [
+    { username: 'alpha', discord_user_id: ID, added_at: Date.UTC(2026, 0, 2), platform: 'xbox' },
+    { username: 'beta', discord_user_id: null, added_at: null, platform: null },
+  ];
+  for (const format of ['csv', 'json']) {
+    const { players, invalid } = parseRoster(serializeRoster(rows, format), format);
+    assert.deepEqual(invalid, []);
+    assert.deepEqual(players, [
+      { username: 'alpha', discordUserId: ID, addedAt: Date.UTC(2026, 0, 2), platform: 'xbox' },
+      { username: 'beta', discordUserId: null, addedAt: null, platform: null },
+    ], format);
+  }
+});
+
+test('CSV: sem cabeçalho, com ";" e com aspas', () => {
+  assert.deepEqual(parseRoster('alpha\nbeta\n\n').players.map(p => p.username), ['alpha', 'beta']);
+
+  const semi = parseRoster(`nick;discord;plataforma\r\n"gam""ma";${ID};PlayStation\r\n`);
+  assert.deepEqual(semi.players, [{ username: 'gam"ma', discordUserId: ID, addedAt: null, platform: 'psn' }]);
+});
+
+test('JSON: lista de nicks ou { players }', () => {
+  assert.deepEqual(parseRoster('["alpha","beta"]', 'json').players.map(p => p.username), ['alpha', 'beta']);
+  assert.equal(parseRoster(JSON.stringify({ players: [{ nick: 'alpha' }] }), 'json').players[0].username, 'alpha');
+  assert.throws(() => parseRoster('{"x":1}', 'json'), e => e.i18n.key === 'roster.error.json');
+  assert.throws(() => parseRoster('[oops', 'json'), e => e.i18n.key === 'roster.error.json');
+});
+
+test('linhas inválidas e nicks repetidos', () => {
+  const { players, invalid } = parseRoster(
+    `username,discord_user_id,platform\nalpha,${ID}\nALPHA,\nbad nick,\nbeta,abc\ngamma,,switch\n`
+  );
+  assert.deepEqual(players.map(p => p.username), ['alpha']);
+  assert.deepEqual(invalid, [4, 5, 6]);
+});
+
+test('arquivo vazio ou grande demais', () => {
+  assert.throws(() => parseRoster('\n\n'), e => e.i18n.key === 'roster.error.empty');
+  const many = Array.from({ length: MAX_ROSTER_PLAYERS + 1 }, (_, i) => `p${i}`).join('\n');
+  assert.throws(() => parseRoster(many), e => e.i18n.key === 'roster.error.tooMany');
+});
+
+test('formato pela extensão ou pelo conteúdo', () => {
+  assert.equal(detectRosterFormat('lista.JSON', 'alpha'), 'json');
+  assert.equal(detectRosterFormat('lista.csv', '[]'), 'csv');
+  assert.equal(detectRosterFormat('lista.txt', ' [ "alpha" ]'), 'json');
+  assert.equal(detectRosterFormat('lista.txt', 'alpha'), 'csv');
+});
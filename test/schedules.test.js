@@ -0,0 +1,78 @@
+// test/schedules.test.js
+// ------------------------------------------------------------
+// Agendamentos: validação, padrões de frequência e expressão cron.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildScheduleJob,
+  cronExpression,
+  defaultScheduleJobs,
+  describeFrequency,
+  describeJob,
+  parseKind,
+  parsePeriod,
+  parseWeekday,
+} from '../src/schedules.js';
+
+test('frequência padrão por período', () => {
+  const base = { kind: 'ranking', channelId: 'c1', time: '09:30' };
+  assert.equal(cronExpression(buildScheduleJob({ ...base, period: 'day' })), '30 9 * * *');
+  assert.equal(cronExpression(buildScheduleJob({ ...base, period: 'yesterday' })), '30 9 * * *');
+  assert.equal(cronExpression(buildScheduleJob({ ...base, period: 'week' })), '30 9 * * 1');
+  assert.equal(cronExpression(buildScheduleJob({ ...base, period: 'month' })), '30 9 1 * *');
+});
+
+test('dia da semana ou do mês explícitos', () => {
+  const sex = buildScheduleJob({ kind: 'report', period: 'week', channelId: 'c', time: '23:55', weekday: 5 });
+  assert.equal(cronExpression(sex), '55 23 * * 5');
+  assert.equal(describeFrequency(sex), 'toda sex 23:55');
+  assert.equal(describeJob(sex), 'Relatório da semana anterior');
+
+  assert.equal(describeFrequency(sex, 'en'), 'every Fri at 23:55');
+  assert.equal(describeJob(sex, 'en'), 'Report for last week');
+
+  const d15 = buildScheduleJob({ kind: 'ranking', period: 'month', channelId: 'c', time: '08:00', monthDay: 15 });
+  assert.equal(cronExpression(d15), '0 8 15 * *');
+  assert.equal(describeFrequency(d15), 'dia 15 08:00');
+});
+
+test('rejeita entradas inválidas', () => {
+  const base = { kind: 'report', period: 'day', channelId: 'c', time: '10:00' };
+  assert.throws(() => buildScheduleJob({ ...base, kind: 'x' }), /Tipo inválido/);
+  assert.throws(() => buildScheduleJob({ ...base, period: 'x' }), /Período inválido/);
+  assert.throws(() => buildScheduleJob({ ...base, time: '25:00' }), /HH:mm/);
+  assert.throws(() => buildScheduleJob({ ...base, weekday: 1, monthDay: 1 }), /não os dois/);
+  assert.throws(() => buildScheduleJob({ ...base, monthDay: 31 }), /1 a 28/);
+});
+
+test('gráfico só em rankings da semana/mês anterior', () => {
+  const base = { kind: 'ranking', period: 'week', channelId: 'c', time: '09:00' };
+  const job = buildScheduleJob({ ...base, chart: 'kd' });
+  assert.equal(job.chart, 'kd');
+  assert.equal(describeJob(job), 'Ranking da semana anterior + gráfico de K/D');
+  assert.equal(describeJob(job, 'en'), 'Ranking for last week + K/D chart');
+  assert.equal(buildScheduleJob(base).chart, null);
+
+  assert.throws(() => buildScheduleJob({ ...base, chart: 'xyz' }), /Métrica do gráfico/);
+  assert.throws(() => buildScheduleJob({ ...base, period: 'day', chart: 'kd' }), /só vale para rankings/);
+  assert.throws(() => buildScheduleJob({ ...base, kind: 'report', chart: 'kd' }), /só vale para rankings/);
+});
+
+test('aliases do prefixo', () => {
+  assert.equal(parseKind('Relatorio'), 'report');
+  assert.equal(parsePeriod('mês'), 'month');
+  assert.equal(parsePeriod('ontem'), 'yesterday');
+  assert.equal(parseWeekday('sab'), 6);
+  assert.equal(parseWeekday('sáb'), 6);
+  assert.equal(parseWeekday('0'), 0);
+  assert.equal(parseWeekday('xyz'), null);
+});
+
+test('/programar continua criando diário + semanal + mensal', () => {
+  const jobs = defaultScheduleJobs('c', '23:55');
+  assert.deepEqual(jobs.map(cronExpression), ['55 23 * * *', '55 23 * * 1', '55 23 1 * *']);
+  assert.deepEqual(jobs.map(j => `${j.kind}:${j.period}`), ['report:day', 'ranking:week', 'ranking:month']);
+});
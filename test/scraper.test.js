@@ -0,0 +1,79 @@
+// test/scraper.test.js
+// ------------------------------------------------------------
+// Motor de scraping ponta a ponta com a fonte "fixtures" (sem rede).
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { createScraper } from '../src/scraper.js';
+import { createFixtureSource } from '../src/sources/fixtures.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const BLOCK_KEYS = ['dateLabel', 'iso', 'wins', 'losses', 'k', 'd', 'kd', 'hs_pct', 'matches'];
+
+test('scrapeProfile devolve blocos no formato normalizado', async () => {
+  const scraper = createScraper({ source: createFixtureSource({ dir: FIXTURES }) });
+  try {
+    const { url, blocks, matches } = await scraper.scrapeProfile('matches-full');
+    assert.match(url, /^https:\/\/tracker\.gg\//);
+    assert.equal(blocks.length, 2);
+    assert.equal(matches.length, 4);
+    for (const b of blocks) {
+      assert.deepEqual(Object.keys(b), BLOCK_KEYS);
+      for (const k of BLOCK_KEYS.slice(2)) assert.ok(Number.isFinite(b[k]), `${k} numérico`);
+    }
+  } finally {
+    await scraper.close();
+  }
+});
+
+test('header-only usa os totais do header', async () => {
+  const scraper = createScraper({ source: createFixtureSource({ dir: FIXTURES }) });
+  const { blocks } = await scraper.scrapeProfile('header-only');
+  assert.equal(blocks[0].k, 17);
+  assert.equal(blocks[0].d, 20);
+  assert.equal(blocks[0].hs_pct, 45);
+  assert.equal(blocks[0].kd, 0.85);
+});
+
+test('página não reconhecida vira estado + snapshot, perfil vazio não', async () => {
+  const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'r6-snap-'));
+  try {
+    const scraper = createScraper({ source: createFixtureSource({ dir: FIXTURES }), snapshotDir });
+
+    const drift = await scraper.scrapeProfile('drifted-markup');
+    assert.equal(drift.state, 'unrecognized');
+    assert.deepEqual(drift.blocks, []);
+    assert.ok(fs.existsSync(`${drift.snapshot}.html`));
+
+    const empty = await scraper.scrapeProfile('empty-profile');
+    assert.equal(empty.state, 'empty');
+    assert.equal(empty.snapshot, null);
+  } finally {
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  }
+});
+
+test('nick sem fixture falha com mensagem do perfil', async () => {
+  const scraper = createScraper({ source: createFixtureSource({ dir: FIXTURES }) });
+  await assert.rejects(scraper.scrapeProfile('nao-existe'), /Falha ao carregar perfil nao-existe/);
+});
+
+test('card do ranqueado: só com `ranked`, pela aba overview', async () => {
+  const scraper = createScraper({ source: createFixtureSource({ dir: FIXTURES }) });
+  try {
+    assert.equal((await scraper.scrapeProfile('matches-full')).ranked, null);
+    const { ranked, blocks } = await scraper.scrapeProfile('matches-full', { ranked: true });
+    assert.deepEqual(ranked, { rank: 'Platinum II', rp: 3250, peakRank: 'Emerald V', peakRp: 3612 });
+    assert.equal(blocks.length, 2);
+    // Sem aba overview salva: o scrape segue, sem rank
+    assert.equal((await scraper.scrapeProfile('header-only', { ranked: true })).ranked, null);
+  } finally {
+    await scraper.close();
+  }
+});
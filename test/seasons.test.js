@@ -0,0 +1,55 @@
+// test/seasons.test.js
+// ------------------------------------------------------------
+// Temporadas: datas, validação do calendário e qual temporada vale.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSeason, findSeason, parseSeasonDate, parseSeasonRange, seasonsToAnnounce } from '../src/seasons.js';
+
+const calendar = [
+  { id: 1, name: 'Y10S3', start_iso: '2025-09-02', end_iso: '2025-12-01', announced_at: 1 },
+  { id: 2, name: 'Y10S4', start_iso: '2025-12-02', end_iso: '2026-03-02', announced_at: null },
+  { id: 3, name: 'Y11S1', start_iso: '2026-03-03', end_iso: '2026-06-01', announced_at: null },
+];
+
+test('datas: DD/MM/AAAA ou AAAA-MM-DD', () => {
+  assert.equal(parseSeasonDate('02/12/2025'), '2025-12-02');
+  assert.equal(parseSeasonDate('2/3/2026'), '2026-03-02');
+  assert.equal(parseSeasonDate(' 2026-03-03 '), '2026-03-03');
+  assert.equal(parseSeasonDate('31/02/2026'), null);
+  assert.equal(parseSeasonDate('amanhã'), null);
+});
+
+test('aliases do prefixo', () => {
+  assert.equal(parseSeasonRange('Temporada'), 'season');
+  assert.equal(parseSeasonRange('temporada_anterior'), 'lastSeason');
+  assert.equal(parseSeasonRange('semana'), null);
+});
+
+test('nova temporada: nome, ordem, duplicada e sobreposição', () => {
+  assert.deepEqual(
+    buildSeason({ name: ' Y11S2 ', start: '02/06/2026', end: '2026-09-01' }, calendar),
+    { name: 'Y11S2', startIso: '2026-06-02', endIso: '2026-09-01' }
+  );
+  const key = (k) => (e) => e.i18n?.key === k;
+  assert.throws(() => buildSeason({ name: '', start: '2026-06-02', end: '2026-09-01' }), key('season.error.name'));
+  assert.throws(() => buildSeason({ name: 'X', start: '2026-13-01', end: '2026-09-01' }), key('season.error.date'));
+  assert.throws(() => buildSeason({ name: 'X', start: '2026-09-01', end: '2026-06-02' }), key('season.error.order'));
+  assert.throws(() => buildSeason({ name: 'y10s4', start: '2027-01-01', end: '2027-02-01' }, calendar), key('season.error.duplicate'));
+  assert.throws(() => buildSeason({ name: 'X', start: '2026-06-01', end: '2026-09-01' }, calendar), key('season.error.overlap'));
+});
+
+test('temporada atual, anterior e as que faltam anunciar', () => {
+  assert.equal(findSeason(calendar, 'season', '2026-03-02').name, 'Y10S4');
+  assert.equal(findSeason(calendar, 'season', '2026-03-03').name, 'Y11S1');
+  assert.equal(findSeason(calendar, 'season', '2026-07-01'), null);
+  assert.equal(findSeason(calendar, 'lastSeason', '2026-03-03').name, 'Y10S4');
+  assert.equal(findSeason(calendar, 'lastSeason', '2026-07-01').name, 'Y11S1');
+  assert.equal(findSeason(calendar, 'lastSeason', '2025-09-02'), null);
+
+  assert.deepEqual(seasonsToAnnounce(calendar, '2026-03-02').map(s => s.id), []);
+  assert.deepEqual(seasonsToAnnounce(calendar, '2026-03-03').map(s => s.id), [2]);
+  assert.deepEqual(seasonsToAnnounce(calendar, '2026-07-01').map(s => s.id), [2, 3]);
+});
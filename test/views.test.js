@@ -0,0 +1,34 @@
+// test/views.test.js
+// ------------------------------------------------------------
+// Mensagens interativas: estado no customId e categoria escolhida.
+// ------------------------------------------------------------
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { VIEW_ALL, VIEW_MENU, parseViewId, viewCategories, viewId } from '../src/views.js';
+
+test('customId: ida e volta, nick com dois-pontos e limite do Discord', () => {
+  const id = viewId({ kind: 'ranking', range: 'week', target: 'bestKD' });
+  assert.equal(id, 'view:ranking:week:bestKD');
+  assert.deepEqual(parseViewId(id), { kind: 'ranking', range: 'week', target: 'bestKD' });
+  assert.deepEqual(parseViewId(viewId({ kind: 'report', range: 'yesterday', target: 'Nick:Raro' })),
+    { kind: 'report', range: 'yesterday', target: 'Nick:Raro' });
+  assert.equal(viewId({ kind: 'report', range: 'day', target: 'x'.repeat(100) }), null);
+});
+
+test('customId: rejeita o que não é nosso ou ficou inválido', () => {
+  assert.equal(parseViewId('outra:coisa'), null);
+  assert.equal(parseViewId('view:ranking:season:all'), null);
+  assert.equal(parseViewId('view:ranking:day:sumiu'), null);
+  assert.equal(parseViewId('view:report:day:'), null);
+  assert.equal(parseViewId(undefined), null);
+  assert.equal(parseViewId(`view:ranking:month:${VIEW_MENU}`).target, VIEW_MENU);
+});
+
+test('categoria escolhida: só ela, se ainda estiver configurada', () => {
+  const configured = ['bestKD', 'mostKills'];
+  assert.deepEqual(viewCategories(configured, VIEW_ALL), configured);
+  assert.deepEqual(viewCategories(configured, 'mostKills'), ['mostKills']);
+  assert.deepEqual(viewCategories(configured, 'bestHS'), configured);
+});